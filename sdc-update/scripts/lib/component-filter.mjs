@@ -0,0 +1,152 @@
+/**
+ * @file
+ * Selection of the components an update step processes.
+ *
+ * Components are selected with include and exclude globs relative to the
+ * components directory, e.g. `03-organisms/**` or `00-base`, and optionally
+ * limited to components changed since a git ref.
+ */
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+import { minimatch } from 'minimatch';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Split a comma separated list of patterns
+ *
+ * @param {string|Array<string>|undefined} value - Patterns
+ * @returns {Array<string>} Patterns, empty if none are set
+ */
+export function parsePatterns(value) {
+  const patterns = Array.isArray(value) ? value : String(value || '').split(',');
+  return patterns.map(pattern => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Read the component selection from the environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {{include: Array<string>, exclude: Array<string>, changedSince: string|null, gitDirectory: string|null, force: boolean, limit: number|null}} Selection options
+ */
+export function getSelectionFromEnv(env = process.env) {
+  const limit = Number.parseInt(env.COMPONENT_LIMIT, 10);
+  return {
+    include: parsePatterns(env.COMPONENT_INCLUDE),
+    exclude: parsePatterns(env.COMPONENT_EXCLUDE),
+    changedSince: env.COMPONENT_CHANGED_SINCE || null,
+    // Dry runs work on a staged copy without the git repository.
+    gitDirectory: env.COMPONENT_GIT_DIRECTORY || null,
+    force: env.COMPONENT_FORCE === 'true',
+    limit: Number.isInteger(limit) && limit > 0 ? limit : null,
+  };
+}
+
+/**
+ * Check whether a component path matches a pattern
+ *
+ * A pattern without glob characters matches a directory and everything in
+ * it, so `00-base` is the same as `00-base/**`.
+ *
+ * @param {string} relativePath - Template path relative to the components directory, with forward slashes
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} True if the path matches
+ */
+function matchesPattern(relativePath, pattern) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, '');
+  if (minimatch(relativePath, normalized, { dot: true })) {
+    return true;
+  }
+  return !/[*?[\]{}]/.test(normalized) && relativePath.startsWith(`${normalized}/`);
+}
+
+/**
+ * Get the component directories with changes since a git ref
+ *
+ * Committed, staged, unstaged and untracked changes are all included.
+ *
+ * @param {string} componentsDirectory - Components directory
+ * @param {string} ref - Git ref to compare against, e.g. a tag or `HEAD~3`
+ * @returns {Promise<Set<string>>} Changed directories relative to the components directory
+ * @throws {Error} If the directory is not in a git repository or the ref does not exist
+ */
+export async function getChangedDirectories(componentsDirectory, ref) {
+  const git = args => execFileAsync('git', ['-C', componentsDirectory, ...args], { maxBuffer: 10 * 1024 * 1024 });
+
+  let changed;
+  let untracked;
+  try {
+    [changed, untracked] = await Promise.all([
+      git(['diff', '--name-only', '--relative', ref, '--', '.']),
+      git(['ls-files', '--others', '--exclude-standard']),
+    ]);
+  } catch (error) {
+    throw new Error(`Could not find changes since ${ref}: ${(error.stderr || error.message).trim()}`);
+  }
+
+  const files = `${changed.stdout}\n${untracked.stdout}`.split('\n').filter(Boolean);
+  return new Set(files.map(file => path.posix.dirname(file)));
+}
+
+/**
+ * Select the component templates to process
+ *
+ * @param {Array<string>} files - Absolute template paths
+ * @param {string} componentsDirectory - Components directory
+ * @param {Object} selection - Selection options from getSelectionFromEnv()
+ * @returns {Promise<{selected: Array<string>, excluded: Array<string>}>} Selected and excluded templates
+ */
+export async function selectComponentFiles(files, componentsDirectory, selection = {}) {
+  const include = parsePatterns(selection.include);
+  const exclude = parsePatterns(selection.exclude);
+  const changedDirectories = selection.changedSince
+    ? await getChangedDirectories(selection.gitDirectory || componentsDirectory, selection.changedSince)
+    : null;
+
+  const selected = [];
+  const excluded = [];
+  for (const file of files) {
+    const relativePath = path.relative(componentsDirectory, file).split(path.sep).join('/');
+    const isSelected = (include.length === 0 || include.some(pattern => matchesPattern(relativePath, pattern)))
+      && !exclude.some(pattern => matchesPattern(relativePath, pattern))
+      && (!changedDirectories || changedDirectories.has(path.posix.dirname(relativePath)));
+    (isSelected ? selected : excluded).push(file);
+  }
+
+  return { selected, excluded };
+}
+
+/**
+ * Describe a selection in one line
+ *
+ * @param {Object} selection - Selection options
+ * @returns {string} Description, empty if all components are selected
+ */
+export function describeSelection(selection = {}) {
+  const parts = [];
+  if (parsePatterns(selection.include).length > 0) {
+    parts.push(`including ${parsePatterns(selection.include).join(', ')}`);
+  }
+  if (parsePatterns(selection.exclude).length > 0) {
+    parts.push(`excluding ${parsePatterns(selection.exclude).join(', ')}`);
+  }
+  if (selection.changedSince) {
+    parts.push(`changed since ${selection.changedSince}`);
+  }
+  if (selection.force) {
+    parts.push('regenerating existing definitions');
+  }
+  if (selection.limit) {
+    parts.push(`at most ${selection.limit}`);
+  }
+  return parts.join(', ');
+}
+
+export default {
+  parsePatterns,
+  getSelectionFromEnv,
+  getChangedDirectories,
+  selectComponentFiles,
+  describeSelection,
+};
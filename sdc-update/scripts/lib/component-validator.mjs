@@ -0,0 +1,120 @@
+/**
+ * @file
+ * Validation of generated component definitions.
+ *
+ * Checks a parsed *.component.yml against the rules of Drupal core's
+ * metadata.schema.json, meta-validates the `props` JSON schema and applies
+ * the SDC rules the schema cannot express, so invalid definitions are found
+ * before Drupal tries to render the component. The schema only has the rules
+ * of core, so definitions core accepts are not rejected by it.
+ */
+import { readFileSync } from 'fs';
+import Ajv from 'ajv-draft-04';
+
+const metadataSchema = JSON.parse(readFileSync(new URL('./metadata.schema.json', import.meta.url), 'utf8'));
+
+// SDC adds its own keywords to the props schema.
+const SDC_KEYWORDS = ['meta:enum', 'x-translation-context'];
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+SDC_KEYWORDS.forEach(keyword => ajv.addKeyword(keyword));
+const validateMetadata = ajv.compile(metadataSchema);
+
+/**
+ * Format Ajv errors as readable messages
+ *
+ * @param {Array<Object>} errors - Ajv errors
+ * @param {string} prefix - Path to prepend to each instance path
+ * @returns {Array<string>} Error messages
+ */
+function formatErrors(errors, prefix = '') {
+  return (errors || []).map((error) => {
+    const location = `${prefix}${error.instancePath}` || '/';
+    const detail = error.params?.additionalProperty
+      ? ` (${error.params.additionalProperty})`
+      : error.params?.allowedValues ? ` (${error.params.allowedValues.join(', ')})` : '';
+    return `${location} ${error.message}${detail}`;
+  });
+}
+
+/**
+ * Check the props of a definition are a valid JSON schema
+ *
+ * @param {Object} props - Props schema of the component
+ * @returns {Array<string>} Error messages
+ */
+function validateProps(props) {
+  const errors = [];
+
+  if (!ajv.validateSchema(props)) {
+    return formatErrors(ajv.errors, '/props');
+  }
+
+  for (const [name, prop] of Object.entries(props.properties || {})) {
+    if (prop.default === undefined) {
+      continue;
+    }
+    try {
+      const { default: value, ...schema } = prop;
+      const validateDefault = ajv.compile(schema);
+      if (!validateDefault(value)) {
+        errors.push(...formatErrors(validateDefault.errors, `/props/properties/${name}/default`));
+      }
+    } catch (error) {
+      // References to other components cannot be resolved here.
+      if (!error.missingRef) {
+        errors.push(`/props/properties/${name} ${error.message}`);
+      }
+    }
+  }
+
+  // SDC can only check props with a type, or a reference to a schema.
+  for (const [name, prop] of Object.entries(props.properties || {})) {
+    if (prop && typeof prop === 'object' && prop.type === undefined && prop.$ref === undefined) {
+      errors.push(`/props/properties/${name} must have a type or a $ref`);
+    }
+  }
+
+  for (const name of props.required || []) {
+    if (!props.properties?.[name]) {
+      errors.push(`/props/required ${name} is required but not defined in props`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed component definition
+ *
+ * @param {Object} definition - Parsed *.component.yml content
+ * @returns {{valid: boolean, errors: Array<string>}} Validation result and error messages
+ */
+export function validateComponentDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { valid: false, errors: ['/ must be a mapping'] };
+  }
+
+  const errors = [];
+  if (!validateMetadata(definition)) {
+    errors.push(...formatErrors(validateMetadata.errors));
+  }
+
+  if (definition.props && typeof definition.props === 'object') {
+    errors.push(...validateProps(definition.props));
+  }
+
+  // A name can either be passed as a prop or rendered into a slot.
+  const propNames = Object.keys(definition.props?.properties || {});
+  for (const slotName of Object.keys(definition.slots || {})) {
+    if (propNames.includes(slotName)) {
+      errors.push(`/slots/${slotName} is also defined as a prop, slots must not be props`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors: [...new Set(errors)] };
+}
+
+export default {
+  validateComponentDefinition
+};
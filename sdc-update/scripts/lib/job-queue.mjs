@@ -0,0 +1,48 @@
+/**
+ * @file
+ * Bounded concurrency job queue.
+ */
+
+/**
+ * Run a worker over a list of items with at most `concurrency` running at once
+ *
+ * Items are started in order. A rejected worker does not stop the queue, its
+ * error is returned in the result for that item.
+ *
+ * @param {Array<*>} items - Items to process
+ * @param {Function} worker - Called with (item, index), returns a promise
+ * @param {Object} options - Queue options
+ * @param {number} [options.concurrency=1] - Maximum number of workers running at once
+ * @param {Function} [options.onSettled] - Called with (result, settledCount, total) when an item finishes
+ * @returns {Promise<Array<{item: *, value?: *, error?: Error}>>} Results in item order
+ */
+export async function runQueue(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const results = new Array(items.length);
+  let next = 0;
+  let settled = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      try {
+        results[index] = { item, value: await worker(item, index) };
+      } catch (error) {
+        results[index] = { item, error };
+      }
+      settled++;
+      if (options.onSettled) {
+        options.onSettled(results[index], settled, items.length);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+
+  return results;
+}
+
+export default {
+  runQueue
+};
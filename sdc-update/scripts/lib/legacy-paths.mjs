@@ -0,0 +1,179 @@
+/**
+ * @file
+ * Legacy component path rewriter for PHP and YAML files.
+ *
+ * Subthemes reference component templates by their paths from before SDC,
+ * such as `@organisms/header/header.twig`, in preprocess functions of `.theme`
+ * and `.inc` files, in render arrays and in configuration. Strings that are
+ * exactly such a path are rewritten to SDC component ids, inline templates are
+ * rewritten like Twig templates. Paths built from variables, strings with
+ * escapes and paths that cannot be resolved are listed for manual review.
+ */
+import { lineAt } from './twig-tokenizer.mjs';
+import { rewriteTemplateReferences, resolveTemplateReference } from './twig-references.mjs';
+
+// A template path with a namespace, anywhere in a string.
+const LEGACY_PATH = /@[\w-]+\/[^'"\s]*\.twig/;
+
+// A string that is only a template path with a namespace.
+const FULL_LEGACY_PATH = /^@[\w-]+\/[^'"\s]*\.twig$/;
+
+// Start of a path in one of the component library namespaces, e.g. a path
+// concatenated from variables.
+const LEGACY_NAMESPACE = /^@(base|atoms|molecules|organisms|templates)\//;
+
+// Inline Twig code.
+const TWIG_CODE = /\{\{|\{%/;
+
+/**
+ * Find the string literals of PHP code
+ *
+ * Comments are skipped. Heredoc and nowdoc strings are not supported.
+ *
+ * @param {string} source - PHP source
+ * @returns {Array<{start: number, end: number, quote: string, value: string}>} Strings with their offsets, including
+ *   the quotes, and their content as written
+ */
+export function findPhpStrings(source) {
+  const strings = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+    } else if ((char === '/' && source[i + 1] === '/') || char === '#') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (char === '\'' || char === '"') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== char) {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      strings.push({ start: i, end: end + 1, quote: char, value: source.slice(i + 1, end) });
+      i = end + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return strings;
+}
+
+/**
+ * Find the scalar values of YAML lines that contain a template path
+ *
+ * Only plain and quoted scalars on a single line are found, comments are
+ * skipped.
+ *
+ * @param {string} source - YAML source
+ * @returns {Array<{start: number, end: number, quote: string, value: string}>} Scalars with their offsets, including
+ *   the quotes
+ */
+export function findYamlScalars(source) {
+  const scalars = [];
+  let offset = 0;
+
+  for (const line of source.split('\n')) {
+    const match = line.match(/^(\s*(?:-\s+)?(?:[^\s#'"][^:#]*:\s+|-\s+)?)(.*?)\s*(#.*)?$/);
+    const prefix = match[1];
+    let scalar = match[2];
+    // A `#` inside quotes is not a comment.
+    if (match[3] && /^['"]/.test(scalar) && (scalar.length === 1 || !scalar.endsWith(scalar[0]))) {
+      scalar = line.slice(prefix.length).trimEnd();
+    }
+
+    if (LEGACY_PATH.test(scalar) || LEGACY_NAMESPACE.test(scalar.replace(/^['"]/, ''))) {
+      const quoted = /^(['"]).*\1$/.test(scalar);
+      scalars.push({
+        start: offset + prefix.length,
+        end: offset + prefix.length + scalar.length,
+        quote: quoted ? scalar[0] : '',
+        value: quoted ? scalar.slice(1, -1) : scalar
+      });
+    }
+    offset += line.length + 1;
+  }
+
+  return scalars;
+}
+
+/**
+ * Rewrite the legacy component paths of a PHP or YAML file
+ *
+ * @param {string} source - File source
+ * @param {string} type - `php` or `yaml`
+ * @param {Object<string, string>} componentToNamespace - Namespace of every component by name
+ * @returns {{source: string, rewritten: Array<{line: number, from: string, to: string}>, review: Array<{line: number, reference: string, reason: string}>}}
+ *   Updated source, the rewritten paths and the references to review by hand
+ */
+export function rewriteLegacyPaths(source, type, componentToNamespace) {
+  const rewritten = [];
+  const review = [];
+  const edits = [];
+
+  const strings = type === 'php' ? findPhpStrings(source) : findYamlScalars(source);
+  for (const string of strings) {
+    const { value, quote } = string;
+    const line = lineAt(source, string.start);
+    if (!LEGACY_PATH.test(value) && !LEGACY_NAMESPACE.test(value)) {
+      continue;
+    }
+
+    // Escapes and PHP variables change the string, so its content as written
+    // cannot be rewritten.
+    if (value.includes('\\') || (type === 'php' && quote === '"' && value.includes('$'))) {
+      review.push({ line, reference: value, reason: 'string has escapes or variables' });
+      continue;
+    }
+
+    if (FULL_LEGACY_PATH.test(value)) {
+      const resolution = resolveTemplateReference(value, componentToNamespace);
+      if (resolution.status === 'resolved') {
+        edits.push({ start: string.start, end: string.end, raw: `${quote}${resolution.target}${quote}` });
+        rewritten.push({ line, from: value, to: resolution.target });
+      } else if (resolution.status === 'unresolved') {
+        review.push({ line, reference: value, reason: resolution.reason });
+      }
+      continue;
+    }
+
+    if (TWIG_CODE.test(value)) {
+      const result = rewriteTemplateReferences(value, componentToNamespace);
+      if (result.source !== value) {
+        edits.push({ start: string.start, end: string.end, raw: `${quote}${result.source}${quote}` });
+        rewritten.push(...result.rewritten.map(reference => ({ line, from: reference.value, to: reference.target })));
+      }
+      review.push(...result.unresolved.map(reference => ({ line, reference: reference.value, reason: reference.reason })));
+
+      // An inline template that only includes a component can be a component
+      // render element.
+      const include = result.source.trim().match(/^\{%-?\s*include\s+(['"])([\w]+:[\w-]+)\1\s*(?:with\b[^%]*)?-?%\}$/);
+      if (type === 'php' && include && /['"]#template['"]\s*=>\s*$/.test(source.slice(0, string.start))) {
+        review.push({
+          line,
+          reference: include[2],
+          reason: `inline template can be replaced with '#type' => 'component', '#component' => '${include[2]}' and its variables as '#props'`
+        });
+      }
+      continue;
+    }
+
+    // Paths concatenated from variables, or part of a longer text.
+    review.push({ line, reference: value, reason: 'template path is not the whole string' });
+  }
+
+  let updated = source;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    updated = updated.slice(0, edit.start) + edit.raw + updated.slice(edit.end);
+  }
+
+  return { source: updated, rewritten, review };
+}
+
+export default {
+  findPhpStrings,
+  findYamlScalars,
+  rewriteLegacyPaths
+};
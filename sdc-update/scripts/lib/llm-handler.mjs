@@ -1,11 +1,22 @@
-import { Anthropic } from '@anthropic-ai/sdk';
+import { promises as fs } from 'fs';
+import path from 'path';
 import pThrottle from 'p-throttle';
+import { createProvider, createUsageTracker, formatCost } from '../../../shared/llm-providers/index.mjs';
 
 export class LlmHandler {
   constructor(options = {}) {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
     this.prompt = options.prompt || '';
-    this.anthropic = new Anthropic({ apiKey });
+    // The provider, its credentials and the response cache are read from
+    // LLM_PROVIDER and related environment variables, an API key is only
+    // checked when a request is made.
+    this.provider = createProvider({
+      provider: options.provider,
+      model: options.model,
+      maxAttempts: options.maxAttempts,
+      onRetry: (error, attempt, delay) => {
+        console.warn(`Request failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s after attempt ${attempt}`);
+      },
+    });
     this.options = {
       system_prompt: options.system_prompt || '',
       inputDir: options.inputDir || '../components',
@@ -13,12 +24,28 @@ export class LlmHandler {
       rateLimit: options.rateLimit || 3,
       rateLimitInterval: options.rateLimitInterval || 1000,
       processLimit: options.processLimit || 3,
-      model: options.model || 'claude-3-5-sonnet-20241022',
+      // Files processed at once, requests are still limited by the throttle.
+      concurrency: options.concurrency || options.rateLimit || 3,
+      model: options.model || this.provider.model,
+      enrichDescriptions: options.enrichDescriptions || false,
+      maxRepairAttempts: options.maxRepairAttempts || 0,
+      quarantineDir: options.quarantineDir || './.quarantine',
+      selection: options.selection || {},
     };
 
     this.results = {
       successful: [],
       failed: [],
+      skipped: [],
+    };
+    // Token usage and estimated cost per component.
+    this.usage = createUsageTracker();
+    // Totals over all requests, printed in the report.
+    this.llmStats = {
+      requests: 0,
+      cached: 0,
+      attempts: 0,
+      continuations: 0,
     };
     const throttle = pThrottle({
       limit: this.options.rateLimit,
@@ -32,28 +59,47 @@ export class LlmHandler {
    * Create a request to analyze a reference file and return an output.
    *
    * @param {array} messages - messages to send to the LLM
+   * @param {string} systemPrompt - system prompt to use instead of the configured one
+   * @param {string} component - component the request is made for, to record its token usage
    * @return {Promise<string>} Promise that resolves with the output file.
    * @throws {Error} If an API error occurs during the analysis process.
    */
 
-  async analyze(messages) {
+  async analyze(messages, systemPrompt = null, component = null) {
     try {
-      const body = {
-        model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
-        max_tokens: this.options.max_tokens || 8192,
-        system: [{
-          type: 'text',
-          text: this.options.system_prompt,
-        }],
+      const request = {
+        model: this.options.model,
+        system: systemPrompt || this.options.system_prompt,
         messages: messages,
+        maxTokens: this.options.max_tokens || 8192,
       };
-      const response = await this.anthropic.messages.create(body);
-      console.log(`Request usage - Input tokens used: ${response.usage.input_tokens || 'unknown'} Output tokens used: ${response.usage.output_tokens || 'unknown'}`);
-      return response.content[0].text;
+      this.llmStats.requests += 1;
+      const response = await this.provider.complete(request);
+      if (response.cached) {
+        this.llmStats.cached += 1;
+        console.log('Request served from the LLM response cache');
+        return response.text;
+      }
+      this.llmStats.attempts += response.attempts || 1;
+      this.llmStats.continuations += response.continuations || 0;
+      this.usage.record(component || 'other', response.model || request.model, response.usage);
+      const { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens } = response.usage;
+      console.log(`Request usage - Input tokens used: ${inputTokens || 0} Output tokens used: ${outputTokens || 0} Cache read: ${cacheReadTokens || 0} Cache write: ${cacheWriteTokens || 0}`);
+      if (response.attempts > 1) {
+        console.log(`Request took ${response.attempts} attempts (${response.continuations} truncated responses completed)`);
+      }
+      if (response.stopReason === 'max_tokens') {
+        throw new Error(`Response is still truncated at the token limit after ${response.continuations} continuations`);
+      }
+      return response.text;
     } catch (error) {
-      const errorMessage = `API Error: ${error.message}`;
-      console.error(errorMessage);
-      throw new Error(errorMessage);
+      // Keep the original error so the status and headers are not lost.
+      if (error.attempts) {
+        this.llmStats.attempts += error.attempts;
+      }
+      error.message = `API Error: ${error.message}${error.attempts > 1 ? ` (after ${error.attempts} attempts)` : ''}`;
+      console.error(error.message);
+      throw error;
     }
   }
 
@@ -80,20 +126,60 @@ export class LlmHandler {
     throw new Error('Implement method in subclass');
   }
 
+  /**
+   * Get the results of the process as structured data.
+   *
+   * @return {{successful: Array<string>, failed: Array<{file: string, error: string}>, skipped: Array<string>, llm: Object, usage: Object}} Report.
+   */
+  getReport() {
+    return {
+      successful: [...this.results.successful].sort(),
+      failed: [...this.results.failed].sort((a, b) => a.file.localeCompare(b.file)),
+      skipped: [...(this.results.skipped || [])].sort(),
+      llm: { ...this.llmStats },
+      usage: this.usage.toJSON(),
+    };
+  }
+
+  /**
+   * Write the report as JSON so the update runner can read it.
+   *
+   * @param {string} reportPath - Path of the report file.
+   * @return {Promise<void>}
+   */
+  async writeReport(reportPath) {
+    await fs.mkdir(path.dirname(reportPath), { recursive: true });
+    await fs.writeFile(reportPath, JSON.stringify(this.getReport(), null, 2), 'utf8');
+  }
+
   /**
    * Method to report on the process.
+   *
+   * @return {Object} Report from getReport().
    */
 
   report() {
+    const report = this.getReport();
     console.log('\nProcessing Summary:');
-    console.log(`Successfully processed: ${this.results.successful.length} files`);
-    console.log(`Failed to process: ${this.results.failed.length} files`);
+    console.log(`Successfully processed: ${report.successful.length} files`);
+    console.log(`Failed to process: ${report.failed.length} files`);
+    console.log(`Skipped: ${report.skipped.length} files`);
+
+    if (report.llm.requests > 0) {
+      const { requests, cached, attempts, continuations } = report.llm;
+      console.log(`LLM requests: ${requests} (${cached} from cache), attempts: ${attempts}, truncated responses completed: ${continuations}`);
+      const { total } = report.usage;
+      console.log(`Token usage: ${total.inputTokens} input, ${total.outputTokens} output, ${total.cacheReadTokens} cache read, ${total.cacheWriteTokens} cache write`);
+      console.log(`Estimated cost: ${formatCost(total.cost)}`);
+    }
 
-    if (this.results.failed.length > 0) {
+    if (report.failed.length > 0) {
       console.log('\nFailed files:');
-      this.results.failed.forEach(({ file, error }) => {
+      report.failed.forEach(({ file, error }) => {
         console.log(`- ${file}: ${error}`);
       });
     }
+
+    return report;
   }
 }
@@ -0,0 +1,220 @@
+/**
+ * @file
+ * Twig block renamer.
+ *
+ * SDC components name their blocks with a `_block` suffix so they do not
+ * collide with props. The blocks a component defines are renamed, and so are
+ * the blocks that templates embedding or extending a component override and
+ * the `block()` calls that render them. Names that already have the suffix
+ * are kept, so renaming a template twice changes nothing.
+ */
+import {
+  splitTemplate,
+  tokenizeExpression,
+  isPunctuation,
+  isName
+} from './twig-tokenizer.mjs';
+import { findTemplateReferences } from './twig-references.mjs';
+
+export const BLOCK_SUFFIX = '_block';
+
+/**
+ * Walk the tags and expressions of a template with the block scope they are in
+ *
+ * Blocks in the body of an `embed` tag belong to the embedded template, all
+ * other blocks to the template itself, or to its parent if it extends one.
+ *
+ * @param {string} source - Template source
+ * @param {Function} visit - Called with the segment, its tokens and the embed stack, innermost last
+ * @returns {void}
+ */
+function walkTemplate(source, visit) {
+  const references = findTemplateReferences(source);
+  const embeds = [];
+
+  for (const segment of splitTemplate(source)) {
+    if (segment.type !== 'print' && segment.type !== 'tag') {
+      continue;
+    }
+    const tokens = tokenizeExpression(segment.code, segment.innerStart);
+
+    if (segment.type === 'tag' && isName(tokens[0], 'embed')) {
+      const reference = references.find(candidate => candidate.name === 'embed' && candidate.start >= segment.start && candidate.end <= segment.end);
+      embeds.push(reference && !reference.dynamic ? reference.value : null);
+      continue;
+    }
+    if (segment.type === 'tag' && isName(tokens[0], 'endembed')) {
+      embeds.pop();
+      continue;
+    }
+
+    visit(segment, tokens, embeds);
+  }
+}
+
+/**
+ * Find the blocks a template defines in its own scope
+ *
+ * Blocks that override the blocks of an embedded template are not included.
+ *
+ * @param {string} source - Template source
+ * @returns {Array<{name: string, line: number}>} Block definitions in source order
+ */
+export function findBlockDefinitions(source) {
+  const definitions = [];
+  walkTemplate(source, (segment, tokens, embeds) => {
+    if (embeds.length === 0 && segment.type === 'tag' && isName(tokens[0], 'block') && tokens[1]?.type === 'name') {
+      definitions.push({ name: tokens[1].value, line: segment.line });
+    }
+  });
+  return definitions;
+}
+
+/**
+ * Work out the new names of the blocks a component defines
+ *
+ * A block is not renamed if its name already has the suffix, or if the
+ * component already defines a block with the new name.
+ *
+ * @param {Array<{name: string, line: number}>} definitions - Block definitions from findBlockDefinitions()
+ * @returns {{names: Map<string, string>, conflicts: Array<{name: string, line: number, reason: string}>}}
+ *   New name of every block, and the blocks that could not be renamed
+ */
+export function planBlockNames(definitions) {
+  const defined = new Set(definitions.map(definition => definition.name));
+  const names = new Map();
+  const conflicts = [];
+
+  for (const { name, line } of definitions) {
+    if (names.has(name)) {
+      continue;
+    }
+    const target = name.endsWith(BLOCK_SUFFIX) ? name : `${name}${BLOCK_SUFFIX}`;
+    if (target !== name && defined.has(target)) {
+      conflicts.push({ name, line, reason: `block ${target} already exists` });
+      names.set(name, name);
+    } else {
+      names.set(name, target);
+    }
+  }
+
+  return { names, conflicts };
+}
+
+/**
+ * Create a scope that renames the overrides of a component's blocks
+ *
+ * @param {Set<string>} blocks - Block names of the component
+ * @returns {Function} Returns the new name, or null if the component has no such block
+ */
+function overrideScope(blocks) {
+  return (name) => {
+    if (blocks.has(name)) {
+      return name;
+    }
+    if (blocks.has(`${name}${BLOCK_SUFFIX}`)) {
+      return `${name}${BLOCK_SUFFIX}`;
+    }
+    return null;
+  };
+}
+
+/**
+ * Rename the blocks of a template
+ *
+ * @param {string} source - Template source
+ * @param {Object} options - Rename options
+ * @param {boolean} options.isComponent - Whether the template is a component, whose own blocks are renamed
+ * @param {Function} options.getComponentBlocks - Returns the block names of the component a template name refers to,
+ *   after renaming, or null if it is not a component
+ * @returns {{source: string, renamed: Array<{line: number, from: string, to: string}>, conflicts: Array<{line: number, name: string, reason: string}>}}
+ *   Updated source, the renamed block definitions, overrides and references, and the blocks that were not renamed
+ */
+export function renameBlocks(source, { isComponent, getComponentBlocks }) {
+  const renamed = [];
+  const conflicts = [];
+  const edits = [];
+
+  // A template that extends a component overrides its blocks.
+  const parent = findTemplateReferences(source).find(reference => reference.name === 'extends' && !reference.dynamic);
+  const parentBlocks = parent ? getComponentBlocks(parent.value) : null;
+  let ownScope = () => null;
+  if (parentBlocks) {
+    ownScope = overrideScope(parentBlocks);
+  } else if (isComponent) {
+    const plan = planBlockNames(findBlockDefinitions(source));
+    conflicts.push(...plan.conflicts);
+    ownScope = name => plan.names.get(name) || null;
+  }
+
+  // Scope of a template name, null for templates that are not components.
+  const scopeOf = (template) => {
+    const blocks = template ? getComponentBlocks(template) : null;
+    return blocks ? { template, rename: overrideScope(blocks) } : null;
+  };
+  const currentScope = embeds => (embeds.length > 0 ? scopeOf(embeds[embeds.length - 1]) : { template: parentBlocks ? parent.value : null, rename: ownScope });
+
+  const rename = (token, scope, line) => {
+    if (!scope) {
+      return;
+    }
+    const target = scope.rename(token.value);
+    if (target === null) {
+      if (scope.template && !conflicts.some(conflict => conflict.name === token.value && conflict.line === line)) {
+        conflicts.push({ name: token.value, line, reason: `${scope.template} has no block ${token.value}` });
+      }
+      return;
+    }
+    if (target !== token.value) {
+      const raw = token.type === 'string' ? `${token.quote}${target}${token.quote}` : target;
+      edits.push({ start: token.start, end: token.end, raw });
+      renamed.push({ line, from: token.value, to: target });
+    }
+  };
+
+  // Open blocks, so a named endblock is renamed like its block.
+  const openBlocks = [];
+  walkTemplate(source, (segment, tokens, embeds) => {
+    const scope = currentScope(embeds);
+
+    if (segment.type === 'tag' && isName(tokens[0], 'block') && tokens[1]?.type === 'name') {
+      openBlocks.push({ name: tokens[1].value, scope });
+      rename(tokens[1], scope, segment.line);
+      // Shorthand blocks such as `{% block title 'Title' %}` have no endblock.
+      if (tokens.length > 2) {
+        openBlocks.pop();
+      }
+    } else if (segment.type === 'tag' && isName(tokens[0], 'endblock')) {
+      const block = openBlocks.pop();
+      if (block && tokens[1]?.type === 'name' && block.scope) {
+        const target = block.scope.rename(tokens[1].value);
+        if (target && target !== tokens[1].value) {
+          edits.push({ start: tokens[1].start, end: tokens[1].end, raw: target });
+        }
+      }
+    }
+
+    // block('name') and block('name', template) calls.
+    for (let i = segment.type === 'tag' ? 1 : 0; i < tokens.length; i++) {
+      if (!isName(tokens[i], 'block') || !isPunctuation(tokens[i + 1], '(') || tokens[i + 2]?.type !== 'string') {
+        continue;
+      }
+      const template = isPunctuation(tokens[i + 3], ',') && tokens[i + 4]?.type === 'string' ? tokens[i + 4].value : null;
+      rename(tokens[i + 2], template ? scopeOf(template) : scope, segment.line);
+    }
+  });
+
+  let updated = source;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    updated = updated.slice(0, edit.start) + edit.raw + updated.slice(edit.end);
+  }
+
+  return { source: updated, renamed, conflicts };
+}
+
+export default {
+  BLOCK_SUFFIX,
+  findBlockDefinitions,
+  planBlockNames,
+  renameBlocks
+};
@@ -0,0 +1,572 @@
+/**
+ * @file
+ * Static Twig prop extractor.
+ *
+ * Builds the SDC `props` schema of a component from its Twig template without
+ * calling an LLM. Props are collected from the CivicTheme docblock
+ * `Variables:` section and from how variables are used in the template:
+ * `{{ var }}` output, `|default()` values, `is defined` checks and
+ * `in [...]` conditions.
+ */
+import path from 'path';
+import {
+  splitTemplate,
+  tokenizeExpression,
+  isPunctuation,
+  isName
+} from './twig-tokenizer.mjs';
+
+export const SCHEMA_URL = 'https://git.drupalcode.org/project/drupal/-/raw/10.3.x/core/assets/schemas/v1/metadata.schema.json';
+
+// Docblock types mapped to JSON schema types.
+const TYPE_MAP = {
+  string: 'string',
+  text: 'string',
+  bool: 'boolean',
+  boolean: 'boolean',
+  int: 'integer',
+  integer: 'integer',
+  number: 'number',
+  float: 'number',
+  array: 'array',
+  object: 'object'
+};
+
+// Names that are never variables.
+const KEYWORDS = new Set([
+  'and', 'or', 'not', 'in', 'is', 'matches', 'starts', 'ends', 'with', 'only', 'ignore', 'missing', 'as',
+  'true', 'false', 'null', 'none', 'TRUE', 'FALSE', 'NULL', 'NONE', 'if', 'else', 'b'
+]);
+
+// Twig test names that can follow `is` / `is not`.
+const TESTS = new Set([
+  'not', 'defined', 'empty', 'null', 'none', 'iterable', 'even', 'odd', 'same', 'as', 'divisible', 'by', 'constant'
+]);
+
+// Variables provided by Twig itself.
+const GLOBALS = new Set(['_self', '_context', '_charset', 'loop']);
+
+// Tags whose arguments contain no variables.
+const IGNORED_TAGS = new Set([
+  'block', 'endblock', 'endif', 'else', 'endfor', 'endset', 'endembed', 'endapply', 'endspaceless',
+  'endmacro', 'endwith', 'verbatim', 'endverbatim', 'spaceless', 'endtrans', 'trans', 'plural'
+]);
+
+/**
+ * Convert a machine name to a human readable title
+ *
+ * @param {string} name - Machine name, e.g. `is_new_window` or `promo-card`
+ * @returns {string} Title, e.g. `Is new window`
+ */
+export function toTitle(name) {
+  const words = name.replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Map a docblock type such as `string` or `string|array` to a JSON schema type
+ *
+ * @param {string} docType - Type between the brackets of a docblock entry
+ * @returns {string|Array<string>|null} JSON schema type, null if unknown
+ */
+function mapDocType(docType) {
+  const types = [...new Set(docType.toLowerCase().split(/[|,]/)
+    .map(type => TYPE_MAP[type.trim()])
+    .filter(Boolean))];
+
+  if (types.length === 0) {
+    return null;
+  }
+  return types.length === 1 ? types[0] : types;
+}
+
+/**
+ * Parse the CivicTheme docblock of a template
+ *
+ * Entries in the `Variables:` section look like `- name: [type] Description.`
+ * and may be nested with indentation to describe array items or object
+ * properties.
+ *
+ * @param {string} source - Template source
+ * @returns {{description: string, variables: Object}} Component description and documented variables
+ */
+export function parseDocblock(source) {
+  const comment = splitTemplate(source)
+    .find(segment => segment.type === 'comment' && /@file|Variables:/.test(segment.code));
+
+  const result = { description: '', variables: {} };
+  if (!comment) {
+    return result;
+  }
+
+  const lines = comment.code.split('\n')
+    .map(line => line.replace(/^\s*\/?\*+\/?/, '').replace(/^ /, '').trimEnd());
+
+  // The description is the first paragraph after @file.
+  const fileIndex = lines.findIndex(line => line.trim() === '@file');
+  const descriptionLines = [];
+  for (const line of lines.slice(fileIndex + 1)) {
+    if (line.trim() === '' && descriptionLines.length > 0) {
+      break;
+    }
+    if (line.trim() === '' || line.trim() === '@file') {
+      continue;
+    }
+    if (/^\w[\w ]*:$/.test(line.trim())) {
+      break;
+    }
+    descriptionLines.push(line.trim());
+  }
+  result.description = descriptionLines.join(' ');
+
+  const variablesIndex = lines.findIndex(line => line.trim() === 'Variables:');
+  if (variablesIndex === -1) {
+    return result;
+  }
+
+  // Stack of the entries at each indentation level.
+  const stack = [];
+  let last = null;
+  for (const line of lines.slice(variablesIndex + 1)) {
+    if (line.trim() === '' || line.trim().startsWith('@') || /^\w[\w ]*:$/.test(line)) {
+      break;
+    }
+
+    const match = /^(\s*)-\s+([A-Za-z_][\w]*)\s*:\s*(?:\[([^\]]*)\])?\s*(.*)$/.exec(line);
+    if (!match) {
+      // Continuation of the previous description.
+      if (last) {
+        last.description = `${last.description} ${line.trim()}`.trim();
+      }
+      continue;
+    }
+
+    const [, indent, name, docType, description] = match;
+    const entry = {
+      name,
+      type: docType ? mapDocType(docType) : null,
+      description: description.trim(),
+      indent: indent.length,
+      children: {}
+    };
+
+    while (stack.length > 0 && stack[stack.length - 1].indent >= entry.indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    (parent ? parent.children : result.variables)[name] = entry;
+    stack.push(entry);
+    last = entry;
+  }
+
+  return result;
+}
+
+/**
+ * Parse a literal value at a token position
+ *
+ * @param {Array<Object>} tokens - Expression tokens
+ * @param {number} index - Position of the literal
+ * @returns {{value: *, end: number}|null} Literal value and the position after it, null if not a literal
+ */
+function parseLiteral(tokens, index) {
+  const token = tokens[index];
+  if (!token) {
+    return null;
+  }
+
+  if (token.type === 'string' || token.type === 'number') {
+    return { value: token.value, end: index + 1 };
+  }
+  if (token.type === 'name' && ['true', 'false', 'TRUE', 'FALSE'].includes(token.value)) {
+    return { value: token.value.toLowerCase() === 'true', end: index + 1 };
+  }
+  if (isPunctuation(token, '-') && tokens[index + 1]?.type === 'number') {
+    return { value: -tokens[index + 1].value, end: index + 2 };
+  }
+
+  // Arrays and hashes are only used to infer the type, their content is not kept.
+  if (isPunctuation(token, '[') || isPunctuation(token, '{')) {
+    const close = token.value === '[' ? ']' : '}';
+    if (isPunctuation(tokens[index + 1], close)) {
+      return { value: close === ']' ? [] : {}, end: index + 2 };
+    }
+    const values = [];
+    let position = index + 1;
+    while (position < tokens.length) {
+      const item = parseLiteral(tokens, position);
+      if (!item || close === '}') {
+        return null;
+      }
+      values.push(item.value);
+      position = item.end;
+      if (isPunctuation(tokens[position], ',')) {
+        position++;
+      } else if (isPunctuation(tokens[position], close)) {
+        return { value: values, end: position + 1 };
+      } else {
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the JSON schema type of a literal value
+ *
+ * @param {*} value - Literal value
+ * @returns {string} JSON schema type
+ */
+function literalType(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  if (typeof value === 'object' && value !== null) {
+    return 'object';
+  }
+  return typeof value;
+}
+
+/**
+ * Record a usage of a variable
+ *
+ * @param {Map<string, Object>} usages - Usages by variable name
+ * @param {string} name - Variable name
+ * @param {number} line - Line of the usage
+ * @returns {Object} Usage record
+ */
+function useVariable(usages, name, line) {
+  if (!usages.has(name)) {
+    usages.set(name, { name, line, hints: new Set(), default: undefined, enum: null, checked: false });
+  }
+  return usages.get(name);
+}
+
+/**
+ * Collect variable usages from expression tokens
+ *
+ * @param {Array<Object>} tokens - Expression tokens
+ * @param {number} line - Line the expression starts on
+ * @param {Map<string, Object>} usages - Usages by variable name
+ * @param {Set<string>} locals - Names defined in the template, updated in place
+ * @returns {Set<string>} Names of the variables the expression reads
+ */
+function collectUsages(tokens, line, usages, locals) {
+  const brackets = [];
+  const read = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
+
+    if (token.type === 'punctuation' && '([{'.includes(token.value)) {
+      brackets.push(token.value);
+      continue;
+    }
+    if (token.type === 'punctuation' && ')]}'.includes(token.value)) {
+      brackets.pop();
+      continue;
+    }
+
+    if (token.type !== 'name') {
+      continue;
+    }
+
+    // Skip the test name after `is` and `is not`.
+    if (token.value === 'is') {
+      while (tokens[i + 1]?.type === 'name' && TESTS.has(tokens[i + 1].value)) {
+        i++;
+      }
+      continue;
+    }
+
+    if (KEYWORDS.has(token.value)) {
+      continue;
+    }
+
+    // Attributes, filters and function calls.
+    if (isPunctuation(previous, '.') || isPunctuation(previous, '|') || isPunctuation(next, '(')) {
+      continue;
+    }
+
+    // Hash keys and named arguments.
+    const inHash = brackets[brackets.length - 1] === '{';
+    if (inHash && isPunctuation(next, ':') && (isPunctuation(previous, '{') || isPunctuation(previous, ','))) {
+      continue;
+    }
+    if (brackets[brackets.length - 1] === '(' && isPunctuation(next, '=')) {
+      continue;
+    }
+
+    // Arrow function parameters are local to the arrow function.
+    if (next?.type === 'operator' && next.value === '=>') {
+      locals.add(token.value);
+      continue;
+    }
+
+    if (locals.has(token.value)) {
+      continue;
+    }
+
+    const usage = useVariable(usages, token.value, line);
+    read.add(token.value);
+
+    if (isPunctuation(next, '.')) {
+      usage.hints.add('object');
+    } else if (isPunctuation(next, '[')) {
+      usage.hints.add('array');
+    }
+
+    if (isPunctuation(next, '|') && isName(tokens[i + 2], 'default') && isPunctuation(tokens[i + 3], '(')) {
+      const literal = parseLiteral(tokens, i + 4);
+      if (literal && isPunctuation(tokens[literal.end], ')') && usage.default === undefined) {
+        usage.default = literal.value;
+      }
+    }
+
+    if (isName(next, 'is')) {
+      const negated = isName(tokens[i + 2], 'not');
+      if (isName(tokens[i + (negated ? 3 : 2)], 'defined')) {
+        usage.checked = true;
+      }
+    }
+
+    const inIndex = isName(next, 'not') ? i + 2 : i + 1;
+    if (isName(tokens[inIndex], 'in') && isPunctuation(tokens[inIndex + 1], '[')) {
+      const literal = parseLiteral(tokens, inIndex + 1);
+      if (literal && literal.value.length > 0 && literal.value.every(value => typeof value === 'string')) {
+        usage.enum = [...new Set([...(usage.enum || []), ...literal.value])];
+      }
+    }
+  }
+
+  return read;
+}
+
+/**
+ * Find all variables used in a template
+ *
+ * Variables defined in the template itself (`set`, `for`, macro arguments and
+ * imports) are not returned, unless they are used before they are defined.
+ * A `set` that reads its own name, as in `{% set size = size|default('regular') %}`,
+ * defaults a prop, so later usages, e.g. `size in ['large', 'small']`, still
+ * describe the prop.
+ *
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Usages in order of first appearance, each with
+ *   `name`, `line`, type `hints`, `default`, `enum` and whether it is `checked`
+ *   with `is defined`
+ */
+export function findVariableUsages(source) {
+  const usages = new Map();
+  const locals = new Set(GLOBALS);
+
+  for (const segment of splitTemplate(source)) {
+    if (segment.type !== 'print' && segment.type !== 'tag') {
+      continue;
+    }
+
+    let tokens = tokenizeExpression(segment.code, segment.innerStart);
+    let assigned = [];
+
+    if (segment.type === 'tag') {
+      const tag = tokens[0]?.value;
+      tokens = tokens.slice(1);
+
+      if (IGNORED_TAGS.has(tag) || tag === 'apply') {
+        continue;
+      }
+
+      if (tag === 'set') {
+        const assignIndex = tokens.findIndex(token => isPunctuation(token, '='));
+        const targets = assignIndex === -1 ? tokens : tokens.slice(0, assignIndex);
+        assigned = targets.filter(token => token.type === 'name').map(token => token.value);
+        tokens = assignIndex === -1 ? [] : tokens.slice(assignIndex + 1);
+      } else if (tag === 'for') {
+        const inIndex = tokens.findIndex(token => isName(token, 'in'));
+        tokens.slice(0, inIndex).filter(token => token.type === 'name').forEach(token => locals.add(token.value));
+        tokens = tokens.slice(inIndex + 1);
+        // A plain `for item in items` loops over an array.
+        if (tokens.length === 1 && tokens[0].type === 'name' && !locals.has(tokens[0].value)) {
+          useVariable(usages, tokens[0].value, segment.line).hints.add('array');
+        }
+      } else if (tag === 'macro') {
+        tokens.filter(token => token.type === 'name').forEach(token => locals.add(token.value));
+        continue;
+      } else if (tag === 'import' || tag === 'from') {
+        const asIndexes = tokens.map((token, index) => (isName(token, 'as') ? index : -1)).filter(index => index !== -1);
+        asIndexes.forEach(index => tokens[index + 1] && locals.add(tokens[index + 1].value));
+        if (tag === 'from') {
+          const importIndex = tokens.findIndex(token => isName(token, 'import'));
+          tokens.slice(importIndex + 1).filter(token => token.type === 'name' && token.value !== 'as')
+            .forEach(token => locals.add(token.value));
+        }
+        continue;
+      }
+    }
+
+    const read = collectUsages(tokens, segment.line, usages, locals);
+    assigned.filter(name => !read.has(name)).forEach(name => locals.add(name));
+  }
+
+  return [...usages.values()];
+}
+
+/**
+ * Build the JSON schema of a documented variable
+ *
+ * @param {Object} entry - Docblock entry
+ * @returns {Object} JSON schema
+ */
+function docEntryToSchema(entry) {
+  const schema = {};
+  if (entry.type) {
+    schema.type = entry.type;
+  }
+  schema.title = toTitle(entry.name);
+  if (entry.description) {
+    schema.description = entry.description;
+  }
+
+  const children = Object.values(entry.children);
+  if (children.length > 0) {
+    const properties = Object.fromEntries(children.map(child => [child.name, docEntryToSchema(child)]));
+    if (entry.type === 'array') {
+      schema.items = { type: 'object', properties };
+    } else {
+      schema.type = schema.type || 'object';
+      schema.properties = properties;
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Extract the props of a component from its Twig template
+ *
+ * Documented variables come first, in docblock order, followed by any
+ * undocumented variables in the order they are used. The type is taken from
+ * the docblock, then from the default value, then from how the variable is
+ * used, falling back to string.
+ *
+ * @param {string} source - Template source
+ * @returns {{description: string, properties: Object, undocumented: Array<string>}}
+ *   Component description, prop schemas by name and undocumented prop names
+ */
+export function extractProps(source) {
+  const docblock = parseDocblock(source);
+  const usages = new Map(findVariableUsages(source).map(usage => [usage.name, usage]));
+  const names = [...new Set([...Object.keys(docblock.variables), ...usages.keys()])];
+
+  const properties = {};
+  const undocumented = [];
+  for (const name of names) {
+    const entry = docblock.variables[name];
+    const usage = usages.get(name);
+    const schema = entry ? docEntryToSchema(entry) : { title: toTitle(name) };
+
+    if (!entry) {
+      undocumented.push(name);
+    }
+
+    if (!schema.type) {
+      if (usage?.default !== undefined) {
+        schema.type = literalType(usage.default);
+      } else if (usage?.hints.has('array')) {
+        schema.type = 'array';
+      } else if (usage?.hints.has('object')) {
+        schema.type = 'object';
+      } else {
+        schema.type = 'string';
+      }
+    }
+
+    // `in [...]` conditions may not list the default value.
+    if (usage?.enum && [].concat(schema.type).includes('string')) {
+      schema.enum = typeof usage.default === 'string' && !usage.enum.includes(usage.default)
+        ? [usage.default, ...usage.enum]
+        : usage.enum;
+    }
+
+    // Defaults that do not match the type, e.g. '' for an array, are dropped.
+    if (usage?.default !== undefined && [].concat(schema.type).includes(literalType(usage.default))) {
+      const isEmpty = Array.isArray(usage.default) ? usage.default.length === 0 : false;
+      if (!isEmpty) {
+        schema.default = usage.default;
+      }
+    }
+
+    properties[name] = schema;
+  }
+
+  return { description: docblock.description, properties, undocumented };
+}
+
+/**
+ * Build the component.yml content of a component
+ *
+ * For components that override a CivicTheme component the original schema is
+ * used as a base: props the template no longer uses are dropped, prop
+ * definitions from the original are kept for props that are still used and
+ * the original slots are preserved.
+ *
+ * @param {Object} options - Build options
+ * @param {string} options.source - Template source
+ * @param {string} options.templatePath - Path to the template
+ * @param {Object|null} [options.existingSchema] - Parsed component.yml of the overridden CivicTheme component
+ * @param {boolean} [options.hasJs] - Whether the component has a JS file
+ * @returns {Object} Component definition
+ */
+export function buildComponentSchema({ source, templatePath, existingSchema = null, hasJs = false }) {
+  const componentName = path.basename(templatePath, '.twig');
+  const { description, properties } = extractProps(source);
+
+  const schema = {
+    $schema: SCHEMA_URL,
+    name: existingSchema?.name || toTitle(componentName),
+    status: existingSchema?.status || 'stable',
+    description: description || existingSchema?.description || `${toTitle(componentName)} component`
+  };
+
+  if (existingSchema) {
+    schema.replaces = `civictheme:${componentName}`;
+  }
+
+  const slots = { ...(existingSchema?.slots || {}) };
+  const originalProps = existingSchema?.props?.properties || {};
+  const props = {};
+  for (const [name, prop] of Object.entries(properties)) {
+    if (slots[name]) {
+      continue;
+    }
+    props[name] = originalProps[name] || prop;
+  }
+
+  if (Object.keys(props).length > 0) {
+    schema.props = { type: 'object', properties: props };
+  }
+  if (Object.keys(slots).length > 0) {
+    schema.slots = slots;
+  }
+  if (hasJs) {
+    schema.libraryOverrides = { js: { [`${componentName}.js`]: {} } };
+  }
+
+  return schema;
+}
+
+export default {
+  SCHEMA_URL,
+  toTitle,
+  parseDocblock,
+  findVariableUsages,
+  extractProps,
+  buildComponentSchema
+};
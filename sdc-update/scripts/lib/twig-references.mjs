@@ -0,0 +1,258 @@
+/**
+ * @file
+ * Twig template reference rewriter.
+ *
+ * Finds the templates a Twig template references in `include`, `embed`,
+ * `extends`, `use`, `import` and `from` tags, in `include()` and `source()`
+ * calls and in templates built with `template_from_string()`, and rewrites
+ * them to SDC component ids such as `civictheme:button`. Comments, text and
+ * other strings are never changed.
+ */
+import {
+  splitTemplate,
+  tokenizeExpression,
+  lineAt,
+  isPunctuation,
+  isName
+} from './twig-tokenizer.mjs';
+
+// Tags whose first argument is a template.
+const TEMPLATE_TAGS = new Set(['include', 'embed', 'extends', 'use', 'import', 'from']);
+
+// Functions whose first argument is a template.
+const TEMPLATE_FUNCTIONS = new Set(['include', 'source']);
+
+// Keywords that end the template argument of a tag.
+const TAG_KEYWORDS = new Set(['with', 'only', 'ignore', 'as', 'import']);
+
+// SDC component id, e.g. `civictheme:button`.
+const COMPONENT_ID = /^[a-zA-Z0-9_]+:[a-zA-Z0-9_-]+$/;
+
+// Template path, with an optional namespace, ending in the component name.
+const TEMPLATE_PATH = /^(?:@[\w-]+\/)?(?:[^'"]*\/)?([^/'"]+)\.twig$/;
+
+/**
+ * Collect the tokens of an expression up to a stop condition at depth 0
+ *
+ * @param {Array<Object>} tokens - Expression tokens
+ * @param {number} start - Index of the first token
+ * @param {Function} isStop - Returns true for the token that ends the expression
+ * @returns {Array<Object>} Tokens of the expression
+ */
+function collectExpression(tokens, start, isStop) {
+  const expression = [];
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (depth === 0 && isStop(token)) {
+      break;
+    }
+    if (token.type === 'punctuation' && '([{'.includes(token.value)) {
+      depth++;
+    } else if (token.type === 'punctuation' && ')]}'.includes(token.value)) {
+      depth--;
+      if (depth < 0) {
+        break;
+      }
+    }
+    expression.push(token);
+  }
+  return expression;
+}
+
+/**
+ * Check whether a string looks like a template name
+ *
+ * @param {string} value - String value
+ * @returns {boolean} True for template paths, namespaced names and component ids
+ */
+function isTemplateName(value) {
+  return value.endsWith('.twig') || value.startsWith('@') || COMPONENT_ID.test(value);
+}
+
+/**
+ * Find the template references in the template argument of a tag or function
+ *
+ * A single string, the strings of an array or of a conditional are
+ * references. Names concatenated from strings only are one reference, names
+ * built from variables are dynamic references that cannot be rewritten.
+ *
+ * @param {Array<Object>} expression - Tokens of the argument
+ * @param {string} source - Template source
+ * @param {string} name - Tag or function name
+ * @returns {Array<Object>} References
+ */
+function referencesInExpression(expression, source, name) {
+  // Macros of the template itself, and templates built from a string, which
+  // are searched for references of their own.
+  if (expression.length === 0 || (expression.length === 1 && isName(expression[0], '_self')) || isName(expression[0], 'template_from_string')) {
+    return [];
+  }
+
+  const first = expression[0];
+  const last = expression[expression.length - 1];
+  const strings = expression.filter(token => token.type === 'string');
+
+  if (expression.some(token => isPunctuation(token, '~'))) {
+    const operands = expression.filter(token => !isPunctuation(token, '~') && !isPunctuation(token, '(') && !isPunctuation(token, ')'));
+    const literal = operands.every(token => token.type === 'string');
+    return [{
+      name,
+      value: literal ? operands.map(token => token.value).join('') : source.slice(first.start, last.end),
+      start: first.start,
+      end: last.end,
+      quote: literal ? operands[0].quote : null,
+      dynamic: !literal
+    }];
+  }
+
+  const candidates = strings.length === 1 && expression.length === 1
+    ? strings
+    : strings.filter(token => isTemplateName(token.value));
+  if (candidates.length === 0) {
+    return [{ name, value: source.slice(first.start, last.end), start: first.start, end: last.end, quote: null, dynamic: true }];
+  }
+
+  return candidates.map(token => ({
+    name,
+    value: token.value,
+    start: token.start,
+    end: token.end,
+    quote: token.quote,
+    dynamic: false
+  }));
+}
+
+/**
+ * Find the template references of template code starting at an offset
+ *
+ * @param {string} code - Template code
+ * @param {number} offset - Offset of the code in the template
+ * @param {string} source - Template source
+ * @returns {Array<Object>} References with absolute offsets
+ */
+function findReferencesAt(code, offset, source) {
+  const references = [];
+
+  for (const segment of splitTemplate(code)) {
+    if (segment.type !== 'print' && segment.type !== 'tag') {
+      continue;
+    }
+    const tokens = tokenizeExpression(segment.code, offset + segment.innerStart);
+    let first = 0;
+
+    if (segment.type === 'tag') {
+      first = 1;
+      const tagName = tokens[0]?.value;
+      if (TEMPLATE_TAGS.has(tagName) && !isPunctuation(tokens[1], '(')) {
+        const expression = collectExpression(tokens, 1, token => token.type === 'name' && TAG_KEYWORDS.has(token.value));
+        references.push(...referencesInExpression(expression, source, tagName));
+      }
+    }
+
+    for (let i = first; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type !== 'name' || !isPunctuation(tokens[i + 1], '(') || isPunctuation(tokens[i - 1], '.') || isPunctuation(tokens[i - 1], '|')) {
+        continue;
+      }
+      if (TEMPLATE_FUNCTIONS.has(token.value)) {
+        const expression = collectExpression(tokens, i + 2, candidate => isPunctuation(candidate, ','));
+        references.push(...referencesInExpression(expression, source, token.value));
+      } else if (isName(token, 'template_from_string')) {
+        // The template code is searched for references when it has no
+        // escapes, so offsets in the string are offsets in the template.
+        const argument = tokens[i + 2];
+        if (argument?.type === 'string' && argument.raw.slice(1, -1) === argument.value) {
+          references.push(...findReferencesAt(argument.value, argument.start + 1, source));
+        }
+      }
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Find the templates a Twig template references
+ *
+ * @param {string} source - Template source
+ * @returns {Array<{name: string, value: string, start: number, end: number, quote: string|null, dynamic: boolean, line: number}>}
+ *   References in source order, with the tag or function they are used in
+ */
+export function findTemplateReferences(source) {
+  return findReferencesAt(source, 0, source)
+    .sort((a, b) => a.start - b.start)
+    .map(reference => ({ ...reference, line: lineAt(source, reference.start) }));
+}
+
+/**
+ * Resolve a template name to an SDC component id
+ *
+ * Drupal theme templates (`.html.twig`) are not components and are left as
+ * they are.
+ *
+ * @param {string} value - Template name, e.g. `@atoms/button/button.twig`
+ * @param {Object<string, string>} componentToNamespace - Namespace of every component by name
+ * @returns {{status: string, target?: string, reason?: string}} `component` if the name is already a component id,
+ *   `template` for theme templates, `resolved` with the target id, or `unresolved` with the reason
+ */
+export function resolveTemplateReference(value, componentToNamespace) {
+  if (COMPONENT_ID.test(value)) {
+    return { status: 'component', target: value };
+  }
+  if (value.endsWith('.html.twig')) {
+    return { status: 'template' };
+  }
+
+  const match = value.match(TEMPLATE_PATH);
+  if (!match) {
+    return { status: 'unresolved', reason: 'not a template path' };
+  }
+  const namespace = componentToNamespace[match[1]];
+  if (!namespace) {
+    return { status: 'unresolved', reason: `no component named ${match[1]}` };
+  }
+  return { status: 'resolved', target: `${namespace}:${match[1]}` };
+}
+
+/**
+ * Rewrite the template references of a Twig template to SDC component ids
+ *
+ * @param {string} source - Template source
+ * @param {Object<string, string>} componentToNamespace - Namespace of every component by name
+ * @returns {{source: string, rewritten: Array<Object>, unresolved: Array<Object>}} Rewritten source, the rewritten
+ *   references with their target, and the references that could not be resolved with the reason
+ */
+export function rewriteTemplateReferences(source, componentToNamespace) {
+  const rewritten = [];
+  const unresolved = [];
+
+  for (const reference of findTemplateReferences(source)) {
+    if (reference.dynamic) {
+      unresolved.push({ ...reference, reason: 'template name is built from variables' });
+      continue;
+    }
+    const resolution = resolveTemplateReference(reference.value, componentToNamespace);
+    if (resolution.status === 'unresolved') {
+      unresolved.push({ ...reference, reason: resolution.reason });
+    } else if (resolution.status === 'resolved') {
+      rewritten.push({ ...reference, target: resolution.target });
+    } else if (resolution.status === 'component' && source.slice(reference.start, reference.end) !== `${reference.quote}${reference.value}${reference.quote}`) {
+      // A component id concatenated from strings becomes a single string.
+      rewritten.push({ ...reference, target: resolution.target });
+    }
+  }
+
+  let updated = source;
+  for (const reference of [...rewritten].reverse()) {
+    updated = updated.slice(0, reference.start) + reference.quote + reference.target + reference.quote + updated.slice(reference.end);
+  }
+
+  return { source: updated, rewritten, unresolved };
+}
+
+export default {
+  findTemplateReferences,
+  resolveTemplateReference,
+  rewriteTemplateReferences
+};
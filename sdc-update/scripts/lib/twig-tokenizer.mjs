@@ -0,0 +1,255 @@
+/**
+ * @file
+ * Minimal Twig tokenizer.
+ *
+ * Splits a template into text, comment, print and tag segments, and splits
+ * the code inside print and tag segments into expression tokens. Offsets are
+ * absolute positions in the template so callers can rewrite the source.
+ */
+
+const OPENING_DELIMITERS = {
+  '{{': { type: 'print', close: '}}' },
+  '{%': { type: 'tag', close: '%}' },
+  '{#': { type: 'comment', close: '#}' },
+};
+
+// Longest operators first so they are matched before their prefixes.
+const OPERATORS = ['...', '??', '?:', '=>', '==', '!=', '<=', '>=', '//', '**', '..'];
+const PUNCTUATION = '()[]{}.,:|?~+-*/%<>=!';
+
+/**
+ * Count the line number of an offset in a string.
+ *
+ * @param {string} source - Template source.
+ * @param {number} offset - Offset in the source.
+ * @returns {number} 1-based line number.
+ */
+export function lineAt(source, offset) {
+  let line = 1;
+  for (let i = 0; i < offset && i < source.length; i++) {
+    if (source[i] === '\n') {
+      line++;
+    }
+  }
+  return line;
+}
+
+/**
+ * Find the end of a quoted string.
+ *
+ * @param {string} source - Template source.
+ * @param {number} start - Offset of the opening quote.
+ * @returns {number} Offset after the closing quote.
+ */
+function skipString(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+  while (i < source.length && source[i] !== quote) {
+    i += source[i] === '\\' ? 2 : 1;
+  }
+  return Math.min(i + 1, source.length);
+}
+
+/**
+ * Find the closing delimiter of a print or tag segment, ignoring delimiters
+ * inside string literals.
+ *
+ * @param {string} source - Template source.
+ * @param {number} start - Offset after the opening delimiter.
+ * @param {string} close - Closing delimiter.
+ * @returns {number} Offset of the closing delimiter, or -1.
+ */
+function findClose(source, start, close) {
+  let i = start;
+  while (i < source.length) {
+    if (source[i] === '"' || source[i] === '\'') {
+      i = skipString(source, i);
+      continue;
+    }
+    if (source.startsWith(close, i)) {
+      return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Split a template into segments.
+ *
+ * Each segment has a `type` of text, comment, print or tag, its `start` and
+ * `end` offsets, the offsets of the code between the delimiters
+ * (`innerStart`, `innerEnd`, without whitespace control characters), the
+ * inner `code` and the 1-based `line` it starts on.
+ *
+ * @param {string} source - Template source.
+ * @returns {Array<Object>} Template segments in source order.
+ */
+export function splitTemplate(source) {
+  const segments = [];
+  let position = 0;
+  let textStart = 0;
+  let verbatim = false;
+
+  const pushText = (end) => {
+    if (end > textStart) {
+      segments.push({
+        type: 'text',
+        start: textStart,
+        end,
+        innerStart: textStart,
+        innerEnd: end,
+        code: source.slice(textStart, end),
+        line: lineAt(source, textStart),
+      });
+    }
+  };
+
+  while (position < source.length) {
+    const opening = source.slice(position, position + 2);
+    const delimiter = OPENING_DELIMITERS[opening];
+    if (!delimiter) {
+      position++;
+      continue;
+    }
+
+    const closeOffset = delimiter.type === 'comment'
+      ? source.indexOf(delimiter.close, position + 2)
+      : findClose(source, position + 2, delimiter.close);
+    if (closeOffset === -1) {
+      break;
+    }
+
+    let innerStart = position + 2;
+    let innerEnd = closeOffset;
+    if ('-~'.includes(source[innerStart])) {
+      innerStart++;
+    }
+    if (innerEnd > innerStart && '-~'.includes(source[innerEnd - 1])) {
+      innerEnd--;
+    }
+
+    const code = source.slice(innerStart, innerEnd);
+    const tagName = delimiter.type === 'tag' ? code.trim().split(/\s+/)[0] : null;
+
+    // Everything between verbatim tags is plain text.
+    if (verbatim && tagName !== 'endverbatim') {
+      position = closeOffset + 2;
+      continue;
+    }
+
+    pushText(position);
+    segments.push({
+      type: delimiter.type,
+      start: position,
+      end: closeOffset + 2,
+      innerStart,
+      innerEnd,
+      code,
+      line: lineAt(source, position),
+    });
+    position = closeOffset + 2;
+    textStart = position;
+
+    if (tagName === 'verbatim') {
+      verbatim = true;
+    } else if (tagName === 'endverbatim') {
+      verbatim = false;
+    }
+  }
+
+  textStart = Math.min(textStart, source.length);
+  pushText(source.length);
+
+  return segments;
+}
+
+/**
+ * Split Twig expression code into tokens.
+ *
+ * Tokens have a `type` of name, number, string, operator or punctuation, the
+ * `value` (unquoted for strings), the `raw` source text and absolute `start`
+ * and `end` offsets.
+ *
+ * @param {string} code - Expression code.
+ * @param {number} offset - Absolute offset of the code in the template.
+ * @returns {Array<Object>} Expression tokens.
+ */
+export function tokenizeExpression(code, offset = 0) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < code.length) {
+    const char = code[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      const end = skipString(code, i);
+      const raw = code.slice(i, end);
+      tokens.push({
+        type: 'string',
+        value: raw.slice(1, -1).replace(/\\(.)/g, '$1'),
+        raw,
+        quote: char,
+        start: offset + i,
+        end: offset + end,
+      });
+      i = end;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(code.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), raw: number[0], start: offset + i, end: offset + i + number[0].length });
+      i += number[0].length;
+      continue;
+    }
+
+    const name = /^[a-zA-Z_\x7f-￿][a-zA-Z0-9_\x7f-￿]*/.exec(code.slice(i));
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], raw: name[0], start: offset + i, end: offset + i + name[0].length });
+      i += name[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(candidate => code.startsWith(candidate, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, raw: operator, start: offset + i, end: offset + i + operator.length });
+      i += operator.length;
+      continue;
+    }
+
+    if (PUNCTUATION.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, raw: char, start: offset + i, end: offset + i + 1 });
+    }
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Check whether a token is the given punctuation character.
+ *
+ * @param {Object|undefined} token - Token to check.
+ * @param {string} value - Punctuation character.
+ * @returns {boolean} True if the token matches.
+ */
+export function isPunctuation(token, value) {
+  return Boolean(token) && token.type === 'punctuation' && token.value === value;
+}
+
+/**
+ * Check whether a token is the given name.
+ *
+ * @param {Object|undefined} token - Token to check.
+ * @param {string} value - Name.
+ * @returns {boolean} True if the token matches.
+ */
+export function isName(token, value) {
+  return Boolean(token) && token.type === 'name' && token.value === value;
+}
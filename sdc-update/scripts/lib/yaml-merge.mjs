@@ -0,0 +1,211 @@
+/**
+ * @file
+ * Comment preserving YAML merges for theme files.
+ *
+ * Theme files are merged as YAML documents, so the comments, key order and
+ * quoting of the subtheme's files are kept and a file that does not change is
+ * not rewritten. Maps are merged key by key, so the subtheme keeps its own
+ * entries, other values of the starter kit replace the subtheme's.
+ */
+import { parseDocument, isMap, isScalar, visit, LineCounter } from 'yaml';
+
+/**
+ * Parse a YAML document
+ *
+ * @param {string} source - YAML source
+ * @returns {{document: Object, lineCounter: Object}} Document and the line counter of its source
+ * @throws {Error} If the source is not valid YAML
+ */
+function parseYaml(source) {
+  const lineCounter = new LineCounter();
+  const document = parseDocument(source, { lineCounter });
+  if (document.errors.length > 0) {
+    throw document.errors[0];
+  }
+  return { document, lineCounter };
+}
+
+/**
+ * Get the value of a map key
+ *
+ * @param {Object} pair - Map pair
+ * @returns {*} Key value
+ */
+function keyOf(pair) {
+  return isScalar(pair.key) ? pair.key.value : pair.key;
+}
+
+/**
+ * Deep-merge a map of the starter kit into a map of the subtheme
+ *
+ * @param {Object} target - Map of the subtheme, changed in place
+ * @param {Object} source - Map of the starter kit
+ * @returns {void}
+ */
+function mergeMaps(target, source) {
+  for (const pair of source.items) {
+    const key = keyOf(pair);
+    const current = target.get(key, true);
+    if (isMap(current) && isMap(pair.value)) {
+      mergeMaps(current, pair.value);
+    } else if (JSON.stringify(current?.toJSON() ?? null) !== JSON.stringify(pair.value?.toJSON() ?? null)) {
+      target.set(key, pair.value ? pair.value.clone() : null);
+    }
+  }
+}
+
+/**
+ * Merge top level keys of a starter kit file into a subtheme file
+ *
+ * @param {string} source - YAML source of the subtheme file
+ * @param {string} from - YAML source of the starter kit file
+ * @param {Array<string>} keys - Top level keys to merge
+ * @returns {{source: string, changed: boolean}} Merged source, the original source if nothing changed
+ * @throws {Error} If either source is not valid YAML
+ */
+export function mergeYamlKeys(source, from, keys) {
+  const { document } = parseYaml(source);
+  const fromDocument = parseYaml(from).document;
+  const original = JSON.stringify(document.toJS());
+
+  for (const key of keys) {
+    const value = fromDocument.get(key, true);
+    if (value === undefined) {
+      continue;
+    }
+    const current = document.get(key, true);
+    if (isMap(current) && isMap(value)) {
+      mergeMaps(current, value);
+    } else {
+      document.set(key, value ? value.clone() : null);
+    }
+  }
+
+  const changed = JSON.stringify(document.toJS()) !== original;
+  return { source: changed ? document.toString() : source, changed };
+}
+
+/**
+ * Check whether a library asset is a local file of the theme
+ *
+ * Paths starting with `/` are relative to the Drupal root, URLs are external.
+ *
+ * @param {string} file - Asset path
+ * @returns {boolean} True for paths relative to the theme
+ */
+function isThemeFile(file) {
+  return typeof file === 'string' && !file.startsWith('/') && !/^[a-z]+:/i.test(file);
+}
+
+/**
+ * Get the asset files of a library definition with their key nodes
+ *
+ * @param {Object} library - Library map node
+ * @returns {Array<{type: string, file: string, node: Object, value: *}>} CSS and JS files with their key node and
+ *   value, CSS files with their group as type
+ */
+function getLibraryFiles(library) {
+  const files = [];
+  const css = isMap(library) ? library.get('css', true) : null;
+  for (const group of isMap(css) ? css.items : []) {
+    for (const pair of isMap(group.value) ? group.value.items : []) {
+      files.push({ type: `css.${keyOf(group)}`, file: keyOf(pair), node: pair.key, value: pair.value?.toJSON() });
+    }
+  }
+  const js = isMap(library) ? library.get('js', true) : null;
+  for (const pair of isMap(js) ? js.items : []) {
+    files.push({ type: 'js', file: keyOf(pair), node: pair.key, value: pair.value?.toJSON() });
+  }
+  return files;
+}
+
+/**
+ * List the CSS and JS paths a YAML file mentions, as keys or values
+ *
+ * @param {string} source - YAML source
+ * @returns {Set<string>} Asset paths
+ */
+export function listAssetPaths(source) {
+  const paths = new Set();
+  visit(parseYaml(source).document, {
+    Scalar(key, node) {
+      if (typeof node.value === 'string' && /\.(css|js)$/.test(node.value)) {
+        paths.add(node.value);
+      }
+    }
+  });
+  return paths;
+}
+
+/**
+ * Find the library assets of a libraries.yml that do not exist
+ *
+ * @param {string} source - YAML source of the libraries file
+ * @param {Object} options - Check options
+ * @param {Function} options.exists - Returns whether a file relative to the theme exists
+ * @param {Set<string>} [options.ignore] - Files that do not exist yet, such as build output of the starter kit
+ * @returns {Array<{line: number, entry: string, reason: string}>} Missing assets
+ */
+export function findMissingLibraryFiles(source, { exists, ignore = new Set() }) {
+  const { document, lineCounter } = parseYaml(source);
+  const missing = [];
+  for (const library of isMap(document.contents) ? document.contents.items : []) {
+    for (const { type, file, node } of getLibraryFiles(library.value)) {
+      if (isThemeFile(file) && !ignore.has(file) && !exists(file)) {
+        missing.push({ line: lineCounter.linePos(node.range[0]).line, entry: `${keyOf(library)} ${type} ${file}`, reason: 'file does not exist' });
+      }
+    }
+  }
+  return missing;
+}
+
+/**
+ * Find the libraries-override entries of an info.yml that point at files that no longer exist
+ *
+ * Overrides of CivicTheme libraries are checked against the CivicTheme
+ * libraries, replacement files against the files of the theme.
+ *
+ * @param {string} source - YAML source of the info file
+ * @param {Object} options - Check options
+ * @param {Function} options.exists - Returns whether a file relative to the theme exists
+ * @param {string|null} options.civicthemeLibraries - YAML source of civictheme.libraries.yml, null to skip the check
+ * @param {Set<string>} [options.ignore] - Replacement files that do not exist yet
+ * @returns {Array<{line: number, entry: string, reason: string}>} Stale overrides
+ */
+export function findMissingOverrideFiles(source, { exists, civicthemeLibraries, ignore = new Set() }) {
+  const { document, lineCounter } = parseYaml(source);
+  const libraries = civicthemeLibraries ? parseYaml(civicthemeLibraries).document : null;
+  const overrides = document.get('libraries-override', true);
+  const lineOf = node => lineCounter.linePos(node.range[0]).line;
+  const missing = [];
+
+  for (const override of isMap(overrides) ? overrides.items : []) {
+    const name = String(keyOf(override));
+    const [extension, libraryName] = name.split('/');
+    const library = extension === 'civictheme' && libraries ? libraries.get(libraryName, true) : undefined;
+    if (extension === 'civictheme' && libraries && !library) {
+      missing.push({ line: lineOf(override.key), entry: name, reason: 'CivicTheme no longer has this library' });
+      continue;
+    }
+
+    const libraryFiles = library ? new Set(getLibraryFiles(library).map(({ type, file }) => `${type} ${file}`)) : null;
+    for (const { type, file, node, value } of getLibraryFiles(override.value)) {
+      if (libraryFiles && !libraryFiles.has(`${type} ${file}`)) {
+        missing.push({ line: lineOf(node), entry: `${name} ${type} ${file}`, reason: 'CivicTheme no longer has this file in the library' });
+      }
+      // Replacement files, e.g. `dist/styles.css: css/styles.css`.
+      if (isThemeFile(value) && !ignore.has(value) && !exists(value)) {
+        missing.push({ line: lineOf(node), entry: `${name} ${type} ${value}`, reason: 'replacement file does not exist' });
+      }
+    }
+  }
+
+  return missing;
+}
+
+export default {
+  mergeYamlKeys,
+  listAssetPaths,
+  findMissingLibraryFiles,
+  findMissingOverrideFiles
+};
@@ -1,5 +1,8 @@
 #!/bin/bash
 
+# Directory of this script, to run the scripts next to it from any directory
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+
 # Create .logs directory if it doesn't exist
 mkdir -p .logs
 
@@ -28,34 +31,32 @@ elif [ ! -d "$SUBTHEME_DIRECTORY" ]; then
     exit 1
 fi
 
-# Step 2: Pull the civictheme-monorepo
-if [ -d "monorepo-drupal" ]; then
-    log_message "monorepo-drupal directory already exists, skipping clone" "✔️"
-else
-    log_message "Cloning monorepo-drupal..." "📥"
-    # Tag before we next update.
-    if git clone -b 1.11.0 git@github.com:civictheme/monorepo-drupal.git; then
-        log_message "Successfully cloned monorepo-drupal" "✅"
-    else
-        log_message "Failed to clone monorepo-drupal" "❌"
-        exit 1
-    fi
+# Step 2: Check the CivicTheme source prepared by the update runner
+if [ -z "$CIVICTHEME_DIRECTORY" ]; then
+    log_message "Error: CIVICTHEME_DIRECTORY is empty. Please run the update with the update runner or set variable to the CivicTheme theme directory." "❌"
+    exit 1
+elif [ ! -d "$CIVICTHEME_DIRECTORY/civictheme_starter_kit" ]; then
+    log_message "Error: $CIVICTHEME_DIRECTORY does not contain civictheme_starter_kit. Please check the CivicTheme source." "❌"
+    exit 1
 fi
 
-NEW_CIVIC_DIR="$(pwd)/monorepo-drupal/web/themes/contrib/civictheme"
+NEW_CIVIC_DIR="$CIVICTHEME_DIRECTORY"
 log_message "SUBTHEME_DIRECTORY: $SUBTHEME_DIRECTORY" "📁"
 log_message "NEW_CIVIC_DIR: $NEW_CIVIC_DIR" "📁"
 
-# Step 2.5: Run npm install in the cloned civictheme directory to generate components
-log_message "Running npm install in civictheme directory to generate components..." "📦"
-cd "$NEW_CIVIC_DIR" || exit 1
-if npm install; then
-    log_message "Successfully ran npm install in civictheme directory" "✅"
-else
-    log_message "Failed to run npm install in civictheme directory" "❌"
-    exit 1
+# Step 2.5: Run npm install in a cloned or extracted civictheme directory to
+# generate components. Installed themes are used as they are.
+if [ "$CIVICTHEME_SOURCE_TEMPORARY" = "true" ]; then
+    log_message "Running npm install in civictheme directory to generate components..." "📦"
+    cd "$NEW_CIVIC_DIR" || exit 1
+    if npm install; then
+        log_message "Successfully ran npm install in civictheme directory" "✅"
+    else
+        log_message "Failed to run npm install in civictheme directory" "❌"
+        exit 1
+    fi
+    cd - > /dev/null || exit 1
 fi
-cd - > /dev/null || exit 1
 
 # Step 3: Remove old files
 log_message "Removing old files from subtheme..." "🗑️"
@@ -67,11 +68,12 @@ for file in "node_modules" "package-lock.json"; do
     fi
 done
 
-# Step 4: Add new files
-for file in ".storybook/preview.js" ".storybook/sdc-plugin.js" "build.js" "vite.config.js"; do
-    if cp -Rf "$NEW_CIVIC_DIR/civictheme_starter_kit/$file" "$SUBTHEME_DIRECTORY/$file"; then
-        log_message "Copied $file" "✅"
-    else
-        log_message "Failed to copy $file" "❌"
-    fi
-done
+# Step 4: Merge new files, customisations of the subtheme are kept.
+# CIVICTHEME_BASE_DIRECTORY is the CivicTheme the subtheme is on, for a
+# three-way merge.
+if node "$SCRIPT_DIR/../../shared/merge-starter-kit-files.mjs" ".storybook/preview.js" ".storybook/sdc-plugin.js" "build.js" "vite.config.js"; then
+    log_message "Merged starter kit files" "✅"
+else
+    log_message "Failed to merge starter kit files" "❌"
+    exit 1
+fi
@@ -1,132 +1,385 @@
-import { parse, stringify } from 'yaml';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { globSync } from 'glob';
+import { rewriteTemplateReferences, resolveTemplateReference } from './lib/twig-references.mjs';
+import { findBlockDefinitions, planBlockNames, renameBlocks } from './lib/twig-blocks.mjs';
+import { rewriteLegacyPaths } from './lib/legacy-paths.mjs';
+import { mergeYamlKeys, listAssetPaths, findMissingLibraryFiles, findMissingOverrideFiles } from './lib/yaml-merge.mjs';
+import { mergePackageJson, formatConflicts } from '../../shared/package-json-merge.mjs';
 import {loadConfig} from "../src/lib/config.mjs";
 import logger from "../src/lib/logger.mjs";
 
+// Writes files directly when no file journal is passed.
+const DIRECT_WRITER = { write: (filePath, content) => fs.writeFileSync(filePath, content, 'utf8') };
 
-// Load configuration
-const config = await loadConfig();
-await logger.info(`Loaded configuration for subtheme: ${config.subthemeDirectory}`);
-const NEW_CIVIC_DIR = `${process.cwd()}/monorepo-drupal/web/themes/contrib/civictheme`;
-const SUBTHEME_DIRECTORY = config.subthemeDirectory;
-const THEME_NAME = path.basename(SUBTHEME_DIRECTORY);
 // ------------------------------------------------------------ INFO FILE
-function createInfoYml() {
-  const fromYmlContent = fs.readFileSync(`${NEW_CIVIC_DIR}/civictheme_starter_kit/civictheme_starter_kit.info.yml`, 'utf8');
-  const fromYml = parse(fromYmlContent);
+/**
+ * Merge the libraries-override of the starter kit into the info file of the subtheme
+ *
+ * Overrides of the subtheme are kept, the file is only written if it changes.
+ *
+ * @param {Object} theme - Subtheme and CivicTheme source directories, the theme name and the file journal
+ * @returns {{changed: boolean, missing: Array<{file: string, line: number, entry: string, reason: string}>}} Whether the
+ *   file changed, and the overrides that point at files that no longer exist
+ */
+function createInfoYml({ civicthemeDirectory, subthemeDirectory, themeName, files }) {
+  const infoFile = `${themeName}.info.yml`;
+  const fromYmlContent = fs.readFileSync(`${civicthemeDirectory}/civictheme_starter_kit/civictheme_starter_kit.info.yml`, 'utf8');
+  const toYmlContent = fs.readFileSync(`${subthemeDirectory}/${infoFile}`, 'utf8');
 
-  const toYmlContent = fs.readFileSync(`${SUBTHEME_DIRECTORY}/${THEME_NAME}.info.yml`, 'utf8');
-  const toYml = parse(toYmlContent);
-
-  const mergeYml = { ...toYml };
-
-  mergeYml['libraries-override'] = fromYml['libraries-override'];
+  const { source, changed } = mergeYamlKeys(toYmlContent, fromYmlContent, ['libraries-override']);
+  if (changed) {
+    files.write(`${subthemeDirectory}/${infoFile}`, source);
+  }
 
-  fs.writeFileSync(`${SUBTHEME_DIRECTORY}/${THEME_NAME}.info.yml`, stringify(mergeYml));
+  const librariesFile = `${civicthemeDirectory}/civictheme.libraries.yml`;
+  const missing = findMissingOverrideFiles(source, {
+    exists: file => fs.existsSync(path.join(subthemeDirectory, file)),
+    civicthemeLibraries: fs.existsSync(librariesFile) ? fs.readFileSync(librariesFile, 'utf8') : null,
+    ignore: listAssetPaths(fromYmlContent)
+  });
+  return { changed, missing: missing.map(entry => ({ file: infoFile, ...entry })) };
 }
 // ------------------------------------------------------------ LIBRARIES FILE
-function createLibrariesYml() {
-  const fromYmlContent = fs.readFileSync(`${NEW_CIVIC_DIR}/civictheme_starter_kit/civictheme_starter_kit.libraries.yml`, 'utf8');
-  const fromYml = parse(fromYmlContent);
+/**
+ * Merge the global and css-variables libraries of the starter kit into the libraries file of the subtheme
+ *
+ * Assets and libraries of the subtheme are kept, the file is only written if
+ * it changes.
+ *
+ * @param {Object} theme - Subtheme and CivicTheme source directories, the theme name and the file journal
+ * @returns {{changed: boolean, missing: Array<{file: string, line: number, entry: string, reason: string}>}} Whether the
+ *   file changed, and the assets that do not exist, besides the build output of the starter kit
+ */
+function createLibrariesYml({ civicthemeDirectory, subthemeDirectory, themeName, files }) {
+  const librariesFile = `${themeName}.libraries.yml`;
+  const fromYmlContent = fs.readFileSync(`${civicthemeDirectory}/civictheme_starter_kit/civictheme_starter_kit.libraries.yml`, 'utf8');
+  const toYmlContent = fs.readFileSync(`${subthemeDirectory}/${librariesFile}`, 'utf8');
 
-  const toYmlContent = fs.readFileSync(`${SUBTHEME_DIRECTORY}/${THEME_NAME}.libraries.yml`, 'utf8');
-  const toYml = parse(toYmlContent);
-
-  const mergeYml = { ...toYml };
-
-  mergeYml['global'] = fromYml['global'];
-  mergeYml['css-variables'] = fromYml['css-variables'];
+  const { source, changed } = mergeYamlKeys(toYmlContent, fromYmlContent, ['global', 'css-variables']);
+  if (changed) {
+    files.write(`${subthemeDirectory}/${librariesFile}`, source);
+  }
 
-  fs.writeFileSync(`${SUBTHEME_DIRECTORY}/${THEME_NAME}.libraries.yml`, stringify(mergeYml));
+  const missing = findMissingLibraryFiles(source, {
+    exists: file => fs.existsSync(path.join(subthemeDirectory, file)),
+    ignore: listAssetPaths(fromYmlContent)
+  });
+  return { changed, missing: missing.map(entry => ({ file: librariesFile, ...entry })) };
 }
 // ------------------------------------------------------------ PACKAGE JSON FILE
-function updatePackageJson() {
-  const fromJsonContent = fs.readFileSync(`${NEW_CIVIC_DIR}/civictheme_starter_kit/package.json`, 'utf8');
-  const fromJson = JSON.parse(fromJsonContent);
+/**
+ * Merge the package.json of the subtheme with the starter kit
+ *
+ * The merge is three-way when the starter kit of the CivicTheme version the
+ * subtheme is on is available, see shared/package-json-merge.mjs. The file is
+ * only written when the merge changes it, so its formatting is kept otherwise.
+ *
+ * @param {Object} theme - Subtheme, CivicTheme and base CivicTheme source directories and the file journal
+ * @returns {{changed: boolean, changes: Array<Object>, conflicts: Array<Object>, threeWay: boolean}} Whether the file
+ *   changed, and the changed entries and conflicts from mergePackageJson()
+ */
+function updatePackageJson({ civicthemeDirectory, civicthemeBaseDirectory, subthemeDirectory, files }) {
+  const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const basePath = civicthemeBaseDirectory ? `${civicthemeBaseDirectory}/civictheme_starter_kit/package.json` : null;
 
-  const toJsonContent = fs.readFileSync(`${SUBTHEME_DIRECTORY}/package.json`, 'utf8');
-  const toJson = JSON.parse(toJsonContent);
+  const subtheme = readJson(`${subthemeDirectory}/package.json`);
+  const { packageJson, changes, conflicts, threeWay } = mergePackageJson({
+    base: basePath && fs.existsSync(basePath) ? readJson(basePath) : null,
+    starterKit: readJson(`${civicthemeDirectory}/civictheme_starter_kit/package.json`),
+    subtheme
+  });
 
-  const mergeJson = { ...toJson };
-
-  mergeJson.devDependencies['@storybook/addon-essentials'] = fromJson.devDependencies['@storybook/addon-essentials'];
-  mergeJson.devDependencies['@storybook/addon-links'] = fromJson.devDependencies['@storybook/addon-links'];
-  mergeJson.devDependencies['@storybook/html-vite'] = fromJson.devDependencies['@storybook/html-vite'];
-  mergeJson.devDependencies['@storybook/manager-api'] = fromJson.devDependencies['@storybook/manager-api'];
-  mergeJson.devDependencies['@storybook/theming'] = fromJson.devDependencies['@storybook/theming'];
-  mergeJson.devDependencies['storybook'] = fromJson.devDependencies['storybook'];
-  mergeJson.devDependencies['vite'] = fromJson.devDependencies['vite'];
-  mergeJson.devDependencies['vite-plugin-twig-drupal'] = fromJson.devDependencies['vite-plugin-twig-drupal'];
-
-  fs.writeFileSync(`${SUBTHEME_DIRECTORY}/package.json`, JSON.stringify(mergeJson, null, 2));
+  const changed = JSON.stringify(packageJson) !== JSON.stringify(subtheme);
+  if (changed) {
+    files.write(`${subthemeDirectory}/package.json`, `${JSON.stringify(packageJson, null, 2)}\n`);
+  }
+  return { changed, changes, conflicts, threeWay };
 }
 // ------------------------------------------------------------ REPLACE
 
-function updateTwigNamespacing(twigFiles, namespaceMap) {
+/**
+ * Rewrite the template references of Twig templates to SDC component ids
+ *
+ * @param {Array<string>} twigFiles - Template paths
+ * @param {Object<string, string>} namespaceMap - Namespace of every component by name
+ * @param {Object} [files] - File journal to write through
+ * @returns {{changed: Array<string>, unresolved: Array<{file: string, line: number, reference: string, reason: string}>}}
+ *   Changed templates, and the references that could not be resolved
+ */
+function updateTwigNamespacing(twigFiles, namespaceMap, files = DIRECT_WRITER) {
+  const changed = [];
+  const unresolved = [];
   for (const filePath of twigFiles) {
     const fileData = fs.readFileSync(filePath, 'utf8');
-    const matches = fileData.matchAll(/@(base|atoms|molecules|organisms)\/([^/]+)\/([^/]+)\.twig/gi);
-    const matchesArray = Array.from(matches).reverse();
-    let updateData = fileData;
-
-    matchesArray.forEach(match => {
-      const idx = match.index;
-      const str = match[0];
-      const twigName = match[3];
-      const namespace = namespaceMap[twigName] || 'civictheme';
-      updateData = updateData.substring(0, idx) + namespace + ':' + twigName + updateData.substring(idx + str.length);
-    });
+    const result = rewriteTemplateReferences(fileData, namespaceMap);
+    unresolved.push(...result.unresolved.map(reference => ({
+      file: filePath,
+      line: reference.line,
+      reference: reference.value,
+      reason: reference.reason
+    })));
 
-    fs.writeFileSync(filePath, updateData, 'utf8');
+    if (result.source !== fileData) {
+      files.write(filePath, result.source);
+      changed.push(filePath);
+    }
   }
+  return { changed, unresolved };
 }
 
-export function updateBlockNames(twigFiles) {
+/**
+ * Get the block names of every component after renaming
+ *
+ * CivicTheme components already use the new block names, the blocks of the
+ * subtheme's components are named as they will be once they are renamed.
+ *
+ * @param {Object} theme - Subtheme and CivicTheme source directories and the theme name
+ * @param {Object<string, string>} namespaceMap - Namespace of every component by name
+ * @returns {Object<string, Set<string>>} Block names by component id
+ */
+function getComponentBlocks({ civicthemeDirectory, subthemeDirectory }, namespaceMap) {
+  const componentBlocks = {};
+  const addBlocks = (componentId, names) => {
+    componentBlocks[componentId] = new Set([...(componentBlocks[componentId] || []), ...names]);
+  };
+
+  const coreDirectory = path.resolve(civicthemeDirectory, 'components');
+  for (const component of globSync('**/*.twig', { cwd: coreDirectory })) {
+    const definitions = findBlockDefinitions(fs.readFileSync(path.join(coreDirectory, component), 'utf8'));
+    addBlocks(`civictheme:${path.basename(component, '.twig')}`, definitions.map(definition => definition.name));
+  }
+
+  const subDirectory = path.resolve(subthemeDirectory, 'components');
+  for (const component of globSync('**/*.twig', { cwd: subDirectory })) {
+    const name = path.basename(component, '.twig');
+    const { names } = planBlockNames(findBlockDefinitions(fs.readFileSync(path.join(subDirectory, component), 'utf8')));
+    addBlocks(`${namespaceMap[name]}:${name}`, names.values());
+  }
+
+  return componentBlocks;
+}
+
+/**
+ * Rename the blocks of Twig templates
+ *
+ * Blocks defined by components are renamed, and so are their overrides in
+ * templates that embed or extend a component and the block() calls that
+ * render them. Running it again changes nothing.
+ *
+ * @param {Array<string>} twigFiles - Template paths
+ * @param {Object} theme - Subtheme and CivicTheme source directories and the theme name
+ * @param {Object<string, string>} namespaceMap - Namespace of every component by name
+ * @param {Object} [files] - File journal to write through
+ * @returns {{changed: Array<string>, renamed: Object<string, Array<Object>>, conflicts: Array<{file: string, line: number, name: string, reason: string}>}}
+ *   Changed templates, the renamed blocks of every template and the blocks that were not renamed
+ */
+export function updateBlockNames(twigFiles, theme, namespaceMap, files = DIRECT_WRITER) {
+  const componentBlocks = getComponentBlocks(theme, namespaceMap);
+  const getBlocks = (template) => {
+    const resolution = resolveTemplateReference(template, namespaceMap);
+    return resolution.target ? componentBlocks[resolution.target] || null : null;
+  };
+  const componentsDirectory = `${path.resolve(theme.subthemeDirectory, 'components')}${path.sep}`;
+
+  const changed = [];
+  const renamed = {};
+  const conflicts = [];
   for (const filePath of twigFiles) {
     const fileData = fs.readFileSync(filePath, 'utf8');
-    const matches = fileData.matchAll(/\{%\s{1,2}block [a-zA-Z0-9_-]+/g);
-    const matchesArray = Array.from(matches).reverse();
-    let updateData = fileData;
-
-    matchesArray.forEach(match => {
-      const idx = match.index;
-      const str = match[0];
-      updateData = updateData.substring(0, idx) + `${str}_block` + updateData.substring(idx + str.length);
+    const result = renameBlocks(fileData, {
+      isComponent: path.resolve(filePath).startsWith(componentsDirectory),
+      getComponentBlocks: getBlocks
     });
+    conflicts.push(...result.conflicts.map(conflict => ({ file: filePath, ...conflict })));
 
-    fs.writeFileSync(filePath, updateData, 'utf8');
+    if (result.source !== fileData) {
+      renamed[filePath] = result.renamed;
+      files.write(filePath, result.source);
+      changed.push(filePath);
+    }
   }
+  return { changed, renamed, conflicts };
 }
 
-function getComponentNamespace() {
+/**
+ * Map the components of CivicTheme and the subtheme to their namespace
+ *
+ * Components the subtheme overrides keep the civictheme namespace.
+ *
+ * @param {Object} theme - Subtheme and CivicTheme source directories and the theme name
+ * @returns {{newComponents: Array<string>, overriddenComponents: Array<string>, componentToNamespace: Object<string, string>}}
+ *   Components added and overridden by the subtheme, and the namespace of every component by name
+ */
+export function getComponentNamespace({ civicthemeDirectory, subthemeDirectory, themeName }) {
   const getComponentName = (component) => component.split('/').pop().split('.').shift();
 
-  const coreComponents = globSync(`**/*.twig`, { cwd: path.resolve(NEW_CIVIC_DIR, 'components') }).sort();
-  const subComponents = globSync(`**/*.twig`, { cwd: path.resolve(SUBTHEME_DIRECTORY, 'components') }).sort();
+  const coreComponents = globSync(`**/*.twig`, { cwd: path.resolve(civicthemeDirectory, 'components') }).sort();
+  const subComponents = globSync(`**/*.twig`, { cwd: path.resolve(subthemeDirectory, 'components') }).sort();
   const newComponents = subComponents.filter(component => !coreComponents.includes(component));
   const overriddenComponents = subComponents.filter(component => coreComponents.includes(component));
   const componentToNamespace = {};
   coreComponents.forEach(component => componentToNamespace[getComponentName(component)] = 'civictheme');
-  newComponents.forEach(component => componentToNamespace[getComponentName(component)] = THEME_NAME);
+  newComponents.forEach(component => componentToNamespace[getComponentName(component)] = themeName);
   return {
-    newComponents: newComponents.map(i => `${path.resolve(SUBTHEME_DIRECTORY, 'components')}/${i}`),
-    overriddenComponents: overriddenComponents.map(i => `${path.resolve(SUBTHEME_DIRECTORY, 'components')}/${i}`),
+    newComponents: newComponents.map(i => `${path.resolve(subthemeDirectory, 'components')}/${i}`),
+    overriddenComponents: overriddenComponents.map(i => `${path.resolve(subthemeDirectory, 'components')}/${i}`),
     componentToNamespace,
   };
 }
 
-function update() {
-  const { componentToNamespace } = getComponentNamespace();
+/**
+ * Get the Twig templates of a subtheme
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @returns {Array<string>} Component and theme template paths
+ */
+function getTwigFiles(subthemeDirectory) {
+  return [
+    ...globSync(`${subthemeDirectory}/components/**/*.twig`),
+    ...globSync(`${subthemeDirectory}/templates/**/*.twig`)
+  ];
+}
 
-  createInfoYml();
-  createLibrariesYml();
-  updatePackageJson();
+/**
+ * Get the PHP and YAML files of a subtheme that can reference templates
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @returns {Array<string>} Theme, include, PHP and YAML file paths
+ */
+function getLegacyPathFiles(subthemeDirectory) {
+  return globSync(['*.theme', '**/*.inc', '**/*.php', '**/*.yml'], {
+    cwd: subthemeDirectory,
+    absolute: true,
+    ignore: ['node_modules/**', 'vendor/**', 'dist/**', '.storybook/**']
+  }).sort();
+}
 
-  updateTwigNamespacing(globSync(`${SUBTHEME_DIRECTORY}/components/**/*.twig`), componentToNamespace);
-  updateTwigNamespacing(globSync(`${SUBTHEME_DIRECTORY}/templates/**/*.twig`), componentToNamespace);
-  updateBlockNames(globSync(`${SUBTHEME_DIRECTORY}/components/**/*.twig`));
-  updateBlockNames(globSync(`${SUBTHEME_DIRECTORY}/templates/**/*.twig`), componentToNamespace);
+/**
+ * Rewrite the legacy component paths of PHP and YAML files to SDC component ids
+ *
+ * @param {Array<string>} sourceFiles - PHP and YAML file paths
+ * @param {Object<string, string>} namespaceMap - Namespace of every component by name
+ * @param {Object} [files] - File journal to write through
+ * @returns {{changed: Array<string>, rewritten: Object<string, Array<Object>>, review: Array<{file: string, line: number, reference: string, reason: string}>}}
+ *   Changed files, the rewritten paths of every file and the references to review by hand
+ */
+export function updateLegacyPaths(sourceFiles, namespaceMap, files = DIRECT_WRITER) {
+  const changed = [];
+  const rewritten = {};
+  const review = [];
+  for (const filePath of sourceFiles) {
+    const fileData = fs.readFileSync(filePath, 'utf8');
+    const result = rewriteLegacyPaths(fileData, filePath.endsWith('.yml') ? 'yaml' : 'php', namespaceMap);
+    review.push(...result.review.map(reference => ({ file: filePath, ...reference })));
+
+    if (result.source !== fileData) {
+      rewritten[filePath] = result.rewritten;
+      files.write(filePath, result.source);
+      changed.push(filePath);
+    }
+  }
+  return { changed, rewritten, review };
+}
+
+/**
+ * Update the theme files of a subtheme and add SDC namespacing to its templates
+ *
+ * @param {Object} options - Update options
+ * @param {string} options.subthemeDirectory - Subtheme directory
+ * @param {string} options.civicthemeDirectory - CivicTheme source directory
+ * @param {string} [options.civicthemeBaseDirectory] - Source directory of the CivicTheme version the subtheme is on,
+ *   package.json is merged two-way when omitted
+ * @param {Object} [options.files] - File journal to write through, files are written directly when omitted
+ * @returns {{themeFiles: Array<string>, missingFiles: Array<Object>, packageJson: Object, templates: Array<string>, unresolved: Array<Object>, blocks: Object, legacyPaths: Object}}
+ *   Theme files that were changed, the library entries of the info and libraries files that point at missing files,
+ *   the package.json merge from updatePackageJson(), the templates that were changed,
+ *   the template references that could not be resolved, the blocks renamed and not renamed, from updateBlockNames(),
+ *   and the paths rewritten and to review in PHP and YAML files, from updateLegacyPaths()
+ */
+export function updateTheme({ subthemeDirectory, civicthemeDirectory, civicthemeBaseDirectory = null, files = DIRECT_WRITER }) {
+  const theme = { subthemeDirectory, civicthemeDirectory, civicthemeBaseDirectory, themeName: path.basename(subthemeDirectory), files };
+  const { componentToNamespace } = getComponentNamespace(theme);
+
+  const infoYml = createInfoYml(theme);
+  const librariesYml = createLibrariesYml(theme);
+  const packageJson = updatePackageJson(theme);
+
+  const twigFiles = getTwigFiles(subthemeDirectory);
+  const namespacing = updateTwigNamespacing(twigFiles, componentToNamespace, files);
+  const blocks = updateBlockNames(twigFiles, theme, componentToNamespace, files);
+  const templates = new Set([...namespacing.changed, ...blocks.changed]);
+  const legacyPaths = updateLegacyPaths(getLegacyPathFiles(subthemeDirectory), componentToNamespace, files);
+
+  return {
+    themeFiles: [
+      ...(infoYml.changed ? [`${theme.themeName}.info.yml`] : []),
+      ...(librariesYml.changed ? [`${theme.themeName}.libraries.yml`] : []),
+      ...(packageJson.changed ? ['package.json'] : [])
+    ],
+    missingFiles: [...infoYml.missing, ...librariesYml.missing],
+    packageJson,
+    templates: [...templates].sort(),
+    unresolved: namespacing.unresolved,
+    blocks,
+    legacyPaths
+  };
+}
+
+/**
+ * Find the templates and files of a subtheme that updating the theme would still change
+ *
+ * Nothing is written, after an update every list is empty.
+ *
+ * @param {Object} options - Check options
+ * @param {string} options.subthemeDirectory - Subtheme directory
+ * @param {string} options.civicthemeDirectory - CivicTheme source directory
+ * @returns {{references: Array<string>, blocks: Array<string>, legacyPaths: Array<string>}} Templates with references to
+ *   rewrite and blocks to rename, and PHP and YAML files with legacy paths to rewrite
+ */
+export function findPendingTemplates({ subthemeDirectory, civicthemeDirectory }) {
+  const theme = { subthemeDirectory, civicthemeDirectory, themeName: path.basename(subthemeDirectory) };
+  const { componentToNamespace } = getComponentNamespace(theme);
+  const twigFiles = getTwigFiles(subthemeDirectory);
+  const dryRun = { write: () => {} };
+  return {
+    references: updateTwigNamespacing(twigFiles, componentToNamespace, dryRun).changed,
+    blocks: updateBlockNames(twigFiles, theme, componentToNamespace, dryRun).changed,
+    legacyPaths: updateLegacyPaths(getLegacyPathFiles(subthemeDirectory), componentToNamespace, dryRun).changed
+  };
+}
+
+// The update runner imports this module, it can still be run on its own.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const config = await loadConfig();
+  await logger.info(`Loaded configuration for subtheme: ${config.subthemeDirectory}`);
+  // CivicTheme source prepared by the update runner.
+  if (!process.env.CIVICTHEME_DIRECTORY) {
+    await logger.error('CIVICTHEME_DIRECTORY is not set, run the update with the update runner');
+    process.exit(1);
+  }
+  const { missingFiles, packageJson, unresolved, blocks, legacyPaths } = updateTheme({
+    subthemeDirectory: config.subthemeDirectory,
+    civicthemeDirectory: process.env.CIVICTHEME_DIRECTORY,
+    civicthemeBaseDirectory: process.env.CIVICTHEME_BASE_DIRECTORY || null
+  });
+  for (const { file, line, entry, reason } of missingFiles) {
+    await logger.warning(`${file}:${line} ${entry}: ${reason}`);
+  }
+  for (const conflict of formatConflicts(packageJson.conflicts)) {
+    await logger.warning(`package.json ${conflict}`);
+  }
+  for (const { file, line, reference, reason } of unresolved) {
+    await logger.warning(`${path.relative(config.subthemeDirectory, file)}:${line} unresolved template reference ${reference}: ${reason}`);
+  }
+  for (const [file, renamed] of Object.entries(blocks.renamed)) {
+    await logger.info(`${path.relative(config.subthemeDirectory, file)}: renamed ${renamed.map(({ from, to }) => `${from} → ${to}`).join(', ')}`);
+  }
+  for (const { file, line, name, reason } of blocks.conflicts) {
+    await logger.warning(`${path.relative(config.subthemeDirectory, file)}:${line} block ${name} not renamed: ${reason}`);
+  }
+  for (const { file, line, reference, reason } of legacyPaths.review) {
+    await logger.warning(`${path.relative(config.subthemeDirectory, file)}:${line} review template path ${reference}: ${reason}`);
+  }
 }
-update();
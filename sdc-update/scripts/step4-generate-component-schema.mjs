@@ -5,77 +5,129 @@ import yaml from 'js-yaml';
 // import dotenv from 'dotenv';
 import { LlmHandler } from './lib/llm-handler.mjs';
 import { getAllComponentFiles } from './lib/components.mjs';
+import { runQueue } from './lib/job-queue.mjs';
+import { getSelectionFromEnv, selectComponentFiles, describeSelection } from './lib/component-filter.mjs';
+import { buildComponentSchema, extractProps } from './lib/twig-props.mjs';
+import { validateComponentDefinition } from './lib/component-validator.mjs';
 
 const SYSTEM_PROMPT = `
-You are a Drupal Single Directory Components (SDC) analyzer. For each Twig template provided:
-1. Extract all documented variables/props
-2. Return the data in Drupal SDC YAML format with this exact structure:
-
-\`\`\`yaml
-$schema: https://git.drupalcode.org/project/drupal/-/raw/10.3.x/core/assets/schemas/v1/metadata.schema.json
-name: Component Name
-status: stable
-description: Component description
-replaces: civictheme:component_name # Only include for overridden components
-props:
-  type: object
-  properties:
-    # Extract all props here with their types and descriptions
-    example_prop:
-      type: string
-      title: Example Prop
-      description: Description of the prop
-      default: default value # if applicable
-    another_prop:
-      type: boolean
-      title: Another Prop
-      description: Description of this prop
-slots:
-  # Only include if the original CivicTheme component has slots
-  example_slot:
-    title: Example Slot
-    description: Description of what this slot is for
-libraryOverrides:
-  # Only include if component has JS/CSS files
-  js:
-    component-name.js: {}
-\`\`\`
+You are a Drupal Single Directory Components (SDC) documentation writer. For each request you get a Twig template
+and the SDC component definition that was generated from it as JSON.
+
+Improve the component description and the title and description of each prop so they explain what the component
+and each prop are for, based on how the template uses them.
 
 Rules:
-- Use proper YAML format (not JSON)
+- Return JSON only, with this exact structure:
+  {"description": "Component description", "props": {"prop_name": {"title": "Prop title", "description": "Prop description"}}}
+- Only include props that are in the given component definition, do not add, remove or rename props
+- Do not change types, defaults, enums or any other part of the definition
+- Keep titles short and in sentence case
+- DO NOT wrap the JSON in markdown code blocks
+`;
+
+const REPAIR_PROMPT = `
+You are a Drupal Single Directory Components (SDC) expert. For each request you get a Twig template, the SDC
+component definition that was generated from it as JSON, and the errors found when validating the definition
+against Drupal core's metadata.schema.json.
+
+Fix the definition so it is valid.
+
+Rules:
+- Return the complete corrected definition as JSON only
+- Only change what is needed to fix the errors, keep all valid props, slots, types, defaults and enums
 - Use valid JSON Schema types in props (string, boolean, number, integer, array, object)
-- DO NOT convert Twig blocks to slots - only include slots if they exist in the original CivicTheme schema
-- Include all documented properties and their descriptions
-- Only return valid YAML, no additional text
-- DO NOT wrap the YAML in markdown code blocks (no \`\`\`yaml or \`\`\`)
-- Return the raw YAML content directly
-- Extract component name from filename or comments if available
-- Set status to "stable" by default
-- Only include libraryOverrides if you detect that the component has associated JS files
-- For arrays, include the items type
-- For enums, list all possible values
-- When overriding an existing component:
-  - Start with the original schema as a base
-  - Include replaces property with format: civictheme:component_name (where component_name is the machine name from the filename)
-  - Remove props that are not referenced in the custom template
-  - Add new props that are used in the custom template
-  - Preserve slots ONLY if they exist in the original schema
-  - Preserve the structure and naming conventions of the original
-  - Update descriptions to reflect customizations
-- For new components (not overrides):
-  - Only include props, no slots section
-  - Focus on extracting all variables used in the template
+- Never define the same name as both a prop and a slot
+- DO NOT wrap the JSON in markdown code blocks
 `;
 
 class JsonSchemaGenerator extends LlmHandler {
   /**
-   * Strips markdown code blocks from YAML content
+   * Strips markdown code blocks from LLM output
    * @param {string} content - The content that may contain code blocks
    * @return {string} - The content without code blocks
    */
   stripCodeBlocks(content) {
-    // Remove ```yaml or ```yml at the start and ``` at the end
-    return content.replace(/^```(?:yaml|yml)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+    // Remove ```json, ```yaml or ```yml at the start and ``` at the end
+    return content.replace(/^```(?:json|yaml|yml)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+  }
+
+  /**
+   * Improve the descriptions of a statically extracted schema with the LLM.
+   *
+   * Only the component description and prop titles and descriptions are
+   * taken from the response, the structure of the schema is never changed.
+   *
+   * @param {Object} schema - Component definition, updated in place.
+   * @param {string} templateContent - Twig template of the component.
+   * @param {string} component - Component path, to record token usage.
+   * @return {Promise<Object>} The updated component definition.
+   */
+  async enrich(schema, templateContent, component = null) {
+    const messages = [
+      {
+        role: 'user',
+        content: `Component definition:\n${JSON.stringify(schema, null, 2)}\n\nTwig template:\n${templateContent}`,
+      },
+    ];
+
+    const response = JSON.parse(this.stripCodeBlocks(await this.analyze(messages, null, component)));
+
+    if (typeof response.description === 'string' && response.description.trim()) {
+      schema.description = response.description.trim();
+    }
+
+    const properties = schema.props?.properties || {};
+    for (const [name, prop] of Object.entries(response.props || {})) {
+      if (!properties[name]) {
+        continue;
+      }
+      for (const key of ['title', 'description']) {
+        if (typeof prop?.[key] === 'string' && prop[key].trim()) {
+          properties[name][key] = prop[key].trim();
+        }
+      }
+    }
+
+    return schema;
+  }
+
+  /**
+   * Ask the LLM to fix a definition that failed validation.
+   *
+   * @param {Object} schema - Invalid component definition.
+   * @param {Array<string>} errors - Validation errors.
+   * @param {string} templateContent - Twig template of the component.
+   * @param {string} component - Component path, to record token usage.
+   * @return {Promise<Object>} The repaired component definition.
+   */
+  async repair(schema, errors, templateContent, component = null) {
+    const messages = [
+      {
+        role: 'user',
+        content: `Component definition:\n${JSON.stringify(schema, null, 2)}\n\nValidation errors:\n${errors.map(error => `- ${error}`).join('\n')}\n\nTwig template:\n${templateContent}`,
+      },
+    ];
+
+    return JSON.parse(this.stripCodeBlocks(await this.analyze(messages, REPAIR_PROMPT, component)));
+  }
+
+  /**
+   * Write an invalid definition to the quarantine directory.
+   *
+   * Quarantined files are not picked up by SDC discovery, the validation
+   * errors are added as comments at the top of the file.
+   *
+   * @param {Object} schema - Invalid component definition.
+   * @param {Array<string>} errors - Validation errors.
+   * @param {string} relativePath - Path of the component.yml relative to the components directory.
+   * @return {Promise<string>} Path of the quarantined file.
+   */
+  async quarantine(schema, errors, relativePath) {
+    const quarantinePath = path.join(this.options.quarantineDir, relativePath);
+    const header = ['# Quarantined: this definition failed validation.', ...errors.map(error => `# - ${error}`)].join('\n');
+    await this.output(`${header}\n${yaml.dump(schema, { lineWidth: -1, noRefs: true })}`, quarantinePath);
+    return quarantinePath;
   }
 
   /**
@@ -97,147 +149,144 @@ class JsonSchemaGenerator extends LlmHandler {
   /**
    * Create JSON schema from component files.
    *
+   * Components are processed concurrently, up to the `concurrency` option,
+   * requests to the LLM are still limited by the throttle settings. Only the
+   * components matching the `selection` option are processed, components
+   * that already have a component.yml are skipped unless it sets `force`.
+   *
    * @param {string} directoryPath - Directory to component directory.
    * @return {Promise<Object>} Report on success / failures of process.
    */
   async process(directoryPath) {
+    this.results = {
+      successful: [],
+      failed: [],
+      skipped: [],
+    };
     try {
-      this.results = {
-        successful: [],
-        failed: [],
-      };
-      const twigFiles = await getAllComponentFiles(directoryPath);
-      let processed = 0;
-      for (const file of twigFiles) {
-        try {
-          // Save component.yml in the same directory as the twig file
-          const outputPath = file.replace('.twig', '.component.yml');
-
-          if (await this.isComponentAlreadyProcessed(outputPath)) {
-            console.log(`Skipping ${file}... already processed`);
-            continue;
-          }
-
-          const templateContent = await fs.readFile(file, 'utf8');
+      const selection = this.options.selection || {};
+      const { selected, excluded } = await selectComponentFiles((await getAllComponentFiles(directoryPath)).sort(), directoryPath, selection);
+      if (excluded.length > 0) {
+        console.log(`Selected ${selected.length} of ${selected.length + excluded.length} components (${describeSelection(selection)})`);
+      }
 
-          console.log(`Processing ${file}...`);
+      const pending = [];
+      for (const file of selected) {
+        if (!selection.force && await this.isComponentAlreadyProcessed(file.replace('.twig', '.component.yml'))) {
+          console.log(`Skipping ${file}... already processed`);
+          this.results.skipped.push(file);
+          continue;
+        }
+        pending.push(file);
+      }
 
-          // Check if this is an override of a CivicTheme component
-          const componentPath = path.relative(directoryPath, file);
-          const civicThemeComponentPath = path.join(
-            process.cwd(),
-            'monorepo-drupal/web/themes/contrib/civictheme/components',
-            componentPath.replace('.twig', '.component.yml')
-          );
+      const queue = pending.slice(0, this.options.processLimit);
+      if (queue.length < pending.length) {
+        console.log(`Processing ${queue.length} of ${pending.length} components, run the step again to process the rest`);
+      }
 
-          let existingSchema = null;
-          try {
-            existingSchema = await fs.readFile(civicThemeComponentPath, 'utf8');
-            console.log(`  Found existing CivicTheme schema for ${path.basename(file)}`);
-          } catch (e) {
-            // No existing schema, this is a new component
+      await runQueue(queue, file => this.processFile(file, directoryPath), {
+        concurrency: this.options.concurrency,
+        onSettled: ({ item: file, error }, settled, total) => {
+          if (error) {
+            this.results.failed.push({ file, error: error.message });
+            console.error(`✗ [${settled}/${total}] Failed to process ${file}: ${error.message}`);
+          } else {
+            this.results.successful.push(file);
+            console.log(`✓ [${settled}/${total}] Successfully processed ${file}`);
           }
+        },
+      });
+    } catch (error) {
+      console.error('Directory processing error:', error.message);
+      this.results.failed.push({ file: directoryPath, error: error.message });
+    }
 
-          let userContent;
-          if (existingSchema) {
-            userContent = `This component is overriding an existing CivicTheme component. Here is the original schema:
-
-${existingSchema}
-
-Analyze this custom Twig template and generate an updated Drupal SDC YAML schema:
-- Remove any props that are not used in this custom template
-- Add any new props that are used in this custom template
-- Update descriptions to reflect any changes in functionality
-- Keep the same structure and format as the original
+    return this.results;
+  }
 
-Custom Twig template:
-${templateContent}`.trim();
-          } else {
-            userContent = `Extract the props and blocks from this Twig template and generate a Drupal SDC YAML schema:\n\n${templateContent}`.trim();
-          }
+  /**
+   * Create the component.yml of a single Twig template.
+   *
+   * @param {string} file - Path of the Twig template.
+   * @param {string} directoryPath - Directory to component directory.
+   * @return {Promise<string>} Path of the written component.yml.
+   * @throws {Error} If the definition is invalid, after it was quarantined.
+   */
+  async processFile(file, directoryPath) {
+    // Save component.yml in the same directory as the twig file
+    const outputPath = file.replace('.twig', '.component.yml');
+    const componentPath = path.relative(directoryPath, file);
+    // Output of components processed at the same time is interleaved.
+    const log = message => console.log(`  ${componentPath}: ${message}`);
+
+    const templateContent = await fs.readFile(file, 'utf8');
+
+    console.log(`Processing ${file}...`);
+
+    // Check if this is an override of a CivicTheme component
+    let existingSchema = null;
+    if (process.env.CIVICTHEME_DIRECTORY) {
+      const civicThemeComponentPath = path.join(
+        process.env.CIVICTHEME_DIRECTORY,
+        'components',
+        componentPath.replace('.twig', '.component.yml')
+      );
+      try {
+        existingSchema = await fs.readFile(civicThemeComponentPath, 'utf8');
+        log('Found existing CivicTheme schema');
+      } catch (e) {
+        // No existing schema, this is a new component
+      }
+    }
 
-          const messages = [
-            {
-              role: 'user',
-              content: userContent,
-            },
-          ];
-
-          let yamlSchema = await this.analyze(messages);
-
-          // Strip any markdown code blocks that might have been added
-          yamlSchema = this.stripCodeBlocks(yamlSchema);
-
-          // Validate YAML by parsing it
-          const parsedYaml = yaml.load(yamlSchema);
-
-          // If this is an override, ensure replaces property exists and handle slots
-          if (existingSchema) {
-            const componentName = path.basename(file, '.twig');
-            const existingParsedYaml = yaml.load(existingSchema);
-
-            // Ensure replaces property exists
-            if (!parsedYaml.replaces) {
-              parsedYaml.replaces = `civictheme:${componentName}`;
-            }
-
-            // Check if existing schema has slots
-            if (existingParsedYaml.slots && Object.keys(existingParsedYaml.slots).length > 0) {
-              // Initialize slots if not present
-              if (!parsedYaml.slots) {
-                parsedYaml.slots = {};
-              }
-
-              // Check each slot from the original schema
-              for (const [slotName, slotData] of Object.entries(existingParsedYaml.slots)) {
-                // If this slot was incorrectly added as a prop, move it to slots
-                if (parsedYaml.props?.properties && parsedYaml.props.properties[slotName]) {
-                  console.log(`  Moving ${slotName} from props to slots`);
-
-                  // Copy to slots with proper format
-                  parsedYaml.slots[slotName] = {
-                    title: slotData.title || slotName.charAt(0).toUpperCase() + slotName.slice(1).replace(/_/g, ' '),
-                    description: slotData.description || parsedYaml.props.properties[slotName].description || ''
-                  };
-
-                  // Remove from props
-                  delete parsedYaml.props.properties[slotName];
-                }
-                // If slot exists in original but not in generated, preserve it
-                else if (!parsedYaml.slots[slotName]) {
-                  parsedYaml.slots[slotName] = slotData;
-                }
-              }
-
-              // Clean up empty props object if needed
-              if (parsedYaml.props?.properties && Object.keys(parsedYaml.props.properties).length === 0) {
-                delete parsedYaml.props;
-              }
-            }
-
-            // Re-serialize if we made changes
-            yamlSchema = yaml.dump(parsedYaml, { lineWidth: -1 });
-          }
+    const hasJs = await fs.access(file.replace(/\.twig$/, '.js')).then(() => true, () => false);
+    const schema = buildComponentSchema({
+      source: templateContent,
+      templatePath: file,
+      existingSchema: existingSchema ? yaml.load(existingSchema) : null,
+      hasJs,
+    });
+
+    const { undocumented } = extractProps(templateContent);
+    if (undocumented.length > 0) {
+      log(`Undocumented props: ${undocumented.join(', ')}`);
+    }
 
-          // Save YAML directly
-          await this.output(yamlSchema, outputPath);
+    if (this.options.enrichDescriptions) {
+      try {
+        await this.enrich(schema, templateContent, componentPath);
+      } catch (error) {
+        log(`Could not enrich descriptions, keeping extracted ones: ${error.message}`);
+      }
+    }
 
-          this.results.successful.push(file);
-          console.log(`✓ Successfully processed ${file}`);
-        } catch (error) {
-          this.results.failed.push({ file, error: error.message });
-          console.error(`✗ Failed to process ${file}: ${error.message}`);
-        }
-        processed += 1;
-        if (this.options.processLimit <= processed) {
-          return this.results;
-        }
+    // Repair asks the LLM, without enrichment an invalid definition is
+    // quarantined straight away.
+    let definition = schema;
+    let validation = validateComponentDefinition(definition);
+    for (let attempt = 1; !validation.valid && this.options.enrichDescriptions && attempt <= this.options.maxRepairAttempts; attempt++) {
+      log(`Definition is invalid, asking for a fix (attempt ${attempt}/${this.options.maxRepairAttempts})`);
+      try {
+        definition = await this.repair(definition, validation.errors, templateContent, componentPath);
+        validation = validateComponentDefinition(definition);
+      } catch (error) {
+        log(`Could not repair definition: ${error.message}`);
+        break;
       }
-    } catch (error) {
-      console.error('Directory processing error:', error);
     }
 
-    return this.results;
+    if (!validation.valid) {
+      const quarantinePath = await this.quarantine(definition, validation.errors, path.relative(directoryPath, outputPath));
+      throw new Error(`Schema validation failed, quarantined to ${quarantinePath}:\n  ${validation.errors.join('\n  ')}`);
+    }
+
+    const yamlSchema = yaml.dump(definition, { lineWidth: -1, noRefs: true });
+
+    // Save YAML directly
+    await this.output(yamlSchema, outputPath);
+
+    return outputPath;
   }
 
   /**
@@ -262,19 +311,32 @@ ${templateContent}`.trim();
 async function main() {
   // dotenv.config();
 
+  const selection = getSelectionFromEnv();
   const analyzer = new JsonSchemaGenerator({
     system_prompt: SYSTEM_PROMPT,
     inputDir: path.join(process.env.SUBTHEME_DIRECTORY, 'components'),
     rateLimit: 3,
     rateLimitInterval: 1000,
-    processLimit: 100,
+    concurrency: 3,
+    processLimit: selection.limit || 100,
+    selection,
     max_tokens: 8192,
-    model: process.env.ANTHROPIC_MODEL,
     cache_control: true,
+    enrichDescriptions: process.env.ENRICH_DESCRIPTIONS === 'true',
+    maxRepairAttempts: 2,
+    quarantineDir: path.join(process.cwd(), '.quarantine', path.basename(process.env.SUBTHEME_DIRECTORY)),
   });
   const componentPath = path.join(process.env.SUBTHEME_DIRECTORY, 'components');
-  analyzer.process(componentPath);
+  await analyzer.process(componentPath);
   analyzer.report();
+
+  // The update runner reads the report to summarise the step.
+  if (process.env.SDC_STEP_REPORT_FILE) {
+    await analyzer.writeReport(process.env.SDC_STEP_REPORT_FILE);
+  }
 }
 
-main().catch(console.error);
+main().catch(error => {
+  console.error(`Could not generate component YML: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,345 @@
+/**
+ * @file
+ * Headless entry point for the SDC update tool.
+ *
+ * Runs the update from command line flags without any prompts so it can be
+ * scripted across many subthemes. Never reads from stdin.
+ */
+import { parseArgs } from 'util';
+import path from 'path';
+import chalk from 'chalk';
+import { loadConfig, validateConfig } from './lib/config.mjs';
+import { validateSubThemeDirectory } from './lib/validator.mjs';
+import { resolveSteps, getAvailableSteps, planUpdate, runUpdate, rollbackUpdate } from './update-runner.mjs';
+import { resetRunState } from './lib/run-state.mjs';
+import { estimateUpdateCost, describeEstimate } from './lib/estimate.mjs';
+import { PROVIDERS, CACHE_MODES } from '../../shared/llm-providers/index.mjs';
+import { DEFAULT_REPOSITORY } from '../../shared/civictheme-source.mjs';
+import { normalizeVersion } from '../../shared/civictheme-version.mjs';
+import { CONFLICT_STYLES } from '../../shared/file-merge.mjs';
+import { MIGRATIONS, getTargetVersions, getLatestVersion, getStepNumber, getNumberedSteps } from './lib/migrations.mjs';
+import logger from './lib/logger.mjs';
+
+/**
+ * Process exit codes used in headless mode
+ *
+ * A failed step exits with `STEP_FAILED_BASE` plus its fixed number from
+ * getStepNumber(), so a failure of step2 exits with 12 whichever steps were
+ * selected. A failed plugin step exits with `STEP_FAILED_BASE`.
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_ARGUMENTS: 2,
+  INVALID_CONFIG: 3,
+  NOT_CONFIRMED: 4,
+  DIRTY_WORKTREE: 5,
+  STEP_FAILED_BASE: 10
+};
+
+const CLI_OPTIONS = {
+  headless: { type: 'boolean', default: false },
+  'non-interactive': { type: 'boolean', default: false },
+  subtheme: { type: 'string' },
+  model: { type: 'string' },
+  'enrich-descriptions': { type: 'boolean', default: false },
+  provider: { type: 'string' },
+  'llm-cache': { type: 'string' },
+  'llm-max-attempts': { type: 'string' },
+  steps: { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  'changed-since': { type: 'string' },
+  force: { type: 'boolean', default: false },
+  limit: { type: 'string' },
+  'civictheme-source': { type: 'string' },
+  'civictheme-base-source': { type: 'string' },
+  'conflict-style': { type: 'string' },
+  'from-version': { type: 'string' },
+  'to-version': { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  estimate: { type: 'boolean', default: false },
+  rerun: { type: 'boolean', default: false },
+  reset: { type: 'boolean', default: false },
+  'allow-dirty': { type: 'boolean', default: false },
+  plugins: { type: 'string' },
+  rollback: { type: 'boolean', default: false },
+  yes: { type: 'boolean', short: 'y', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `
+Usage: npm run update-components -- --headless [options]
+
+Options:
+  --subtheme <path>   Subtheme directory (defaults to SUBTHEME_DIRECTORY)
+  --model <name>      Model (defaults to LLM_MODEL, or ANTHROPIC_MODEL for the anthropic provider)
+  --provider <name>   LLM provider: anthropic, openai-compatible or fixture (defaults to LLM_PROVIDER)
+  --llm-cache <mode>  LLM response cache: read-write, cache-only, refresh or bypass (defaults to LLM_CACHE_MODE)
+  --llm-max-attempts <n>
+                      Attempts per LLM request before giving up (defaults to LLM_MAX_ATTEMPTS, or 5)
+  --enrich-descriptions
+                      Improve generated component descriptions with Claude (defaults to ENRICH_DESCRIPTIONS)
+  --steps <list>      Comma separated step ids or numbers to run (defaults to all)
+  --include <globs>   Only generate component YML for matching components, e.g. '03-organisms/**' (defaults to COMPONENT_INCLUDE)
+  --exclude <globs>   Skip matching components, e.g. 00-base (defaults to COMPONENT_EXCLUDE)
+  --changed-since <ref>
+                      Only generate component YML for components changed since a git ref (defaults to COMPONENT_CHANGED_SINCE)
+  --force             Regenerate component YML of the selected components even if it already exists
+  --limit <n>         Generate component YML for at most n components (defaults to COMPONENT_LIMIT, or 100)
+  --civictheme-source <source>
+                      CivicTheme to update from: a theme directory, a tarball path or URL, or an HTTPS git
+                      URL with an optional #ref (defaults to CIVICTHEME_SOURCE, or ${DEFAULT_REPOSITORY}
+                      at the version each migration upgrades to)
+  --civictheme-base-source <source>
+                      CivicTheme the subtheme is on, package.json is merged with the changes of its starter kit
+                      (defaults to CIVICTHEME_BASE_SOURCE, or ${DEFAULT_REPOSITORY} at the version each
+                      migration upgrades from when --civictheme-source is not set)
+  --conflict-style <style>
+                      Conflicts of starter kit files with customisations of the subtheme: markers in the file, or
+                      rej to use the starter kit's version and write the conflicts to a .rej file (defaults to
+                      STARTER_KIT_CONFLICT_STYLE, or markers)
+  --from-version <version>
+                      CivicTheme version the subtheme is on (defaults to CIVICTHEME_CURRENT_VERSION, or detected
+                      from composer.lock or civictheme.info.yml)
+  --to-version <version>
+                      CivicTheme version to upgrade to: ${getTargetVersions().join(', ')} (defaults to
+                      CIVICTHEME_TARGET_VERSION, or ${getLatestVersion()})
+  --plugins <dir>     Directory of plugins that add update steps (defaults to SDC_PLUGIN_DIRECTORY)
+  --dry-run           Run against a staged copy and print a diff, the subtheme is not modified
+  --estimate          Print the estimated AI usage and cost of the update and exit
+  --rerun             Run the selected steps again even if they already completed
+  --reset             Forget the progress of previous runs before starting
+  --allow-dirty       Run even if the subtheme has uncommitted changes (a tarball backup is made)
+  --rollback          Restore the subtheme from the snapshot taken before the last update
+  -y, --yes           Confirm that the subtheme may be modified (required unless --dry-run)
+  -h, --help          Show this help
+
+Migrations and their steps, in the order they run for the planned versions:
+${MIGRATIONS.map(migration => `  ${migration.name} (${migration.from} → ${migration.to})\n${migration.steps.map(step => `    ${step.id}  ${step.name}`).join('\n')}`).join('\n')}
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}   Update completed
+  ${EXIT_CODES.ERROR}   Unexpected error
+  ${EXIT_CODES.INVALID_ARGUMENTS}   Invalid arguments
+  ${EXIT_CODES.INVALID_CONFIG}   Invalid configuration, subtheme, CivicTheme source, versions or plugins
+  ${EXIT_CODES.NOT_CONFIRMED}   Update not confirmed with --yes
+  ${EXIT_CODES.DIRTY_WORKTREE}   Subtheme has uncommitted changes
+  ${EXIT_CODES.STEP_FAILED_BASE}  A plugin step failed
+${getNumberedSteps().map(({ number, id }) => `  ${EXIT_CODES.STEP_FAILED_BASE + number}  Step ${id} failed`).join('\n')}
+`;
+
+/**
+ * Check whether the tool was started with headless flags
+ *
+ * @param {Array<string>} argv - Command line arguments without node and script path
+ * @returns {boolean} True if the update should run without prompts
+ */
+export function isHeadless(argv) {
+  return argv.includes('--headless') || argv.includes('--non-interactive');
+}
+
+/**
+ * Parse headless command line arguments
+ *
+ * @param {Array<string>} argv - Command line arguments without node and script path
+ * @returns {Object} Parsed options
+ * @throws {Error} If an argument is unknown or malformed
+ */
+export function parseHeadlessArgs(argv) {
+  const { values } = parseArgs({ args: argv, options: CLI_OPTIONS, strict: true });
+
+  return {
+    subtheme: values.subtheme || null,
+    model: values.model || null,
+    enrichDescriptions: values['enrich-descriptions'],
+    provider: values.provider || null,
+    llmCacheMode: values['llm-cache'] || null,
+    llmMaxAttempts: values['llm-max-attempts'] || null,
+    steps: values.steps ? values.steps.split(',').map(step => step.trim()).filter(Boolean) : null,
+    include: values.include ? values.include.join(',') : null,
+    exclude: values.exclude ? values.exclude.join(',') : null,
+    changedSince: values['changed-since'] || null,
+    force: values.force,
+    limit: values.limit || null,
+    civicthemeSource: values['civictheme-source'] || null,
+    civicthemeBaseSource: values['civictheme-base-source'] || null,
+    conflictStyle: values['conflict-style'] || null,
+    fromVersion: values['from-version'] || null,
+    toVersion: values['to-version'] || null,
+    pluginDirectory: values.plugins || null,
+    dryRun: values['dry-run'],
+    estimate: values.estimate,
+    rerun: values.rerun,
+    reset: values.reset,
+    allowDirty: values['allow-dirty'],
+    rollback: values.rollback,
+    yes: values.yes,
+    help: values.help
+  };
+}
+
+/**
+ * Run the update without prompts
+ *
+ * @param {Array<string>} argv - Command line arguments without node and script path
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runHeadless(argv) {
+  await logger.initLogger();
+  await logger.info('Starting SDC Update Tool in headless mode');
+
+  let args;
+  try {
+    args = parseHeadlessArgs(argv);
+    if (args.provider && !PROVIDERS[args.provider]) {
+      throw new Error(`Unknown provider: ${args.provider}. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (args.llmCacheMode && !Object.values(CACHE_MODES).includes(args.llmCacheMode)) {
+      throw new Error(`Unknown LLM cache mode: ${args.llmCacheMode}. Available modes: ${Object.values(CACHE_MODES).join(', ')}`);
+    }
+    if (args.conflictStyle && !Object.values(CONFLICT_STYLES).includes(args.conflictStyle)) {
+      throw new Error(`Unknown conflict style: ${args.conflictStyle}. Available styles: ${Object.values(CONFLICT_STYLES).join(', ')}`);
+    }
+    if (args.limit && !/^[1-9]\d*$/.test(args.limit)) {
+      throw new Error(`Invalid limit: ${args.limit}. Expected a positive integer`);
+    }
+    for (const version of [args.fromVersion, args.toVersion]) {
+      if (version && !normalizeVersion(version)) {
+        throw new Error(`Invalid CivicTheme version: ${version}. Expected a version such as 1.11.0`);
+      }
+    }
+    if (args.llmMaxAttempts && !/^[1-9]\d*$/.test(args.llmMaxAttempts)) {
+      throw new Error(`Invalid LLM max attempts: ${args.llmMaxAttempts}. Expected a positive integer`);
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    console.log(USAGE);
+    await logger.error(`Invalid arguments: ${error.message}`);
+    return EXIT_CODES.INVALID_ARGUMENTS;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // Flags take precedence over the .env file and environment variables.
+  const baseConfig = await loadConfig();
+  const provider = args.provider || baseConfig.llmProvider;
+  const config = {
+    ...baseConfig,
+    subthemeDirectory: args.subtheme ? path.resolve(args.subtheme) : baseConfig.subthemeDirectory,
+    llmProvider: provider,
+    // --model applies to whichever provider is used.
+    anthropicModel: provider === 'anthropic' && args.model ? args.model : baseConfig.anthropicModel,
+    llmModel: provider !== 'anthropic' && args.model ? args.model : baseConfig.llmModel,
+    enrichDescriptions: args.enrichDescriptions || baseConfig.enrichDescriptions,
+    llmCacheMode: args.llmCacheMode || baseConfig.llmCacheMode,
+    llmMaxAttempts: args.llmMaxAttempts || baseConfig.llmMaxAttempts,
+    componentInclude: args.include || baseConfig.componentInclude,
+    componentExclude: args.exclude || baseConfig.componentExclude,
+    componentChangedSince: args.changedSince || baseConfig.componentChangedSince,
+    componentForce: args.force || baseConfig.componentForce,
+    componentLimit: args.limit || baseConfig.componentLimit,
+    civicthemeSource: args.civicthemeSource || baseConfig.civicthemeSource,
+    civicthemeBaseSource: args.civicthemeBaseSource || baseConfig.civicthemeBaseSource,
+    conflictStyle: args.conflictStyle || baseConfig.conflictStyle,
+    currentVersion: args.fromVersion || baseConfig.currentVersion,
+    targetVersion: args.toVersion || baseConfig.targetVersion,
+    pluginDirectory: args.pluginDirectory ? path.resolve(args.pluginDirectory) : baseConfig.pluginDirectory,
+    // Flags stand in for the .env file in headless mode.
+    configExists: true
+  };
+
+  const configStatus = await validateConfig(config);
+  if (!configStatus.valid) {
+    console.error(chalk.red(`❌ ${configStatus.message}`));
+    await logger.error(`Invalid configuration: ${configStatus.message}`);
+    return EXIT_CODES.INVALID_CONFIG;
+  }
+
+  const validation = await validateSubThemeDirectory(config.subthemeDirectory);
+  if (!validation.valid) {
+    console.error(chalk.red(`❌ ${validation.message}`));
+    return EXIT_CODES.INVALID_CONFIG;
+  }
+
+  // Steps are checked against the update plan once the versions are known,
+  // plugin steps can only be checked once the plugins are loaded.
+  try {
+    resolveSteps(args.steps, await getAvailableSteps(config));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    await logger.error(error.message);
+    return error.code === 'UNKNOWN_STEP' ? EXIT_CODES.INVALID_ARGUMENTS : EXIT_CODES.INVALID_CONFIG;
+  }
+
+  if (args.estimate) {
+    let steps;
+    try {
+      steps = resolveSteps(args.steps, (await planUpdate(config)).steps);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      return error.code === 'UNKNOWN_STEP' ? EXIT_CODES.INVALID_ARGUMENTS : EXIT_CODES.INVALID_CONFIG;
+    }
+    const estimate = await estimateUpdateCost(config, steps);
+    console.log(estimate ? `💰 Estimated AI usage: ${describeEstimate(estimate)}` : 'No AI requests will be made, enable description enrichment to use AI');
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (!args.yes && !args.dryRun) {
+    console.error(chalk.yellow(`⚠️  Refusing to ${args.rollback ? 'roll back' : 'modify'} ${config.subthemeDirectory} without --yes`));
+    await logger.warning('Update not confirmed, pass --yes to run in headless mode');
+    return EXIT_CODES.NOT_CONFIRMED;
+  }
+
+  if (args.rollback) {
+    try {
+      await rollbackUpdate(config);
+      return EXIT_CODES.SUCCESS;
+    } catch (error) {
+      console.error(chalk.red(`❌ Roll back failed: ${error.message}`));
+      await logger.error(`Roll back failed: ${error.message}`);
+      return EXIT_CODES.ERROR;
+    }
+  }
+
+  if (args.reset) {
+    await resetRunState(config.subthemeDirectory);
+    await logger.info('Update progress has been reset');
+  }
+
+  try {
+    await runUpdate({
+      config,
+      steps: args.steps,
+      dryRun: args.dryRun,
+      rerun: args.rerun,
+      allowDirty: args.allowDirty
+    });
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    await logger.error(`Update process failed: ${error.message}`);
+    if (error.code === 'DIRTY_WORKTREE') {
+      return EXIT_CODES.DIRTY_WORKTREE;
+    }
+    if (error.code === 'UNKNOWN_STEP') {
+      return EXIT_CODES.INVALID_ARGUMENTS;
+    }
+    if (['INVALID_CIVICTHEME_SOURCE', 'NO_MIGRATION_PATH', 'INVALID_PLUGIN'].includes(error.code)) {
+      return EXIT_CODES.INVALID_CONFIG;
+    }
+    if (error.step) {
+      return EXIT_CODES.STEP_FAILED_BASE + (getStepNumber(error.step.id) ?? 0);
+    }
+    return EXIT_CODES.ERROR;
+  }
+}
+
+export default {
+  EXIT_CODES,
+  isHeadless,
+  parseHeadlessArgs,
+  runHeadless
+};
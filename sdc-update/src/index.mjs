@@ -3,14 +3,21 @@
  * Main entry point for the SDC update tool.
  *
  * Provides a CLI interface for upgrading CivicTheme subthemes to use SDC.
+ * Pass `--headless` to run the update from flags without prompts.
  */
-import { select } from '@inquirer/prompts';
+import { select, confirm } from '@inquirer/prompts';
 import chalk from 'chalk';
 import fs from 'fs/promises';
 import path from 'path';
-import { validateConfig, loadConfig } from './lib/config.mjs';
+import { validateConfig, loadConfig, getComponentSelectionEnv } from './lib/config.mjs';
 import { configureApplication } from './wizard.mjs';
-import { runUpdate } from './update-runner.mjs';
+import { UPDATE_STEPS, runUpdate, planUpdate, describePlan, getRunState, skipStep, rollbackUpdate } from './update-runner.mjs';
+import { STEP_STATUS, getStepStatus, resetRunState } from './lib/run-state.mjs';
+import { estimateUpdateCost, describeEstimate } from './lib/estimate.mjs';
+import { getSelectionFromEnv, describeSelection } from '../scripts/lib/component-filter.mjs';
+import { loadSnapshot } from '../../shared/snapshot.mjs';
+import { describeSource } from '../../shared/civictheme-source.mjs';
+import { isHeadless, runHeadless } from './headless.mjs';
 import logger from './lib/logger.mjs';
 
 /**
@@ -27,8 +34,32 @@ async function showConfigStatus(configStatus) {
   if (configStatus.valid) {
     console.log(chalk.green('✅ Configuration is valid and ready for SDC update'));
     console.log(chalk.blue(`📁 Subtheme: ${config.subthemeDirectory}`));
-    console.log(chalk.blue(`🔑 API Key: ${'*'.repeat(4)}...${config.anthropicApiKey.slice(-4)}`));
-    console.log(chalk.blue(`🤖 Model: ${config.anthropicModel}`));
+    if (config.enrichDescriptions && config.llmProvider === 'anthropic') {
+      console.log(chalk.blue('✨ AI description enrichment: enabled'));
+      console.log(chalk.blue(`🔑 API Key: ${'*'.repeat(4)}...${config.anthropicApiKey.slice(-4)}`));
+      console.log(chalk.blue(`🤖 Model: ${config.anthropicModel}`));
+    } else if (config.enrichDescriptions) {
+      console.log(chalk.blue(`✨ AI description enrichment: enabled (${config.llmProvider})`));
+      console.log(chalk.blue(`🌐 Endpoint: ${config.llmBaseUrl || 'provider default'}`));
+      console.log(chalk.blue(`🤖 Model: ${config.llmModel || 'provider default'}`));
+    } else {
+      console.log(chalk.blue('✨ AI description enrichment: disabled (runs offline)'));
+    }
+    const selection = describeSelection(getSelectionFromEnv(getComponentSelectionEnv(config)));
+    if (selection) {
+      console.log(chalk.blue(`🎯 Components: ${selection}`));
+    }
+    console.log(chalk.blue(`📦 CivicTheme source: ${config.civicthemeSource ? describeSource(config.civicthemeSource) : 'CivicTheme repository at each target version'}`));
+    if (config.pluginDirectory) {
+      console.log(chalk.blue(`🔌 Plugins: ${config.pluginDirectory}`));
+    }
+    try {
+      const plan = await planUpdate(config);
+      console.log(chalk.blue(`🔖 ${describePlan(plan)}: ${plan.migrations.map(migration => migration.name).join(', ') || 'nothing to update'}`));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  ${error.message}`));
+    }
+    await showRunProgress(config);
   } else {
     console.log(chalk.yellow(`⚠️  ${configStatus.message}`));
     console.log(chalk.yellow('Please configure the application before running the update.'));
@@ -43,6 +74,174 @@ async function showConfigStatus(configStatus) {
   console.log(''); // Empty line for spacing
 }
 
+/**
+ * Get the steps of the planned update
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array<Object>>} Planned steps, the SDC update steps if there is no migration path
+ */
+async function getPlannedSteps(config) {
+  try {
+    return (await planUpdate(config)).steps;
+  } catch {
+    return UPDATE_STEPS;
+  }
+}
+
+/**
+ * Show the progress of the current update run, if one was started
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Promise<void>}
+ */
+async function showRunProgress(config) {
+  const state = await getRunState(config);
+  if (Object.keys(state.steps).length === 0) {
+    return;
+  }
+
+  const icons = {
+    [STEP_STATUS.PENDING]: '⚪',
+    [STEP_STATUS.RUNNING]: '⏸️ ',
+    [STEP_STATUS.COMPLETED]: '✅',
+    [STEP_STATUS.FAILED]: '❌',
+    [STEP_STATUS.SKIPPED]: '⏭️ '
+  };
+
+  console.log(chalk.white(`\n🧭 Update progress (last updated ${new Date(state.updatedAt).toLocaleString()}):`));
+  for (const step of await getPlannedSteps(config)) {
+    const status = getStepStatus(state, step.id);
+    console.log(chalk.gray(`  ${icons[status]} ${step.name} - ${status}`));
+  }
+}
+
+/**
+ * Re-run or skip a single update step chosen by the user
+ *
+ * @returns {Promise<void>}
+ */
+async function manageSteps() {
+  const config = await loadConfig();
+  const state = await getRunState(config);
+
+  const stepId = await select({
+    message: chalk.white('Select a step:'),
+    choices: [
+      ...(await getPlannedSteps(config)).map(step => ({
+        name: `${step.emoji} ${step.name} (${getStepStatus(state, step.id)})`,
+        value: step.id,
+        description: step.description
+      })),
+      { name: chalk.gray('↩️  Back'), value: 'back' }
+    ]
+  });
+
+  if (stepId === 'back') {
+    return;
+  }
+
+  const action = await select({
+    message: chalk.white('What would you like to do with this step?'),
+    choices: [
+      { name: chalk.green('🔁 Run this step again'), value: 'rerun' },
+      { name: chalk.yellow('⏭️  Skip this step in future runs'), value: 'skip' },
+      { name: chalk.gray('↩️  Back'), value: 'back' }
+    ]
+  });
+
+  if (action === 'rerun') {
+    await logger.info(`User selected: Re-run step ${stepId}`);
+    try {
+      await runUpdate({ steps: [stepId], rerun: true });
+    } catch (updateError) {
+      console.error(chalk.red(`\n❌ Step failed: ${updateError.message}\n`));
+      await logger.error(`Re-run of step ${stepId} failed: ${updateError.message}`);
+    }
+  } else if (action === 'skip') {
+    await logger.info(`User selected: Skip step ${stepId}`);
+    await skipStep(stepId, config);
+    console.log(chalk.yellow(`\n⏭️  Step ${stepId} will be skipped\n`));
+  }
+}
+
+/**
+ * Run the update, asking for confirmation if the git work tree is dirty
+ *
+ * When descriptions are enriched with AI, the estimated cost is shown and
+ * has to be confirmed first.
+ *
+ * @returns {Promise<boolean>} False if the user cancelled the update
+ */
+async function runUpdateWithConfirmation() {
+  const config = await loadConfig();
+  const estimate = await estimateUpdateCost(config, await getPlannedSteps(config));
+  if (estimate && estimate.components > 0) {
+    console.log(chalk.blue(`\n💰 Estimated AI usage: ${describeEstimate(estimate)}`));
+    const proceed = await confirm({
+      message: chalk.white('Continue with the update?'),
+      default: true
+    });
+
+    if (!proceed) {
+      console.log(chalk.yellow('\n⚪ Update cancelled by user\n'));
+      await logger.info('Update cancelled after the cost estimate');
+      return false;
+    }
+  }
+
+  try {
+    await runUpdate();
+  } catch (error) {
+    if (error.code !== 'DIRTY_WORKTREE') {
+      throw error;
+    }
+
+    console.log(chalk.yellow(`\n⚠️  ${error.message}`));
+    const proceed = await confirm({
+      message: chalk.white('Continue anyway? A tarball backup of the subtheme will be created first.'),
+      default: false
+    });
+
+    if (!proceed) {
+      console.log(chalk.yellow('\n⚪ Update cancelled by user\n'));
+      await logger.info('Update cancelled because of uncommitted changes');
+      return false;
+    }
+
+    await runUpdate({ allowDirty: true });
+  }
+
+  return true;
+}
+
+/**
+ * Roll back the last update after confirmation
+ *
+ * @returns {Promise<void>}
+ */
+async function rollbackLastUpdate() {
+  const config = await loadConfig();
+  const snapshot = await loadSnapshot(config.subthemeDirectory);
+  const location = snapshot.type === 'git' ? `git commit ${snapshot.commit.slice(0, 8)}` : snapshot.archive;
+
+  const proceed = await confirm({
+    message: chalk.yellow(`⚠️  Restore ${config.subthemeDirectory} from ${location}? All changes made since ${new Date(snapshot.createdAt).toLocaleString()} will be lost.`),
+    default: false
+  });
+
+  if (!proceed) {
+    console.log(chalk.yellow('\n⚪ Roll back cancelled by user\n'));
+    return;
+  }
+
+  try {
+    await rollbackUpdate(config);
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Roll back failed: ${error.message}\n`));
+    await logger.error(`Roll back failed: ${error.message}`);
+  }
+}
+
 /**
  * Show application version from package.json
  *
@@ -92,7 +291,38 @@ async function main() {
         choices.push({
           name: chalk.green('🚀 Run SDC update on configured subtheme'),
           value: 'run_update',
-          description: 'Start the update process for the configured subtheme'
+          description: 'Start the update process, or resume it from the first step that has not completed'
+        });
+        choices.push({
+          name: chalk.magenta('🔍 Preview SDC update (dry run)'),
+          value: 'dry_run',
+          description: 'Run the update against a staged copy and show a diff without modifying the subtheme'
+        });
+      }
+
+      // Add step management options once an update has been started
+      if (configStatus.valid) {
+        const state = await getRunState(await loadConfig());
+        if (Object.keys(state.steps).length > 0) {
+          choices.push({
+            name: chalk.cyan('🔁 Re-run or skip individual steps'),
+            value: 'manage_steps',
+            description: 'Run a single step again or mark it as skipped'
+          });
+          choices.push({
+            name: chalk.gray('🗑️  Reset update progress'),
+            value: 'reset_progress',
+            description: 'Forget completed steps so the next update starts from step 1'
+          });
+        }
+      }
+
+      // Add roll back option if an update snapshot exists
+      if (configStatus.valid && await loadSnapshot((await loadConfig()).subthemeDirectory)) {
+        choices.push({
+          name: chalk.yellow('⏪ Roll back last upgrade'),
+          value: 'rollback',
+          description: 'Restore the subtheme from the snapshot taken before the last update'
         });
       }
 
@@ -121,7 +351,9 @@ async function main() {
         case 'run_update':
           await logger.info('User selected: Run SDC update');
           try {
-            await runUpdate();
+            if (!await runUpdateWithConfirmation()) {
+              break;
+            }
             // Show a prompt to return to main menu after update
             console.log(chalk.green('\n✅ Update completed! Press Enter to return to the main menu...'));
             await new Promise(resolve => {
@@ -142,6 +374,33 @@ async function main() {
           }
           break;
 
+        case 'dry_run':
+          await logger.info('User selected: Preview SDC update (dry run)');
+          try {
+            await runUpdate({ dryRun: true });
+          } catch (updateError) {
+            console.error(chalk.red(`\n❌ Dry run failed: ${updateError.message}\n`));
+            console.log(chalk.yellow(`Please check the logs at: ${logger.getCurrentLogFilePath()}`));
+            await logger.error(`Dry run failed: ${updateError.message}`);
+          }
+          break;
+
+        case 'manage_steps':
+          await logger.info('User selected: Re-run or skip individual steps');
+          await manageSteps();
+          break;
+
+        case 'reset_progress':
+          await logger.info('User selected: Reset update progress');
+          await resetRunState((await loadConfig()).subthemeDirectory);
+          console.log(chalk.yellow('\n🗑️  Update progress has been reset\n'));
+          break;
+
+        case 'rollback':
+          await logger.info('User selected: Roll back last upgrade');
+          await rollbackLastUpdate();
+          break;
+
         case 'configure_application':
           await logger.info('User selected: Configure application');
           await configureApplication();
@@ -166,7 +425,17 @@ async function main() {
 }
 
 // Run the application
-main().catch((error) => {
-  console.error(chalk.red(`\n❌ Fatal error: ${error.message}\n`));
-  process.exit(1);
-});
+const argv = process.argv.slice(2);
+if (isHeadless(argv)) {
+  runHeadless(argv)
+    .then((exitCode) => process.exit(exitCode))
+    .catch((error) => {
+      console.error(chalk.red(`\n❌ Fatal error: ${error.message}\n`));
+      process.exit(1);
+    });
+} else {
+  main().catch((error) => {
+    console.error(chalk.red(`\n❌ Fatal error: ${error.message}\n`));
+    process.exit(1);
+  });
+}
@@ -6,6 +6,7 @@
  */
 import fs from 'fs/promises';
 import dotenv from 'dotenv';
+import { providerRequiresApiKey } from '../../../shared/llm-providers/index.mjs';
 // Path not currently used but may be needed for future file operations
 import _path from 'path';
 
@@ -18,33 +19,51 @@ const ENV_FILE_PATH = '.env';
  * @returns {Object} Configuration object with key-value pairs from .env file
  */
 export async function loadConfig() {
+  let configExists = true;
   try {
     await fs.access(ENV_FILE_PATH);
+  } catch (error) {
+    // Without a .env file the defaults are used. Values passed through the
+    // environment (e.g. by the update runner in headless mode) are still
+    // honoured.
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    configExists = false;
+  }
+
+  if (configExists) {
     // Parse .env file
     const envConfig = dotenv.config({ path: ENV_FILE_PATH });
 
     if (envConfig.error) {
       throw new Error(`Error parsing .env file: ${envConfig.error.message}`);
     }
-
-    return {
-      subthemeDirectory: process.env.SUBTHEME_DIRECTORY || '',
-      anthropicApiKey: process.env.ANTHROPIC_API_KEY || '',
-      anthropicModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
-      configExists: true
-    };
-  } catch (error) {
-    // If .env file doesn't exist or can't be accessed, return default values
-    if (error.code === 'ENOENT') {
-      return {
-        subthemeDirectory: '',
-        anthropicApiKey: '',
-        anthropicModel: 'claude-3-5-sonnet-20241022',
-        configExists: false
-      };
-    }
-    throw error;
   }
+
+  return {
+    subthemeDirectory: process.env.SUBTHEME_DIRECTORY || '',
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY || '',
+    anthropicModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
+    enrichDescriptions: process.env.ENRICH_DESCRIPTIONS === 'true',
+    llmProvider: process.env.LLM_PROVIDER || 'anthropic',
+    llmBaseUrl: process.env.LLM_BASE_URL || '',
+    llmModel: process.env.LLM_MODEL || '',
+    llmCacheMode: process.env.LLM_CACHE_MODE || 'read-write',
+    llmMaxAttempts: process.env.LLM_MAX_ATTEMPTS || '',
+    componentInclude: process.env.COMPONENT_INCLUDE || '',
+    componentExclude: process.env.COMPONENT_EXCLUDE || '',
+    componentChangedSince: process.env.COMPONENT_CHANGED_SINCE || '',
+    componentForce: process.env.COMPONENT_FORCE === 'true',
+    componentLimit: process.env.COMPONENT_LIMIT || '',
+    civicthemeSource: process.env.CIVICTHEME_SOURCE || '',
+    civicthemeBaseSource: process.env.CIVICTHEME_BASE_SOURCE || '',
+    conflictStyle: process.env.STARTER_KIT_CONFLICT_STYLE || 'markers',
+    currentVersion: process.env.CIVICTHEME_CURRENT_VERSION || '',
+    targetVersion: process.env.CIVICTHEME_TARGET_VERSION || '',
+    pluginDirectory: process.env.SDC_PLUGIN_DIRECTORY || '',
+    configExists
+  };
 }
 
 /**
@@ -54,24 +73,61 @@ export async function loadConfig() {
  * @returns {Promise<void>}
  */
 export async function saveConfig(config) {
-  const { subthemeDirectory, anthropicApiKey, anthropicModel } = config;
+  const { subthemeDirectory, anthropicApiKey, anthropicModel, enrichDescriptions, llmProvider, llmBaseUrl, llmModel } = config;
+  const { llmCacheMode, llmMaxAttempts } = config;
+  const { componentInclude, componentExclude, componentChangedSince, componentForce, componentLimit, civicthemeSource } = config;
+  const { civicthemeBaseSource, conflictStyle, currentVersion, targetVersion, pluginDirectory } = config;
 
   // Prepare .env content
   const envContent = `SUBTHEME_DIRECTORY=${subthemeDirectory || ''}
 ANTHROPIC_API_KEY=${anthropicApiKey || ''}
-ANTHROPIC_MODEL=${anthropicModel || 'claude-3-5-sonnet-20241022'}`;
+ANTHROPIC_MODEL=${anthropicModel || 'claude-3-5-sonnet-20241022'}
+ENRICH_DESCRIPTIONS=${enrichDescriptions ? 'true' : 'false'}
+LLM_PROVIDER=${llmProvider || 'anthropic'}
+LLM_BASE_URL=${llmBaseUrl || ''}
+LLM_MODEL=${llmModel || ''}
+LLM_CACHE_MODE=${llmCacheMode || 'read-write'}
+LLM_MAX_ATTEMPTS=${llmMaxAttempts || ''}
+COMPONENT_INCLUDE=${componentInclude || ''}
+COMPONENT_EXCLUDE=${componentExclude || ''}
+COMPONENT_CHANGED_SINCE=${componentChangedSince || ''}
+COMPONENT_FORCE=${componentForce ? 'true' : 'false'}
+COMPONENT_LIMIT=${componentLimit || ''}
+CIVICTHEME_SOURCE=${civicthemeSource || ''}
+CIVICTHEME_BASE_SOURCE=${civicthemeBaseSource || ''}
+STARTER_KIT_CONFLICT_STYLE=${conflictStyle || 'markers'}
+CIVICTHEME_CURRENT_VERSION=${currentVersion || ''}
+CIVICTHEME_TARGET_VERSION=${targetVersion || ''}
+SDC_PLUGIN_DIRECTORY=${pluginDirectory || ''}`;
 
   // Write to .env file
   await fs.writeFile(ENV_FILE_PATH, envContent, 'utf8');
 }
 
+/**
+ * Get the environment variables that select the components to process
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Object<string, string>} Environment variables for the update scripts
+ */
+export function getComponentSelectionEnv(config) {
+  return {
+    COMPONENT_INCLUDE: config.componentInclude || '',
+    COMPONENT_EXCLUDE: config.componentExclude || '',
+    COMPONENT_CHANGED_SINCE: config.componentChangedSince || '',
+    COMPONENT_FORCE: config.componentForce ? 'true' : 'false',
+    COMPONENT_LIMIT: String(config.componentLimit || '')
+  };
+}
+
 /**
  * Check if configuration exists and is valid
  *
+ * @param {Object|null} config - Configuration to validate, loaded from .env when omitted
  * @returns {Promise<{valid: boolean, message: string}>} Validation result and message
  */
-export async function validateConfig() {
-  const config = await loadConfig();
+export async function validateConfig(config = null) {
+  config = config || await loadConfig();
 
   if (!config.configExists) {
     return {
@@ -87,10 +143,11 @@ export async function validateConfig() {
     };
   }
 
-  if (!config.anthropicApiKey) {
+  // The API key is only used to enrich component descriptions with a hosted model.
+  if (config.enrichDescriptions && providerRequiresApiKey(config.llmProvider) && !config.anthropicApiKey) {
     return {
       valid: false,
-      message: 'Anthropic API key not configured. Please configure the application first.'
+      message: 'Anthropic API key not configured. Set an API key or disable AI description enrichment.'
     };
   }
 
@@ -109,5 +166,6 @@ export async function validateConfig() {
 export default {
   loadConfig,
   saveConfig,
+  getComponentSelectionEnv,
   validateConfig
 };
@@ -0,0 +1,102 @@
+/**
+ * @file
+ * Cost estimate module for SDC update tool.
+ *
+ * Estimates the tokens and cost of the AI requests an update will make from
+ * the size of the files that are sent, so a run can be budgeted before it
+ * starts. Only component schema generation with description enrichment uses
+ * AI.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { getAllComponentFiles } from '../../scripts/lib/components.mjs';
+import { getSelectionFromEnv, selectComponentFiles } from '../../scripts/lib/component-filter.mjs';
+import { getComponentSelectionEnv } from './config.mjs';
+import { estimateCost, estimateTokens, formatCost, loadPriceTable } from '../../../shared/llm-providers/index.mjs';
+
+// The step that sends templates to the LLM.
+const ENRICHMENT_STEP = 'step3';
+
+// Characters of the system prompt and instructions sent with every template.
+const PROMPT_CHARACTERS = 1500;
+
+// The generated definition is sent along with the template, and the response
+// holds a title and description per prop. Both are estimated from the
+// template size.
+const DEFINITION_RATIO = 0.5;
+const RESPONSE_RATIO = 0.4;
+
+/**
+ * Get the model the update uses
+ *
+ * @param {Object} config - Configuration object
+ * @returns {string} Model name
+ */
+function getConfiguredModel(config) {
+  return config.llmProvider && config.llmProvider !== 'anthropic' ? config.llmModel : config.anthropicModel;
+}
+
+/**
+ * Estimate the AI usage and cost of an update
+ *
+ * Only the selected components are counted, components that already have a
+ * component.yml are skipped by the update unless they are regenerated.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Array<Object>} steps - Update steps that will run
+ * @returns {Promise<Object|null>} Estimate with `components`, `model`, `usage` and `cost`, or null if no AI requests will be made
+ */
+export async function estimateUpdateCost(config, steps) {
+  if (!config.enrichDescriptions || !steps.some(step => step.id === ENRICHMENT_STEP)) {
+    return null;
+  }
+
+  const componentsDirectory = path.join(config.subthemeDirectory, 'components');
+  const selection = getSelectionFromEnv(getComponentSelectionEnv(config));
+  let templates = [];
+  try {
+    ({ selected: templates } = await selectComponentFiles((await getAllComponentFiles(componentsDirectory)).sort(), componentsDirectory, selection));
+  } catch (error) {
+    return null;
+  }
+
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let components = 0;
+  for (const template of templates) {
+    if (selection.limit && components >= selection.limit) {
+      break;
+    }
+    const processed = await fs.access(template.replace('.twig', '.component.yml')).then(() => true, () => false);
+    if (processed && !selection.force) {
+      continue;
+    }
+    const { size } = await fs.stat(template);
+    usage.inputTokens += estimateTokens(PROMPT_CHARACTERS + size * (1 + DEFINITION_RATIO));
+    usage.outputTokens += estimateTokens(size * RESPONSE_RATIO);
+    components++;
+  }
+
+  const model = getConfiguredModel(config);
+  return {
+    components,
+    model,
+    usage,
+    cost: estimateCost(usage, model, loadPriceTable())
+  };
+}
+
+/**
+ * Describe an estimate in one line
+ *
+ * @param {Object} estimate - Estimate from estimateUpdateCost()
+ * @returns {string} Description of the estimate
+ */
+export function describeEstimate(estimate) {
+  const { components, model, usage, cost } = estimate;
+  return `${components} components to enrich with ${model || 'the configured model'}: ~${usage.inputTokens} input and ~${usage.outputTokens} output tokens, estimated cost ${formatCost(cost)}`;
+}
+
+export default {
+  estimateUpdateCost,
+  describeEstimate
+};
@@ -0,0 +1,244 @@
+/**
+ * @file
+ * Migration registry for SDC update tool.
+ *
+ * A migration upgrades a subtheme from one CivicTheme version to the next and
+ * is made of update steps, see steps.mjs for the contract a step implements.
+ * Upgrading across several versions runs the chain of migrations between the
+ * current and the target version in order.
+ */
+import fs from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { compareVersions, normalizeVersion } from '../../../shared/civictheme-version.mjs';
+import { createScriptStep, findMissingFiles } from './steps.mjs';
+import updateThemeStep from '../steps/update-theme.mjs';
+import cleanupStep from '../steps/cleanup.mjs';
+
+// Packages the scripts of the Storybook v8 update tool load from its node_modules.
+const STORYBOOK_TOOL_DIRECTORY = '../storybook-v8-update';
+const STORYBOOK_TOOL_PACKAGES = ['@babel/generator', '@babel/parser', '@babel/traverse', '@babel/types', 'glob', 'js-yaml'];
+
+/**
+ * Check that the dependencies of the Storybook v8 update tool are installed
+ *
+ * @returns {Array<string>} Problems, empty if every package resolves
+ */
+function findMissingStorybookToolPackages() {
+  const require = createRequire(path.resolve(STORYBOOK_TOOL_DIRECTORY, 'package.json'));
+  const missing = STORYBOOK_TOOL_PACKAGES.filter(name => {
+    try {
+      require.resolve(name);
+      return false;
+    } catch {
+      return true;
+    }
+  });
+  return missing.length > 0
+    ? [`The Storybook v8 update tool is missing ${missing.join(', ')}, run npm install in ${STORYBOOK_TOOL_DIRECTORY}`]
+    : [];
+}
+
+export const UPDATE_STEPS = [
+  createScriptStep({
+    id: 'step1',
+    name: 'Update Storybook configuration',
+    emoji: '📚',
+    script: './scripts/step1-update-storybook.sh',
+    usesSource: true,
+    usesBaseSource: true,
+    description: 'Merges the Storybook configuration and build files of the starter kit, keeping customisations',
+    detail: 'This step updates the Storybook configuration to be compatible with Single Directory Components',
+    verify: context => findMissingFiles(context.subthemeDirectory, ['.storybook/preview.js', '.storybook/sdc-plugin.js', 'build.js', 'vite.config.js'], 'subtheme')
+  }),
+  updateThemeStep,
+  createScriptStep({
+    id: 'step3',
+    name: 'Generate Component YML from Twig templates',
+    emoji: '🧠',
+    script: './scripts/step4-generate-component-schema.mjs',
+    usesSource: true,
+    description: 'Extracts props from Twig templates to generate component YML, optionally enriching descriptions with Claude AI',
+    detail: 'Statically analyzes component templates to create the schemas that define component properties',
+    // Every template reported as processed must have its component.yml.
+    verify: (context, result) => (result.report?.successful || [])
+      .map(file => path.resolve(context.subthemeDirectory, 'components', file).replace(/\.twig$/, '.component.yml'))
+      .filter(file => !fs.existsSync(file))
+      .map(file => `${path.relative(context.subthemeDirectory, file)} was not written`)
+  }),
+  createScriptStep({
+    id: 'storybook-args',
+    name: 'Generate story argTypes from component YML',
+    emoji: '🧩',
+    script: `${STORYBOOK_TOOL_DIRECTORY}/scripts/generate-arg-types.mjs`,
+    description: 'Writes the argTypes and args of each story from the props of its component YML',
+    detail: 'Enums become radio or select controls, booleans boolean controls, descriptions are shown in the docs and defaults become args, other argTypes are kept',
+    preconditions: findMissingStorybookToolPackages
+  }),
+  cleanupStep
+];
+
+export const MIGRATIONS = [
+  {
+    id: 'storybook-v8',
+    name: 'Storybook v8 and Vite build',
+    from: '1.9.0',
+    to: '1.10.0',
+    // Starter kit files the steps copy, checked before the migration runs.
+    sourceFiles: [
+      'civictheme_starter_kit/.storybook',
+      'civictheme_starter_kit/package.json',
+      'civictheme_starter_kit/build.js',
+      'civictheme_starter_kit/vite.config.js',
+      'civictheme_starter_kit/.nvmrc'
+    ],
+    steps: [
+      createScriptStep({
+        id: 'storybook',
+        name: 'Update build system and Storybook configuration',
+        emoji: '🔧',
+        script: '../storybook-v8-update/scripts/update-build-and-storybook.sh',
+        usesSource: true,
+        usesBaseSource: true,
+        description: 'Replaces the webpack build and Storybook 6 configuration with the Vite build and Storybook 8',
+        detail: 'Merges the build files and Storybook configuration of the starter kit, stories still have to be converted from knobs to controls with the Storybook v8 update tool',
+        verify: context => findMissingFiles(context.subthemeDirectory, ['.storybook', 'build.js', 'vite.config.js', 'package.json'], 'subtheme')
+      })
+    ]
+  },
+  {
+    id: 'sdc',
+    name: 'Single Directory Components',
+    from: '1.10.0',
+    to: '1.11.0',
+    sourceFiles: [
+      'civictheme_starter_kit/civictheme_starter_kit.info.yml',
+      'civictheme_starter_kit/civictheme_starter_kit.libraries.yml',
+      'civictheme_starter_kit/package.json',
+      'civictheme_starter_kit/.storybook/preview.js',
+      'civictheme_starter_kit/.storybook/sdc-plugin.js',
+      'civictheme_starter_kit/build.js',
+      'civictheme_starter_kit/vite.config.js'
+    ],
+    steps: UPDATE_STEPS
+  }
+];
+
+// Steps are identified by id across migrations, so ids have to be unique.
+const stepIds = MIGRATIONS.flatMap(migration => migration.steps.map(step => step.id));
+if (new Set(stepIds).size !== stepIds.length) {
+  throw new Error(`Migration step ids must be unique: ${stepIds.join(', ')}`);
+}
+
+// Fixed step numbers, the update steps first and then the steps of the other
+// migrations, so a number does not depend on which steps were selected.
+const STEP_NUMBERS = new Map(
+  [...new Set([...UPDATE_STEPS.map(step => step.id), ...stepIds])].map((id, index) => [id, index + 1])
+);
+
+/**
+ * Get the fixed number of a migration step
+ *
+ * @param {string} stepId - Step id
+ * @returns {number|null} Step number starting at 1, null for steps of plugins
+ */
+export function getStepNumber(stepId) {
+  return STEP_NUMBERS.get(stepId) ?? null;
+}
+
+/**
+ * Get the migration steps by their fixed number
+ *
+ * @returns {Array<{number: number, id: string}>} Steps, lowest number first
+ */
+export function getNumberedSteps() {
+  return [...STEP_NUMBERS].map(([id, number]) => ({ number, id }));
+}
+
+/**
+ * Get the versions a subtheme can be upgraded to
+ *
+ * @param {Array<Object>} [migrations] - Migration registry
+ * @returns {Array<string>} Target versions, lowest first
+ */
+export function getTargetVersions(migrations = MIGRATIONS) {
+  return [...new Set(migrations.map(migration => migration.to))].sort(compareVersions);
+}
+
+/**
+ * Get the latest version a subtheme can be upgraded to
+ *
+ * @param {Array<Object>} [migrations] - Migration registry
+ * @returns {string} Latest target version
+ */
+export function getLatestVersion(migrations = MIGRATIONS) {
+  return getTargetVersions(migrations).pop();
+}
+
+/**
+ * Compute the chain of migrations between two versions
+ *
+ * A migration is part of the chain if its target is above the current
+ * version and at most the target version. Every migration in the chain must
+ * start at or below the version the previous one ended at, so no version is
+ * skipped.
+ *
+ * @param {string} currentVersion - Version the subtheme is on
+ * @param {string} targetVersion - Version to upgrade to
+ * @param {Array<Object>} [migrations] - Migration registry
+ * @returns {Array<Object>} Migrations to run in order, empty if the subtheme is already on the target version
+ * @throws {Error} If a version is invalid or there is no path between the versions, with `error.code` NO_MIGRATION_PATH
+ */
+export function planMigrations(currentVersion, targetVersion, migrations = MIGRATIONS) {
+  const current = normalizeVersion(currentVersion);
+  const target = normalizeVersion(targetVersion);
+  if (!current || !target) {
+    const error = new Error(`Invalid CivicTheme version: ${current ? targetVersion : currentVersion}`);
+    error.code = 'NO_MIGRATION_PATH';
+    throw error;
+  }
+  if (!getTargetVersions(migrations).includes(target)) {
+    const error = new Error(`No migration to CivicTheme ${target}. Available versions: ${getTargetVersions(migrations).join(', ')}`);
+    error.code = 'NO_MIGRATION_PATH';
+    throw error;
+  }
+
+  const chain = migrations
+    .filter(migration => compareVersions(migration.to, current) > 0 && compareVersions(migration.to, target) <= 0)
+    .sort((a, b) => compareVersions(a.to, b.to));
+
+  let version = current;
+  for (const migration of chain) {
+    if (compareVersions(migration.from, version) > 0) {
+      const error = new Error(`No migration from CivicTheme ${version} to ${migration.from}, upgrade the subtheme to ${migration.from} first`);
+      error.code = 'NO_MIGRATION_PATH';
+      throw error;
+    }
+    version = migration.to;
+  }
+
+  return chain;
+}
+
+/**
+ * Get the steps of a chain of migrations
+ *
+ * Each step is returned with the migration it belongs to.
+ *
+ * @param {Array<Object>} chain - Migrations from planMigrations()
+ * @returns {Array<Object>} Steps in the order they run
+ */
+export function getMigrationSteps(chain) {
+  return chain.flatMap(migration => migration.steps.map(step => ({ ...step, migration })));
+}
+
+export default {
+  UPDATE_STEPS,
+  MIGRATIONS,
+  getTargetVersions,
+  getLatestVersion,
+  getStepNumber,
+  getNumberedSteps,
+  planMigrations,
+  getMigrationSteps
+};
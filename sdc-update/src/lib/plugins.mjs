@@ -0,0 +1,150 @@
+/**
+ * @file
+ * Plugin loader for SDC update tool.
+ *
+ * Projects add their own update steps with plugins in a local directory. Every
+ * `.mjs` file in the directory is a plugin that exports `{ steps: [...] }` by
+ * default. A plugin step implements the step contract, or sets a `script` to
+ * run instead of apply(), relative to the plugin file. Steps are placed
+ * `after` or `before` a step of the migrations, steps without either run at
+ * the end of the update.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { defineStep, createScriptStep } from './steps.mjs';
+
+/**
+ * Create an invalid plugin error
+ *
+ * @param {string} message - Error message
+ * @returns {Error} Error with `error.code` INVALID_PLUGIN
+ */
+function invalidPlugin(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PLUGIN';
+  return error;
+}
+
+/**
+ * Create a step from a plugin step definition
+ *
+ * @param {Object} definition - Plugin step definition
+ * @param {string} pluginFile - Path of the plugin file
+ * @returns {Object} Update step with the plugin it came from
+ * @throws {Error} If the definition is invalid, with `error.code` INVALID_PLUGIN
+ */
+function createPluginStep(definition, pluginFile) {
+  const { after, before, ...step } = definition;
+  if (after && before) {
+    throw invalidPlugin(`Plugin ${path.basename(pluginFile)}: step ${step.id} can be placed either after or before a step, not both`);
+  }
+
+  try {
+    const pluginStep = step.script
+      ? createScriptStep({ ...step, script: path.resolve(path.dirname(pluginFile), step.script) })
+      : defineStep(step);
+    return { ...pluginStep, after, before, plugin: path.basename(pluginFile) };
+  } catch (error) {
+    throw invalidPlugin(`Plugin ${path.basename(pluginFile)}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the steps of the plugins in a directory
+ *
+ * Plugins are loaded in file name order, and their steps keep the order they
+ * are listed in.
+ *
+ * @param {string} directory - Plugin directory
+ * @param {Array<string>} [stepIds] - Ids of the migration steps, which plugin steps cannot reuse and can be placed next to
+ * @returns {Promise<Array<Object>>} Plugin steps
+ * @throws {Error} If the directory or a plugin cannot be loaded, with `error.code` INVALID_PLUGIN
+ */
+export async function loadPlugins(directory, stepIds = []) {
+  const pluginDirectory = path.resolve(directory);
+  let files;
+  try {
+    files = (await fs.readdir(pluginDirectory)).filter(file => file.endsWith('.mjs')).sort();
+  } catch (error) {
+    throw invalidPlugin(`Could not read plugin directory ${directory}: ${error.message}`);
+  }
+
+  const steps = [];
+  for (const file of files) {
+    const pluginFile = path.join(pluginDirectory, file);
+    let plugin;
+    try {
+      plugin = (await import(pathToFileURL(pluginFile).href)).default;
+    } catch (error) {
+      throw invalidPlugin(`Could not load plugin ${file}: ${error.message}`);
+    }
+    if (!plugin || !Array.isArray(plugin.steps)) {
+      throw invalidPlugin(`Plugin ${file} must export { steps: [...] } by default`);
+    }
+
+    for (const definition of plugin.steps) {
+      const step = createPluginStep(definition, pluginFile);
+      if (stepIds.includes(step.id) || steps.some(existing => existing.id === step.id)) {
+        throw invalidPlugin(`Plugin ${file}: step id ${step.id} is already used`);
+      }
+      const anchor = step.after || step.before;
+      if (anchor && !stepIds.includes(anchor) && !steps.some(existing => existing.id === anchor)) {
+        throw invalidPlugin(`Plugin ${file}: step ${step.id} is placed next to unknown step ${anchor}`);
+      }
+      steps.push(step);
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Insert plugin steps into the steps of an update plan
+ *
+ * A plugin step belongs to the migration of the step it is placed next to,
+ * steps without a place belong to the last migration. Steps placed next to a
+ * step that is not part of the plan are left out.
+ *
+ * @param {Array<Object>} steps - Steps of the planned migrations
+ * @param {Array<Object>} pluginSteps - Steps from loadPlugins()
+ * @returns {{steps: Array<Object>, excluded: Array<Object>}} Steps with the plugin steps, and the plugin steps that were left out
+ */
+export function insertPluginSteps(steps, pluginSteps) {
+  const result = [...steps];
+  const excluded = [];
+
+  for (const pluginStep of pluginSteps) {
+    const anchor = pluginStep.after || pluginStep.before;
+    if (!anchor) {
+      if (result.length === 0) {
+        excluded.push(pluginStep);
+      } else {
+        result.push({ ...pluginStep, migration: result[result.length - 1].migration });
+      }
+      continue;
+    }
+
+    let index = result.findIndex(step => step.id === anchor);
+    if (index === -1) {
+      excluded.push(pluginStep);
+      continue;
+    }
+    const migration = result[index].migration;
+    if (pluginStep.after) {
+      // Keep the order of several steps placed after the same step.
+      index++;
+      while (result[index]?.plugin && result[index].after === anchor) {
+        index++;
+      }
+    }
+    result.splice(index, 0, { ...pluginStep, migration });
+  }
+
+  return { steps: result, excluded };
+}
+
+export default {
+  loadPlugins,
+  insertPluginSteps
+};
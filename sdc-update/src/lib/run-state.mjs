@@ -0,0 +1,152 @@
+/**
+ * @file
+ * Run state module for SDC update tool.
+ *
+ * Persists the status of each update step per subtheme so an interrupted or
+ * failed update can be resumed without re-applying completed steps.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Default run state directory
+const STATE_DIR = '.run-state';
+
+// Step statuses stored in the run state
+export const STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Hash the inputs of an update run
+ *
+ * A stored run state is only resumed when the inputs have not changed.
+ *
+ * @param {Object} inputs - Values that affect the outcome of the update
+ * @returns {string} SHA-256 hash of the inputs
+ */
+export function hashInputs(inputs) {
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+/**
+ * Get the run state file path for a subtheme
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @returns {string} Path to the run state file
+ */
+export function getStateFilePath(subthemeDirectory) {
+  const resolved = path.resolve(subthemeDirectory);
+  const suffix = crypto.createHash('sha1').update(resolved).digest('hex').slice(0, 8);
+  return path.join(STATE_DIR, `${path.basename(resolved)}-${suffix}.json`);
+}
+
+/**
+ * Create an empty run state
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @param {string} inputsHash - Hash of the run inputs
+ * @returns {Object} Run state
+ */
+export function createRunState(subthemeDirectory, inputsHash) {
+  const now = new Date().toISOString();
+  return {
+    subthemeDirectory: path.resolve(subthemeDirectory),
+    inputsHash,
+    createdAt: now,
+    updatedAt: now,
+    steps: {}
+  };
+}
+
+/**
+ * Load the run state for a subtheme
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @returns {Promise<Object|null>} Stored run state or null if there is none
+ */
+export async function loadRunState(subthemeDirectory) {
+  try {
+    const content = await fs.readFile(getStateFilePath(subthemeDirectory), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save a run state
+ *
+ * @param {Object} state - Run state to save
+ * @returns {Promise<void>}
+ */
+export async function saveRunState(state) {
+  state.updatedAt = new Date().toISOString();
+  await fs.mkdir(STATE_DIR, { recursive: true });
+  await fs.writeFile(getStateFilePath(state.subthemeDirectory), JSON.stringify(state, null, 2), 'utf8');
+}
+
+/**
+ * Remove the run state for a subtheme
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @returns {Promise<void>}
+ */
+export async function resetRunState(subthemeDirectory) {
+  await fs.rm(getStateFilePath(subthemeDirectory), { force: true });
+}
+
+/**
+ * Get the status of a step
+ *
+ * @param {Object|null} state - Run state
+ * @param {string} stepId - Step id
+ * @returns {string} Step status
+ */
+export function getStepStatus(state, stepId) {
+  return state?.steps[stepId]?.status || STEP_STATUS.PENDING;
+}
+
+/**
+ * Update the status of a step
+ *
+ * @param {Object} state - Run state
+ * @param {string} stepId - Step id
+ * @param {string} status - New status from STEP_STATUS
+ * @param {Object} details - Additional details to store, e.g. an error message
+ * @returns {Object} Updated step entry
+ */
+export function markStep(state, stepId, status, details = {}) {
+  const now = new Date().toISOString();
+  const entry = { ...(state.steps[stepId] || {}), status, ...details };
+
+  if (status === STEP_STATUS.RUNNING) {
+    entry.startedAt = now;
+    delete entry.finishedAt;
+    delete entry.error;
+  } else {
+    entry.finishedAt = now;
+  }
+
+  state.steps[stepId] = entry;
+  return entry;
+}
+
+export default {
+  STEP_STATUS,
+  hashInputs,
+  getStateFilePath,
+  createRunState,
+  loadRunState,
+  saveRunState,
+  resetRunState,
+  getStepStatus,
+  markStep
+};
@@ -0,0 +1,170 @@
+/**
+ * @file
+ * Script runner for SDC update tool.
+ *
+ * Runs the shell and Node.js update scripts as child processes and collects
+ * their output and reports.
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import chalk from 'chalk';
+import logger from './logger.mjs';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Show a progress bar for the update process
+ *
+ * @param {number} current - Current step number (1-based)
+ * @param {number} total - Total number of steps
+ * @param {string} stepName - Name of the current step
+ * @returns {string} Formatted progress bar string
+ */
+export function progressBar(current, total, stepName) {
+  const barWidth = 40;
+  const progress = Math.min(current / total, 1);
+  const filledWidth = Math.round(barWidth * progress);
+  const emptyWidth = barWidth - filledWidth;
+
+  const filled = '█'.repeat(filledWidth);
+  const empty = '░'.repeat(emptyWidth);
+  const percentage = Math.round(progress * 100);
+
+  return `${filled}${empty} ${percentage}% | Step ${current}/${total}: ${stepName}`;
+}
+
+/**
+ * Read the report a script wrote to SDC_STEP_REPORT_FILE
+ *
+ * @param {string} reportPath - Path of the report file
+ * @returns {Promise<Object|null>} Parsed report, or null if the script did not write one
+ */
+async function readStepReport(reportPath) {
+  try {
+    return JSON.parse(await fs.readFile(reportPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      await logger.warning(`Could not read step report ${reportPath}: ${error.message}`);
+    }
+    return null;
+  } finally {
+    await fs.rm(reportPath, { force: true });
+  }
+}
+
+/**
+ * Run a script and capture its output with detailed logging
+ *
+ * Scripts can write a JSON report to the path in SDC_STEP_REPORT_FILE, and
+ * print `[n/total]` progress lines that are shown while the script runs.
+ *
+ * @param {string} scriptPath - Path to the script to run
+ * @param {Object} env - Environment variables to pass to the script
+ * @param {Object} stepInfo - Information about the current step
+ * @returns {Promise<{stdout: string, stderr: string, executionTime: string, report: Object|null}>} - Script output and report
+ */
+export async function runScript(scriptPath, env = {}, stepInfo = {}) {
+  const { stepNumber, totalSteps } = stepInfo;
+  const reportPath = path.join(os.tmpdir(), `sdc-step-report-${process.pid}-${Date.now()}.json`);
+
+  try {
+    // Log script execution
+    await logger.info(`Executing script: ${scriptPath}`);
+
+    // Check if script exists
+    try {
+      await fs.access(scriptPath);
+      await logger.debug(`Script exists: ${scriptPath}`);
+    } catch (error) {
+      await logger.error(`Script not found: ${scriptPath}`);
+      throw new Error(`Script not found: ${scriptPath}`);
+    }
+
+    // Determine if script is executable or needs an interpreter
+    const isJsModule = scriptPath.endsWith('.mjs');
+    const isShellScript = scriptPath.endsWith('.sh');
+
+    let command;
+    let args = [];
+
+    if (isJsModule) {
+      command = 'node';
+      args = [scriptPath];
+      await logger.debug(`Running as Node.js module: ${command} ${args.join(' ')}`);
+    } else if (isShellScript) {
+      command = 'bash';
+      args = [scriptPath];
+      await logger.debug(`Running as shell script: ${command} ${args.join(' ')}`);
+    } else {
+      await logger.error(`Unsupported script type: ${scriptPath}`);
+      throw new Error(`Unsupported script type: ${scriptPath}`);
+    }
+
+    // Merge process.env with provided env variables
+    const scriptEnv = { ...process.env, ...env, SDC_STEP_REPORT_FILE: reportPath };
+    await logger.debug(`Script environment prepared with ${Object.keys(env).length} custom variables`);
+
+    // Print updating progress message
+    if (stepNumber && totalSteps) {
+      process.stdout.write(chalk.yellow(`\r${progressBar(stepNumber, totalSteps, 'Running script...')}`));
+    }
+
+    // Run the script
+    const startTime = Date.now();
+    const execution = execFileAsync(command, args, {
+      env: scriptEnv,
+      maxBuffer: 10 * 1024 * 1024 // 10MB buffer for larger outputs
+    });
+    if (stepNumber && totalSteps) {
+      execution.child.stdout.on('data', (chunk) => {
+        const progress = [...String(chunk).matchAll(/\[(\d+)\/(\d+)\]/g)].pop();
+        if (progress) {
+          process.stdout.write(chalk.yellow(`\r${progressBar(stepNumber, totalSteps, `Processed ${progress[1]}/${progress[2]}`)}`));
+        }
+      });
+    }
+    const { stdout, stderr } = await execution;
+    const report = await readStepReport(reportPath);
+    const endTime = Date.now();
+    const executionTime = ((endTime - startTime) / 1000).toFixed(2);
+
+    await logger.info(`Script execution completed in ${executionTime} seconds`);
+
+    // Clear the progress message
+    if (stepNumber && totalSteps) {
+      process.stdout.write('\r' + ' '.repeat(100) + '\r');
+    }
+
+    return { stdout, stderr, executionTime, report };
+  } catch (error) {
+    // Clear the progress message
+    if (stepNumber && totalSteps) {
+      process.stdout.write('\r' + ' '.repeat(100) + '\r');
+    }
+    await fs.rm(reportPath, { force: true });
+
+    if (error.code === 'ENOENT') {
+      await logger.error(`Script not found: ${scriptPath}`);
+      throw new Error(`Script not found: ${scriptPath}`);
+    }
+
+    // If script execution failed, include stdout and stderr in the error
+    if (error.stdout || error.stderr) {
+      await logger.error(`Script execution failed: ${error.message}`);
+      await logger.debug(`Script stdout: ${error.stdout || 'empty'}`);
+      await logger.debug(`Script stderr: ${error.stderr || 'empty'}`);
+
+      error.message = `Script execution failed: ${error.message}\nStdout: ${error.stdout || ''}\nStderr: ${error.stderr || ''}`;
+    }
+
+    throw error;
+  }
+}
+
+export default {
+  progressBar,
+  runScript
+};
@@ -0,0 +1,163 @@
+/**
+ * @file
+ * Staging module for SDC update tool.
+ *
+ * Creates throwaway copies of a subtheme so update steps can run in dry-run
+ * mode, and compares the staged result against the original.
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createTwoFilesPatch } from 'diff';
+
+// Directories that are never copied to, or compared in, a staged subtheme.
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Check whether a relative path is inside an ignored directory
+ *
+ * @param {string} relativePath - Path relative to the subtheme root
+ * @returns {boolean} True if the path should be skipped
+ */
+function isIgnored(relativePath) {
+  return relativePath.split(path.sep).some(segment => IGNORED_DIRECTORIES.includes(segment));
+}
+
+/**
+ * Copy a subtheme into a temporary staging directory
+ *
+ * The copy keeps the subtheme directory name, as the update steps derive the
+ * theme machine name from it.
+ *
+ * @param {string} sourceDirectory - Subtheme directory to copy
+ * @returns {Promise<{stagingRoot: string, stagedDirectory: string}>} Temporary root and staged subtheme path
+ */
+export async function createStagingCopy(sourceDirectory) {
+  const stagingRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'sdc-update-'));
+  const stagedDirectory = path.join(stagingRoot, path.basename(sourceDirectory));
+
+  await fs.cp(sourceDirectory, stagedDirectory, {
+    recursive: true,
+    filter: (source) => !isIgnored(path.relative(sourceDirectory, source))
+  });
+
+  return { stagingRoot, stagedDirectory };
+}
+
+/**
+ * Remove a staging directory created by createStagingCopy()
+ *
+ * @param {string} stagingRoot - Temporary root directory
+ * @returns {Promise<void>}
+ */
+export async function removeStagingCopy(stagingRoot) {
+  await fs.rm(stagingRoot, { recursive: true, force: true });
+}
+
+/**
+ * List all files in a directory recursively
+ *
+ * @param {string} directory - Directory to list
+ * @param {string} base - Directory paths are made relative to
+ * @returns {Promise<Array<string>>} Relative file paths
+ */
+async function listFiles(directory, base = directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = await Promise.all(entries.map(async (entry) => {
+    const fullPath = path.join(directory, entry.name);
+    const relativePath = path.relative(base, fullPath);
+    if (isIgnored(relativePath)) {
+      return [];
+    }
+    if (entry.isDirectory()) {
+      return listFiles(fullPath, base);
+    }
+    return [relativePath];
+  }));
+
+  return files.flat();
+}
+
+/**
+ * Read a file for diffing
+ *
+ * @param {string} filePath - File to read
+ * @returns {Promise<{content: string, binary: boolean}>} File content and whether it is binary
+ */
+async function readForDiff(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return {
+    content: buffer.toString('utf8'),
+    binary: buffer.includes(0)
+  };
+}
+
+/**
+ * Compare an original subtheme against its staged copy
+ *
+ * @param {string} originalDirectory - Untouched subtheme directory
+ * @param {string} stagedDirectory - Staged subtheme directory after the update
+ * @returns {Promise<{added: Array<string>, removed: Array<string>, modified: Array<string>, patches: Array<{file: string, patch: string}>}>}
+ *   Changed files and a unified diff per file
+ */
+export async function diffDirectories(originalDirectory, stagedDirectory) {
+  const originalFiles = new Set(await listFiles(originalDirectory));
+  const stagedFiles = new Set(await listFiles(stagedDirectory));
+  const allFiles = [...new Set([...originalFiles, ...stagedFiles])].sort();
+
+  const result = {
+    added: [],
+    removed: [],
+    modified: [],
+    patches: []
+  };
+
+  for (const file of allFiles) {
+    const before = originalFiles.has(file) ? await readForDiff(path.join(originalDirectory, file)) : null;
+    const after = stagedFiles.has(file) ? await readForDiff(path.join(stagedDirectory, file)) : null;
+
+    if (before && after && before.content === after.content) {
+      continue;
+    }
+
+    if (!before) {
+      result.added.push(file);
+    } else if (!after) {
+      result.removed.push(file);
+    } else {
+      result.modified.push(file);
+    }
+
+    if (before?.binary || after?.binary) {
+      result.patches.push({ file, patch: `Binary file ${file} differs\n` });
+      continue;
+    }
+
+    result.patches.push({
+      file,
+      patch: createTwoFilesPatch(
+        before ? `a/${file}` : '/dev/null',
+        after ? `b/${file}` : '/dev/null',
+        before ? before.content : '',
+        after ? after.content : ''
+      )
+    });
+  }
+
+  return result;
+}
+
+export default {
+  createStagingCopy,
+  removeStagingCopy,
+  diffDirectories
+};
@@ -0,0 +1,237 @@
+/**
+ * @file
+ * Update step contract for SDC update tool.
+ *
+ * Every update step is a module with an id, a name and these functions, each
+ * called with the step context:
+ *
+ * - `preconditions(context)` - problems that prevent the step from running
+ * - `plan(context)` - the changes the step will make
+ * - `apply(context)` - makes the changes and returns a result
+ * - `verify(context, result)` - problems with the changes the step made
+ * - `rollback(context, error)` - undoes the changes of a failed step
+ *
+ * Only `apply` is required. Problems and changes are arrays of messages, the
+ * result of `apply` is an object with an optional `summary` line, `warnings`
+ * about what has to be checked by hand, and a `report` of successful, failed
+ * and skipped files, which are stored in the run state. A step fails if it
+ * has unmet preconditions, if `apply` throws, or if `verify` returns
+ * problems, and is rolled back when it fails after `apply` started.
+ *
+ * The context holds the configuration, the subtheme directory the step works
+ * on (a staged copy in dry runs), the CivicTheme source directory, the source
+ * directory of the version the migration upgrades from for steps with
+ * `usesBaseSource` (null if it is not available), the migration, the
+ * environment of the update scripts, the logger and a file journal. Files
+ * written through the journal are restored by the default rollback.
+ */
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import logger from './logger.mjs';
+import { runScript } from './script-runner.mjs';
+
+// Step functions besides apply, which have defaults.
+const OPTIONAL_FUNCTIONS = ['preconditions', 'plan', 'verify', 'rollback'];
+
+/**
+ * Create an invalid step error
+ *
+ * @param {string} message - Error message
+ * @returns {Error} Error with `error.code` INVALID_STEP
+ */
+function invalidStep(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_STEP';
+  return error;
+}
+
+/**
+ * Validate a step and fill in the defaults of the contract
+ *
+ * @param {Object} definition - Step with at least an id, a name and apply()
+ * @returns {Object} Step with every function of the contract
+ * @throws {Error} If the step is incomplete, with `error.code` INVALID_STEP
+ */
+export function defineStep(definition) {
+  for (const key of ['id', 'name']) {
+    if (typeof definition[key] !== 'string' || definition[key].trim() === '') {
+      throw invalidStep(`${definition.id ? `Update step ${definition.id}` : 'Update step'} has no ${key}`);
+    }
+  }
+  if (typeof definition.apply !== 'function') {
+    throw invalidStep(`Update step ${definition.id} has no apply() function`);
+  }
+  for (const key of OPTIONAL_FUNCTIONS) {
+    if (definition[key] !== undefined && typeof definition[key] !== 'function') {
+      throw invalidStep(`Update step ${definition.id} ${key} must be a function`);
+    }
+  }
+
+  return {
+    emoji: '🔌',
+    description: definition.name,
+    usesSource: false,
+    usesBaseSource: false,
+    ...definition,
+    preconditions: definition.preconditions || (() => []),
+    plan: definition.plan || (() => []),
+    verify: definition.verify || (() => []),
+    rollback: definition.rollback || (context => context.files.restore())
+  };
+}
+
+/**
+ * Create a journal that records the original content of the files a step changes
+ *
+ * Writes are synchronous so the journal can be used by synchronous file
+ * updates.
+ *
+ * @returns {{write: Function, remove: Function, restore: Function, changes: Function}} File journal
+ */
+export function createFileJournal() {
+  // Original content by absolute path, null for files that did not exist.
+  const originals = new Map();
+
+  const record = (filePath) => {
+    const absolutePath = path.resolve(filePath);
+    if (!originals.has(absolutePath)) {
+      originals.set(absolutePath, fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath) : null);
+    }
+    return absolutePath;
+  };
+
+  return {
+    /**
+     * Write a file, creating its directory
+     *
+     * @param {string} filePath - File path
+     * @param {string|Buffer} content - File content
+     * @returns {void}
+     */
+    write(filePath, content) {
+      const absolutePath = record(filePath);
+      fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+      fs.writeFileSync(absolutePath, content);
+    },
+
+    /**
+     * Remove a file
+     *
+     * @param {string} filePath - File path
+     * @returns {void}
+     */
+    remove(filePath) {
+      fs.rmSync(record(filePath), { force: true });
+    },
+
+    /**
+     * Restore every changed file to its original content
+     *
+     * @returns {Array<string>} Restored file paths
+     */
+    restore() {
+      const restored = [...originals.keys()].reverse();
+      for (const absolutePath of restored) {
+        const content = originals.get(absolutePath);
+        if (content === null) {
+          fs.rmSync(absolutePath, { force: true });
+        } else {
+          fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+          fs.writeFileSync(absolutePath, content);
+        }
+      }
+      originals.clear();
+      return restored;
+    },
+
+    /**
+     * Get the files changed so far
+     *
+     * @returns {Array<string>} Changed file paths
+     */
+    changes() {
+      return [...originals.keys()];
+    }
+  };
+}
+
+/**
+ * Create a step that runs a shell or Node.js script
+ *
+ * The script runs with the update environment, reads the subtheme and source
+ * directories from it and can write a report to SDC_STEP_REPORT_FILE. Scripts
+ * change files directly, so script steps are not rolled back unless the
+ * definition has a rollback().
+ *
+ * @param {Object} definition - Step definition with a `script` path instead of apply()
+ * @returns {Object} Update step
+ */
+export function createScriptStep(definition) {
+  const { script, ...step } = definition;
+  if (typeof script !== 'string' || script === '') {
+    throw invalidStep(`Update step ${definition.id} has no script`);
+  }
+
+  return defineStep({
+    plan: () => [`Run ${path.basename(script)}`],
+    ...step,
+    script,
+    async preconditions(context) {
+      const problems = [];
+      if (!fs.existsSync(script)) {
+        problems.push(`Script not found: ${script}`);
+      }
+      if (step.usesSource && !context.civicthemeDirectory) {
+        problems.push('No CivicTheme source was prepared for the step');
+      }
+      return step.preconditions ? [...problems, ...await step.preconditions(context)] : problems;
+    },
+    async apply(context) {
+      const { stdout, stderr, executionTime, report } = await runScript(script, context.env, {
+        stepNumber: context.stepNumber,
+        totalSteps: context.totalSteps
+      });
+
+      if (stdout) {
+        await logger.debug(`Step ${context.stepNumber} stdout: ${stdout}`);
+
+        if (stdout.length < 500) {
+          console.log(chalk.gray(stdout));
+        } else {
+          console.log(chalk.gray(`Script output (${stdout.length} characters) - see log file for details`));
+        }
+      }
+
+      if (stderr) {
+        await logger.warning(`Step ${context.stepNumber} stderr: ${stderr}`);
+        console.log(chalk.yellow(`Warning output: ${stderr.substring(0, 200)}${stderr.length > 200 ? '...' : ''}`));
+      }
+
+      // Scripts list what to check by hand in the `warnings` of the report.
+      return { report, executionTime, warnings: Array.isArray(report?.warnings) ? report.warnings : [] };
+    },
+    rollback: step.rollback || (() => [])
+  });
+}
+
+/**
+ * Check that files exist in a directory
+ *
+ * @param {string} directory - Directory
+ * @param {Array<string>} files - File paths relative to the directory
+ * @param {string} label - Name of the directory in the messages
+ * @returns {Array<string>} A problem for every missing file
+ */
+export function findMissingFiles(directory, files, label) {
+  return files
+    .filter(file => !fs.existsSync(path.join(directory, file)))
+    .map(file => `${file} is missing from the ${label}`);
+}
+
+export default {
+  defineStep,
+  createFileJournal,
+  createScriptStep,
+  findMissingFiles
+};
@@ -0,0 +1,50 @@
+/**
+ * @file
+ * Clean up step for SDC update tool.
+ *
+ * Removes the cloned or extracted CivicTheme source of the migration, and a
+ * monorepo-drupal clone left by earlier versions of the tool. Installed themes
+ * used as the source are never removed.
+ */
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { defineStep } from '../lib/steps.mjs';
+import { WORK_DIRECTORY } from '../../../shared/civictheme-source.mjs';
+
+// Clone of the CivicTheme monorepo made by earlier versions of the tool.
+const LEGACY_CLONE = 'monorepo-drupal';
+
+/**
+ * Get the temporary directories that exist
+ *
+ * @param {Object} context - Step context
+ * @returns {Array<string>} Directory paths
+ */
+function getTemporaryDirectories(context) {
+  return [context.env.CIVICTHEME_WORK_DIRECTORY || WORK_DIRECTORY, LEGACY_CLONE].filter(directory => existsSync(directory));
+}
+
+export default defineStep({
+  id: 'step4',
+  name: 'Clean up temporary files',
+  emoji: '🧹',
+  description: 'Removes the cloned or extracted CivicTheme source after update',
+  detail: 'Cleans up any temporary files created during the update process',
+
+  plan(context) {
+    return getTemporaryDirectories(context).map(directory => `Remove ${directory}`);
+  },
+
+  async apply(context) {
+    const directories = getTemporaryDirectories(context);
+    for (const directory of directories) {
+      await fs.rm(directory, { recursive: true, force: true });
+      await context.logger.info(`Removed ${directory}`);
+    }
+    return { summary: directories.length > 0 ? `Removed ${directories.join(', ')}` : 'No temporary files to remove' };
+  },
+
+  verify(context) {
+    return getTemporaryDirectories(context).map(directory => `${directory} could not be removed`);
+  }
+});
@@ -0,0 +1,162 @@
+/**
+ * @file
+ * Theme files update step for SDC update tool.
+ *
+ * Merges the starter kit theme files into the subtheme, adds SDC namespacing
+ * to its Twig templates and rewrites the legacy component paths of its PHP and
+ * YAML files. The step runs in the update process and
+ * writes through the file journal, so a failed update of the theme files is
+ * rolled back.
+ */
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'yaml';
+import { globSync } from 'glob';
+import { defineStep, findMissingFiles } from '../lib/steps.mjs';
+import { updateTheme, findPendingTemplates } from '../../scripts/step2-update-twig.mjs';
+import { formatConflicts } from '../../../shared/package-json-merge.mjs';
+
+// Starter kit files the theme files are merged from.
+const STARTER_KIT_FILES = [
+  'civictheme_starter_kit/civictheme_starter_kit.info.yml',
+  'civictheme_starter_kit/civictheme_starter_kit.libraries.yml',
+  'civictheme_starter_kit/package.json'
+];
+
+/**
+ * Get the theme files of a subtheme the step merges into
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @returns {Array<string>} File paths relative to the subtheme
+ */
+function getThemeFiles(subthemeDirectory) {
+  const themeName = path.basename(subthemeDirectory);
+  return [`${themeName}.info.yml`, `${themeName}.libraries.yml`, 'package.json'];
+}
+
+/**
+ * Get the Twig templates of a subtheme
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @returns {Array<string>} Template paths
+ */
+function getTemplates(subthemeDirectory) {
+  return [
+    ...globSync(`${subthemeDirectory}/components/**/*.twig`),
+    ...globSync(`${subthemeDirectory}/templates/**/*.twig`)
+  ].sort();
+}
+
+export default defineStep({
+  id: 'step2',
+  name: 'Update theme files and add SDC namespacing',
+  emoji: '🏷️',
+  usesSource: true,
+  usesBaseSource: true,
+  description: 'Updates info.yml, libraries.yml, package.json, and adds SDC namespacing to Twig templates',
+  detail: 'Modifies theme files to support SDC structure and adds proper namespacing to Twig templates',
+
+  preconditions(context) {
+    if (!context.civicthemeDirectory) {
+      return ['No CivicTheme source was prepared for the step'];
+    }
+    return [
+      ...findMissingFiles(context.subthemeDirectory, getThemeFiles(context.subthemeDirectory), 'subtheme'),
+      ...findMissingFiles(context.civicthemeDirectory, STARTER_KIT_FILES, 'CivicTheme source')
+    ];
+  },
+
+  plan(context) {
+    const [infoFile, librariesFile] = getThemeFiles(context.subthemeDirectory);
+    return [
+      `Merge libraries-override of the starter kit into ${infoFile}`,
+      `Merge the global and css-variables libraries of the starter kit into ${librariesFile}`,
+      context.civicthemeBaseDirectory
+        ? 'Merge package.json with the changes of the starter kit since the CivicTheme version of the subtheme'
+        : 'Merge package.json with the starter kit, without the starter kit of the CivicTheme version of the subtheme',
+      `Add SDC namespacing and rename blocks in ${getTemplates(context.subthemeDirectory).length} Twig templates`,
+      'Rewrite legacy component paths in .theme, .inc, PHP and YAML files'
+    ];
+  },
+
+  async apply(context) {
+    const { themeFiles, missingFiles, packageJson, templates, unresolved, blocks, legacyPaths } = updateTheme({
+      subthemeDirectory: context.subthemeDirectory,
+      civicthemeDirectory: context.civicthemeDirectory,
+      civicthemeBaseDirectory: context.civicthemeBaseDirectory,
+      files: context.files
+    });
+    const relative = file => path.relative(context.subthemeDirectory, file);
+
+    for (const { section, name, from, to } of packageJson.changes) {
+      await context.logger.info(`package.json ${section ? `${section}.` : ''}${name}: ${JSON.stringify(from ?? null)} → ${JSON.stringify(to ?? null)}`);
+    }
+
+    // Renamed blocks of every template, e.g. `3: content → content_block`.
+    const renamedBlocks = Object.fromEntries(Object.entries(blocks.renamed)
+      .map(([file, renamed]) => [relative(file), renamed.map(({ line, from, to }) => `${line}: ${from} → ${to}`)]));
+    const blockCount = Object.values(blocks.renamed).reduce((count, renamed) => count + renamed.length, 0);
+    for (const [file, renamed] of Object.entries(renamedBlocks)) {
+      await context.logger.info(`Renamed blocks in ${file}: ${renamed.join(', ')}`);
+    }
+
+    // Rewritten paths of every PHP and YAML file, e.g. `12: @atoms/button/button.twig → civictheme:button`.
+    const rewrittenPaths = Object.fromEntries(Object.entries(legacyPaths.rewritten)
+      .map(([file, rewritten]) => [relative(file), rewritten.map(({ line, from, to }) => `${line}: ${from} → ${to}`)]));
+    for (const [file, rewritten] of Object.entries(rewrittenPaths)) {
+      await context.logger.info(`Rewrote template paths in ${file}: ${rewritten.join(', ')}`);
+    }
+
+    return {
+      summary: `Updated ${themeFiles.length} theme files and ${templates.length} Twig templates, renamed ${blockCount} blocks in ${Object.keys(renamedBlocks).length} templates, rewrote template paths in ${legacyPaths.changed.length} PHP and YAML files`,
+      // References and blocks that are left as they are and have to be checked by hand.
+      warnings: [
+        ...missingFiles.map(({ file, line, entry, reason }) => `${file}:${line} ${entry}: ${reason}`),
+        ...formatConflicts(packageJson.conflicts).map(conflict => `package.json ${conflict}`),
+        ...unresolved.map(({ file, line, reference, reason }) => `${relative(file)}:${line} unresolved template reference ${reference}: ${reason}`),
+        ...blocks.conflicts.map(({ file, line, name, reason }) => `${relative(file)}:${line} block ${name} not renamed: ${reason}`),
+        ...legacyPaths.review.map(({ file, line, reference, reason }) => `${relative(file)}:${line} review template path ${reference}: ${reason}`)
+      ],
+      report: {
+        successful: [...templates, ...legacyPaths.changed].map(relative),
+        failed: [],
+        skipped: [],
+        blocks: renamedBlocks,
+        paths: rewrittenPaths,
+        packageJson: { threeWay: packageJson.threeWay, changes: packageJson.changes.length, conflicts: formatConflicts(packageJson.conflicts) }
+      }
+    };
+  },
+
+  verify(context, result) {
+    const problems = [];
+    const pathFiles = Object.keys(result?.report?.paths || {}).filter(file => file.endsWith('.yml'));
+    for (const file of new Set([...getThemeFiles(context.subthemeDirectory), ...pathFiles])) {
+      try {
+        const content = fs.readFileSync(path.join(context.subthemeDirectory, file), 'utf8');
+        if (file.endsWith('.json')) {
+          JSON.parse(content);
+        } else {
+          parse(content);
+        }
+      } catch (error) {
+        problems.push(`${file} could not be parsed: ${error.message.split('\n')[0]}`);
+      }
+    }
+    // Updating the templates again must not change them.
+    const pending = findPendingTemplates({
+      subthemeDirectory: context.subthemeDirectory,
+      civicthemeDirectory: context.civicthemeDirectory
+    });
+    for (const template of pending.references) {
+      problems.push(`${path.relative(context.subthemeDirectory, template)} still has template references to rewrite`);
+    }
+    for (const template of pending.blocks) {
+      problems.push(`${path.relative(context.subthemeDirectory, template)} still has blocks to rename`);
+    }
+    for (const file of pending.legacyPaths) {
+      problems.push(`${path.relative(context.subthemeDirectory, file)} still has legacy component paths to rewrite`);
+    }
+    return problems;
+  }
+});
@@ -2,254 +2,663 @@
  * @file
  * Update runner for SDC update tool.
  *
- * Wraps the original update scripts with logging and error handling.
+ * Runs the steps of the planned migrations with logging and error handling.
+ * Each step is checked, applied and verified following the step contract in
+ * lib/steps.mjs, and rolled back if it fails.
  */
-import { promises as fs } from 'fs';
-import { execFile } from 'child_process';
-import { promisify } from 'util';
+import path from 'path';
 import chalk from 'chalk';
 import logger from './lib/logger.mjs';
-import { loadConfig, validateConfig } from './lib/config.mjs';
-
-const execFileAsync = promisify(execFile);
-
-const UPDATE_STEPS = [
-  {
-    id: 'step1',
-    name: 'Update Storybook configuration',
-    emoji: '📚',
-    script: './scripts/step1-update-storybook.sh',
-    description: 'Updates Storybook configuration files to match latest CivicTheme version',
-    detail: 'This step updates the Storybook configuration to be compatible with Single Directory Components'
-  },
-  {
-    id: 'step2',
-    name: 'Update theme files and add SDC namespacing',
-    emoji: '🏷️',
-    script: './scripts/step2-update-twig.mjs',
-    description: 'Updates info.yml, libraries.yml, package.json, and adds SDC namespacing to Twig templates',
-    detail: 'Modifies theme files to support SDC structure and adds proper namespacing to Twig templates'
-  },
-  {
-    id: 'step3',
-    name: 'Generate Component YML from Twig templates',
-    emoji: '🧠',
-    script: './scripts/step4-generate-component-schema.mjs',
-    description: 'Uses Claude AI to analyze Twig templates and generate JSON schema which is then converted to YML',
-    detail: 'Analyzes component templates with Claude AI to create JSON schemas that define component properties'
-  },
-  {
-    id: 'step4',
-    name: 'Clean up temporary files',
-    emoji: '🧹',
-    script: './scripts/step3-remove-monorepo.sh',
-    description: 'Removes pulled repository files after update',
-    detail: 'Cleans up any temporary files created during the update process'
-  }
-];
+import { loadConfig, validateConfig, getComponentSelectionEnv } from './lib/config.mjs';
+import { createStagingCopy, removeStagingCopy, diffDirectories } from './lib/staging.mjs';
+import {
+  STEP_STATUS,
+  hashInputs,
+  createRunState,
+  loadRunState,
+  saveRunState,
+  getStepStatus,
+  markStep,
+  resetRunState
+} from './lib/run-state.mjs';
+import { estimateUpdateCost, describeEstimate } from './lib/estimate.mjs';
+import { getSelectionFromEnv, describeSelection } from '../scripts/lib/component-filter.mjs';
+import { getGitStatus, createSnapshot, loadSnapshot, rollbackSnapshot } from '../../shared/snapshot.mjs';
+import { formatCost } from '../../shared/llm-providers/index.mjs';
+import { prepareSource, cleanupSource, describeSource, getVersionSource, WORK_DIRECTORY } from '../../shared/civictheme-source.mjs';
+import { detectCivicThemeVersion, normalizeVersion } from '../../shared/civictheme-version.mjs';
+import { UPDATE_STEPS, MIGRATIONS, planMigrations, getMigrationSteps, getLatestVersion } from './lib/migrations.mjs';
+import { createFileJournal } from './lib/steps.mjs';
+import { loadPlugins, insertPluginSteps } from './lib/plugins.mjs';
+
+export { UPDATE_STEPS };
 
 /**
- * Show a progress bar for the update process
+ * Resolve a list of step identifiers to update steps
+ *
+ * Steps can be referenced by id (`step2`) or by their 1-based position (`2`).
+ * The returned steps are always in update order.
  *
- * @param {number} current - Current step number (1-based)
- * @param {number} total - Total number of steps
- * @param {string} stepName - Name of the current step
- * @returns {string} Formatted progress bar string
+ * @param {Array<string>|null} stepIds - Step identifiers, all steps when empty
+ * @param {Array<Object>} [steps] - Steps to choose from, the SDC update steps when omitted
+ * @returns {Array<Object>} Update steps to run
+ * @throws {Error} If an identifier does not match any step, with `error.code` UNKNOWN_STEP
  */
-function progressBar(current, total, stepName) {
-  const barWidth = 40;
-  const progress = Math.min(current / total, 1);
-  const filledWidth = Math.round(barWidth * progress);
-  const emptyWidth = barWidth - filledWidth;
+export function resolveSteps(stepIds = null, steps = UPDATE_STEPS) {
+  if (!stepIds || stepIds.length === 0) {
+    return steps;
+  }
 
-  const filled = '█'.repeat(filledWidth);
-  const empty = '░'.repeat(emptyWidth);
-  const percentage = Math.round(progress * 100);
+  const selected = new Set();
+  for (const stepId of stepIds) {
+    const step = steps.find((candidate, index) => candidate.id === stepId || String(index + 1) === stepId);
+    if (!step) {
+      const error = new Error(`Unknown step: ${stepId}. Available steps: ${steps.map(candidate => candidate.id).join(', ')}`);
+      error.code = 'UNKNOWN_STEP';
+      throw error;
+    }
+    selected.add(step);
+  }
 
-  return `${filled}${empty} ${percentage}% | Step ${current}/${total}: ${stepName}`;
+  return steps.filter(step => selected.has(step));
 }
 
 /**
- * Run a script and capture its output with detailed logging
+ * Load the plugin steps of the configured plugin directory
  *
- * @param {string} scriptPath - Path to the script to run
- * @param {Object} env - Environment variables to pass to the script
- * @param {Object} stepInfo - Information about the current step
- * @returns {Promise<{stdout: string, stderr: string}>} - Script output
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array<Object>>} Plugin steps, empty if no plugin directory is configured
+ * @throws {Error} If a plugin cannot be loaded, with `error.code` INVALID_PLUGIN
  */
-async function runScript(scriptPath, env = {}, stepInfo = {}) {
-  const { stepNumber, totalSteps } = stepInfo;
+async function loadConfiguredPlugins(config) {
+  if (!config.pluginDirectory) {
+    return [];
+  }
+  return loadPlugins(config.pluginDirectory, getMigrationSteps(MIGRATIONS).map(step => step.id));
+}
 
-  try {
-    // Log script execution
-    await logger.info(`Executing script: ${scriptPath}`);
+/**
+ * Get every step an update can run, across all migrations and plugins
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array<Object>>} Steps of all migrations followed by the plugin steps
+ * @throws {Error} If a plugin cannot be loaded, with `error.code` INVALID_PLUGIN
+ */
+export async function getAvailableSteps(config) {
+  return [...getMigrationSteps(MIGRATIONS), ...await loadConfiguredPlugins(config)];
+}
 
-    // Check if script exists
-    try {
-      await fs.access(scriptPath);
-      await logger.debug(`Script exists: ${scriptPath}`);
-    } catch (error) {
-      await logger.error(`Script not found: ${scriptPath}`);
-      throw new Error(`Script not found: ${scriptPath}`);
+/**
+ * Plan the migrations an update runs
+ *
+ * The current version is taken from the configuration, or detected from the
+ * site. When it cannot be detected the subtheme is assumed to be ready for the
+ * last migration, which is what the tool ran before it supported versions.
+ *
+ * Plugin steps are added to the steps of the planned migrations, plugin steps
+ * placed next to a step of a migration that does not run are excluded.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Promise<{currentVersion: string, targetVersion: string,
+ *   detectedFrom: string|null, migrations: Array<Object>,
+ *   steps: Array<Object>, excludedSteps: Array<Object>}>} Versions, where
+ *   the current version was read from, the migrations and steps to run and
+ *   the excluded plugin steps
+ * @throws {Error} If there is no migration path between the versions, with
+ *   `error.code` NO_MIGRATION_PATH, or a plugin cannot be loaded, with
+ *   `error.code` INVALID_PLUGIN
+ */
+export async function planUpdate(config) {
+  const targetVersion = normalizeVersion(config.targetVersion) || getLatestVersion();
+
+  let currentVersion = normalizeVersion(config.currentVersion);
+  let detectedFrom = currentVersion ? 'configuration' : null;
+  if (!currentVersion && config.subthemeDirectory) {
+    const detected = await detectCivicThemeVersion(config.subthemeDirectory);
+    if (detected) {
+      currentVersion = detected.version;
+      detectedFrom = detected.file;
     }
+  }
+  if (!currentVersion) {
+    currentVersion = MIGRATIONS[MIGRATIONS.length - 1].from;
+  }
 
-    // Determine if script is executable or needs an interpreter
-    const isJsModule = scriptPath.endsWith('.mjs');
-    const isShellScript = scriptPath.endsWith('.sh');
-
-    let command;
-    let args = [];
-
-    if (isJsModule) {
-      command = 'node';
-      args = [scriptPath];
-      await logger.debug(`Running as Node.js module: ${command} ${args.join(' ')}`);
-    } else if (isShellScript) {
-      command = 'bash';
-      args = [scriptPath];
-      await logger.debug(`Running as shell script: ${command} ${args.join(' ')}`);
-    } else {
-      await logger.error(`Unsupported script type: ${scriptPath}`);
-      throw new Error(`Unsupported script type: ${scriptPath}`);
-    }
+  const migrations = planMigrations(currentVersion, targetVersion);
+  const { steps, excluded } = insertPluginSteps(getMigrationSteps(migrations), await loadConfiguredPlugins(config));
+  return {
+    currentVersion,
+    targetVersion,
+    detectedFrom,
+    migrations,
+    steps,
+    excludedSteps: excluded
+  };
+}
 
-    // Merge process.env with provided env variables
-    const scriptEnv = { ...process.env, ...env };
-    await logger.debug(`Script environment prepared with ${Object.keys(env).length} custom variables`);
+/**
+ * Get the environment variables that point a step at its CivicTheme source
+ *
+ * @param {Object|undefined} source - Source from prepareSource(), undefined if the step does not read one
+ * @param {Object|undefined} baseSource - Source of the version the migration upgrades from, undefined if there is none
+ * @returns {Object<string, string>} Environment variables for the update scripts
+ */
+function getSourceEnv(source, baseSource) {
+  if (!source) {
+    return {};
+  }
+  return {
+    CIVICTHEME_DIRECTORY: source.directory,
+    CIVICTHEME_BASE_DIRECTORY: baseSource?.directory || '',
+    CIVICTHEME_SOURCE_TEMPORARY: source.temporary ? 'true' : 'false',
+    CIVICTHEME_WORK_DIRECTORY: source.workDirectory || ''
+  };
+}
 
-    // Print updating progress message
-    if (stepNumber && totalSteps) {
-      process.stdout.write(chalk.yellow(`\r${progressBar(stepNumber, totalSteps, 'Running script...')}`));
-    }
+/**
+ * Describe the versions of a plan in one line
+ *
+ * @param {Object} plan - Plan from planUpdate()
+ * @returns {string} Description of the plan
+ */
+export function describePlan(plan) {
+  const from = plan.detectedFrom ? `from ${plan.detectedFrom === 'configuration' ? 'configuration' : path.basename(plan.detectedFrom)}` : 'assumed, not detected';
+  return `CivicTheme ${plan.currentVersion} (${from}) → ${plan.targetVersion}`;
+}
 
-    // Run the script
-    const startTime = Date.now();
-    const { stdout, stderr } = await execFileAsync(command, args, {
-      env: scriptEnv,
-      maxBuffer: 10 * 1024 * 1024 // 10MB buffer for larger outputs
-    });
-    const endTime = Date.now();
-    const executionTime = ((endTime - startTime) / 1000).toFixed(2);
+/**
+ * Get the run state for the configured subtheme
+ *
+ * A stored state is only resumed when it was created with the same inputs,
+ * otherwise a new run is started.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Run state
+ */
+export async function getRunState(config) {
+  const inputsHash = hashInputs({
+    subthemeDirectory: path.resolve(config.subthemeDirectory),
+    model: config.anthropicModel,
+    targetVersion: normalizeVersion(config.targetVersion) || getLatestVersion()
+  });
+
+  const storedState = await loadRunState(config.subthemeDirectory);
+  if (storedState && storedState.inputsHash === inputsHash) {
+    return storedState;
+  }
 
-    await logger.info(`Script execution completed in ${executionTime} seconds`);
+  if (storedState) {
+    await logger.warning('Update inputs changed since the last run, starting a new run');
+  }
 
-    // Clear the progress message
-    if (stepNumber && totalSteps) {
-      process.stdout.write('\r' + ' '.repeat(100) + '\r');
-    }
+  return createRunState(config.subthemeDirectory, inputsHash);
+}
 
-    return { stdout, stderr, executionTime };
-  } catch (error) {
-    // Clear the progress message
-    if (stepNumber && totalSteps) {
-      process.stdout.write('\r' + ' '.repeat(100) + '\r');
-    }
+/**
+ * Mark a step as skipped so it is not run on the next update
+ *
+ * @param {string} stepId - Step id
+ * @param {Object} config - Configuration object
+ * @returns {Promise<void>}
+ */
+export async function skipStep(stepId, config) {
+  const [step] = resolveSteps([stepId], await getAvailableSteps(config));
+  const state = await getRunState(config);
+  markStep(state, step.id, STEP_STATUS.SKIPPED);
+  await saveRunState(state);
+  await logger.info(`Marked step ${step.id} as skipped`);
+}
+
+/**
+ * Snapshot the subtheme before the first step of an update
+ *
+ * Resumed runs keep the snapshot taken before the update started.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Object} state - Run state
+ * @param {boolean} allowDirty - Continue with a tarball backup if the git work tree is dirty
+ * @returns {Promise<Object>} Snapshot metadata
+ * @throws {Error} If the work tree is dirty and allowDirty is not set, with `error.code` DIRTY_WORKTREE
+ */
+async function ensureSnapshot(config, state, allowDirty = false) {
+  const existingSnapshot = await loadSnapshot(config.subthemeDirectory);
+  if (existingSnapshot && Object.keys(state.steps).length > 0) {
+    await logger.info(`Resuming update, keeping snapshot from ${existingSnapshot.createdAt}`);
+    return existingSnapshot;
+  }
 
-    if (error.code === 'ENOENT') {
-      await logger.error(`Script not found: ${scriptPath}`);
-      throw new Error(`Script not found: ${scriptPath}`);
+  const gitStatus = await getGitStatus(config.subthemeDirectory);
+  if (!gitStatus.isRepository) {
+    await logger.warning('Subtheme is not in a git repository, a tarball backup will be created');
+  } else if (gitStatus.dirty) {
+    if (!allowDirty) {
+      const error = new Error(`Subtheme has ${gitStatus.changes.length} uncommitted changes. Commit them before running the update.`);
+      error.code = 'DIRTY_WORKTREE';
+      throw error;
     }
+    await logger.warning(`Subtheme has ${gitStatus.changes.length} uncommitted changes, a tarball backup will be created`);
+  }
+
+  const snapshot = await createSnapshot(config.subthemeDirectory, { allowDirty });
+  const location = snapshot.type === 'git' ? `branch ${snapshot.branch}` : snapshot.archive;
+  console.log(chalk.blue(`📸 Snapshot created: ${location}`));
+  await logger.info(`Snapshot created (${snapshot.type}): ${location}`);
+
+  return snapshot;
+}
+
+/**
+ * Roll back the subtheme to the snapshot taken before the last update
+ *
+ * @param {Object|null} config - Configuration to use instead of the .env file
+ * @returns {Promise<Object>} The restored snapshot
+ */
+export async function rollbackUpdate(config = null) {
+  config = config || await loadConfig();
+  await logger.info(`Rolling back last update of ${config.subthemeDirectory}`);
+
+  const snapshot = await rollbackSnapshot(config.subthemeDirectory);
+  await resetRunState(config.subthemeDirectory);
 
-    // If script execution failed, include stdout and stderr in the error
-    if (error.stdout || error.stderr) {
-      await logger.error(`Script execution failed: ${error.message}`);
-      await logger.debug(`Script stdout: ${error.stdout || 'empty'}`);
-      await logger.debug(`Script stderr: ${error.stderr || 'empty'}`);
+  console.log(chalk.green(`\n⏪ Restored ${config.subthemeDirectory} to its state from ${new Date(snapshot.createdAt).toLocaleString()}`));
+  console.log(chalk.yellow('Run npm install in the subtheme to restore node_modules.'));
+  await logger.success(`Rolled back to ${snapshot.type} snapshot from ${snapshot.createdAt}`);
 
-      error.message = `Script execution failed: ${error.message}\nStdout: ${error.stdout || ''}\nStderr: ${error.stderr || ''}`;
+  return snapshot;
+}
+
+/**
+ * Print the changes a dry run would make to the subtheme
+ *
+ * @param {string} originalDirectory - Untouched subtheme directory
+ * @param {string} stagedDirectory - Staged subtheme directory the steps ran against
+ * @returns {Promise<Object>} Diff result from diffDirectories()
+ */
+async function reportDryRun(originalDirectory, stagedDirectory) {
+  const diff = await diffDirectories(originalDirectory, stagedDirectory);
+
+  console.log(chalk.blue('\n🔍 Dry run changes:\n'));
+  for (const { patch } of diff.patches) {
+    for (const line of patch.split('\n')) {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        console.log(chalk.bold(line));
+      } else if (line.startsWith('+')) {
+        console.log(chalk.green(line));
+      } else if (line.startsWith('-')) {
+        console.log(chalk.red(line));
+      } else if (line.startsWith('@@')) {
+        console.log(chalk.cyan(line));
+      } else {
+        console.log(line);
+      }
     }
+  }
 
-    throw error;
+  console.log(chalk.blue('📋 Dry run summary:'));
+  console.log(chalk.green(`  ➕ Added: ${diff.added.length} files`));
+  diff.added.forEach(file => console.log(chalk.green(`     ${file}`)));
+  console.log(chalk.red(`  ➖ Removed: ${diff.removed.length} files`));
+  diff.removed.forEach(file => console.log(chalk.red(`     ${file}`)));
+  console.log(chalk.yellow(`  ✏️  Modified: ${diff.modified.length} files`));
+  diff.modified.forEach(file => console.log(chalk.yellow(`     ${file}`)));
+
+  await logger.info(`Dry run summary - added: ${diff.added.length}, removed: ${diff.removed.length}, modified: ${diff.modified.length}`);
+
+  return diff;
+}
+
+/**
+ * Print the report a step returned
+ *
+ * @param {Object} report - Step report with successful, failed and skipped files
+ * @returns {void}
+ */
+function printStepReport(report) {
+  const { successful = [], failed = [], skipped = [], llm } = report;
+  console.log(chalk.blue(`📊 ${successful.length} processed, ${failed.length} failed, ${skipped.length} skipped`));
+  if (llm && llm.requests > 0) {
+    console.log(chalk.gray(`   LLM requests: ${llm.requests} (${llm.cached} from cache), attempts: ${llm.attempts}`));
+  }
+  if (report.usage && report.usage.total.requests > 0) {
+    const { total } = report.usage;
+    console.log(chalk.gray(`   Tokens: ${total.inputTokens} input, ${total.outputTokens} output, estimated cost ${formatCost(total.cost)}`));
+  }
+  for (const { file, error } of failed) {
+    console.log(chalk.red(`   ✗ ${file}: ${error.split('\n')[0]}`));
   }
 }
 
 /**
- * Run the SDC update process with enhanced progress reporting
+ * Add up the token usage of all step reports
  *
+ * @param {Object<string, Object>} reports - Step reports keyed by step id
+ * @returns {Object|null} Total usage with `requests` and `cost`, or null if no AI requests were made
+ */
+function sumUsage(reports) {
+  const totals = Object.values(reports).map(report => report.usage?.total).filter(total => total && total.requests > 0);
+  if (totals.length === 0) {
+    return null;
+  }
+
+  return totals.reduce((sum, total) => ({
+    requests: sum.requests + total.requests,
+    inputTokens: sum.inputTokens + total.inputTokens,
+    outputTokens: sum.outputTokens + total.outputTokens,
+    cacheReadTokens: sum.cacheReadTokens + total.cacheReadTokens,
+    cacheWriteTokens: sum.cacheWriteTokens + total.cacheWriteTokens,
+    cost: total.cost === null ? sum.cost : (sum.cost || 0) + total.cost
+  }), { requests: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, cost: null });
+}
+
+/**
+ * Log the token usage of each component a step made AI requests for
+ *
+ * @param {string} stepId - Step id
+ * @param {Object} report - Step report
  * @returns {Promise<void>}
  */
-export async function runUpdate() {
+async function logComponentUsage(stepId, report) {
+  for (const [component, usage] of Object.entries(report.usage?.items || {})) {
+    await logger.info(`${stepId} usage for ${component}: ${usage.requests} requests, ${usage.inputTokens} input, ${usage.outputTokens} output, ${usage.cacheReadTokens} cache read, ${usage.cacheWriteTokens} cache write tokens, estimated cost ${formatCost(usage.cost)}`);
+  }
+}
+
+/**
+ * Roll back the changes of a failed step
+ *
+ * A failed roll back is logged, the step error is what the update reports.
+ *
+ * @param {Object} step - Update step
+ * @param {Object} context - Step context
+ * @param {Error} error - Error the step failed with
+ * @returns {Promise<void>}
+ */
+async function rollbackStep(step, context, error) {
+  try {
+    const restored = await step.rollback(context, error) || [];
+    if (restored.length > 0) {
+      console.log(chalk.yellow(`⏪ Rolled back ${restored.length} files changed by ${step.name}`));
+      await logger.info(`Rolled back step ${step.id}: ${restored.join(', ')}`);
+    }
+  } catch (rollbackError) {
+    console.error(chalk.red(`❌ Could not roll back ${step.name}: ${rollbackError.message}`));
+    await logger.error(`Could not roll back step ${step.id}: ${rollbackError.message}`);
+  }
+}
+
+/**
+ * Run the SDC update process with enhanced progress reporting
+ *
+ * @param {Object} options - Update options
+ * @param {Object} [options.config] - Configuration to use instead of the .env file
+ * @param {Array<string>} [options.steps] - Step ids or numbers to run, all steps when omitted
+ * @param {boolean} [options.dryRun] - Run the steps against a staged copy and print a diff instead
+ * @param {boolean} [options.rerun] - Re-apply steps that were already completed or skipped
+ * @param {boolean} [options.allowDirty] - Run on a dirty git work tree, backing it up with a tarball
+ * @returns {Promise<{reports: Object<string, Object>}>} Reports of the steps that returned one, keyed by step id
+ * @throws {Error} If a step fails, with the failed step attached as `error.step`
+ */
+export async function runUpdate(options = {}) {
   try {
     await logger.info('Starting SDC update process');
     console.log(chalk.blue('\n🚀 Starting SDC update process\n'));
 
     // Validate configuration
-    const configStatus = await validateConfig();
+    const configStatus = await validateConfig(options.config);
     if (!configStatus.valid) {
       await logger.error(`Invalid configuration: ${configStatus.message}`);
       throw new Error(`Invalid configuration: ${configStatus.message}`);
     }
 
     // Load configuration
-    const config = await loadConfig();
+    const config = options.config || await loadConfig();
     await logger.info(`Loaded configuration for subtheme: ${config.subthemeDirectory}`);
 
-    // Create environment variables for scripts
-    const scriptEnv = {
-      SUBTHEME_DIRECTORY: config.subthemeDirectory,
-      ANTHROPIC_API_KEY: config.anthropicApiKey,
-      ANTHROPIC_MODEL: config.anthropicModel,
-      CIVICTHEME_UIKIT_PATH: config.subthemeDirectory
+    const plan = await planUpdate(config);
+    await logger.info(`Update plan: ${describePlan(plan)}, migrations: ${plan.migrations.map(migration => migration.id).join(', ') || 'none'}`);
+    if (plan.migrations.length === 0) {
+      console.log(chalk.green(`✅ ${config.subthemeDirectory} is already on CivicTheme ${plan.targetVersion}, nothing to update`));
+      console.log(chalk.gray('   Set the current CivicTheme version to run the migrations again.'));
+      return { reports: {} };
+    }
+    for (const step of plan.excludedSteps) {
+      await logger.warning(`Plugin step ${step.id} from ${step.plugin} is excluded, step ${step.after || step.before} is not part of the update`);
+    }
+    const steps = resolveSteps(options.steps, plan.steps);
+
+    // Completed steps are recorded so a failed run can be resumed. Dry runs
+    // read the state but never change it.
+    const state = await getRunState(config);
+    const persistState = async () => {
+      if (!options.dryRun) {
+        await saveRunState(state);
+      }
     };
 
+    if (!options.dryRun) {
+      await ensureSnapshot(config, state, options.allowDirty);
+    }
+
+    // Each migration reads the CivicTheme version it upgrades to, a source is
+    // only prepared when a step that reads it will run.
+    const pendingSteps = steps.filter(step => options.rerun || ![STEP_STATUS.COMPLETED, STEP_STATUS.SKIPPED].includes(getStepStatus(state, step.id)));
+    const sources = new Map();
+    for (const migration of plan.migrations) {
+      if (!pendingSteps.some(step => step.usesSource && step.migration === migration)) {
+        continue;
+      }
+      const spec = config.civicthemeSource || getVersionSource(migration.to);
+      console.log(chalk.blue(`📥 Preparing CivicTheme ${migration.to} source: ${describeSource(spec)}`));
+      const source = await prepareSource(spec, {
+        requiredFiles: migration.sourceFiles,
+        workDirectory: path.join(WORK_DIRECTORY, migration.id)
+      });
+      sources.set(migration.id, source);
+      await logger.info(`Using CivicTheme source ${source.directory} for migration ${migration.id}`);
+    }
+    if (config.civicthemeSource && sources.size > 1) {
+      await logger.warning(`The CivicTheme source ${config.civicthemeSource} is used for all ${sources.size} migrations, it should match CivicTheme ${plan.targetVersion}`);
+    }
+
+    // Steps that merge with the starter kit also read the version each
+    // migration upgrades from. It defaults to a release only when the source
+    // does, and the merge is two-way without it.
+    const baseSources = new Map();
+    for (const migration of plan.migrations) {
+      if (!pendingSteps.some(step => step.usesBaseSource && step.migration === migration)) {
+        continue;
+      }
+      const spec = config.civicthemeBaseSource || (config.civicthemeSource ? null : getVersionSource(migration.from));
+      if (!spec) {
+        await logger.info(`No CivicTheme ${migration.from} source for migration ${migration.id}, the starter kit is merged two-way`);
+        continue;
+      }
+      console.log(chalk.blue(`📥 Preparing CivicTheme ${migration.from} source: ${describeSource(spec)}`));
+      try {
+        const baseSource = await prepareSource(spec, {
+          requiredFiles: ['civictheme_starter_kit/package.json'],
+          workDirectory: path.join(WORK_DIRECTORY, `${migration.id}-base`)
+        });
+        baseSources.set(migration.id, baseSource);
+        await logger.info(`Using CivicTheme base source ${baseSource.directory} for migration ${migration.id}`);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  ${error.message}, the starter kit is merged two-way`));
+        await logger.warning(`${error.message}, the starter kit is merged two-way for migration ${migration.id}`);
+      }
+    }
+
     // Display update plan header
     console.log(chalk.blue('\n📋 Update Plan:'));
-    for (const [index, step] of UPDATE_STEPS.entries()) {
+    console.log(chalk.white(`  🔖 ${describePlan(plan)}`));
+    for (const [index, step] of steps.entries()) {
       const stepNumber = index + 1;
-      console.log(chalk.white(`  ${step.emoji} [${stepNumber}/${UPDATE_STEPS.length}] ${step.name}`));
+      if (step.migration !== steps[index - 1]?.migration) {
+        console.log(chalk.blue(`  ${step.migration.name} (${step.migration.from} → ${step.migration.to})`));
+      }
+      const status = getStepStatus(state, step.id);
+      const statusLabel = status === STEP_STATUS.PENDING ? '' : chalk.gray(` (${status})`);
+      const pluginLabel = step.plugin ? chalk.gray(` [${step.plugin}]`) : '';
+      console.log(chalk.white(`  ${step.emoji} [${stepNumber}/${steps.length}] ${step.name}`) + pluginLabel + statusLabel);
+    }
+    const selection = describeSelection(getSelectionFromEnv(getComponentSelectionEnv(config)));
+    if (selection) {
+      console.log(chalk.white(`  🎯 Components: ${selection}`));
     }
     console.log(''); // Empty line for spacing
 
+    const estimate = await estimateUpdateCost(config, steps);
+    if (estimate) {
+      console.log(chalk.blue(`💰 Estimated AI usage: ${describeEstimate(estimate)}\n`));
+      await logger.info(`Estimated AI usage: ${describeEstimate(estimate)}`);
+    }
+
+    // In dry-run mode every step works on a staged copy of the subtheme. It is
+    // made right before the steps run, so a source that fails leaves no copy
+    // behind.
+    let staging = null;
+    if (options.dryRun) {
+      staging = await createStagingCopy(config.subthemeDirectory);
+      await logger.info(`Dry run: staged subtheme at ${staging.stagedDirectory}`);
+      console.log(chalk.magenta(`🔍 Dry run - ${config.subthemeDirectory} will not be modified`));
+    }
+    const subthemeDirectory = staging ? staging.stagedDirectory : config.subthemeDirectory;
+
+    // Environment of the update scripts, passed to every step
+    const scriptEnv = {
+      SUBTHEME_DIRECTORY: subthemeDirectory,
+      ANTHROPIC_API_KEY: config.anthropicApiKey,
+      ANTHROPIC_MODEL: config.anthropicModel,
+      ENRICH_DESCRIPTIONS: config.enrichDescriptions ? 'true' : 'false',
+      LLM_PROVIDER: config.llmProvider || 'anthropic',
+      LLM_BASE_URL: config.llmBaseUrl || '',
+      LLM_MODEL: config.llmModel || '',
+      LLM_CACHE_MODE: config.llmCacheMode || 'read-write',
+      LLM_MAX_ATTEMPTS: String(config.llmMaxAttempts || ''),
+      ...getComponentSelectionEnv(config),
+      STARTER_KIT_CONFLICT_STYLE: config.conflictStyle || 'markers',
+      COMPONENT_GIT_DIRECTORY: path.join(path.resolve(config.subthemeDirectory), 'components'),
+      // Where the subtheme is installed, to find CivicTheme from a staged copy.
+      SUBTHEME_INSTALLED_DIRECTORY: path.resolve(config.subthemeDirectory),
+      CIVICTHEME_UIKIT_PATH: subthemeDirectory
+    };
+
     // Initialize metrics
     const metrics = {
       startTime: Date.now(),
       stepTimes: []
     };
+    const reports = {};
 
-    for (const [index, step] of UPDATE_STEPS.entries()) {
-      const stepNumber = index + 1;
-      const stepStartTime = Date.now();
+    try {
+      for (const [index, step] of steps.entries()) {
+        const stepNumber = index + 1;
+        const stepStartTime = Date.now();
+
+        const status = getStepStatus(state, step.id);
+        if (!options.rerun && (status === STEP_STATUS.COMPLETED || status === STEP_STATUS.SKIPPED)) {
+          console.log(chalk.gray(`\n⏭️  [${stepNumber}/${steps.length}] ${step.name} already ${status}, skipping`));
+          await logger.info(`Skipping step ${stepNumber}/${steps.length}: ${step.name} (${status})`);
+          continue;
+        }
 
-      console.log(chalk.yellow(`\n${step.emoji} [${stepNumber}/${UPDATE_STEPS.length}] ${step.name}`));
-      console.log(chalk.white(step.detail || step.description));
+        console.log(chalk.yellow(`\n${step.emoji} [${stepNumber}/${steps.length}] ${step.name}`));
+        console.log(chalk.white(step.detail || step.description));
+
+        await logger.info(`Starting step ${stepNumber}/${steps.length}: ${step.name}`);
+        await logger.debug(`Step details: ${step.detail || step.description}`);
+
+        markStep(state, step.id, STEP_STATUS.RUNNING);
+        await persistState();
+
+        const context = {
+          config,
+          subthemeDirectory,
+          civicthemeDirectory: sources.get(step.migration.id)?.directory || null,
+          civicthemeBaseDirectory: baseSources.get(step.migration.id)?.directory || null,
+          migration: step.migration,
+          env: {
+            ...scriptEnv,
+            ...getSourceEnv(sources.get(step.migration.id), baseSources.get(step.migration.id)),
+            CIVICTHEME_TARGET_VERSION: step.migration.to
+          },
+          dryRun: Boolean(options.dryRun),
+          files: createFileJournal(),
+          logger,
+          stepNumber,
+          totalSteps: steps.length
+        };
+        let applied = false;
+
+        try {
+          const problems = await step.preconditions(context);
+          if (problems.length > 0) {
+            throw new Error(`Preconditions not met: ${problems.join('; ')}`);
+          }
 
-      await logger.info(`Starting step ${stepNumber}/${UPDATE_STEPS.length}: ${step.name}`);
-      await logger.debug(`Step details: ${step.detail || step.description}`);
+          const changes = await step.plan(context);
+          for (const change of changes) {
+            console.log(chalk.gray(`  • ${change}`));
+          }
+          await logger.debug(`Step ${stepNumber} plan: ${changes.join('; ') || 'none'}`);
 
-      try {
-        const { stdout, stderr, executionTime } = await runScript(step.script, scriptEnv, {
-          stepNumber,
-          totalSteps: UPDATE_STEPS.length
-        });
+          applied = true;
+          const result = await step.apply(context) || {};
 
-        if (stdout) {
-          await logger.debug(`Step ${stepNumber} stdout: ${stdout}`);
+          const verifyProblems = await step.verify(context, result);
+          if (verifyProblems.length > 0) {
+            throw new Error(`Verification failed: ${verifyProblems.join('; ')}`);
+          }
 
-          if (stdout.length < 500) {
-            console.log(chalk.gray(stdout));
-          } else {
-            console.log(chalk.gray(`Script output (${stdout.length} characters) - see log file for details`));
+          const { report, summary, warnings = [] } = result;
+          if (summary) {
+            console.log(chalk.blue(`📊 ${summary}`));
+            await logger.info(`Step ${stepNumber} result: ${summary}`);
+          }
+          for (const warning of warnings) {
+            console.log(chalk.yellow(`   ⚠️  ${warning}`));
+            await logger.warning(`Step ${stepNumber}: ${warning}`);
+          }
+          if (report) {
+            reports[step.id] = report;
+            printStepReport(report);
+            await logger.info(`Step ${stepNumber} report: ${report.successful?.length || 0} processed, ${report.failed?.length || 0} failed, ${report.skipped?.length || 0} skipped`);
+            await logComponentUsage(step.id, report);
           }
-        }
 
-        if (stderr) {
-          await logger.warning(`Step ${stepNumber} stderr: ${stderr}`);
-          console.log(chalk.yellow(`Warning output: ${stderr.substring(0, 200)}${stderr.length > 200 ? '...' : ''}`));
+          const stepEndTime = Date.now();
+          const stepDuration = (stepEndTime - stepStartTime) / 1000;
+          metrics.stepTimes.push({ step: step.name, duration: stepDuration });
+          markStep(state, step.id, STEP_STATUS.COMPLETED, { duration: stepDuration, ...(summary ? { summary } : {}), ...(warnings.length > 0 ? { warnings } : {}), ...(report ? { report } : {}) });
+          await persistState();
+
+          console.log(chalk.green(`✅ Step ${stepNumber} completed successfully (${stepDuration.toFixed(2)}s)`));
+          await logger.success(`Step ${stepNumber} completed successfully in ${stepDuration.toFixed(2)} seconds`);
+        } catch (error) {
+          console.error(chalk.red(`❌ Step ${stepNumber} failed: ${error.message}`));
+          await logger.error(`Step ${stepNumber} failed: ${error.message}`);
+          if (applied) {
+            await rollbackStep(step, context, error);
+          }
+          markStep(state, step.id, STEP_STATUS.FAILED, { error: error.message });
+          await persistState();
+          const stepError = new Error(`Step ${stepNumber} (${step.id}) failed: ${error.message}`);
+          stepError.step = step;
+          stepError.stepNumber = stepNumber;
+          throw stepError;
         }
-
-        const stepEndTime = Date.now();
-        const stepDuration = (stepEndTime - stepStartTime) / 1000;
-        metrics.stepTimes.push({ step: step.name, duration: stepDuration });
-
-        console.log(chalk.green(`✅ Step ${stepNumber} completed successfully (${stepDuration.toFixed(2)}s)`));
-        await logger.success(`Step ${stepNumber} completed successfully in ${stepDuration.toFixed(2)} seconds`);
-      } catch (error) {
-        console.error(chalk.red(`❌ Step ${stepNumber} failed: ${error.message}`));
-        await logger.error(`Step ${stepNumber} failed: ${error.message}`);
-        throw new Error(`Step ${stepNumber} failed: ${error.message}`);
+      }
+    } finally {
+      if (staging) {
+        await reportDryRun(config.subthemeDirectory, staging.stagedDirectory);
+        await removeStagingCopy(staging.stagingRoot);
       }
     }
 
+    // Sources are kept after a failed step so a resumed run can reuse them.
+    for (const source of [...sources.values(), ...baseSources.values()]) {
+      await cleanupSource(source);
+    }
+
     const totalTime = (Date.now() - metrics.startTime) / 1000;
     await logger.info(`Total execution time: ${totalTime.toFixed(2)} seconds`);
 
@@ -259,11 +668,26 @@ export async function runUpdate() {
       await logger.info(`- ${stepMetric.step}: ${stepMetric.duration.toFixed(2)}s (${(stepMetric.duration / totalTime * 100).toFixed(1)}%)`);
     }
 
-    console.log(chalk.green('\n✅ SDC update process completed successfully!'));
+    const usage = sumUsage(reports);
+    if (usage) {
+      const summary = `${usage.requests} requests, ${usage.inputTokens} input, ${usage.outputTokens} output, ${usage.cacheReadTokens} cache read, ${usage.cacheWriteTokens} cache write tokens, estimated cost ${formatCost(usage.cost)}`;
+      await logger.info(`AI usage: ${summary}`);
+    }
+
+    if (options.dryRun) {
+      console.log(chalk.green(`\n✅ Dry run completed, no changes were made to ${config.subthemeDirectory}`));
+    } else {
+      console.log(chalk.green('\n✅ SDC update process completed successfully!'));
+    }
     console.log(chalk.blue(`⏱️  Total time: ${totalTime.toFixed(2)} seconds`));
+    if (usage) {
+      console.log(chalk.blue(`💰 AI usage: ${usage.inputTokens} input and ${usage.outputTokens} output tokens (${usage.cacheReadTokens} cache read, ${usage.cacheWriteTokens} cache write), estimated cost ${formatCost(usage.cost)}`));
+    }
     console.log(chalk.gray(`📝 Full logs available at: ${logger.getCurrentLogFilePath() || 'unknown'}\n`));
 
     await logger.success('SDC update process completed successfully');
+
+    return { reports };
   } catch (error) {
     console.error(chalk.red(`\n❌ Error running SDC update: ${error.message}\n`));
     await logger.error(`Error running SDC update: ${error.message}`);
@@ -272,5 +696,13 @@ export async function runUpdate() {
 }
 
 export default {
+  UPDATE_STEPS,
+  resolveSteps,
+  getAvailableSteps,
+  planUpdate,
+  describePlan,
+  getRunState,
+  skipStep,
+  rollbackUpdate,
   runUpdate
 };
@@ -4,18 +4,130 @@
  *
  * Provides an interactive interface for configuring the application.
  */
-import { input, confirm, search } from '@inquirer/prompts';
+import { input, confirm, search, select } from '@inquirer/prompts';
 import { promises as fs } from 'fs';
+import path from 'path';
 import chalk from 'chalk';
 import { saveConfig, loadConfig } from './lib/config.mjs';
 import { validateSubThemeDirectory, searchDirectories } from './lib/validator.mjs';
 import logger from './lib/logger.mjs';
+import { describeSelection } from '../scripts/lib/component-filter.mjs';
+import { SOURCE_TYPES, getVersionSource, parseSource, describeSource, findThemeDirectory, validateSource } from '../../shared/civictheme-source.mjs';
+import { detectCivicThemeVersion, normalizeVersion, compareVersions } from '../../shared/civictheme-version.mjs';
+import { MIGRATIONS, getTargetVersions, getLatestVersion, planMigrations } from './lib/migrations.mjs';
+
+/**
+ * Ask which CivicTheme version the subtheme is on and which to upgrade to
+ *
+ * The current version is only asked for when it cannot be detected from the
+ * site's composer.lock or the installed civictheme.info.yml.
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @param {Object} existingConfig - Configuration loaded from .env
+ * @returns {Promise<{currentVersion: string, targetVersion: string}>} Versions, empty for the detected and latest version
+ */
+async function askVersions(subthemeDirectory, existingConfig) {
+  const detected = await detectCivicThemeVersion(subthemeDirectory);
+  let currentVersion = '';
+  if (detected) {
+    console.log(chalk.blue('🔖 Detected CivicTheme version:'), chalk.white(`${detected.version} (${detected.file})`));
+  } else {
+    currentVersion = await input({
+      message: chalk.white('🔖 CivicTheme version the sub-theme is on (could not be detected):'),
+      default: existingConfig.currentVersion || MIGRATIONS[MIGRATIONS.length - 1].from,
+      validate: (value) => Boolean(normalizeVersion(value)) || chalk.red('⚠️  Expected a version such as 1.10.0!')
+    });
+    currentVersion = normalizeVersion(currentVersion);
+  }
+
+  const fromVersion = currentVersion || detected.version;
+  const targets = getTargetVersions().filter(version => compareVersions(version, fromVersion) > 0);
+  if (targets.length === 0) {
+    console.log(chalk.green(`✅ The sub-theme is already on the latest supported CivicTheme version ${getLatestVersion()}`));
+    return { currentVersion, targetVersion: '' };
+  }
+
+  const targetVersion = await select({
+    message: chalk.white('🎯 CivicTheme version to upgrade to:'),
+    choices: targets.map(version => {
+      let migrations;
+      try {
+        migrations = planMigrations(fromVersion, version).map(migration => migration.name).join(', ');
+      } catch (error) {
+        migrations = error.message;
+      }
+      return { name: `${version} (${migrations})`, value: version };
+    }),
+    default: targets.includes(existingConfig.targetVersion) ? existingConfig.targetVersion : targets[targets.length - 1]
+  });
+
+  return { currentVersion, targetVersion: targetVersion === getLatestVersion() ? '' : targetVersion };
+}
+
+/**
+ * Ask where to read CivicTheme from
+ *
+ * The theme installed next to the subtheme is offered first, so sites that
+ * already have the new CivicTheme version do not need network access.
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @param {string} existingSource - Configured source
+ * @param {string} targetVersion - CivicTheme version to upgrade to
+ * @returns {Promise<string>} Source setting, empty for the CivicTheme repository at each target version
+ */
+async function askCivicThemeSource(subthemeDirectory, existingSource, targetVersion) {
+  const installedDirectory = await findThemeDirectory(path.resolve(subthemeDirectory, '../../contrib/civictheme'));
+  const existing = existingSource ? parseSource(existingSource) : null;
+
+  const type = await select({
+    message: chalk.white('📦 Where should the new CivicTheme version be read from?'),
+    choices: [
+      { name: `Installed theme directory${installedDirectory ? ` (${installedDirectory})` : ''}`, value: SOURCE_TYPES.DIRECTORY },
+      { name: 'Release tarball (path or URL)', value: SOURCE_TYPES.TARBALL },
+      { name: 'Git repository over HTTPS', value: SOURCE_TYPES.GIT }
+    ],
+    default: existing ? existing.type : (installedDirectory ? SOURCE_TYPES.DIRECTORY : SOURCE_TYPES.GIT)
+  });
+
+  if (type === SOURCE_TYPES.DIRECTORY) {
+    return search({
+      message: chalk.white('🔍 Enter the CivicTheme theme directory path:'),
+      default: existing?.type === type ? existing.location : installedDirectory || '',
+      source: async (input = '') => searchDirectories(input),
+      validate: async (input) => {
+        const directory = await findThemeDirectory(input.value || input);
+        if (!directory) {
+          return chalk.red('⚠️  No CivicTheme theme with a civictheme_starter_kit found in this directory!');
+        }
+        const validation = await validateSource(directory);
+        return validation.valid || chalk.red(`⚠️  ${validation.message}`);
+      }
+    });
+  }
+
+  if (type === SOURCE_TYPES.TARBALL) {
+    return input({
+      message: chalk.white('📦 Enter the path or URL of the CivicTheme .tar.gz:'),
+      default: existing?.type === type ? existing.location : '',
+      validate: (value) => parseSource(value).type === SOURCE_TYPES.TARBALL || chalk.red('⚠️  Expected a .tar.gz, .tgz or .tar file!')
+    });
+  }
+
+  const source = await input({
+    message: chalk.white('🌐 Enter the CivicTheme git repository URL and ref:'),
+    default: existing?.type === type ? existingSource : getVersionSource(targetVersion),
+    validate: (value) => /^https:\/\//.test(value.trim()) || chalk.red('⚠️  Expected an https:// URL, e.g. ' + getVersionSource(targetVersion))
+  });
+  return source.trim() === getVersionSource(targetVersion) ? '' : source.trim();
+}
 
 /**
  * Handles the configuration of the application
  *
- * Prompts user for sub-theme directory path and Anthropic API key,
- * then saves these values to a .env file.
+ * Prompts user for sub-theme directory path, if component descriptions
+ * should be enriched with Claude the Anthropic API key and model, which
+ * components to generate component YML for and where to read CivicTheme
+ * from, then saves these values to a .env file.
  *
  * @async
  * @return {Promise<Object>} Configuration object with user's inputs
@@ -27,7 +139,8 @@ export async function configureApplication() {
 
   console.log(chalk.blue('\n📝 SDC Update Tool Configuration\n'));
   console.log(chalk.yellow('ℹ️  This wizard will help you configure your CivicTheme subtheme for the SDC update process.'));
-  console.log(chalk.yellow('ℹ️  You will need a valid CivicTheme subtheme directory and an Anthropic API key.\n'));
+  console.log(chalk.yellow('ℹ️  You will need a valid CivicTheme subtheme directory.'));
+  console.log(chalk.yellow('ℹ️  An Anthropic API key is only needed to enrich component descriptions with Claude.\n'));
 
   // Load existing configuration if available
   const existingConfig = await loadConfig();
@@ -55,31 +168,72 @@ export async function configureApplication() {
     }
   });
 
-  // Get Anthropic API key
-  const anthropicApiKey = await input({
-    message: chalk.white('🔑 Enter your Anthropic API key:'),
-    default: existingConfig.anthropicApiKey || '',
-    validate: (value) => {
-      if (!value || value.trim() === '') {
-        return chalk.red('⚠️  API key cannot be empty!');
-      }
-      // Basic validation for API key format
-      return true;
-    }
-  });
-
-  // Get Anthropic model (optional)
-  const useDefaultModel = await confirm({
-    message: chalk.white(`🤖 Use default model (${existingConfig.anthropicModel || 'claude-3-5-sonnet-20241022'})?`),
-    default: true
+  // Component props are extracted offline, a model only improves descriptions.
+  const enrichDescriptions = await confirm({
+    message: chalk.white('✨ Enrich generated component descriptions with AI?'),
+    default: existingConfig.enrichDescriptions || false
   });
 
+  let anthropicApiKey = existingConfig.anthropicApiKey || '';
   let anthropicModel = existingConfig.anthropicModel || 'claude-3-5-sonnet-20241022';
+  let llmProvider = existingConfig.llmProvider || 'anthropic';
+  let llmBaseUrl = existingConfig.llmBaseUrl || '';
+  let llmModel = existingConfig.llmModel || '';
 
-  if (!useDefaultModel) {
-    anthropicModel = await input({
-      message: chalk.white('🤖 Enter the Anthropic model to use:'),
-      default: anthropicModel,
+  if (enrichDescriptions) {
+    // A self-hosted model keeps theme code on the local network.
+    llmProvider = await select({
+      message: chalk.white('🧠 Which model provider should be used?'),
+      default: llmProvider === 'openai-compatible' ? 'openai-compatible' : 'anthropic',
+      choices: [
+        { name: 'Anthropic Claude API', value: 'anthropic' },
+        { name: 'Self-hosted OpenAI compatible endpoint (e.g. Ollama)', value: 'openai-compatible' }
+      ]
+    });
+  }
+
+  if (enrichDescriptions && llmProvider === 'anthropic') {
+    // Get Anthropic API key
+    anthropicApiKey = await input({
+      message: chalk.white('🔑 Enter your Anthropic API key:'),
+      default: existingConfig.anthropicApiKey || '',
+      validate: (value) => {
+        if (!value || value.trim() === '') {
+          return chalk.red('⚠️  API key cannot be empty!');
+        }
+        // Basic validation for API key format
+        return true;
+      }
+    });
+
+    // Get Anthropic model (optional)
+    const useDefaultModel = await confirm({
+      message: chalk.white(`🤖 Use default model (${existingConfig.anthropicModel || 'claude-3-5-sonnet-20241022'})?`),
+      default: true
+    });
+
+    if (!useDefaultModel) {
+      anthropicModel = await input({
+        message: chalk.white('🤖 Enter the Anthropic model to use:'),
+        default: anthropicModel,
+        validate: (value) => {
+          if (!value || value.trim() === '') {
+            return chalk.red('⚠️  Model name cannot be empty!');
+          }
+          return true;
+        }
+      });
+    }
+  } else if (enrichDescriptions) {
+    llmBaseUrl = await input({
+      message: chalk.white('🌐 Enter the endpoint base URL:'),
+      default: llmBaseUrl || 'http://localhost:11434/v1',
+      validate: (value) => (/^https?:\/\//.test(value) ? true : chalk.red('⚠️  Enter an http:// or https:// URL!'))
+    });
+
+    llmModel = await input({
+      message: chalk.white('🤖 Enter the model to use:'),
+      default: llmModel,
       validate: (value) => {
         if (!value || value.trim() === '') {
           return chalk.red('⚠️  Model name cannot be empty!');
@@ -89,11 +243,63 @@ export async function configureApplication() {
     });
   }
 
+  // Component YML is generated for all components unless a selection is set.
+  let componentInclude = '';
+  let componentExclude = '';
+  let componentChangedSince = '';
+  let componentForce = false;
+  const selectComponents = await confirm({
+    message: chalk.white('🎯 Only generate component YML for some components?'),
+    default: Boolean(existingConfig.componentInclude || existingConfig.componentExclude || existingConfig.componentChangedSince || existingConfig.componentForce)
+  });
+
+  if (selectComponents) {
+    componentInclude = await input({
+      message: chalk.white('🎯 Components to include, comma separated globs relative to components/ (e.g. 03-organisms/**), empty for all:'),
+      default: existingConfig.componentInclude || ''
+    });
+
+    componentExclude = await input({
+      message: chalk.white('🚫 Components to exclude, comma separated globs (e.g. 00-base), empty for none:'),
+      default: existingConfig.componentExclude || ''
+    });
+
+    componentChangedSince = await input({
+      message: chalk.white('🔀 Only components changed since this git ref (e.g. main or a tag), empty for all:'),
+      default: existingConfig.componentChangedSince || ''
+    });
+
+    componentForce = await confirm({
+      message: chalk.white('♻️  Regenerate component YML that already exists for these components?'),
+      default: existingConfig.componentForce || false
+    });
+  }
+
+  const { currentVersion, targetVersion } = await askVersions(subthemeDirectory, existingConfig);
+  const civicthemeSource = await askCivicThemeSource(subthemeDirectory, existingConfig.civicthemeSource, targetVersion || getLatestVersion());
+
   // Save configuration
   const config = {
     subthemeDirectory,
     anthropicApiKey,
-    anthropicModel
+    anthropicModel,
+    enrichDescriptions,
+    llmProvider,
+    llmBaseUrl,
+    llmModel,
+    llmCacheMode: existingConfig.llmCacheMode,
+    llmMaxAttempts: existingConfig.llmMaxAttempts,
+    componentInclude: componentInclude.trim(),
+    componentExclude: componentExclude.trim(),
+    componentChangedSince: componentChangedSince.trim(),
+    componentForce,
+    componentLimit: existingConfig.componentLimit,
+    civicthemeSource,
+    civicthemeBaseSource: existingConfig.civicthemeBaseSource,
+    conflictStyle: existingConfig.conflictStyle,
+    currentVersion,
+    targetVersion,
+    pluginDirectory: existingConfig.pluginDirectory
   };
 
   try {
@@ -101,8 +307,23 @@ export async function configureApplication() {
 
     console.log(chalk.green('\n✅ Configuration saved successfully!\n'));
     console.log(chalk.blue('📁 Sub-theme directory:'), chalk.white(subthemeDirectory));
-    console.log(chalk.blue('🔑 API key:'), chalk.white('*'.repeat(Math.min(10, anthropicApiKey.length)) + (anthropicApiKey.length > 10 ? '...' : '')));
-    console.log(chalk.blue('🤖 Model:'), chalk.white(anthropicModel));
+    console.log(chalk.blue('✨ AI description enrichment:'), chalk.white(enrichDescriptions ? `enabled (${llmProvider})` : 'disabled'));
+    if (enrichDescriptions && llmProvider === 'anthropic') {
+      console.log(chalk.blue('🔑 API key:'), chalk.white('*'.repeat(Math.min(10, anthropicApiKey.length)) + (anthropicApiKey.length > 10 ? '...' : '')));
+      console.log(chalk.blue('🤖 Model:'), chalk.white(anthropicModel));
+    } else if (enrichDescriptions) {
+      console.log(chalk.blue('🌐 Endpoint:'), chalk.white(llmBaseUrl));
+      console.log(chalk.blue('🤖 Model:'), chalk.white(llmModel));
+    }
+    const selection = describeSelection({
+      include: config.componentInclude,
+      exclude: config.componentExclude,
+      changedSince: config.componentChangedSince,
+      force: componentForce
+    });
+    console.log(chalk.blue('🎯 Components:'), chalk.white(selection || 'all'));
+    console.log(chalk.blue('🔖 CivicTheme version:'), chalk.white(`${currentVersion || 'detected'} → ${targetVersion || getLatestVersion()}`));
+    console.log(chalk.blue('📦 CivicTheme source:'), chalk.white(civicthemeSource ? describeSource(civicthemeSource) : 'CivicTheme repository at each target version'));
     console.log(chalk.green('\n🚀 You can now run the SDC update from the main menu!\n'));
 
     await logger.success('Configuration saved successfully');
@@ -0,0 +1,131 @@
+/**
+ * @file
+ * Tests for selecting the components an update step processes.
+ *
+ * Run with `npm test`, selecting changed components needs git.
+ */
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { describeSelection, getSelectionFromEnv, parsePatterns, selectComponentFiles } from '../scripts/lib/component-filter.mjs';
+
+const COMPONENTS = '/theme/components';
+
+const FILES = [
+  '00-base/icon/icon.twig',
+  '01-atoms/button/button.twig',
+  '03-organisms/header/header.twig',
+  '03-organisms/footer/footer.twig'
+].map(file => path.join(COMPONENTS, file));
+
+/**
+ * Select components and return their paths relative to the components directory
+ *
+ * @param {Object} selection - Selection options
+ * @returns {Promise<Array<string>>} Selected templates
+ */
+async function select(selection) {
+  const { selected } = await selectComponentFiles(FILES, COMPONENTS, selection);
+  return selected.map(file => path.relative(COMPONENTS, file));
+}
+
+describe('Selection options', () => {
+  test('Splits comma separated patterns', () => {
+    assert.deepEqual(parsePatterns(' 00-base, 03-organisms/** ,'), ['00-base', '03-organisms/**']);
+    assert.deepEqual(parsePatterns(['01-atoms ']), ['01-atoms']);
+    assert.deepEqual(parsePatterns(undefined), []);
+  });
+
+  test('Reads the selection from the environment', () => {
+    assert.deepEqual(getSelectionFromEnv({ COMPONENT_INCLUDE: '03-organisms', COMPONENT_FORCE: 'true', COMPONENT_LIMIT: '5' }), {
+      include: ['03-organisms'],
+      exclude: [],
+      changedSince: null,
+      gitDirectory: null,
+      force: true,
+      limit: 5
+    });
+    assert.equal(getSelectionFromEnv({ COMPONENT_LIMIT: '-1' }).limit, null);
+  });
+
+  test('Describes the selection', () => {
+    assert.equal(describeSelection({}), '');
+    assert.equal(describeSelection({ include: '03-organisms', exclude: ['03-organisms/footer'], changedSince: 'v1.10.0', force: true, limit: 2 }),
+      'including 03-organisms, excluding 03-organisms/footer, changed since v1.10.0, regenerating existing definitions, at most 2');
+  });
+});
+
+describe('Component selection', () => {
+  test('Selects every component without patterns', async () => {
+    assert.equal((await select({})).length, FILES.length);
+  });
+
+  test('Matches a directory without glob characters and everything in it', async () => {
+    assert.deepEqual(await select({ include: '03-organisms' }), ['03-organisms/header/header.twig', '03-organisms/footer/footer.twig']);
+    assert.deepEqual(await select({ include: './00-base/' }), ['00-base/icon/icon.twig']);
+  });
+
+  test('Matches globs', async () => {
+    assert.deepEqual(await select({ include: '*/button/**' }), ['01-atoms/button/button.twig']);
+    assert.deepEqual(await select({ include: '0[01]-*/**' }), ['00-base/icon/icon.twig', '01-atoms/button/button.twig']);
+  });
+
+  test('Excludes after including', async () => {
+    assert.deepEqual(await select({ include: '03-organisms', exclude: '03-organisms/footer' }), ['03-organisms/header/header.twig']);
+  });
+
+  test('Reports the templates that are not selected', async () => {
+    const { excluded } = await selectComponentFiles(FILES, COMPONENTS, { exclude: '03-organisms' });
+    assert.deepEqual(excluded, FILES.slice(2));
+  });
+});
+
+describe('Changed components', () => {
+  let repository;
+  let components;
+  const files = ['01-atoms/button/button.twig', '01-atoms/link/link.twig', '03-organisms/header/header.twig', '03-organisms/footer/footer.twig'];
+
+  /**
+   * Run a git command in the test repository
+   *
+   * @param {Array<string>} args - Git arguments
+   * @returns {string} Stdout
+   */
+  function git(args) {
+    return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repository, encoding: 'utf8' });
+  }
+
+  before(async () => {
+    repository = await fs.mkdtemp(path.join(os.tmpdir(), 'component-filter-'));
+    components = path.join(repository, 'components');
+    for (const file of files) {
+      await fs.mkdir(path.dirname(path.join(components, file)), { recursive: true });
+      await fs.writeFile(path.join(components, file), '{{ title }}\n');
+    }
+    git(['init', '-q']);
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', 'Initial']);
+    git(['tag', 'v1']);
+  });
+
+  after(async () => {
+    await fs.rm(repository, { recursive: true, force: true });
+  });
+
+  test('Selects components with committed, unstaged and untracked changes', async () => {
+    await fs.writeFile(path.join(components, '01-atoms/button/button.twig'), '{{ text }}\n');
+    git(['commit', '-q', '-am', 'Button']);
+    await fs.writeFile(path.join(components, '03-organisms/header/header.twig'), '{{ logo }}\n');
+    await fs.writeFile(path.join(components, '01-atoms/link/link.component.yml'), 'name: Link\n');
+
+    const { selected } = await selectComponentFiles(files.map(file => path.join(components, file)), components, { changedSince: 'v1' });
+    assert.deepEqual(selected.map(file => path.relative(components, file)), files.slice(0, 3));
+  });
+
+  test('Fails for an unknown ref', async () => {
+    await assert.rejects(selectComponentFiles([], components, { changedSince: 'missing-ref' }), /Could not find changes since missing-ref/);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * @file
+ * Tests for rewriting legacy component paths in PHP and YAML files.
+ *
+ * Run with `npm test`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findPhpStrings, findYamlScalars, rewriteLegacyPaths } from '../scripts/lib/legacy-paths.mjs';
+
+const NAMESPACES = { header: 'civictheme', button: 'civictheme' };
+
+describe('PHP files', () => {
+  test('Finds strings outside comments', () => {
+    const source = '<?php\n// \'a\'\n/* "b" */\n# \'c\'\n$x = \'d\\\'e\' . "f";\n';
+    assert.deepEqual(findPhpStrings(source).map(string => string.value), ['d\\\'e', 'f']);
+  });
+
+  test('Rewrites strings that are a template path', () => {
+    const { source, rewritten } = rewriteLegacyPaths('<?php\n// \'@organisms/header/header.twig\'\n$variables[\'template\'] = \'@organisms/header/header.twig\';\n', 'php', NAMESPACES);
+    assert.equal(source, '<?php\n// \'@organisms/header/header.twig\'\n$variables[\'template\'] = \'civictheme:header\';\n');
+    assert.deepEqual(rewritten, [{ line: 3, from: '@organisms/header/header.twig', to: 'civictheme:header' }]);
+  });
+
+  test('Rewrites inline templates and suggests a component render element', () => {
+    const { source, review } = rewriteLegacyPaths('<?php\n$element = [\'#template\' => \'{% include "@atoms/button/button.twig" with { text: text } %}\'];\n', 'php', NAMESPACES);
+    assert.equal(source, '<?php\n$element = [\'#template\' => \'{% include "civictheme:button" with { text: text } %}\'];\n');
+    assert.deepEqual(review.map(entry => entry.reference), ['civictheme:button']);
+    assert.match(review[0].reason, /'#type' => 'component', '#component' => 'civictheme:button'/);
+  });
+
+  test('Lists dynamic, escaped and unknown paths for review', () => {
+    const original = '<?php\n$a = "@organisms/$name/$name.twig";\n$b = \'@atoms/\' . $type . \'/button.twig\';\n$c = \'@atoms/missing/missing.twig\';\n$d = \'it\\\'s @atoms/button/button.twig\';\n';
+    const { source, review } = rewriteLegacyPaths(original, 'php', NAMESPACES);
+    assert.equal(source, original);
+    assert.deepEqual(review.map(entry => [entry.line, entry.reason]), [
+      [2, 'string has escapes or variables'],
+      [3, 'template path is not the whole string'],
+      [4, 'no component named missing'],
+      [5, 'string has escapes or variables']
+    ]);
+  });
+
+  test('Changes nothing the second time', () => {
+    const once = rewriteLegacyPaths('<?php\n$a = \'@organisms/header/header.twig\';\n$b = \'{% include "@atoms/button/button.twig" %}\';\n', 'php', NAMESPACES).source;
+    const twice = rewriteLegacyPaths(once, 'php', NAMESPACES);
+    assert.equal(twice.source, once);
+    assert.deepEqual(twice.rewritten, []);
+  });
+});
+
+describe('YAML files', () => {
+  test('Finds the scalars with a template path outside comments', () => {
+    const source = '# \'@atoms/button/button.twig\'\ntemplate: \'@organisms/header/header.twig\' # the header\nlist:\n  - "@atoms/button/button.twig"\nother: value\n';
+    assert.deepEqual(findYamlScalars(source).map(scalar => [scalar.quote, scalar.value]), [
+      ['\'', '@organisms/header/header.twig'],
+      ['"', '@atoms/button/button.twig']
+    ]);
+  });
+
+  test('Rewrites scalars that are a template path and keeps their quotes', () => {
+    const { source, review } = rewriteLegacyPaths('template: \'@organisms/header/header.twig\' # the header\nlist:\n  - "@atoms/button/button.twig"\n  - plain: @atoms/missing/missing.twig\n', 'yaml', NAMESPACES);
+    assert.equal(source, 'template: \'civictheme:header\' # the header\nlist:\n  - "civictheme:button"\n  - plain: @atoms/missing/missing.twig\n');
+    assert.deepEqual(review, [{ line: 4, reference: '@atoms/missing/missing.twig', reason: 'no component named missing' }]);
+  });
+
+  test('Does not take a # inside quotes for a comment', () => {
+    const { review } = rewriteLegacyPaths('anchor: \'#@atoms/button/button.twig\'\n', 'yaml', NAMESPACES);
+    assert.deepEqual(review, [{ line: 1, reference: '#@atoms/button/button.twig', reason: 'template path is not the whole string' }]);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @file
+ * Tests for the migration registry and the chain of migrations between versions.
+ *
+ * Run with `npm test`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareVersions } from '../../shared/civictheme-version.mjs';
+import {
+  MIGRATIONS,
+  UPDATE_STEPS,
+  getLatestVersion,
+  getMigrationSteps,
+  getNumberedSteps,
+  getStepNumber,
+  getTargetVersions,
+  planMigrations
+} from '../src/lib/migrations.mjs';
+
+const REGISTRY = [
+  { id: 'c', from: '1.11.0', to: '1.12.0', steps: [{ id: 'c1' }] },
+  { id: 'a', from: '1.9.0', to: '1.10.0', steps: [{ id: 'a1' }, { id: 'a2' }] },
+  { id: 'b', from: '1.10.0', to: '1.11.0', steps: [{ id: 'b1' }] }
+];
+
+/**
+ * Get the ids of a chain of migrations
+ *
+ * @param {string} from - Current version
+ * @param {string} to - Target version
+ * @returns {Array<string>} Migration ids in order
+ */
+function chain(from, to) {
+  return planMigrations(from, to, REGISTRY).map(migration => migration.id);
+}
+
+describe('Migration chain', () => {
+  test('Lists the target versions, lowest first', () => {
+    assert.deepEqual(getTargetVersions(REGISTRY), ['1.10.0', '1.11.0', '1.12.0']);
+    assert.equal(getLatestVersion(REGISTRY), '1.12.0');
+  });
+
+  test('Runs every migration between the versions in order', () => {
+    assert.deepEqual(chain('1.9.0', '1.12.0'), ['a', 'b', 'c']);
+    assert.deepEqual(chain('1.10.2', '1.11.0'), ['b']);
+    assert.deepEqual(chain('v1.9.3', '1.11'), ['a', 'b']);
+  });
+
+  test('Is empty if the subtheme is already on the target version', () => {
+    assert.deepEqual(chain('1.12.0', '1.12.0'), []);
+  });
+
+  test('Refuses to skip a version', () => {
+    assert.throws(() => chain('1.8.0', '1.10.0'), { code: 'NO_MIGRATION_PATH', message: /No migration from CivicTheme 1\.8\.0 to 1\.9\.0/ });
+  });
+
+  test('Refuses unknown and invalid versions', () => {
+    assert.throws(() => chain('1.9.0', '2.0.0'), { code: 'NO_MIGRATION_PATH', message: /No migration to CivicTheme 2\.0\.0/ });
+    assert.throws(() => chain('latest', '1.10.0'), { code: 'NO_MIGRATION_PATH', message: /Invalid CivicTheme version: latest/ });
+  });
+
+  test('Returns the steps with their migration', () => {
+    const steps = getMigrationSteps(planMigrations('1.9.0', '1.11.0', REGISTRY));
+    assert.deepEqual(steps.map(step => [step.id, step.migration.id]), [['a1', 'a'], ['a2', 'a'], ['b1', 'b']]);
+  });
+});
+
+describe('Migration registry', () => {
+  test('Chains every migration to the next', () => {
+    const sorted = [...MIGRATIONS].sort((a, b) => compareVersions(a.to, b.to));
+    sorted.slice(1).forEach((migration, index) => assert.equal(migration.from, sorted[index].to));
+    assert.equal(planMigrations(sorted[0].from, getLatestVersion()).length, MIGRATIONS.length);
+  });
+
+  test('Numbers the update steps first, whichever steps run', () => {
+    assert.deepEqual(UPDATE_STEPS.map(step => getStepNumber(step.id)), UPDATE_STEPS.map((step, index) => index + 1));
+    assert.equal(getStepNumber('step2'), 2);
+    assert.equal(getStepNumber('storybook'), UPDATE_STEPS.length + 1);
+    assert.equal(getStepNumber('brand-tokens'), null);
+    assert.deepEqual(getNumberedSteps().map(step => step.number), getNumberedSteps().map((step, index) => index + 1));
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * @file
+ * Tests for the update step contract and plugin steps.
+ *
+ * Run with `npm test`.
+ */
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileJournal, defineStep } from '../src/lib/steps.mjs';
+import { insertPluginSteps, loadPlugins } from '../src/lib/plugins.mjs';
+
+const STEP_IDS = ['step1', 'step2', 'step3'];
+
+describe('Step contract', () => {
+  test('Fills in the defaults of the contract', async () => {
+    const step = defineStep({ id: 'brand', name: 'Update brand', apply: () => ({}) });
+    assert.equal(step.description, 'Update brand');
+    assert.deepEqual(await step.preconditions({}), []);
+    assert.deepEqual(await step.plan({}), []);
+    assert.deepEqual(await step.verify({}, {}), []);
+  });
+
+  test('Rejects incomplete steps', () => {
+    assert.throws(() => defineStep({ name: 'Update brand', apply: () => ({}) }), { code: 'INVALID_STEP', message: 'Update step has no id' });
+    assert.throws(() => defineStep({ id: 'brand', name: 'Update brand' }), { code: 'INVALID_STEP', message: 'Update step brand has no apply() function' });
+    assert.throws(() => defineStep({ id: 'brand', name: 'Update brand', apply: () => ({}), verify: [] }), /brand verify must be a function/);
+  });
+
+  test('Restores the files written through the journal', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'file-journal-'));
+    try {
+      await fs.writeFile(path.join(directory, 'changed.txt'), 'original');
+      await fs.writeFile(path.join(directory, 'removed.txt'), 'original');
+      const journal = createFileJournal();
+      journal.write(path.join(directory, 'changed.txt'), 'first');
+      journal.write(path.join(directory, 'changed.txt'), 'second');
+      journal.write(path.join(directory, 'new/added.txt'), 'added');
+      journal.remove(path.join(directory, 'removed.txt'));
+      assert.equal(journal.changes().length, 3);
+
+      journal.restore();
+      assert.equal(await fs.readFile(path.join(directory, 'changed.txt'), 'utf8'), 'original');
+      assert.equal(await fs.readFile(path.join(directory, 'removed.txt'), 'utf8'), 'original');
+      await assert.rejects(fs.access(path.join(directory, 'new/added.txt')));
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Plugin loading', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a plugin file
+   *
+   * @param {string} file - File name
+   * @param {string} steps - Source of the steps array
+   * @returns {Promise<void>}
+   */
+  function writePlugin(file, steps) {
+    return fs.writeFile(path.join(directory, file), `export default { steps: ${steps} };\n`);
+  }
+
+  test('Loads the steps of every plugin in file name order', async () => {
+    await writePlugin('b.mjs', '[{ id: \'lint\', name: \'Lint\', script: \'./lint.sh\' }]');
+    await writePlugin('a.mjs', '[{ id: \'brand\', name: \'Brand\', after: \'step2\', apply: () => ({}) }, { id: \'brand-check\', name: \'Check\', after: \'brand\', apply: () => ({}) }]');
+    await fs.writeFile(path.join(directory, 'README.md'), '');
+
+    const steps = await loadPlugins(directory, STEP_IDS);
+    assert.deepEqual(steps.map(step => [step.id, step.plugin, step.after]), [
+      ['brand', 'a.mjs', 'step2'],
+      ['brand-check', 'a.mjs', 'brand'],
+      ['lint', 'b.mjs', undefined]
+    ]);
+    assert.equal(steps[2].script, path.join(directory, 'lint.sh'));
+  });
+
+  test('Rejects step ids that are already used', async () => {
+    await writePlugin('a.mjs', '[{ id: \'step2\', name: \'Brand\', apply: () => ({}) }]');
+    await assert.rejects(loadPlugins(directory, STEP_IDS), { code: 'INVALID_PLUGIN', message: 'Plugin a.mjs: step id step2 is already used' });
+  });
+
+  test('Rejects steps placed next to an unknown step', async () => {
+    await writePlugin('a.mjs', '[{ id: \'brand\', name: \'Brand\', before: \'step9\', apply: () => ({}) }]');
+    await assert.rejects(loadPlugins(directory, STEP_IDS), { code: 'INVALID_PLUGIN', message: /placed next to unknown step step9/ });
+  });
+
+  test('Rejects steps placed both after and before a step', async () => {
+    await writePlugin('a.mjs', '[{ id: \'brand\', name: \'Brand\', after: \'step1\', before: \'step2\', apply: () => ({}) }]');
+    await assert.rejects(loadPlugins(directory, STEP_IDS), { code: 'INVALID_PLUGIN', message: /either after or before/ });
+  });
+
+  test('Rejects plugins that do not export steps or break the contract', async () => {
+    await fs.writeFile(path.join(directory, 'a.mjs'), 'export const steps = [];\n');
+    await assert.rejects(loadPlugins(directory, STEP_IDS), { code: 'INVALID_PLUGIN', message: 'Plugin a.mjs must export { steps: [...] } by default' });
+
+    // Imported modules are cached, so the next plugin needs a new file name.
+    await fs.rm(path.join(directory, 'a.mjs'));
+    await writePlugin('b.mjs', '[{ id: \'brand\', name: \'Brand\' }]');
+    await assert.rejects(loadPlugins(directory, STEP_IDS), { code: 'INVALID_PLUGIN', message: 'Plugin b.mjs: Update step brand has no apply() function' });
+  });
+
+  test('Rejects a missing plugin directory', async () => {
+    await assert.rejects(loadPlugins(path.join(directory, 'missing'), STEP_IDS), { code: 'INVALID_PLUGIN', message: /Could not read plugin directory/ });
+  });
+});
+
+describe('Plugin step placement', () => {
+  const migration = { id: 'sdc' };
+  const steps = STEP_IDS.map(id => ({ id, migration }));
+
+  test('Places steps after, before and at the end of the plan', () => {
+    const { steps: planned, excluded } = insertPluginSteps(steps, [
+      { id: 'after-1', plugin: 'a.mjs', after: 'step1' },
+      { id: 'after-2', plugin: 'a.mjs', after: 'step1' },
+      { id: 'before-3', plugin: 'a.mjs', before: 'step3' },
+      { id: 'last', plugin: 'a.mjs' }
+    ]);
+    assert.deepEqual(planned.map(step => step.id), ['step1', 'after-1', 'after-2', 'step2', 'before-3', 'step3', 'last']);
+    assert.equal(planned.every(step => step.migration === migration), true);
+    assert.deepEqual(excluded, []);
+  });
+
+  test('Leaves out steps placed next to a step that does not run', () => {
+    const { steps: planned, excluded } = insertPluginSteps(steps.slice(0, 1), [{ id: 'brand', plugin: 'a.mjs', after: 'step2' }]);
+    assert.deepEqual(planned.map(step => step.id), ['step1']);
+    assert.deepEqual(excluded.map(step => step.id), ['brand']);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @file
+ * Tests for the run state that lets a failed update resume.
+ *
+ * Run with `npm test`, the run state is written below a temporary directory.
+ */
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  STEP_STATUS,
+  createRunState,
+  getStateFilePath,
+  getStepStatus,
+  hashInputs,
+  loadRunState,
+  markStep,
+  resetRunState,
+  saveRunState
+} from '../src/lib/run-state.mjs';
+
+describe('Run state', () => {
+  const cwd = process.cwd();
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-state-'));
+    // The run state directory is relative to the working directory.
+    process.chdir(tempDir);
+  });
+
+  after(async () => {
+    process.chdir(cwd);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('Hashes the inputs of a run', () => {
+    assert.equal(hashInputs({ steps: ['step1'], version: '1.11.0' }), hashInputs({ steps: ['step1'], version: '1.11.0' }));
+    assert.notEqual(hashInputs({ steps: ['step1'] }), hashInputs({ steps: ['step1', 'step2'] }));
+  });
+
+  test('Keeps the state of subthemes with the same name apart', () => {
+    const first = getStateFilePath('/site-a/themes/my_theme');
+    const second = getStateFilePath('/site-b/themes/my_theme');
+    assert.match(first, /^\.run-state[\\/]my_theme-[0-9a-f]{8}\.json$/);
+    assert.notEqual(first, second);
+    assert.equal(getStateFilePath('/site-a/themes/../themes/my_theme'), first);
+  });
+
+  test('Tracks the status of each step', () => {
+    const state = createRunState('my_theme', 'hash');
+    assert.equal(getStepStatus(state, 'step1'), STEP_STATUS.PENDING);
+    assert.equal(getStepStatus(null, 'step1'), STEP_STATUS.PENDING);
+
+    markStep(state, 'step1', STEP_STATUS.RUNNING);
+    assert.ok(state.steps.step1.startedAt);
+    markStep(state, 'step1', STEP_STATUS.FAILED, { error: 'Script failed' });
+    assert.deepEqual(Object.keys(state.steps.step1).sort(), ['error', 'finishedAt', 'startedAt', 'status']);
+
+    // A step that runs again forgets the error of the previous run.
+    markStep(state, 'step1', STEP_STATUS.RUNNING);
+    assert.equal(state.steps.step1.error, undefined);
+    assert.equal(state.steps.step1.finishedAt, undefined);
+    markStep(state, 'step1', STEP_STATUS.COMPLETED, { report: { successful: ['button.twig'] } });
+    assert.equal(getStepStatus(state, 'step1'), STEP_STATUS.COMPLETED);
+    assert.deepEqual(state.steps.step1.report, { successful: ['button.twig'] });
+  });
+
+  test('Saves, loads and resets the state of a subtheme', async () => {
+    const subtheme = path.join(tempDir, 'my_theme');
+    assert.equal(await loadRunState(subtheme), null);
+
+    const state = createRunState(subtheme, hashInputs({ version: '1.11.0' }));
+    markStep(state, 'step1', STEP_STATUS.COMPLETED);
+    await saveRunState(state);
+    assert.deepEqual(await loadRunState(subtheme), state);
+
+    await resetRunState(subtheme);
+    assert.equal(await loadRunState(subtheme), null);
+  });
+});
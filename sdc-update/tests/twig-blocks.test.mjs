@@ -0,0 +1,75 @@
+/**
+ * @file
+ * Tests for renaming Twig blocks with the SDC block suffix.
+ *
+ * Run with `npm test`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBlockDefinitions, planBlockNames, renameBlocks } from '../scripts/lib/twig-blocks.mjs';
+
+const CARD_BLOCKS = new Set(['content_block', 'title_block']);
+
+const OPTIONS = {
+  isComponent: true,
+  getComponentBlocks: template => (['@molecules/card/card.twig', 'civictheme:card'].includes(template) ? CARD_BLOCKS : null)
+};
+
+describe('Block definitions', () => {
+  test('Finds the blocks of the template, not those it overrides in an embed', () => {
+    const source = '{% block content %}{% endblock %}\n{% embed "civictheme:card" %}{% block title %}{% endblock %}{% endembed %}\n{% block footer \'Footer\' %}';
+    assert.deepEqual(findBlockDefinitions(source), [{ name: 'content', line: 1 }, { name: 'footer', line: 3 }]);
+  });
+
+  test('Keeps a block whose new name is already taken and reports it', () => {
+    const { names, conflicts } = planBlockNames([{ name: 'content', line: 1 }, { name: 'content_block', line: 2 }, { name: 'title', line: 3 }]);
+    assert.deepEqual([...names], [['content', 'content'], ['content_block', 'content_block'], ['title', 'title_block']]);
+    assert.deepEqual(conflicts, [{ name: 'content', line: 1, reason: 'block content_block already exists' }]);
+  });
+});
+
+describe('Block rename', () => {
+  test('Renames the blocks of a component with their endblock and block() calls', () => {
+    const { source, renamed } = renameBlocks('{% block content %}{{ block(\'title\') }}{% endblock content %}{% block title \'Title\' %}', OPTIONS);
+    assert.equal(source, '{% block content_block %}{{ block(\'title_block\') }}{% endblock content_block %}{% block title_block \'Title\' %}');
+    assert.deepEqual(renamed.map(entry => entry.to), ['content_block', 'title_block', 'title_block']);
+  });
+
+  test('Leaves the blocks of a template that is not a component', () => {
+    const source = '{% block content %}{% endblock %}';
+    assert.deepEqual(renameBlocks(source, { ...OPTIONS, isComponent: false }), { source, renamed: [], conflicts: [] });
+  });
+
+  test('Does not rename a block onto a block that already exists', () => {
+    const { source, conflicts } = renameBlocks('{% block content %}{% endblock %}{% block content_block %}{% endblock %}', OPTIONS);
+    assert.equal(source, '{% block content %}{% endblock %}{% block content_block %}{% endblock %}');
+    assert.deepEqual(conflicts, [{ name: 'content', line: 1, reason: 'block content_block already exists' }]);
+  });
+
+  test('Renames the overrides of an embedded or extended component', () => {
+    const embed = renameBlocks('{% embed "@molecules/card/card.twig" %}{% block content %}x{% endblock %}{% endembed %}', { ...OPTIONS, isComponent: false });
+    assert.equal(embed.source, '{% embed "@molecules/card/card.twig" %}{% block content_block %}x{% endblock %}{% endembed %}');
+
+    const extended = renameBlocks('{% extends "civictheme:card" %}{% block title %}{{ block("content", "civictheme:card") }}{% endblock %}', OPTIONS);
+    assert.equal(extended.source, '{% extends "civictheme:card" %}{% block title_block %}{{ block("content_block", "civictheme:card") }}{% endblock %}');
+  });
+
+  test('Reports overrides of blocks the component does not have', () => {
+    const { conflicts } = renameBlocks('{% extends "civictheme:card" %}{% block footer %}{% endblock %}', OPTIONS);
+    assert.deepEqual(conflicts, [{ name: 'footer', line: 1, reason: 'civictheme:card has no block footer' }]);
+  });
+
+  test('Changes nothing the second time', () => {
+    const sources = [
+      '{% block content %}{{ block(\'title\') }}{% endblock content %}{% block title \'Title\' %}',
+      '{% block content %}{% endblock %}{% block content_block %}{% endblock %}',
+      '{% embed "civictheme:card" %}{% block content %}x{% endblock %}{% endembed %}'
+    ];
+    for (const source of sources) {
+      const once = renameBlocks(source, OPTIONS).source;
+      const twice = renameBlocks(once, OPTIONS);
+      assert.equal(twice.source, once);
+      assert.deepEqual(twice.renamed, []);
+    }
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @file
+ * Tests for extracting component props from Twig templates.
+ *
+ * Run with `npm test`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComponentSchema, extractProps, findVariableUsages, parseDocblock, toTitle } from '../scripts/lib/twig-props.mjs';
+
+const TEMPLATE = `{#
+/**
+ * @file
+ * Button component.
+ *
+ * Variables:
+ * - text: [string] Button text.
+ * - items: [array] Items.
+ *   - title: [string] Item title.
+ */
+#}
+{# {{ ghost }} #}
+{% set size = size|default('regular') %}
+{% if size in ['large', 'small'] %}{% endif %}
+{% if is_new_window is defined %}{{ 'not_a_variable' }}{% endif %}
+{% for item in links %}{{ item.url }}{% endfor %}
+{% set local = 1 %}{{ local }}
+{{ count|default(0) }}
+`;
+
+describe('Docblock', () => {
+  test('Reads the description and nested variables', () => {
+    const { description, variables } = parseDocblock(TEMPLATE);
+    assert.equal(description, 'Button component.');
+    assert.deepEqual(Object.keys(variables), ['text', 'items']);
+    assert.equal(variables.items.type, 'array');
+    assert.equal(variables.items.children.title.description, 'Item title.');
+  });
+
+  test('Titles machine names', () => {
+    assert.equal(toTitle('is_new_window'), 'Is new window');
+    assert.equal(toTitle('promo-card'), 'Promo card');
+  });
+});
+
+describe('Variable usages', () => {
+  test('Skips comments, strings and variables the template defines', () => {
+    const names = findVariableUsages(TEMPLATE).map(usage => usage.name);
+    assert.deepEqual(names, ['size', 'is_new_window', 'links', 'count']);
+  });
+
+  test('Collects defaults, enums, checks and loops', () => {
+    const usages = Object.fromEntries(findVariableUsages(TEMPLATE).map(usage => [usage.name, usage]));
+    assert.equal(usages.size.default, 'regular');
+    assert.deepEqual(usages.size.enum, ['large', 'small']);
+    assert.equal(usages.is_new_window.checked, true);
+    assert.equal(usages.links.hints.has('array'), true);
+    assert.equal(usages.count.default, 0);
+  });
+
+  test('Reports a variable used before the template sets it', () => {
+    const names = findVariableUsages('{{ title }}{% set title = "x" %}{{ title }}').map(usage => usage.name);
+    assert.deepEqual(names, ['title']);
+  });
+});
+
+describe('Props', () => {
+  test('Lists documented props first and types the rest by their usage', () => {
+    const { properties, undocumented } = extractProps(TEMPLATE);
+    assert.deepEqual(Object.keys(properties), ['text', 'items', 'size', 'is_new_window', 'links', 'count']);
+    assert.deepEqual(undocumented, ['size', 'is_new_window', 'links', 'count']);
+    assert.deepEqual(properties.items.items, { type: 'object', properties: { title: { type: 'string', title: 'Title', description: 'Item title.' } } });
+    assert.deepEqual(properties.size, { title: 'Size', type: 'string', enum: ['regular', 'large', 'small'], default: 'regular' });
+    assert.equal(properties.links.type, 'array');
+    assert.deepEqual(properties.count, { title: 'Count', type: 'integer', default: 0 });
+  });
+
+  test('Drops defaults that do not match the type', () => {
+    const { properties } = extractProps('{#\n/**\n * Variables:\n * - links: [array] Links.\n */\n#}{{ links|default(\'\') }}');
+    assert.equal('default' in properties.links, false);
+  });
+
+  test('Keeps the original props and slots of an overridden component', () => {
+    const schema = buildComponentSchema({
+      source: TEMPLATE,
+      templatePath: 'components/01-atoms/button/button.twig',
+      existingSchema: {
+        name: 'Button',
+        props: { properties: { text: { type: 'string', title: 'Original' }, removed: { type: 'string' } } },
+        slots: { items: { title: 'Items' } }
+      },
+      hasJs: true
+    });
+    assert.equal(schema.replaces, 'civictheme:button');
+    assert.deepEqual(schema.props.properties.text, { type: 'string', title: 'Original' });
+    assert.equal('removed' in schema.props.properties, false);
+    assert.equal('items' in schema.props.properties, false);
+    assert.deepEqual(schema.slots, { items: { title: 'Items' } });
+    assert.deepEqual(schema.libraryOverrides, { js: { 'button.js': {} } });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * @file
+ * Tests for rewriting Twig template references to SDC component ids.
+ *
+ * Run with `npm test`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findTemplateReferences, resolveTemplateReference, rewriteTemplateReferences } from '../scripts/lib/twig-references.mjs';
+
+const NAMESPACES = { button: 'civictheme', card: 'civictheme', promo: 'my_theme' };
+
+/**
+ * Rewrite the references of a template
+ *
+ * @param {string} source - Template source
+ * @returns {string} Rewritten source
+ */
+function rewrite(source) {
+  return rewriteTemplateReferences(source, NAMESPACES).source;
+}
+
+describe('Template references', () => {
+  test('Finds references in tags and functions with their line', () => {
+    const source = '{% embed "@molecules/card/card.twig" %}{% endembed %}\n{{ include(\'@organisms/promo/promo.twig\', { x: 1 }) }}';
+    assert.deepEqual(findTemplateReferences(source).map(reference => [reference.name, reference.value, reference.line]), [
+      ['embed', '@molecules/card/card.twig', 1],
+      ['include', '@organisms/promo/promo.twig', 2]
+    ]);
+  });
+
+  test('Skips comments, text and other strings', () => {
+    const source = '{# {% include "@atoms/button/button.twig" %} #}\n<p>"@atoms/button/button.twig"</p>\n'
+      + '{% set x = "@atoms/button/button.twig" %}{{ include(\'@organisms/promo/promo.twig\', { x: \'@atoms/button/button.twig\' }) }}';
+    assert.deepEqual(findTemplateReferences(source).map(reference => reference.value), ['@organisms/promo/promo.twig']);
+  });
+
+  test('Ignores the macros of the template itself', () => {
+    assert.deepEqual(findTemplateReferences('{% import _self as macros %}{% from _self import link %}'), []);
+  });
+});
+
+describe('Template reference rewrite', () => {
+  test('Rewrites template paths to component ids, keeping the quotes and arguments', () => {
+    assert.equal(rewrite('{% include "@atoms/button/button.twig" with { text: "Go" } only %}'), '{% include "civictheme:button" with { text: "Go" } only %}');
+    assert.equal(rewrite('{{ include(\'@organisms/promo/promo.twig\') }}'), '{{ include(\'my_theme:promo\') }}');
+  });
+
+  test('Joins concatenated literals into one component id', () => {
+    assert.equal(rewrite('{% include \'@atoms/\' ~ \'button/button.twig\' %}'), '{% include \'civictheme:button\' %}');
+    assert.equal(rewrite('{% include \'civictheme:\' ~ \'button\' %}'), '{% include \'civictheme:button\' %}');
+  });
+
+  test('Rewrites the templates of an array and leaves theme templates alone', () => {
+    assert.equal(rewrite('{% include [\'@molecules/card/card.twig\', \'fallback.html.twig\'] %}'), '{% include [\'civictheme:card\', \'fallback.html.twig\'] %}');
+  });
+
+  test('Rewrites references in template_from_string()', () => {
+    assert.equal(rewrite('{{ include(template_from_string(\'{% include "@atoms/button/button.twig" %}\')) }}'),
+      '{{ include(template_from_string(\'{% include "civictheme:button" %}\')) }}');
+  });
+
+  test('Reports dynamic and unknown references without changing them', () => {
+    const source = '{% include \'@atoms/\' ~ name ~ \'.twig\' %}{% include "@atoms/missing/missing.twig" %}';
+    const { source: rewritten, unresolved } = rewriteTemplateReferences(source, NAMESPACES);
+    assert.equal(rewritten, source);
+    assert.deepEqual(unresolved.map(reference => [reference.value, reference.dynamic, reference.reason]), [
+      ['\'@atoms/\' ~ name ~ \'.twig\'', true, 'template name is built from variables'],
+      ['@atoms/missing/missing.twig', false, 'no component named missing']
+    ]);
+  });
+
+  test('Leaves a rewritten template unchanged', () => {
+    const once = rewrite('{% include "@atoms/button/button.twig" %}{% include \'@atoms/\' ~ \'button/button.twig\' %}');
+    const { source, rewritten } = rewriteTemplateReferences(once, NAMESPACES);
+    assert.equal(source, once);
+    assert.deepEqual(rewritten, []);
+  });
+
+  test('Resolves template names', () => {
+    assert.deepEqual(resolveTemplateReference('civictheme:button', NAMESPACES), { status: 'component', target: 'civictheme:button' });
+    assert.deepEqual(resolveTemplateReference('page.html.twig', NAMESPACES), { status: 'template' });
+    assert.deepEqual(resolveTemplateReference('components/01-atoms/button/button.twig', NAMESPACES), { status: 'resolved', target: 'civictheme:button' });
+    assert.deepEqual(resolveTemplateReference('@atoms/button', NAMESPACES), { status: 'unresolved', reason: 'not a template path' });
+  });
+});
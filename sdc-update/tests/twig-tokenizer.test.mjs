@@ -0,0 +1,92 @@
+/**
+ * @file
+ * Tests for the Twig tokenizer.
+ *
+ * Run with `npm test`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lineAt, splitTemplate, tokenizeExpression } from '../scripts/lib/twig-tokenizer.mjs';
+
+/**
+ * Get the type and code of the segments of a template
+ *
+ * @param {string} source - Template source
+ * @returns {Array<Array<string>>} Type and code of each segment
+ */
+function segments(source) {
+  return splitTemplate(source).map(segment => [segment.type, segment.code]);
+}
+
+describe('Template segments', () => {
+  test('Splits text, comments, prints and tags', () => {
+    assert.deepEqual(segments('<p>{# note #}{{ title }}{% if a %}x{% endif %}</p>'), [
+      ['text', '<p>'],
+      ['comment', ' note '],
+      ['print', ' title '],
+      ['tag', ' if a '],
+      ['text', 'x'],
+      ['tag', ' endif '],
+      ['text', '</p>']
+    ]);
+  });
+
+  test('Keeps code inside comments out of prints and tags', () => {
+    assert.deepEqual(segments('{# {{ ghost }} {% include "a.twig" %} #}'), [['comment', ' {{ ghost }} {% include "a.twig" %} ']]);
+  });
+
+  test('Ignores closing delimiters inside strings', () => {
+    assert.deepEqual(segments('{% set x = "a %} b" %}{{ \'}}\' }}'), [['tag', ' set x = "a %} b" '], ['print', ' \'}}\' ']]);
+  });
+
+  test('Leaves out whitespace control characters', () => {
+    const [segment] = splitTemplate('{{- title -}}');
+    assert.equal(segment.code, ' title ');
+    assert.equal(segment.innerStart, 3);
+    assert.equal(segment.innerEnd, 10);
+  });
+
+  test('Treats everything between verbatim tags as text', () => {
+    assert.deepEqual(segments('{% verbatim %}{{ raw }}{% endverbatim %}'), [
+      ['tag', ' verbatim '],
+      ['text', '{{ raw }}'],
+      ['tag', ' endverbatim ']
+    ]);
+  });
+
+  test('Keeps an unclosed segment as text', () => {
+    assert.deepEqual(segments('a {{ b'), [['text', 'a {{ b']]);
+  });
+
+  test('Numbers segments by the line they start on', () => {
+    const source = 'a\n{{ b }}\n\n{% c %}';
+    assert.deepEqual(splitTemplate(source).map(segment => segment.line), [1, 2, 2, 4]);
+    assert.equal(lineAt(source, source.length), 4);
+  });
+});
+
+describe('Expression tokens', () => {
+  test('Splits names, numbers, strings, operators and punctuation at absolute offsets', () => {
+    const tokens = tokenizeExpression('a.b ?? \'x\\\'y\' ~ 1.5', 10);
+    assert.deepEqual(tokens.map(token => [token.type, token.value, token.start]), [
+      ['name', 'a', 10],
+      ['punctuation', '.', 11],
+      ['name', 'b', 12],
+      ['operator', '??', 14],
+      ['string', 'x\'y', 17],
+      ['punctuation', '~', 24],
+      ['number', 1.5, 26]
+    ]);
+  });
+
+  test('Matches the longest operator first', () => {
+    assert.deepEqual(tokenizeExpression('1..5 == a ?: b').map(token => token.raw), ['1', '..', '5', '==', 'a', '?:', 'b']);
+  });
+
+  test('Keeps the raw text and quote of strings', () => {
+    const [token] = tokenizeExpression('"@atoms/button/button.twig"');
+    assert.equal(token.raw, '"@atoms/button/button.twig"');
+    assert.equal(token.quote, '"');
+    assert.equal(token.value, '@atoms/button/button.twig');
+  });
+});
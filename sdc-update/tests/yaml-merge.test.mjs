@@ -0,0 +1,111 @@
+/**
+ * @file
+ * Tests for merging theme YAML files and finding stale library entries.
+ *
+ * Run with `npm test`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMissingLibraryFiles, findMissingOverrideFiles, listAssetPaths, mergeYamlKeys } from '../scripts/lib/yaml-merge.mjs';
+
+const INFO = `# My theme
+name: 'My theme'
+libraries-override:
+  # Keep the base styles.
+  civictheme/global:
+    css:
+      theme:
+        dist/civictheme.css: false
+  custom/library: false
+regions: {}
+`;
+
+const STARTER_KIT_INFO = `name: Starter kit
+libraries-override:
+  civictheme/global:
+    css:
+      theme:
+        dist/civictheme.base.css: false
+  civictheme/old: false
+regions:
+  header: Header
+`;
+
+describe('YAML merge', () => {
+  test('Merges maps key by key and keeps comments, order and quoting', () => {
+    const { source, changed } = mergeYamlKeys(INFO, STARTER_KIT_INFO, ['libraries-override', 'regions', 'missing']);
+    assert.equal(changed, true);
+    assert.equal(source, `# My theme
+name: 'My theme'
+libraries-override:
+  # Keep the base styles.
+  civictheme/global:
+    css:
+      theme:
+        dist/civictheme.css: false
+        dist/civictheme.base.css: false
+  custom/library: false
+  civictheme/old: false
+regions: { header: Header }
+`);
+  });
+
+  test('Returns the source as it is if nothing changed', () => {
+    const merged = mergeYamlKeys(INFO, STARTER_KIT_INFO, ['libraries-override', 'regions']).source;
+    assert.deepEqual(mergeYamlKeys(merged, STARTER_KIT_INFO, ['libraries-override', 'regions']), { source: merged, changed: false });
+
+    const unformatted = 'name:   "My theme"\nregions:  {header: Header}\n';
+    assert.deepEqual(mergeYamlKeys(unformatted, 'regions:\n  header: Header\n', ['regions']), { source: unformatted, changed: false });
+  });
+
+  test('Replaces values that are not maps with the starter kit\'s', () => {
+    const { source } = mergeYamlKeys('core_version_requirement: ^9\n', 'core_version_requirement: ^10 || ^11\n', ['core_version_requirement']);
+    assert.equal(source, 'core_version_requirement: ^10 || ^11\n');
+  });
+
+  test('Rejects invalid YAML', () => {
+    assert.throws(() => mergeYamlKeys('name: [', STARTER_KIT_INFO, ['name']));
+  });
+});
+
+describe('Library entries', () => {
+  const libraries = `global:
+  css:
+    theme:
+      dist/styles.css: {}
+      /core/misc/normalize.css: {}
+      https://cdn.example.com/font.css: {}
+  js:
+    dist/scripts.js: {}
+    js/missing.js: {}
+`;
+
+  test('Lists the asset paths of a file', () => {
+    assert.deepEqual([...listAssetPaths(libraries)], ['dist/styles.css', '/core/misc/normalize.css', 'https://cdn.example.com/font.css', 'dist/scripts.js', 'js/missing.js']);
+  });
+
+  test('Finds theme files that do not exist', () => {
+    assert.deepEqual(findMissingLibraryFiles(libraries, { exists: file => file === 'dist/scripts.js', ignore: new Set(['dist/styles.css']) }), [
+      { line: 9, entry: 'global js js/missing.js', reason: 'file does not exist' }
+    ]);
+  });
+
+  test('Finds overrides of CivicTheme libraries and files that are gone', () => {
+    const info = `libraries-override:
+  civictheme/global:
+    css:
+      theme:
+        dist/civictheme.css: css/override.css
+        dist/removed.css: false
+  civictheme/removed: false
+  other/library: false
+`;
+    const civicthemeLibraries = 'global:\n  css:\n    theme:\n      dist/civictheme.css: {}\n';
+    assert.deepEqual(findMissingOverrideFiles(info, { exists: () => false, civicthemeLibraries }), [
+      { line: 5, entry: 'civictheme/global css.theme css/override.css', reason: 'replacement file does not exist' },
+      { line: 6, entry: 'civictheme/global css.theme dist/removed.css', reason: 'CivicTheme no longer has this file in the library' },
+      { line: 7, entry: 'civictheme/removed', reason: 'CivicTheme no longer has this library' }
+    ]);
+    assert.deepEqual(findMissingOverrideFiles(info, { exists: () => true, civicthemeLibraries: null }), []);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * @file
+ * CivicTheme source the update tools copy the starter kit and components from.
+ *
+ * A source is set with CIVICTHEME_SOURCE and can be:
+ *
+ * - a directory: the site's installed `web/themes/contrib/civictheme`, a site
+ *   or monorepo root containing it, or an extracted release tarball
+ * - a tarball: a local path or https:// URL of a .tar.gz, .tgz or .tar file
+ * - a git repository over HTTPS with an optional ref, e.g.
+ *   `https://github.com/civictheme/monorepo-drupal.git#1.11.0`
+ *
+ * Tarballs and repositories are extracted or cloned into a work directory
+ * that is removed after the update, installed directories are never changed.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+export const DEFAULT_REPOSITORY = 'https://github.com/civictheme/monorepo-drupal.git';
+
+export const DEFAULT_SOURCE = `${DEFAULT_REPOSITORY}#1.11.0`;
+
+// Default work directory for cloned and extracted sources, relative to the tool.
+export const WORK_DIRECTORY = '.civictheme-source';
+
+export const SOURCE_TYPES = {
+  DIRECTORY: 'directory',
+  TARBALL: 'tarball',
+  GIT: 'git'
+};
+
+// Where the theme is found inside a source, relative to its root.
+const THEME_LOCATIONS = ['.', 'web/themes/contrib/civictheme', 'themes/contrib/civictheme', 'civictheme'];
+
+// Files every update needs from the source.
+export const REQUIRED_FILES = [
+  'civictheme.info.yml',
+  'civictheme_starter_kit',
+  'components'
+];
+
+/**
+ * Get the default source of a CivicTheme version
+ *
+ * @param {string} version - CivicTheme version, a tag of the monorepo
+ * @returns {string} Source setting
+ */
+export function getVersionSource(version) {
+  return `${DEFAULT_REPOSITORY}#${version}`;
+}
+
+/**
+ * Parse a CivicTheme source setting
+ *
+ * @param {string} [spec] - Source setting, DEFAULT_SOURCE when empty
+ * @returns {{type: string, location: string, ref: string|null}} Parsed source
+ */
+export function parseSource(spec) {
+  const value = (spec || DEFAULT_SOURCE).trim();
+  const [location, ref = null] = value.split('#');
+
+  if (/\.(tar\.gz|tgz|tar)$/i.test(location)) {
+    return { type: SOURCE_TYPES.TARBALL, location, ref: null };
+  }
+  if (/^(https?|git|ssh):\/\//.test(location) || /^git@/.test(location) || location.endsWith('.git')) {
+    return { type: SOURCE_TYPES.GIT, location, ref };
+  }
+  return { type: SOURCE_TYPES.DIRECTORY, location: path.resolve(location), ref: null };
+}
+
+/**
+ * Check whether a path exists
+ *
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True if the path exists
+ */
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+/**
+ * Find the CivicTheme theme directory in a source
+ *
+ * Looks in the known locations, then one directory down, as release
+ * tarballs have a single top level directory.
+ *
+ * @param {string} root - Source root directory
+ * @returns {Promise<string|null>} Theme directory, or null if there is none
+ */
+export async function findThemeDirectory(root) {
+  const roots = [root];
+  const entries = await fs.readdir(root, { withFileTypes: true }).catch(() => []);
+  roots.push(...entries.filter(entry => entry.isDirectory() && !entry.name.startsWith('.')).map(entry => path.join(root, entry.name)));
+
+  for (const candidateRoot of roots) {
+    for (const location of THEME_LOCATIONS) {
+      const candidate = path.join(candidateRoot, location);
+      if (await exists(path.join(candidate, 'civictheme_starter_kit'))) {
+        return path.resolve(candidate);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a CivicTheme theme directory has the files the update needs
+ *
+ * @param {string} directory - Theme directory
+ * @param {Array<string>} [requiredFiles] - Paths relative to the theme directory, in addition to REQUIRED_FILES
+ * @returns {Promise<{valid: boolean, missing: Array<string>, message: string}>} Validation result
+ */
+export async function validateSource(directory, requiredFiles = []) {
+  const missing = [];
+  for (const file of [...REQUIRED_FILES, ...requiredFiles]) {
+    if (!await exists(path.join(directory, file))) {
+      missing.push(file);
+    }
+  }
+
+  if (missing.length === 0) {
+    const components = await fs.readdir(path.join(directory, 'components'), { recursive: true });
+    if (!components.some(file => file.endsWith('.twig'))) {
+      missing.push('components/**/*.twig');
+    }
+  }
+
+  return {
+    valid: missing.length === 0,
+    missing,
+    message: missing.length === 0
+      ? `CivicTheme source is valid: ${directory}`
+      : `CivicTheme source ${directory} is missing: ${missing.join(', ')}`
+  };
+}
+
+/**
+ * Clone a git source
+ *
+ * An existing clone of the same repository and ref is reused.
+ *
+ * @param {Object} source - Parsed git source
+ * @param {string} target - Clone directory
+ * @returns {Promise<void>}
+ */
+async function cloneSource(source, target) {
+  const markerPath = path.join(target, '.civictheme-source');
+  const marker = `${source.location}#${source.ref || ''}`;
+  if (await fs.readFile(markerPath, 'utf8').then(content => content === marker, () => false)) {
+    return;
+  }
+
+  await fs.rm(target, { recursive: true, force: true });
+  const args = ['clone', '--depth', '1'];
+  if (source.ref) {
+    args.push('--branch', source.ref);
+  }
+  await execFileAsync('git', [...args, source.location, target], { maxBuffer: 10 * 1024 * 1024 });
+  await fs.writeFile(markerPath, marker, 'utf8');
+}
+
+/**
+ * Extract a tarball source, downloading it first if it is a URL
+ *
+ * @param {Object} source - Parsed tarball source
+ * @param {string} target - Extraction directory
+ * @returns {Promise<void>}
+ */
+async function extractSource(source, target) {
+  await fs.rm(target, { recursive: true, force: true });
+  await fs.mkdir(target, { recursive: true });
+
+  let archive = path.resolve(source.location);
+  if (/^https?:\/\//.test(source.location)) {
+    const response = await fetch(source.location);
+    if (!response.ok) {
+      throw new Error(`Download of ${source.location} failed: ${response.status} ${response.statusText}`);
+    }
+    archive = path.join(target, path.basename(new URL(source.location).pathname));
+    await fs.writeFile(archive, Buffer.from(await response.arrayBuffer()));
+  }
+
+  const flags = /\.tar$/i.test(archive) ? '-xf' : '-xzf';
+  await execFileAsync('tar', [flags, archive, '-C', target]);
+}
+
+/**
+ * Prepare a CivicTheme source for an update
+ *
+ * @param {string} [spec] - Source setting, read from CIVICTHEME_SOURCE when omitted
+ * @param {Object} [options] - Options
+ * @param {string} [options.workDirectory] - Directory for cloned and extracted sources
+ * @param {Array<string>} [options.requiredFiles] - Files the update needs, relative to the theme directory
+ * @returns {Promise<{type: string, location: string, ref: string|null, directory: string, temporary: boolean, workDirectory: string|null}>}
+ *   Source with the theme `directory`, `temporary` sources are removed by cleanupSource()
+ * @throws {Error} If the source cannot be fetched or is invalid, with `error.code` INVALID_CIVICTHEME_SOURCE
+ */
+export async function prepareSource(spec = process.env.CIVICTHEME_SOURCE, options = {}) {
+  const source = parseSource(spec);
+  const workDirectory = path.resolve(options.workDirectory || WORK_DIRECTORY);
+  const temporary = source.type !== SOURCE_TYPES.DIRECTORY;
+
+  let root = source.location;
+  try {
+    if (source.type === SOURCE_TYPES.GIT) {
+      root = path.join(workDirectory, 'git');
+      await cloneSource(source, root);
+    } else if (source.type === SOURCE_TYPES.TARBALL) {
+      root = path.join(workDirectory, 'tarball');
+      await extractSource(source, root);
+    }
+  } catch (error) {
+    // Git reports progress before the error, only the last line is useful.
+    const reason = (error.stderr || error.message).trim().split('\n').pop();
+    const sourceError = new Error(`Could not fetch CivicTheme from ${source.location}: ${reason}`);
+    sourceError.code = 'INVALID_CIVICTHEME_SOURCE';
+    throw sourceError;
+  }
+
+  const directory = await findThemeDirectory(root);
+  if (!directory) {
+    const error = new Error(`No CivicTheme theme with a civictheme_starter_kit found in ${source.location}`);
+    error.code = 'INVALID_CIVICTHEME_SOURCE';
+    throw error;
+  }
+
+  const validation = await validateSource(directory, options.requiredFiles);
+  if (!validation.valid) {
+    const error = new Error(validation.message);
+    error.code = 'INVALID_CIVICTHEME_SOURCE';
+    throw error;
+  }
+
+  return { ...source, directory, temporary, workDirectory: temporary ? workDirectory : null };
+}
+
+/**
+ * Remove the work directory of a cloned or extracted source
+ *
+ * @param {Object} source - Source from prepareSource()
+ * @returns {Promise<boolean>} True if anything was removed
+ */
+export async function cleanupSource(source) {
+  if (!source || !source.temporary || !source.workDirectory) {
+    return false;
+  }
+  await fs.rm(source.workDirectory, { recursive: true, force: true });
+  return true;
+}
+
+/**
+ * Describe a source in one line
+ *
+ * @param {string} [spec] - Source setting
+ * @returns {string} Description of the source
+ */
+export function describeSource(spec) {
+  const source = parseSource(spec);
+  if (source.type === SOURCE_TYPES.GIT) {
+    return `git ${source.location}${source.ref ? ` at ${source.ref}` : ''}`;
+  }
+  return `${source.type} ${source.location}`;
+}
+
+export default {
+  DEFAULT_REPOSITORY,
+  DEFAULT_SOURCE,
+  WORK_DIRECTORY,
+  SOURCE_TYPES,
+  REQUIRED_FILES,
+  getVersionSource,
+  parseSource,
+  findThemeDirectory,
+  validateSource,
+  prepareSource,
+  cleanupSource,
+  describeSource
+};
@@ -0,0 +1,170 @@
+/**
+ * @file
+ * CivicTheme version detection and comparison.
+ *
+ * The version a subtheme is built against is read from the site's
+ * composer.lock, or from the info file of the CivicTheme theme installed next
+ * to the subtheme. Versions are compared as `major.minor.patch`, a pre-release
+ * such as `1.11.0-rc1` sorts before its release.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+// Composer package CivicTheme is installed as.
+const COMPOSER_PACKAGE = 'drupal/civictheme';
+
+// Where the installed CivicTheme theme is found, relative to the subtheme.
+const INSTALLED_THEME_LOCATIONS = ['../../contrib/civictheme', '../civictheme'];
+
+/**
+ * Parse a version
+ *
+ * @param {string} version - Version, e.g. `1.11.0`, `v1.10` or `8.x-1.10.0`
+ * @returns {{major: number, minor: number, patch: number, prerelease: string|null}|null} Parsed version, or null if it is not a release version
+ */
+export function parseVersion(version) {
+  const match = String(version || '').trim().match(/^(?:\d+\.x-)?v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?$/);
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] || null
+  };
+}
+
+/**
+ * Normalize a version to `major.minor.patch`
+ *
+ * @param {string} version - Version
+ * @returns {string|null} Normalized version, or null if it is not a release version
+ */
+export function normalizeVersion(version) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return null;
+  }
+  return `${parsed.major}.${parsed.minor}.${parsed.patch}${parsed.prerelease ? `-${parsed.prerelease}` : ''}`;
+}
+
+/**
+ * Compare two versions
+ *
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a is lower than b, positive if it is higher, 0 if they are equal
+ * @throws {Error} If either version cannot be parsed
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) {
+    throw new Error(`Cannot compare versions ${a} and ${b}`);
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] - right[part];
+    }
+  }
+  if (left.prerelease === right.prerelease) {
+    return 0;
+  }
+  if (!left.prerelease || !right.prerelease) {
+    return left.prerelease ? -1 : 1;
+  }
+  return left.prerelease.localeCompare(right.prerelease, 'en', { numeric: true });
+}
+
+/**
+ * Find a file in a directory or one of its parents
+ *
+ * @param {string} directory - Directory to start in
+ * @param {string} fileName - File name
+ * @returns {Promise<string|null>} Path to the file, or null if there is none
+ */
+async function findUp(directory, fileName) {
+  let current = path.resolve(directory);
+  while (true) {
+    const candidate = path.join(current, fileName);
+    if (await fs.access(candidate).then(() => true, () => false)) {
+      return candidate;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Read the CivicTheme version from a composer.lock
+ *
+ * @param {string} lockFile - Path to composer.lock
+ * @returns {Promise<string|null>} Version, or null if CivicTheme is not in the lock file
+ */
+async function readComposerVersion(lockFile) {
+  try {
+    const lock = JSON.parse(await fs.readFile(lockFile, 'utf8'));
+    const packages = [...(lock.packages || []), ...(lock['packages-dev'] || [])];
+    const civictheme = packages.find(item => item.name === COMPOSER_PACKAGE);
+    return civictheme ? normalizeVersion(civictheme.version) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the version from a theme info file
+ *
+ * Drupal.org packaging adds the version to the info file, themes installed
+ * from git do not have one.
+ *
+ * @param {string} infoFile - Path to the info.yml file
+ * @returns {Promise<string|null>} Version, or null if the file has none
+ */
+async function readInfoVersion(infoFile) {
+  try {
+    const content = await fs.readFile(infoFile, 'utf8');
+    const match = content.match(/^version:\s*['"]?([^'"\s#]+)/m);
+    return match ? normalizeVersion(match[1]) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect the CivicTheme version a subtheme is built against
+ *
+ * @param {string} subthemeDirectory - Subtheme directory
+ * @returns {Promise<{version: string, file: string}|null>} Version and the file it was read from, or null if it could not be detected
+ */
+export async function detectCivicThemeVersion(subthemeDirectory) {
+  const lockFile = await findUp(subthemeDirectory, 'composer.lock');
+  if (lockFile) {
+    const version = await readComposerVersion(lockFile);
+    if (version) {
+      return { version, file: lockFile };
+    }
+  }
+
+  for (const location of INSTALLED_THEME_LOCATIONS) {
+    const infoFile = path.resolve(subthemeDirectory, location, 'civictheme.info.yml');
+    const version = await readInfoVersion(infoFile);
+    if (version) {
+      return { version, file: infoFile };
+    }
+  }
+
+  return null;
+}
+
+export default {
+  parseVersion,
+  normalizeVersion,
+  compareVersions,
+  detectCivicThemeVersion
+};
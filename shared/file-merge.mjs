@@ -0,0 +1,299 @@
+/**
+ * @file
+ * Three-way merge of starter kit files into a subtheme.
+ *
+ * Files a subtheme copied from the starter kit, such as `build.js` and the
+ * `.storybook` configuration, are merged with the starter kit of the version
+ * it upgrades to, with the starter kit of the version it is on as the base.
+ * Customisations of the subtheme that do not overlap changes of the starter
+ * kit are kept, overlapping changes are conflicts. Conflicts are written with
+ * conflict markers, or the starter kit's side is used and the conflicts are
+ * written to a `.rej` file next to the file.
+ *
+ * Files are merged with `git merge-file`, which does not need a repository.
+ * Without the base every difference between the subtheme and the starter kit
+ * is a conflict. Binary files can not be merged, a binary file both changed
+ * is a conflict and the subtheme's file is kept.
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+export const CONFLICT_STYLES = {
+  MARKERS: 'markers',
+  REJECT: 'rej'
+};
+
+export const MERGE_STATUS = {
+  // The subtheme did not have the file.
+  ADDED: 'added',
+  // The subtheme's file is the same as the starter kit's.
+  UNCHANGED: 'unchanged',
+  // The subtheme had not customised the file, it is the starter kit's now.
+  UPDATED: 'updated',
+  // The starter kit did not change the file, the subtheme's is kept.
+  PRESERVED: 'preserved',
+  // Both changed the file and the changes were merged.
+  MERGED: 'merged',
+  // Both changed the same lines.
+  CONFLICT: 'conflict',
+  // The starter kit removed the file and the subtheme had not customised it.
+  REMOVED: 'removed',
+  // The file is the subtheme's own, or the starter kit removed a customised file.
+  KEPT: 'kept'
+};
+
+// Statuses of files with customisations of the subtheme that were kept.
+const PRESERVED_STATUSES = [MERGE_STATUS.PRESERVED, MERGE_STATUS.MERGED, MERGE_STATUS.KEPT];
+
+// git merge-file exits with the number of conflicts, capped at 127, and with
+// a higher code when it could not merge at all.
+const MAX_CONFLICTS_EXIT_CODE = 127;
+
+// Bytes git looks at to tell binary files, which contain a NUL byte, from text.
+const BINARY_CHECK_LENGTH = 8000;
+
+/**
+ * Check whether file content is binary, the way git does
+ *
+ * @param {Buffer|string|null} content - File content
+ * @returns {boolean} True if the content has a NUL byte in its first 8000 bytes
+ */
+export function isBinary(content) {
+  if (content === null) {
+    return false;
+  }
+  return Buffer.from(content).subarray(0, BINARY_CHECK_LENGTH).includes(0);
+}
+
+/**
+ * Check whether two file contents are the same
+ *
+ * @param {Buffer|null} a - File content, null if the file does not exist
+ * @param {Buffer|null} b - File content, null if the file does not exist
+ * @returns {boolean} True if both are missing or have the same bytes
+ */
+function sameContent(a, b) {
+  return a === null || b === null ? a === b : a.equals(b);
+}
+
+/**
+ * Read a file
+ *
+ * @param {string} filePath - File path
+ * @returns {Promise<Buffer|null>} File content, or null if the file does not exist
+ */
+async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List the files of a directory recursively
+ *
+ * @param {string} directory - Directory
+ * @returns {Promise<Array<string>>} File paths relative to the directory, empty if it does not exist
+ */
+async function listFiles(directory) {
+  try {
+    const entries = await fs.readdir(directory, { recursive: true, withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile())
+      .map(entry => path.relative(directory, path.join(entry.parentPath || entry.path, entry.name)));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Merge three versions of a file with git merge-file
+ *
+ * @param {string|Buffer} ours - Content of the subtheme
+ * @param {string|Buffer} base - Content of the base starter kit
+ * @param {string|Buffer} theirs - Content of the new starter kit
+ * @param {string|null} favor - `theirs` to resolve conflicts with the starter kit's side, null for conflict markers
+ * @returns {Promise<{content: string, conflicts: number}>} Merged content and the number of conflicts
+ * @throws {Error} If a version is binary or git could not merge them, with `error.code` MERGE_FAILED
+ */
+export async function mergeContents(ours, base, theirs, favor = null) {
+  if ([ours, base, theirs].some(isBinary)) {
+    throw Object.assign(new Error('Cannot merge binary files'), { code: 'MERGE_FAILED' });
+  }
+
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'civictheme-merge-'));
+  try {
+    const files = ['subtheme', 'base', 'starter-kit'].map(name => path.join(directory, name));
+    await Promise.all([ours, base, theirs].map((content, index) => fs.writeFile(files[index], content)));
+
+    const args = ['merge-file', '-p', '--diff3', '-L', 'subtheme', '-L', 'base starter kit', '-L', 'starter kit'];
+    try {
+      const { stdout } = await execFileAsync('git', [...args, ...(favor ? [`--${favor}`] : []), ...files], { maxBuffer: 10 * 1024 * 1024 });
+      return { content: stdout, conflicts: 0 };
+    } catch (error) {
+      if (Number.isInteger(error.code) && error.code > 0 && error.code <= MAX_CONFLICTS_EXIT_CODE && typeof error.stdout === 'string') {
+        return { content: error.stdout, conflicts: error.code };
+      }
+      if (Number.isInteger(error.code)) {
+        throw Object.assign(new Error(`git merge-file could not merge: ${(error.stderr || '').trim() || `exit code ${error.code}`}`), { code: 'MERGE_FAILED' });
+      }
+      throw error;
+    }
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Expand the starter kit paths to merge into files
+ *
+ * @param {Array<string>} paths - File and directory paths relative to the starter kit
+ * @param {Array<string>} directories - Starter kit, base and subtheme directories
+ * @returns {Promise<Array<string>>} File paths, directories expanded to the files any of the three has
+ */
+async function expandPaths(paths, directories) {
+  const files = [];
+  for (const relativePath of paths) {
+    const listed = await Promise.all(directories.filter(Boolean).map(directory => listFiles(path.join(directory, relativePath))));
+    // `.rej` files of an earlier merge are not starter kit files.
+    const nested = [...new Set(listed.flat())].filter(file => !file.endsWith('.rej')).sort();
+    files.push(...(nested.length > 0 ? nested.map(file => path.join(relativePath, file)) : [relativePath]));
+  }
+  return files;
+}
+
+/**
+ * Merge starter kit files into a subtheme
+ *
+ * @param {Object} options - Merge options
+ * @param {Array<string>} options.paths - Files and directories to merge, relative to the starter kit
+ * @param {string} options.subthemeDirectory - Subtheme directory
+ * @param {string} options.starterKitDirectory - Starter kit of the version to upgrade to
+ * @param {string|null} options.baseDirectory - Starter kit of the version the subtheme is on, null if not available
+ * @param {string} [options.conflictStyle] - CONFLICT_STYLES.MARKERS or CONFLICT_STYLES.REJECT
+ * @param {Function} [options.write] - Writes a file, called with the absolute path and content
+ * @param {Function} [options.remove] - Removes a file, called with the absolute path
+ * @returns {Promise<Array<{file: string, status: string, conflicts: number, rejectFile: string|null, binary: boolean}>>}
+ *   Result of every file, with the `.rej` file its conflicts were written to and whether it is a binary file
+ */
+export async function mergeStarterKitFiles({
+  paths,
+  subthemeDirectory,
+  starterKitDirectory,
+  baseDirectory = null,
+  conflictStyle = CONFLICT_STYLES.MARKERS,
+  write = async (filePath, content) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  },
+  remove = filePath => fs.rm(filePath, { force: true })
+}) {
+  if (!Object.values(CONFLICT_STYLES).includes(conflictStyle)) {
+    throw new Error(`Unknown conflict style ${conflictStyle}, use ${Object.values(CONFLICT_STYLES).join(' or ')}`);
+  }
+
+  const results = [];
+  for (const file of await expandPaths(paths, [starterKitDirectory, baseDirectory, subthemeDirectory])) {
+    const target = path.join(subthemeDirectory, file);
+    const ours = await readOptional(target);
+    const theirs = await readOptional(path.join(starterKitDirectory, file));
+    const base = baseDirectory ? await readOptional(path.join(baseDirectory, file)) : null;
+    const result = { file, status: null, conflicts: 0, rejectFile: null, binary: [ours, base, theirs].some(isBinary) };
+
+    if (theirs === null) {
+      if (ours === null) {
+        continue;
+      }
+      if (sameContent(ours, base)) {
+        await remove(target);
+        result.status = MERGE_STATUS.REMOVED;
+      } else {
+        result.status = MERGE_STATUS.KEPT;
+      }
+    } else if (ours === null) {
+      await write(target, theirs);
+      result.status = MERGE_STATUS.ADDED;
+    } else if (sameContent(ours, theirs)) {
+      result.status = MERGE_STATUS.UNCHANGED;
+    } else if (sameContent(ours, base)) {
+      await write(target, theirs);
+      result.status = MERGE_STATUS.UPDATED;
+    } else if (sameContent(theirs, base)) {
+      result.status = MERGE_STATUS.PRESERVED;
+    } else if (result.binary) {
+      // Binary files can not be merged, the subtheme's file is kept.
+      result.conflicts = 1;
+      result.status = MERGE_STATUS.CONFLICT;
+    } else {
+      const merged = await mergeContents(ours, base ?? '', theirs);
+      result.conflicts = merged.conflicts;
+      if (merged.conflicts === 0) {
+        await write(target, merged.content);
+        result.status = MERGE_STATUS.MERGED;
+      } else if (conflictStyle === CONFLICT_STYLES.REJECT) {
+        result.rejectFile = `${file}.rej`;
+        await write(target, (await mergeContents(ours, base ?? '', theirs, 'theirs')).content);
+        await write(path.join(subthemeDirectory, result.rejectFile), merged.content);
+        result.status = MERGE_STATUS.CONFLICT;
+      } else {
+        await write(target, merged.content);
+        result.status = MERGE_STATUS.CONFLICT;
+      }
+    }
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Describe the conflicts of a file
+ *
+ * @param {Object} result - Result of the file from mergeStarterKitFiles()
+ * @returns {string} Number of conflicts and where they were written
+ */
+export function describeConflict(result) {
+  if (result.binary) {
+    return 'binary file changed by both, the subtheme\'s file was kept';
+  }
+  const count = `${result.conflicts} conflict${result.conflicts === 1 ? '' : 's'}`;
+  return `${count}, ${result.rejectFile ? `written to ${result.rejectFile}` : 'marked in the file'}`;
+}
+
+/**
+ * Summarise the results of a merge
+ *
+ * @param {Array<Object>} results - Results from mergeStarterKitFiles()
+ * @returns {{preserved: Array<string>, conflicts: Array<string>}} Files with customisations that were kept, and a line
+ *   for every file with conflicts
+ */
+export function summarizeMerge(results) {
+  return {
+    preserved: results.filter(result => PRESERVED_STATUSES.includes(result.status)).map(result => `${result.file} (${result.status})`),
+    conflicts: results
+      .filter(result => result.status === MERGE_STATUS.CONFLICT)
+      .map(result => `${result.file}: ${describeConflict(result)}`)
+  };
+}
+
+export default {
+  CONFLICT_STYLES,
+  MERGE_STATUS,
+  isBinary,
+  mergeContents,
+  mergeStarterKitFiles,
+  describeConflict,
+  summarizeMerge
+};
@@ -0,0 +1,82 @@
+/**
+ * @file
+ * Anthropic Messages API provider.
+ */
+import { createHttpError } from './errors.mjs';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_MODEL = 'claude-3-5-sonnet-20241022';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Create a provider for the Anthropic Messages API
+ *
+ * @param {Object} options - Provider options
+ * @param {string} [options.apiKey] - Anthropic API key
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {string} [options.model] - Default model
+ * @returns {{name: string, model: string, supportsContinuation: boolean, complete: Function}} Provider
+ */
+export function createAnthropicProvider(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = options.model || DEFAULT_MODEL;
+
+  return {
+    name: 'anthropic',
+    model,
+    // A response can be continued by sending it back as an assistant message.
+    supportsContinuation: true,
+
+    /**
+     * Send a request to the Messages API
+     *
+     * @param {Object} request - Provider request, see createProvider()
+     * @returns {Promise<{text: string, usage: Object, stopReason: string, model: string}>} Response
+     */
+    async complete(request) {
+      if (!options.apiKey) {
+        throw new Error('anthropic API error: ANTHROPIC_API_KEY is not set');
+      }
+
+      const body = {
+        model: request.model || model,
+        max_tokens: request.maxTokens,
+        messages: request.messages
+      };
+      if (request.system) {
+        body.system = request.system;
+      }
+
+      const response = await fetch(`${baseUrl}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'x-api-key': options.apiKey,
+          'anthropic-version': API_VERSION,
+          'content-type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        throw await createHttpError('anthropic', response);
+      }
+
+      const data = await response.json();
+      return {
+        text: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+        usage: {
+          inputTokens: data.usage?.input_tokens || 0,
+          outputTokens: data.usage?.output_tokens || 0,
+          cacheReadTokens: data.usage?.cache_read_input_tokens || 0,
+          cacheWriteTokens: data.usage?.cache_creation_input_tokens || 0
+        },
+        stopReason: data.stop_reason,
+        model: data.model || body.model
+      };
+    }
+  };
+}
+
+export default {
+  createAnthropicProvider
+};
@@ -0,0 +1,131 @@
+/**
+ * @file
+ * On disk response cache for LLM providers.
+ *
+ * Responses are stored in `<cacheDir>/<hash>.json`, keyed by the hash of the
+ * model, system prompt and messages. Cache files use the fixture format, so a
+ * cache directory can be replayed with the fixture provider.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { hashRequest } from './request-hash.mjs';
+
+export const CACHE_MODES = {
+  // Read cached responses, store new ones.
+  READ_WRITE: 'read-write',
+  // Only read cached responses, fail on a miss instead of calling the model.
+  CACHE_ONLY: 'cache-only',
+  // Always call the model and overwrite cached responses.
+  REFRESH: 'refresh',
+  // Neither read nor write the cache.
+  BYPASS: 'bypass'
+};
+
+const DEFAULT_CACHE_DIR = '.llm-cache';
+
+/**
+ * Read a cached response
+ *
+ * @param {string} cachePath - Cache file path
+ * @returns {Promise<Object|null>} Cached response or null on a miss
+ */
+async function readCache(cachePath) {
+  try {
+    const entry = JSON.parse(await fs.readFile(cachePath, 'utf8'));
+    return entry.response || null;
+  } catch (error) {
+    // Unreadable entries are treated as a miss and overwritten.
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a response to the cache
+ *
+ * The file is written next to its final path and renamed, so an interrupted
+ * run never leaves a partial entry.
+ *
+ * @param {string} cachePath - Cache file path
+ * @param {Object} request - Provider request
+ * @param {Object} response - Provider response
+ * @returns {Promise<void>}
+ */
+async function writeCache(cachePath, request, response) {
+  await fs.mkdir(path.dirname(cachePath), { recursive: true });
+  const temporaryPath = `${cachePath}.${process.pid}.tmp`;
+  const entry = {
+    request: { model: request.model, system: request.system || '', messages: request.messages },
+    response,
+    createdAt: new Date().toISOString()
+  };
+  await fs.writeFile(temporaryPath, JSON.stringify(entry, null, 2), 'utf8');
+  await fs.rename(temporaryPath, cachePath);
+}
+
+/**
+ * Wrap a provider with the response cache
+ *
+ * Truncated responses (stop reason `max_tokens`) are never cached. Responses
+ * served from the cache have `cached` set to true.
+ *
+ * @param {Object} provider - Provider to wrap
+ * @param {Object} options - Cache options
+ * @param {string} [options.mode] - One of CACHE_MODES, read from LLM_CACHE_MODE when omitted
+ * @param {string} [options.cacheDir] - Cache directory, read from LLM_CACHE_DIR when omitted
+ * @returns {Object} Provider with the same interface
+ * @throws {Error} If the mode is unknown
+ */
+export function withCache(provider, options = {}) {
+  const mode = options.mode || process.env.LLM_CACHE_MODE || CACHE_MODES.READ_WRITE;
+  const cacheDir = options.cacheDir || process.env.LLM_CACHE_DIR || DEFAULT_CACHE_DIR;
+
+  if (!Object.values(CACHE_MODES).includes(mode)) {
+    throw new Error(`Unknown LLM cache mode: ${mode}. Available modes: ${Object.values(CACHE_MODES).join(', ')}`);
+  }
+
+  if (mode === CACHE_MODES.BYPASS) {
+    return provider;
+  }
+
+  return {
+    ...provider,
+
+    /**
+     * Complete a request from the cache or the wrapped provider
+     *
+     * @param {Object} request - Provider request
+     * @returns {Promise<Object>} Provider response
+     * @throws {Error} With `code` CACHE_MISS in cache-only mode if nothing is cached
+     */
+    async complete(request) {
+      const resolvedRequest = { ...request, model: request.model || provider.model };
+      const cachePath = path.join(cacheDir, `${hashRequest(resolvedRequest)}.json`);
+
+      if (mode !== CACHE_MODES.REFRESH) {
+        const cached = await readCache(cachePath);
+        if (cached) {
+          return { ...cached, cached: true };
+        }
+        if (mode === CACHE_MODES.CACHE_ONLY) {
+          const error = new Error(`${provider.name} cache miss: no cached response in ${cachePath} (LLM_CACHE_MODE=cache-only)`);
+          error.code = 'CACHE_MISS';
+          throw error;
+        }
+      }
+
+      const response = await provider.complete(resolvedRequest);
+      if (response.stopReason !== 'max_tokens') {
+        await writeCache(cachePath, resolvedRequest, response);
+      }
+      return response;
+    }
+  };
+}
+
+export default {
+  CACHE_MODES,
+  withCache
+};
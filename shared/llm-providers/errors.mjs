@@ -0,0 +1,34 @@
+/**
+ * @file
+ * Error helpers shared by the LLM providers.
+ */
+
+/**
+ * Create an error for a failed HTTP response
+ *
+ * The status and response headers are attached so callers can decide whether
+ * and when to retry.
+ *
+ * @param {string} provider - Provider name
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Error>} Error with `status`, `headers` and `provider` set
+ */
+export async function createHttpError(provider, response) {
+  let detail = response.statusText;
+  try {
+    const body = await response.json();
+    detail = body?.error?.message || body?.message || JSON.stringify(body);
+  } catch {
+    // Keep the status text if the body is not JSON.
+  }
+
+  const error = new Error(`${provider} API error ${response.status}: ${detail}`);
+  error.status = response.status;
+  error.headers = Object.fromEntries(response.headers.entries());
+  error.provider = provider;
+  return error;
+}
+
+export default {
+  createHttpError
+};
@@ -0,0 +1,78 @@
+/**
+ * @file
+ * Fixture replay provider.
+ *
+ * Returns responses stored on disk instead of calling a model, so tests and
+ * demos run offline and always produce the same output. Each fixture is a
+ * JSON file named after the hash of the request it answers.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { hashRequest } from './request-hash.mjs';
+import { emptyUsage } from './usage.mjs';
+
+/**
+ * Get the fixture path for a request
+ *
+ * @param {string} fixturesDir - Fixtures directory
+ * @param {Object} request - Provider request
+ * @returns {string} Path to the fixture file
+ */
+export function getFixturePath(fixturesDir, request) {
+  return path.join(fixturesDir, `${hashRequest(request)}.json`);
+}
+
+/**
+ * Create a provider that replays recorded responses
+ *
+ * @param {Object} options - Provider options
+ * @param {string} [options.fixturesDir] - Directory containing the fixtures
+ * @param {string} [options.model] - Default model, part of the request hash
+ * @returns {{name: string, model: string, complete: Function}} Provider
+ */
+export function createFixtureProvider(options = {}) {
+  const fixturesDir = options.fixturesDir || 'fixtures/llm';
+  const model = options.model || 'fixture';
+
+  return {
+    name: 'fixture',
+    model,
+
+    /**
+     * Read the recorded response for a request
+     *
+     * @param {Object} request - Provider request, see createProvider()
+     * @returns {Promise<{text: string, usage: Object, stopReason: string, model: string}>} Recorded response
+     * @throws {Error} With `code` FIXTURE_NOT_FOUND if there is no fixture for the request
+     */
+    async complete(request) {
+      const resolvedRequest = { ...request, model: request.model || model };
+      const fixturePath = getFixturePath(fixturesDir, resolvedRequest);
+
+      let fixture;
+      try {
+        fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          const notFound = new Error(`fixture API error: no fixture for request, expected ${fixturePath}`);
+          notFound.code = 'FIXTURE_NOT_FOUND';
+          throw notFound;
+        }
+        throw error;
+      }
+
+      const response = fixture.response || fixture;
+      return {
+        text: response.text || '',
+        usage: { ...emptyUsage(), ...response.usage },
+        stopReason: response.stopReason || 'end_turn',
+        model: response.model || resolvedRequest.model
+      };
+    }
+  };
+}
+
+export default {
+  getFixturePath,
+  createFixtureProvider
+};
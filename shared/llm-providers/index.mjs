@@ -0,0 +1,129 @@
+/**
+ * @file
+ * LLM provider layer shared by the update tools.
+ *
+ * Every provider exposes `complete(request)`, where a request is
+ * `{model, system, messages, maxTokens}` with Anthropic style `messages`, and
+ * resolves to `{text, usage, stopReason, model}`, see usage.mjs for the usage
+ * counts.
+ * A stop reason of `max_tokens` means the response was truncated. Failed HTTP
+ * requests reject with an error that has `status` and `headers` set.
+ *
+ * Providers are configured with environment variables:
+ *
+ * - LLM_PROVIDER: anthropic (default), openai-compatible or fixture
+ * - LLM_MODEL: model to use, ANTHROPIC_MODEL is also read for anthropic
+ * - LLM_BASE_URL: API base URL, e.g. http://localhost:11434/v1 for Ollama
+ * - LLM_API_KEY: API key for openai-compatible, ANTHROPIC_API_KEY for anthropic
+ * - LLM_FIXTURES_DIR: directory the fixture provider reads responses from
+ * - LLM_CACHE_MODE: read-write (default), cache-only, refresh or bypass
+ * - LLM_CACHE_DIR: response cache directory, `.llm-cache` by default
+ * - LLM_MAX_ATTEMPTS: attempts per request before giving up, 5 by default
+ * - LLM_RETRY_BASE_DELAY_MS: first backoff delay, doubled on every retry
+ * - LLM_MAX_TOKENS_LIMIT: largest token budget a truncated response is requested again with
+ * - LLM_PRICES_FILE: JSON file with prices per model, for cost estimates
+ */
+import { createAnthropicProvider } from './anthropic.mjs';
+import { createOpenAiCompatibleProvider } from './openai-compatible.mjs';
+import { createFixtureProvider, getFixturePath } from './fixture.mjs';
+import { hashRequest } from './request-hash.mjs';
+import { CACHE_MODES, withCache } from './cache.mjs';
+import { withRetry } from './retry.mjs';
+import { createUsageTracker, estimateCost, estimateTokens, formatCost, loadPriceTable } from './usage.mjs';
+
+export const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  'openai-compatible': createOpenAiCompatibleProvider,
+  fixture: createFixtureProvider
+};
+
+/**
+ * Get the configured provider name
+ *
+ * @param {string} [name] - Provider name, read from LLM_PROVIDER when omitted
+ * @returns {string} Provider name
+ */
+export function getProviderName(name = null) {
+  return name || process.env.LLM_PROVIDER || 'anthropic';
+}
+
+/**
+ * Check whether a provider needs an API key
+ *
+ * @param {string} [name] - Provider name, read from LLM_PROVIDER when omitted
+ * @returns {boolean} True for providers that call a hosted API
+ */
+export function providerRequiresApiKey(name = null) {
+  return getProviderName(name) === 'anthropic';
+}
+
+/**
+ * Create an LLM provider
+ *
+ * Options that are not passed are read from the environment. Failed and
+ * truncated requests are retried, and responses are cached on disk except
+ * for the fixture provider which is already offline.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} [options.provider] - Provider name
+ * @param {string} [options.apiKey] - API key
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {string} [options.model] - Default model
+ * @param {string} [options.fixturesDir] - Fixtures directory for the fixture provider
+ * @param {string} [options.cacheMode] - Response cache mode, one of CACHE_MODES
+ * @param {string} [options.cacheDir] - Response cache directory
+ * @param {number} [options.maxAttempts] - Attempts per request
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before each retry
+ * @returns {{name: string, model: string, complete: Function}} Provider
+ * @throws {Error} If the provider or cache mode is unknown
+ */
+export function createProvider(options = {}) {
+  const name = getProviderName(options.provider);
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const isAnthropic = name === 'anthropic';
+  const provider = withRetry(factory({
+    apiKey: options.apiKey || (isAnthropic ? process.env.ANTHROPIC_API_KEY : process.env.LLM_API_KEY),
+    baseUrl: options.baseUrl || process.env.LLM_BASE_URL,
+    model: options.model || process.env.LLM_MODEL || (isAnthropic ? process.env.ANTHROPIC_MODEL : undefined),
+    fixturesDir: options.fixturesDir || process.env.LLM_FIXTURES_DIR
+  }), { maxAttempts: options.maxAttempts, onRetry: options.onRetry });
+
+  if (name === 'fixture') {
+    return provider;
+  }
+  return withCache(provider, { mode: options.cacheMode, cacheDir: options.cacheDir });
+}
+
+export {
+  hashRequest,
+  getFixturePath,
+  CACHE_MODES,
+  withCache,
+  withRetry,
+  createUsageTracker,
+  estimateCost,
+  estimateTokens,
+  formatCost,
+  loadPriceTable
+};
+
+export default {
+  PROVIDERS,
+  getProviderName,
+  providerRequiresApiKey,
+  createProvider,
+  hashRequest,
+  getFixturePath,
+  CACHE_MODES,
+  withCache,
+  withRetry,
+  createUsageTracker,
+  estimateCost,
+  estimateTokens,
+  formatCost,
+  loadPriceTable
+};
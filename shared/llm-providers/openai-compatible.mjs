@@ -0,0 +1,86 @@
+/**
+ * @file
+ * Provider for OpenAI compatible chat completion endpoints.
+ *
+ * Works with self-hosted models, e.g. Ollama on http://localhost:11434/v1,
+ * so theme code never has to leave the machine.
+ */
+import { createHttpError } from './errors.mjs';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+// Finish reasons mapped to the stop reasons used by all providers.
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens'
+};
+
+/**
+ * Create a provider for an OpenAI compatible endpoint
+ *
+ * @param {Object} options - Provider options
+ * @param {string} [options.apiKey] - API key, not needed by most local servers
+ * @param {string} [options.baseUrl] - API base URL including the version, e.g. http://localhost:11434/v1
+ * @param {string} [options.model] - Default model
+ * @returns {{name: string, model: string, complete: Function}} Provider
+ */
+export function createOpenAiCompatibleProvider(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  return {
+    name: 'openai-compatible',
+    model: options.model || '',
+
+    /**
+     * Send a request to the chat completions endpoint
+     *
+     * @param {Object} request - Provider request, see createProvider()
+     * @returns {Promise<{text: string, usage: Object, stopReason: string, model: string}>} Response
+     */
+    async complete(request) {
+      const model = request.model || options.model;
+      if (!model) {
+        throw new Error('openai-compatible API error: no model configured, set LLM_MODEL');
+      }
+
+      const messages = request.system
+        ? [{ role: 'system', content: request.system }, ...request.messages]
+        : request.messages;
+
+      const headers = { 'content-type': 'application/json' };
+      if (options.apiKey) {
+        headers.authorization = `Bearer ${options.apiKey}`;
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model, max_tokens: request.maxTokens, messages })
+      });
+
+      if (!response.ok) {
+        throw await createHttpError('openai-compatible', response);
+      }
+
+      const data = await response.json();
+      const choice = data.choices?.[0] || {};
+      // Prompt tokens include the cached ones, they are counted separately.
+      const cachedTokens = data.usage?.prompt_tokens_details?.cached_tokens || 0;
+      return {
+        text: choice.message?.content || '',
+        usage: {
+          inputTokens: (data.usage?.prompt_tokens || 0) - cachedTokens,
+          outputTokens: data.usage?.completion_tokens || 0,
+          cacheReadTokens: cachedTokens,
+          cacheWriteTokens: 0
+        },
+        stopReason: STOP_REASONS[choice.finish_reason] || choice.finish_reason,
+        model: data.model || model
+      };
+    }
+  };
+}
+
+export default {
+  createOpenAiCompatibleProvider
+};
@@ -0,0 +1,26 @@
+/**
+ * @file
+ * Stable hashing of LLM requests.
+ */
+import crypto from 'crypto';
+
+/**
+ * Hash the parts of a request that determine the response
+ *
+ * The token budget is not part of the hash, a truncated response that is
+ * requested again with a bigger budget answers the same request.
+ *
+ * @param {Object} request - Provider request
+ * @returns {string} SHA-256 hash of the model, system prompt and messages
+ */
+export function hashRequest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    model: request.model || '',
+    system: request.system || '',
+    messages: request.messages
+  })).digest('hex');
+}
+
+export default {
+  hashRequest
+};
@@ -0,0 +1,189 @@
+/**
+ * @file
+ * Retries, backoff and truncation handling for LLM providers.
+ *
+ * Rate limited, overloaded and failed requests are retried with exponential
+ * backoff and full jitter, waiting as long as the `retry-after` header asks
+ * for. Responses cut off at the token limit are continued, or requested again
+ * with a bigger budget for providers that cannot continue a response.
+ */
+import { addUsage } from './usage.mjs';
+
+// Statuses worth retrying: timeouts, conflicts, rate limits, server errors
+// and Anthropic's 529 overloaded.
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+// Network error codes worth retrying.
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+export const RETRY_DEFAULTS = {
+  maxAttempts: 5,
+  baseDelay: 1000,
+  maxDelay: 60000,
+  maxContinuations: 3,
+  maxTokensLimit: 32000
+};
+
+/**
+ * Read a positive integer from an environment variable
+ *
+ * @param {string} name - Variable name
+ * @returns {number|undefined} Value or undefined if not set or invalid
+ */
+function readEnvInteger(name) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : undefined;
+}
+
+/**
+ * Check whether a failed request should be retried
+ *
+ * @param {Error} error - Request error
+ * @returns {boolean} True for rate limits, overloads, server and network errors
+ */
+export function isRetryable(error) {
+  if (error.status) {
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+  const code = error.cause?.code || error.code;
+  return RETRYABLE_CODES.includes(code) || (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+/**
+ * Get the delay before the next attempt
+ *
+ * @param {Error} error - Request error
+ * @param {number} attempt - Number of the attempt that failed, starting at 1
+ * @param {Object} options - Retry options
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(error, attempt, options) {
+  const headers = error.headers || {};
+
+  const retryAfterMs = Number.parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return Math.min(retryAfterMs, options.maxDelay);
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number.parseFloat(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(delay) && delay >= 0) {
+      return Math.min(delay, options.maxDelay);
+    }
+  }
+
+  // Full jitter spreads out clients that were rate limited at the same time.
+  const ceiling = Math.min(options.baseDelay * 2 ** (attempt - 1), options.maxDelay);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Wrap a provider with retries and truncation handling
+ *
+ * Responses get `attempts` (requests sent, including retries and
+ * continuations) and `continuations` (times a truncated response was
+ * continued or requested again). Errors thrown after the last attempt get
+ * `attempts` as well.
+ *
+ * @param {Object} provider - Provider to wrap
+ * @param {Object} options - Retry options
+ * @param {number} [options.maxAttempts] - Attempts per request, read from LLM_MAX_ATTEMPTS when omitted
+ * @param {number} [options.baseDelay] - First backoff delay in milliseconds, read from LLM_RETRY_BASE_DELAY_MS
+ * @param {number} [options.maxDelay] - Longest delay in milliseconds
+ * @param {number} [options.maxContinuations] - Times a truncated response is continued
+ * @param {number} [options.maxTokensLimit] - Largest token budget when requesting again, read from LLM_MAX_TOKENS_LIMIT
+ * @param {Function} [options.sleep] - Delay function, for tests
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before each retry
+ * @returns {Object} Provider with the same interface
+ */
+export function withRetry(provider, options = {}) {
+  const settings = {
+    maxAttempts: options.maxAttempts || readEnvInteger('LLM_MAX_ATTEMPTS') || RETRY_DEFAULTS.maxAttempts,
+    baseDelay: options.baseDelay ?? readEnvInteger('LLM_RETRY_BASE_DELAY_MS') ?? RETRY_DEFAULTS.baseDelay,
+    maxDelay: options.maxDelay || RETRY_DEFAULTS.maxDelay,
+    maxContinuations: options.maxContinuations ?? RETRY_DEFAULTS.maxContinuations,
+    maxTokensLimit: options.maxTokensLimit || readEnvInteger('LLM_MAX_TOKENS_LIMIT') || RETRY_DEFAULTS.maxTokensLimit
+  };
+  const sleep = options.sleep || (delay => new Promise(resolve => setTimeout(resolve, delay)));
+
+  /**
+   * Send a request, retrying failures
+   *
+   * @param {Object} request - Provider request
+   * @param {{attempts: number}} counter - Requests sent for the current completion, updated in place
+   * @returns {Promise<Object>} Provider response
+   */
+  const send = async (request, counter) => {
+    for (let attempt = 1; ; attempt++) {
+      counter.attempts++;
+      try {
+        return await provider.complete(request);
+      } catch (error) {
+        if (attempt >= settings.maxAttempts || !isRetryable(error)) {
+          error.attempts = counter.attempts;
+          throw error;
+        }
+        const delay = getRetryDelay(error, attempt, settings);
+        if (options.onRetry) {
+          options.onRetry(error, attempt, delay);
+        }
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    ...provider,
+
+    /**
+     * Complete a request, retrying failures and completing truncated responses
+     *
+     * @param {Object} request - Provider request
+     * @returns {Promise<Object>} Provider response with `attempts` and `continuations`
+     */
+    async complete(request) {
+      const counter = { attempts: 0 };
+      let response = await send(request, counter);
+      let text = response.text;
+      const usage = { ...response.usage };
+      let continuations = 0;
+      let maxTokens = request.maxTokens;
+
+      while (response.stopReason === 'max_tokens' && continuations < settings.maxContinuations) {
+        continuations++;
+
+        if (provider.supportsContinuation) {
+          // The API rejects a prefill that ends in whitespace, it is put back
+          // if the continuation does not start with it.
+          const prefill = text.trimEnd();
+          const trailing = text.slice(prefill.length);
+          response = await send({
+            ...request,
+            messages: [...request.messages, { role: 'assistant', content: prefill }]
+          }, counter);
+          text = prefill + (/^\s/.test(response.text) ? '' : trailing) + response.text;
+        } else {
+          if (!maxTokens || maxTokens >= settings.maxTokensLimit) {
+            break;
+          }
+          maxTokens = Math.min(maxTokens * 2, settings.maxTokensLimit);
+          response = await send({ ...request, maxTokens }, counter);
+          text = response.text;
+        }
+
+        addUsage(usage, response.usage);
+      }
+
+      return { ...response, text, usage, attempts: counter.attempts, continuations };
+    }
+  };
+}
+
+export default {
+  RETRY_DEFAULTS,
+  isRetryable,
+  getRetryDelay,
+  withRetry
+};
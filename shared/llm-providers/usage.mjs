@@ -0,0 +1,203 @@
+/**
+ * @file
+ * Token usage and cost accounting for LLM requests.
+ *
+ * Usage is `{inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens}`,
+ * where input tokens do not include the tokens read from or written to the
+ * prompt cache. Prices are in US dollars per million tokens, keyed by model
+ * name or model name prefix. The built in table can be extended or overridden
+ * with a JSON file of the same shape in LLM_PRICES_FILE.
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+
+export const DEFAULT_PRICES = {
+  'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  'claude-3-opus': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 }
+};
+
+export const USAGE_KEYS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+
+// Rough average for English text and code, good enough for a budget.
+const CHARACTERS_PER_TOKEN = 4;
+
+/**
+ * Create a usage object with all counts at zero
+ *
+ * @returns {Object} Usage
+ */
+export function emptyUsage() {
+  return Object.fromEntries(USAGE_KEYS.map(key => [key, 0]));
+}
+
+/**
+ * Add usage to a total
+ *
+ * @param {Object} total - Usage to add to, updated in place
+ * @param {Object} [usage] - Usage to add, missing counts are treated as zero
+ * @returns {Object} The updated total
+ */
+export function addUsage(total, usage = {}) {
+  for (const key of USAGE_KEYS) {
+    total[key] = (total[key] || 0) + (usage?.[key] || 0);
+  }
+  return total;
+}
+
+/**
+ * Load the price table
+ *
+ * @param {string} [pricesFile] - JSON file with prices per model, read from LLM_PRICES_FILE when omitted
+ * @returns {Object<string, {input: number, output: number, cacheRead?: number, cacheWrite?: number}>} Prices per model
+ * @throws {Error} If the prices file cannot be read or parsed
+ */
+export function loadPriceTable(pricesFile = process.env.LLM_PRICES_FILE) {
+  if (!pricesFile) {
+    return { ...DEFAULT_PRICES };
+  }
+
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(readFileSync(path.resolve(pricesFile), 'utf8')) };
+  } catch (error) {
+    throw new Error(`Could not load LLM prices from ${pricesFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the price of a model
+ *
+ * @param {string} model - Model name
+ * @param {Object} prices - Price table from loadPriceTable()
+ * @returns {Object|null} Price, or null if the model is not in the table
+ */
+export function getModelPrice(model, prices) {
+  if (!model) {
+    return null;
+  }
+  if (prices[model]) {
+    return prices[model];
+  }
+
+  // The longest prefix wins so dated model names match their family.
+  const prefix = Object.keys(prices)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Estimate the cost of token usage
+ *
+ * @param {Object} usage - Token usage
+ * @param {string} model - Model the tokens were used with
+ * @param {Object} prices - Price table from loadPriceTable()
+ * @returns {number|null} Cost in US dollars, or null if the model has no price
+ */
+export function estimateCost(usage, model, prices) {
+  const price = getModelPrice(model, prices);
+  if (!price) {
+    return null;
+  }
+
+  const { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens } = addUsage(emptyUsage(), usage);
+  return (
+    inputTokens * price.input
+    + outputTokens * price.output
+    + cacheReadTokens * (price.cacheRead ?? price.input)
+    + cacheWriteTokens * (price.cacheWrite ?? price.input)
+  ) / 1000000;
+}
+
+/**
+ * Format a cost for output
+ *
+ * @param {number|null} cost - Cost in US dollars
+ * @returns {string} Formatted cost
+ */
+export function formatCost(cost) {
+  if (cost === null || cost === undefined) {
+    return 'unknown (no price for model)';
+  }
+  return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Estimate the number of tokens in a text
+ *
+ * @param {string|number} text - Text, or its length in characters
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  const length = typeof text === 'number' ? text : String(text || '').length;
+  return Math.ceil(length / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Create a tracker that records usage per item, e.g. per component or story
+ *
+ * @param {Object} [options] - Tracker options
+ * @param {Object} [options.prices] - Price table, loaded with loadPriceTable() when omitted
+ * @returns {{record: Function, toJSON: Function}} Usage tracker
+ */
+export function createUsageTracker(options = {}) {
+  const prices = options.prices || loadPriceTable();
+  const items = {};
+
+  return {
+    /**
+     * Record the usage of a request
+     *
+     * @param {string} key - Item the request was made for
+     * @param {string} model - Model the request was answered by
+     * @param {Object} usage - Token usage of the request
+     * @returns {void}
+     */
+    record(key, model, usage) {
+      const item = items[key] || (items[key] = { model, requests: 0, ...emptyUsage(), cost: null });
+      item.requests++;
+      addUsage(item, usage);
+      const cost = estimateCost(usage, model, prices);
+      if (cost !== null) {
+        item.cost = (item.cost || 0) + cost;
+      }
+    },
+
+    /**
+     * Get the recorded usage
+     *
+     * The total cost only includes models with a price, it is null if no
+     * model had one.
+     *
+     * @returns {{total: Object, items: Object<string, Object>}} Usage per item and in total
+     */
+    toJSON() {
+      const total = { requests: 0, ...emptyUsage(), cost: null };
+      for (const item of Object.values(items)) {
+        total.requests += item.requests;
+        addUsage(total, item);
+        if (item.cost !== null) {
+          total.cost = (total.cost || 0) + item.cost;
+        }
+      }
+      return { total, items: structuredClone(items) };
+    }
+  };
+}
+
+export default {
+  DEFAULT_PRICES,
+  USAGE_KEYS,
+  emptyUsage,
+  addUsage,
+  loadPriceTable,
+  getModelPrice,
+  estimateCost,
+  formatCost,
+  estimateTokens,
+  createUsageTracker
+};
@@ -0,0 +1,67 @@
+/**
+ * @file
+ * Merge starter kit files into the subtheme.
+ *
+ * Usage: node merge-starter-kit-files.mjs <path>...
+ *
+ * The scripts of the SDC update and the Storybook v8 update tool both run this
+ * script to merge the starter kit files they update.
+ *
+ * Paths are files or directories relative to the starter kit. They are merged
+ * three-way with the starter kit of CIVICTHEME_BASE_DIRECTORY, the CivicTheme
+ * the subtheme is on, so customisations of the subtheme are kept. Conflicts
+ * are written with conflict markers, or to `.rej` files if
+ * STARTER_KIT_CONFLICT_STYLE is `rej`.
+ */
+import fs from 'fs';
+import path from 'path';
+import { mergeStarterKitFiles, summarizeMerge, describeConflict, CONFLICT_STYLES, MERGE_STATUS } from './file-merge.mjs';
+
+async function main() {
+  const { SUBTHEME_DIRECTORY, CIVICTHEME_DIRECTORY, CIVICTHEME_BASE_DIRECTORY, STARTER_KIT_CONFLICT_STYLE } = process.env;
+  const baseDirectory = CIVICTHEME_BASE_DIRECTORY ? path.join(CIVICTHEME_BASE_DIRECTORY, 'civictheme_starter_kit') : null;
+
+  const results = await mergeStarterKitFiles({
+    paths: process.argv.slice(2),
+    subthemeDirectory: SUBTHEME_DIRECTORY,
+    starterKitDirectory: path.join(CIVICTHEME_DIRECTORY, 'civictheme_starter_kit'),
+    baseDirectory,
+    conflictStyle: STARTER_KIT_CONFLICT_STYLE || CONFLICT_STYLES.MARKERS
+  });
+  const { preserved, conflicts } = summarizeMerge(results);
+
+  console.log(`Merged ${results.length} starter kit files ${baseDirectory ? '(three-way with the starter kit the subtheme is on)' : '(no base starter kit: every subtheme customisation is reported as a conflict)'}`);
+  for (const result of results) {
+    console.log(`  ${result.file}: ${result.status}`);
+  }
+  if (preserved.length > 0) {
+    console.log('Customisations of the subtheme that were kept:');
+    preserved.forEach(file => console.log(`  - ${file}`));
+  }
+  if (conflicts.length > 0) {
+    console.log('Conflicts to resolve:');
+    conflicts.forEach(conflict => console.log(`  - ${conflict}`));
+  }
+
+  // The update runner reads the report to summarise the step.
+  if (process.env.SDC_STEP_REPORT_FILE) {
+    const report = {
+      successful: results.filter(result => result.status !== MERGE_STATUS.CONFLICT).map(result => result.file),
+      failed: results
+        .filter(result => result.status === MERGE_STATUS.CONFLICT)
+        .map(result => ({ file: result.file, error: describeConflict(result) })),
+      skipped: [],
+      preserved,
+      warnings: [
+        ...preserved.map(file => `Kept customised ${file}`),
+        ...conflicts.map(conflict => `Conflict in ${conflict}`)
+      ]
+    };
+    fs.writeFileSync(process.env.SDC_STEP_REPORT_FILE, JSON.stringify(report, null, 2), 'utf8');
+  }
+}
+
+main().catch(error => {
+  console.error(`Could not merge starter kit files: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,275 @@
+/**
+ * @file
+ * Three-way merge of a subtheme's package.json with the starter kit.
+ *
+ * The subtheme's package.json started as a copy of the starter kit of the
+ * CivicTheme version it is on (the base). Changes the starter kit made since
+ * are applied unless the subtheme changed the same entry, custom dependencies,
+ * scripts and fields of the subtheme are kept. When both changed a dependency
+ * the higher of two compatible ranges is kept, a range with another major
+ * version is replaced with the starter kit's and reported as a conflict.
+ * Packages of the webpack build, which the Vite build replaces, are removed.
+ *
+ * Without the base starter kit the merge is two-way: every entry of the new
+ * starter kit counts as changed by it.
+ */
+
+// Sections merged entry by entry.
+export const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// Fields that describe the subtheme, never taken from the starter kit.
+const SUBTHEME_FIELDS = ['name', 'version', 'description', 'author', 'license', 'private', 'repository', 'homepage'];
+
+// Packages of the webpack build and Storybook 6 that do not work with the
+// Vite build and Storybook 8.
+export const INCOMPATIBLE_PACKAGES = [
+  'webpack',
+  'webpack-cli',
+  'webpack-dev-server',
+  'webpack-merge',
+  /-webpack-plugin$/,
+  /^[\w@/-]*-loader$/,
+  '@storybook/addon-knobs',
+  '@storybook/html',
+  '@storybook/builder-webpack5',
+  '@storybook/preset-scss',
+  'gulp',
+  /^gulp-/
+];
+
+/**
+ * Check whether a package is part of the webpack build
+ *
+ * @param {string} name - Package name
+ * @returns {boolean} True if the package has to be removed
+ */
+export function isIncompatiblePackage(name) {
+  return INCOMPATIBLE_PACKAGES.some(pattern => (typeof pattern === 'string' ? pattern === name : pattern.test(name)));
+}
+
+/**
+ * Parse the lowest version of a semver range
+ *
+ * Simple ranges such as `^1.2.3`, `~1.2`, `>=1.2.3`, `1.x` and `1.2.3` are
+ * supported. Ranges with several comparators, tags, URLs and aliases are not.
+ *
+ * @param {string} range - Version range
+ * @returns {{major: number, minor: number, patch: number}|null} Lowest version, or null if the range is not supported
+ */
+export function parseRange(range) {
+  const match = String(range).trim().match(/^(?:\^|~|>=|=)?\s*v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-[\w.]+)?$/);
+  if (!match) {
+    return null;
+  }
+  const part = value => (value === undefined || value === 'x' || value === '*' ? 0 : Number(value));
+  return { major: Number(match[1]), minor: part(match[2]), patch: part(match[3]) };
+}
+
+/**
+ * Compare the version range of the subtheme with the starter kit's
+ *
+ * Ranges are compatible if they accept the same major version, or the same
+ * minor version below 1.0.0.
+ *
+ * @param {string} ours - Range of the subtheme
+ * @param {string} theirs - Range of the starter kit
+ * @returns {string} `same`, `newer` or `older` for compatible ranges by their lowest version, `incompatible`, or
+ *   `unknown` if a range is not supported
+ */
+export function compareRanges(ours, theirs) {
+  const left = parseRange(ours);
+  const right = parseRange(theirs);
+  if (!left || !right) {
+    return 'unknown';
+  }
+  if (left.major !== right.major || (left.major === 0 && left.minor !== right.minor)) {
+    return 'incompatible';
+  }
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] > right[part] ? 'newer' : 'older';
+    }
+  }
+  return 'same';
+}
+
+/**
+ * Check whether two values are equal
+ *
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} True if the values have the same JSON
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check whether a script runs the binary of a package
+ *
+ * @param {string} script - Script command
+ * @param {string} name - Package name
+ * @returns {boolean} True if the script runs a command with the package name
+ */
+function runsCommand(script, name) {
+  return script.split(/[\s&|;]+/).some(word => word === name || word.endsWith(`/${name}`));
+}
+
+/**
+ * Merge a value both the subtheme and the starter kit changed
+ *
+ * @param {string|null} section - Section of the entry, null for top level fields
+ * @param {*} ours - Value of the subtheme, undefined if it has none
+ * @param {*} theirs - Value of the new starter kit, undefined if it has none
+ * @returns {{value: *, reason: string|null}} Merged value, undefined to remove it, and the conflict to report
+ */
+function resolveConflict(section, ours, theirs) {
+  if (!DEPENDENCY_SECTIONS.includes(section)) {
+    if (theirs === undefined) {
+      return { value: ours, reason: null };
+    }
+    return { value: theirs, reason: `replaced ${JSON.stringify(ours ?? null)} of the subtheme, the starter kit changed it` };
+  }
+
+  if (theirs === undefined) {
+    return { value: ours, reason: 'kept, the starter kit no longer uses it' };
+  }
+  if (ours === undefined) {
+    return { value: theirs, reason: 'added back, the build of the starter kit needs it' };
+  }
+  switch (compareRanges(ours, theirs)) {
+    case 'same':
+    case 'newer':
+      return { value: ours, reason: null };
+    case 'older':
+      return { value: theirs, reason: null };
+    case 'incompatible':
+      return { value: theirs, reason: `${ours} of the subtheme is incompatible with ${theirs}, updated to ${theirs}` };
+    default:
+      return { value: ours, reason: `${ours} of the subtheme could not be compared with ${theirs}, kept ${ours}` };
+  }
+}
+
+/**
+ * Merge one section of package.json, or its top level fields
+ *
+ * @param {string|null} section - Section name, null for top level fields
+ * @param {Object} base - Entries of the base starter kit, empty without one
+ * @param {Object} starterKit - Entries of the new starter kit
+ * @param {Object} subtheme - Entries of the subtheme
+ * @param {Object} result - Merge result the changes and conflicts are added to
+ * @returns {Object} Merged entries
+ */
+function mergeSection(section, base, starterKit, subtheme, result) {
+  const merged = {};
+  const names = [...new Set([...Object.keys(subtheme), ...Object.keys(starterKit)])];
+  const isDependency = DEPENDENCY_SECTIONS.includes(section);
+  const record = (list, entry) => list.push({ section, name: entry.name, ...entry });
+
+  for (const name of names) {
+    const ours = subtheme[name];
+    const theirs = starterKit[name];
+    const original = base[name];
+    let value = ours;
+
+    if (isDependency && isIncompatiblePackage(name) && theirs === undefined) {
+      if (ours !== undefined) {
+        record(result.changes, { name, from: ours, to: undefined });
+        record(result.conflicts, { name, ours, theirs, reason: `${ours} removed, webpack build packages do not work with the Vite build` });
+      }
+      continue;
+    }
+
+    if (isEqual(ours, theirs) || isEqual(theirs, original)) {
+      value = ours;
+    } else if (isEqual(ours, original)) {
+      value = theirs;
+    } else {
+      const resolution = resolveConflict(section, ours, theirs);
+      value = resolution.value;
+      if (resolution.reason) {
+        record(result.conflicts, { name, ours, theirs, reason: resolution.reason });
+      }
+    }
+
+    if (!isEqual(value, ours)) {
+      record(result.changes, { name, from: ours, to: value });
+    }
+    if (value !== undefined) {
+      merged[name] = value;
+    }
+  }
+
+  // npm keeps dependencies sorted by name.
+  return isDependency
+    ? Object.fromEntries(Object.entries(merged).sort(([a], [b]) => a.localeCompare(b)))
+    : merged;
+}
+
+/**
+ * Merge the package.json of a subtheme with the starter kit
+ *
+ * @param {Object} options - Merge options
+ * @param {Object|null} options.base - package.json of the starter kit the subtheme is on, null if it is not available
+ * @param {Object} options.starterKit - package.json of the starter kit to update to
+ * @param {Object} options.subtheme - package.json of the subtheme
+ * @returns {{packageJson: Object, changes: Array<Object>, conflicts: Array<Object>, threeWay: boolean}} Merged
+ *   package.json, the entries that changed and the conflicts to check by hand, each with its `section` (null for top
+ *   level fields), `name`, the subtheme's and the starter kit's value, and whether the base was available
+ */
+export function mergePackageJson({ base, starterKit, subtheme }) {
+  const result = { changes: [], conflicts: [] };
+  const sections = ['scripts', ...DEPENDENCY_SECTIONS];
+  const entriesOf = (packageJson, key) => (packageJson && typeof packageJson[key] === 'object' && packageJson[key]) || {};
+
+  // Top level fields, without the sections and the fields of the subtheme.
+  const fieldsOf = packageJson => Object.fromEntries(Object.entries(packageJson || {})
+    .filter(([key]) => !sections.includes(key) && !SUBTHEME_FIELDS.includes(key)));
+  const fields = mergeSection(null, fieldsOf(base), fieldsOf(starterKit), fieldsOf(subtheme), result);
+
+  const packageJson = {};
+  const keys = [...new Set([...Object.keys(subtheme), ...Object.keys(starterKit)])];
+  for (const key of keys) {
+    if (SUBTHEME_FIELDS.includes(key)) {
+      packageJson[key] = subtheme[key];
+    } else if (sections.includes(key)) {
+      const merged = mergeSection(key, entriesOf(base, key), entriesOf(starterKit, key), entriesOf(subtheme, key), result);
+      if (Object.keys(merged).length > 0) {
+        packageJson[key] = merged;
+      }
+    } else if (key in fields) {
+      packageJson[key] = fields[key];
+    }
+  }
+
+  // Scripts of the subtheme that still run a removed package.
+  const removed = result.conflicts.filter(conflict => DEPENDENCY_SECTIONS.includes(conflict.section) && !(conflict.name in entriesOf(packageJson, conflict.section)));
+  for (const [name, command] of Object.entries(entriesOf(packageJson, 'scripts'))) {
+    const uses = removed.filter(conflict => runsCommand(command, conflict.name));
+    if (uses.length > 0) {
+      result.conflicts.push({ section: 'scripts', name, ours: command, theirs: entriesOf(starterKit, 'scripts')[name], reason: `runs ${uses.map(conflict => conflict.name).join(', ')}, which was removed` });
+    }
+  }
+
+  return { packageJson, ...result, threeWay: Boolean(base) };
+}
+
+/**
+ * Format the conflicts of a merge for the console and logs
+ *
+ * @param {Array<Object>} conflicts - Conflicts from mergePackageJson()
+ * @returns {Array<string>} A line for every conflict, e.g. `devDependencies.storybook: ...`
+ */
+export function formatConflicts(conflicts) {
+  return conflicts.map(({ section, name, reason }) => `${section ? `${section}.` : ''}${name}: ${reason}`);
+}
+
+export default {
+  DEPENDENCY_SECTIONS,
+  INCOMPATIBLE_PACKAGES,
+  isIncompatiblePackage,
+  parseRange,
+  compareRanges,
+  mergePackageJson,
+  formatConflicts
+};
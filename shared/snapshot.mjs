@@ -0,0 +1,212 @@
+/**
+ * @file
+ * Snapshot and rollback of a subtheme before an upgrade.
+ *
+ * When the subtheme is in a clean git work tree the snapshot is a branch at
+ * the current commit, otherwise a tarball of the subtheme is created. Rolling
+ * back restores the subtheme exactly, including files the upgrade deleted.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Default snapshot directory, relative to the tool.
+const SNAPSHOT_DIR = '.snapshots';
+
+// Directories that are not included in tarball snapshots.
+const EXCLUDED_DIRECTORIES = ['node_modules'];
+
+/**
+ * Run a git command
+ *
+ * @param {Array<string>} args - Git arguments
+ * @param {string} cwd - Working directory
+ * @returns {Promise<string>} Trimmed stdout
+ */
+async function git(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 });
+  return stdout.trimEnd();
+}
+
+/**
+ * Get the snapshot metadata file for a subtheme
+ *
+ * @param {string} directory - Subtheme directory
+ * @param {string} snapshotDir - Snapshot directory
+ * @returns {string} Path to the metadata file
+ */
+function getMetadataPath(directory, snapshotDir) {
+  const resolved = path.resolve(directory);
+  const suffix = crypto.createHash('sha1').update(resolved).digest('hex').slice(0, 8);
+  return path.join(snapshotDir, `${path.basename(resolved)}-${suffix}.json`);
+}
+
+/**
+ * Delete the branch or tarball of a snapshot
+ *
+ * A snapshot that is already gone is not an error, e.g. a branch the user
+ * deleted.
+ *
+ * @param {Object} snapshot - Snapshot metadata
+ * @returns {Promise<void>}
+ */
+async function removeSnapshot(snapshot) {
+  if (snapshot.type === 'git') {
+    const exists = await git(['rev-parse', '--verify', '--quiet', `refs/heads/${snapshot.branch}`], snapshot.root)
+      .then(() => true, () => false);
+    if (exists) {
+      await git(['branch', '-D', snapshot.branch], snapshot.root);
+    }
+  } else {
+    await fs.rm(snapshot.archive, { force: true });
+  }
+}
+
+/**
+ * Get the git status of a directory
+ *
+ * @param {string} directory - Directory to check
+ * @returns {Promise<{isRepository: boolean, root: string|null, dirty: boolean, changes: Array<string>}>}
+ *   Whether the directory is in a git work tree and its uncommitted changes
+ */
+export async function getGitStatus(directory) {
+  let root;
+  try {
+    root = await git(['rev-parse', '--show-toplevel'], directory);
+  } catch {
+    return { isRepository: false, root: null, dirty: false, changes: [] };
+  }
+
+  const status = await git(['status', '--porcelain', '--', '.'], directory);
+  const changes = status ? status.split('\n') : [];
+
+  return { isRepository: true, root, dirty: changes.length > 0, changes };
+}
+
+/**
+ * Create a snapshot of a subtheme
+ *
+ * Only the last snapshot of a subtheme is kept, the branch or tarball of the
+ * snapshot it replaces is deleted once the new one is written.
+ *
+ * @param {string} directory - Subtheme directory
+ * @param {Object} options - Snapshot options
+ * @param {boolean} [options.allowDirty] - Snapshot a dirty git work tree with a tarball instead of refusing
+ * @param {string} [options.snapshotDir] - Directory to store snapshots in
+ * @returns {Promise<Object>} Snapshot metadata
+ * @throws {Error} If the work tree has uncommitted changes and allowDirty is not set
+ */
+export async function createSnapshot(directory, options = {}) {
+  const snapshotDir = options.snapshotDir || SNAPSHOT_DIR;
+  const resolved = path.resolve(directory);
+  const name = path.basename(resolved);
+  const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
+  const status = await getGitStatus(resolved);
+
+  if (status.dirty && !options.allowDirty) {
+    throw new Error(`${resolved} has ${status.changes.length} uncommitted changes. Commit or stash them before upgrading.`);
+  }
+
+  let snapshot;
+  if (status.isRepository && !status.dirty) {
+    const commit = await git(['rev-parse', 'HEAD'], resolved);
+    const branch = `upgrade-snapshot/${name}-${timestamp}`;
+    await git(['branch', branch, commit], resolved);
+    snapshot = {
+      type: 'git',
+      root: status.root,
+      path: path.relative(status.root, resolved) || '.',
+      commit,
+      branch
+    };
+  } else {
+    await fs.mkdir(snapshotDir, { recursive: true });
+    const archive = path.resolve(snapshotDir, `${name}-${timestamp}.tar.gz`);
+    const excludes = EXCLUDED_DIRECTORIES.map(excluded => `--exclude=${name}/${excluded}`);
+    await execFileAsync('tar', ['-czf', archive, ...excludes, '-C', path.dirname(resolved), name]);
+    snapshot = { type: 'tarball', archive };
+  }
+
+  snapshot.directory = resolved;
+  snapshot.createdAt = new Date().toISOString();
+
+  const previous = await loadSnapshot(resolved, { snapshotDir });
+  await fs.mkdir(snapshotDir, { recursive: true });
+  await fs.writeFile(getMetadataPath(resolved, snapshotDir), JSON.stringify(snapshot, null, 2), 'utf8');
+  // Two snapshots taken in the same second share the branch or tarball.
+  if (previous && (previous.branch || previous.archive) !== (snapshot.branch || snapshot.archive)) {
+    await removeSnapshot(previous);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Load the last snapshot of a subtheme
+ *
+ * @param {string} directory - Subtheme directory
+ * @param {Object} options - Snapshot options
+ * @param {string} [options.snapshotDir] - Directory snapshots are stored in
+ * @returns {Promise<Object|null>} Snapshot metadata or null if there is none
+ */
+export async function loadSnapshot(directory, options = {}) {
+  try {
+    const content = await fs.readFile(getMetadataPath(directory, options.snapshotDir || SNAPSHOT_DIR), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Restore a subtheme from its last snapshot
+ *
+ * @param {string} directory - Subtheme directory
+ * @param {Object} options - Snapshot options
+ * @param {string} [options.snapshotDir] - Directory snapshots are stored in
+ * @returns {Promise<Object>} The snapshot that was restored
+ * @throws {Error} If there is no snapshot to restore
+ */
+export async function rollbackSnapshot(directory, options = {}) {
+  const snapshotDir = options.snapshotDir || SNAPSHOT_DIR;
+  const resolved = path.resolve(directory);
+  const snapshot = await loadSnapshot(resolved, { snapshotDir });
+
+  if (!snapshot) {
+    throw new Error(`No snapshot found for ${resolved}`);
+  }
+
+  if (snapshot.type === 'git') {
+    // Restoring from the snapshot commit removes tracked files the upgrade
+    // added, cleaning removes the untracked ones.
+    await git(['restore', `--source=${snapshot.commit}`, '--staged', '--worktree', '--', snapshot.path], snapshot.root);
+    await git(['clean', '-fd', '--', snapshot.path], snapshot.root);
+  } else {
+    const entries = await fs.readdir(resolved);
+    for (const entry of entries) {
+      if (!EXCLUDED_DIRECTORIES.includes(entry)) {
+        await fs.rm(path.join(resolved, entry), { recursive: true, force: true });
+      }
+    }
+    await execFileAsync('tar', ['-xzf', snapshot.archive, '-C', path.dirname(resolved)]);
+  }
+  await removeSnapshot(snapshot);
+
+  await fs.rm(getMetadataPath(resolved, snapshotDir), { force: true });
+
+  return snapshot;
+}
+
+export default {
+  getGitStatus,
+  createSnapshot,
+  loadSnapshot,
+  rollbackSnapshot
+};
@@ -0,0 +1,196 @@
+/**
+ * @file
+ * Tests for merging starter kit files into a subtheme.
+ *
+ * Run with `node --test shared/tests/`, the merge needs git.
+ */
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  CONFLICT_STYLES,
+  MERGE_STATUS,
+  isBinary,
+  mergeContents,
+  mergeStarterKitFiles,
+  describeConflict,
+  summarizeMerge
+} from '../file-merge.mjs';
+
+const BASE = 'const a = 1;\nconst b = 2;\nconst c = 3;\n';
+
+/**
+ * Write files below a directory
+ *
+ * @param {string} directory - Directory
+ * @param {Object<string, string|Buffer>} files - Content by relative path
+ * @returns {Promise<void>}
+ */
+async function writeFiles(directory, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(directory, file)), { recursive: true });
+    await fs.writeFile(path.join(directory, file), content);
+  }
+}
+
+/**
+ * Read a file, or null if it does not exist
+ *
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} File content
+ */
+function readOptional(filePath) {
+  return fs.readFile(filePath, 'utf8').catch(() => null);
+}
+
+describe('File contents merge', () => {
+  test('Merges changes to different lines', async () => {
+    const ours = BASE.replace('a = 1', 'a = 10');
+    const theirs = BASE.replace('c = 3', 'c = 30');
+    assert.deepEqual(await mergeContents(ours, BASE, theirs), { content: 'const a = 10;\nconst b = 2;\nconst c = 30;\n', conflicts: 0 });
+  });
+
+  test('Marks changes to the same lines as conflicts', async () => {
+    const { content, conflicts } = await mergeContents(BASE.replace('b = 2', 'b = 20'), BASE, BASE.replace('b = 2', 'b = 200'));
+    assert.equal(conflicts, 1);
+    assert.match(content, /<<<<<<< subtheme\nconst b = 20;\n\|\|\|\|\|\|\| base starter kit\nconst b = 2;\n=======\nconst b = 200;\n>>>>>>> starter kit\n/);
+  });
+
+  test('Resolves conflicts with the starter kit\'s side', async () => {
+    const { content } = await mergeContents(BASE.replace('b = 2', 'b = 20'), BASE, BASE.replace('b = 2', 'b = 200'), 'theirs');
+    assert.equal(content, BASE.replace('b = 2', 'b = 200'));
+  });
+
+  test('Refuses to merge binary files', async () => {
+    assert.equal(isBinary(Buffer.from([0x89, 0x50, 0x00, 0x01])), true);
+    assert.equal(isBinary(BASE), false);
+    await assert.rejects(mergeContents(Buffer.from([1, 0, 2]), Buffer.from([1, 0]), Buffer.from([1, 0, 3])), { code: 'MERGE_FAILED' });
+  });
+});
+
+describe('Starter kit files merge', () => {
+  let tempDir;
+  let directories;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-merge-'));
+    directories = {
+      subthemeDirectory: path.join(tempDir, 'subtheme'),
+      starterKitDirectory: path.join(tempDir, 'starter-kit'),
+      baseDirectory: path.join(tempDir, 'base')
+    };
+    await Promise.all(Object.values(directories).map(directory => fs.mkdir(directory)));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write the three versions of the starter kit files and merge them
+   *
+   * @param {Object} versions - Files of the `base`, `starterKit` and `subtheme`
+   * @param {Object} [options] - Other options of mergeStarterKitFiles()
+   * @returns {Promise<Object<string, Object>>} Results by file
+   */
+  async function merge({ base = {}, starterKit = {}, subtheme = {} }, options = {}) {
+    await writeFiles(directories.baseDirectory, base);
+    await writeFiles(directories.starterKitDirectory, starterKit);
+    await writeFiles(directories.subthemeDirectory, subtheme);
+    const results = await mergeStarterKitFiles({
+      paths: [...new Set([...Object.keys(base), ...Object.keys(starterKit), ...Object.keys(subtheme)].map(file => file.split('/')[0]))],
+      ...directories,
+      ...options
+    });
+    return Object.fromEntries(results.map(result => [result.file, result]));
+  }
+
+  test('Adds, updates and keeps files by who changed them', async () => {
+    const results = await merge({
+      base: { 'build.js': BASE, 'vite.config.js': BASE, 'unchanged.js': BASE },
+      starterKit: { 'build.js': BASE.replace('a = 1', 'a = 10'), 'vite.config.js': BASE, 'unchanged.js': BASE, 'new.js': 'new\n' },
+      subtheme: { 'build.js': BASE, 'vite.config.js': BASE.replace('c = 3', 'c = 30'), 'unchanged.js': BASE }
+    });
+    assert.equal(results['new.js'].status, MERGE_STATUS.ADDED);
+    assert.equal(results['unchanged.js'].status, MERGE_STATUS.UNCHANGED);
+    assert.equal(results['build.js'].status, MERGE_STATUS.UPDATED);
+    assert.equal(results['vite.config.js'].status, MERGE_STATUS.PRESERVED);
+    assert.equal(await readOptional(path.join(directories.subthemeDirectory, 'new.js')), 'new\n');
+    assert.equal(await readOptional(path.join(directories.subthemeDirectory, 'build.js')), BASE.replace('a = 1', 'a = 10'));
+    assert.equal(await readOptional(path.join(directories.subthemeDirectory, 'vite.config.js')), BASE.replace('c = 3', 'c = 30'));
+  });
+
+  test('Merges a file both changed and expands directories', async () => {
+    const results = await merge({
+      base: { '.storybook/preview.js': BASE },
+      starterKit: { '.storybook/preview.js': BASE.replace('c = 3', 'c = 30') },
+      subtheme: { '.storybook/preview.js': BASE.replace('a = 1', 'a = 10'), '.storybook/custom.js': 'custom\n' }
+    });
+    assert.equal(results[path.join('.storybook', 'preview.js')].status, MERGE_STATUS.MERGED);
+    assert.equal(results[path.join('.storybook', 'custom.js')].status, MERGE_STATUS.KEPT);
+    assert.equal(await readOptional(path.join(directories.subthemeDirectory, '.storybook', 'preview.js')), 'const a = 10;\nconst b = 2;\nconst c = 30;\n');
+  });
+
+  test('Removes files the starter kit removed unless the subtheme customised them', async () => {
+    const results = await merge({
+      base: { 'gulpfile.js': BASE, 'webpack.config.js': BASE },
+      subtheme: { 'gulpfile.js': BASE, 'webpack.config.js': BASE.replace('a = 1', 'a = 10') }
+    });
+    assert.equal(results['gulpfile.js'].status, MERGE_STATUS.REMOVED);
+    assert.equal(results['webpack.config.js'].status, MERGE_STATUS.KEPT);
+    assert.equal(await readOptional(path.join(directories.subthemeDirectory, 'gulpfile.js')), null);
+    assert.notEqual(await readOptional(path.join(directories.subthemeDirectory, 'webpack.config.js')), null);
+  });
+
+  test('Writes conflicts with conflict markers', async () => {
+    const results = await merge({
+      base: { 'build.js': BASE },
+      starterKit: { 'build.js': BASE.replace('b = 2', 'b = 200') },
+      subtheme: { 'build.js': BASE.replace('b = 2', 'b = 20') }
+    });
+    assert.equal(results['build.js'].status, MERGE_STATUS.CONFLICT);
+    assert.equal(describeConflict(results['build.js']), '1 conflict, marked in the file');
+    assert.match(await readOptional(path.join(directories.subthemeDirectory, 'build.js')), /<<<<<<< subtheme/);
+    assert.deepEqual(summarizeMerge(Object.values(results)), { preserved: [], conflicts: ['build.js: 1 conflict, marked in the file'] });
+  });
+
+  test('Uses the starter kit\'s side and writes conflicts to a .rej file', async () => {
+    const results = await merge({
+      base: { 'build.js': BASE },
+      starterKit: { 'build.js': BASE.replace('b = 2', 'b = 200') },
+      subtheme: { 'build.js': BASE.replace('b = 2', 'b = 20') }
+    }, { conflictStyle: CONFLICT_STYLES.REJECT });
+    assert.equal(results['build.js'].status, MERGE_STATUS.CONFLICT);
+    assert.equal(results['build.js'].rejectFile, 'build.js.rej');
+    assert.equal(describeConflict(results['build.js']), '1 conflict, written to build.js.rej');
+    assert.equal(await readOptional(path.join(directories.subthemeDirectory, 'build.js')), BASE.replace('b = 2', 'b = 200'));
+    assert.match(await readOptional(path.join(directories.subthemeDirectory, 'build.js.rej')), /<<<<<<< subtheme/);
+  });
+
+  test('Treats every customisation as a conflict without the base', async () => {
+    const results = await merge({
+      starterKit: { 'build.js': BASE.replace('c = 3', 'c = 30') },
+      subtheme: { 'build.js': BASE.replace('a = 1', 'a = 10') }
+    }, { baseDirectory: null });
+    assert.equal(results['build.js'].status, MERGE_STATUS.CONFLICT);
+  });
+
+  test('Keeps the subtheme\'s binary file both changed as a conflict', async () => {
+    const subtheme = Buffer.from([0x89, 0x50, 0x00, 0x01]);
+    const results = await merge({
+      base: { 'logo.png': Buffer.from([0x89, 0x50, 0x00, 0x00]) },
+      starterKit: { 'logo.png': Buffer.from([0x89, 0x50, 0x00, 0x02]) },
+      subtheme: { 'logo.png': subtheme }
+    });
+    assert.equal(results['logo.png'].status, MERGE_STATUS.CONFLICT);
+    assert.equal(results['logo.png'].binary, true);
+    assert.equal(describeConflict(results['logo.png']), 'binary file changed by both, the subtheme\'s file was kept');
+    assert.deepEqual(await fs.readFile(path.join(directories.subthemeDirectory, 'logo.png')), subtheme);
+  });
+
+  test('Rejects an unknown conflict style', async () => {
+    await assert.rejects(merge({ starterKit: { 'build.js': BASE } }, { conflictStyle: 'ours' }), /Unknown conflict style ours/);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @file
+ * Tests for the LLM response cache.
+ *
+ * Run with `node --test shared/tests/`.
+ */
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CACHE_MODES, withCache } from '../llm-providers/cache.mjs';
+import { createFixtureProvider } from '../llm-providers/fixture.mjs';
+import { hashRequest } from '../llm-providers/request-hash.mjs';
+
+const REQUEST = {
+  system: 'Describe the props.',
+  messages: [{ role: 'user', content: 'button.twig' }],
+  maxTokens: 1000
+};
+
+/**
+ * Create a provider that counts its calls
+ *
+ * @param {Object} [response] - Response fields to return
+ * @returns {Object} Provider with the requests it received in `requests`
+ */
+function createCountingProvider(response = {}) {
+  const requests = [];
+  return {
+    name: 'counting',
+    model: 'default-model',
+    requests,
+    async complete(request) {
+      requests.push(request);
+      return { text: `Response ${requests.length}`, usage: {}, stopReason: 'end_turn', model: request.model, ...response };
+    }
+  };
+}
+
+describe('LLM response cache', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('Answers a repeated request from the cache', async () => {
+    const provider = createCountingProvider();
+    const cached = withCache(provider, { cacheDir });
+    const first = await cached.complete(REQUEST);
+    const second = await cached.complete({ ...REQUEST, maxTokens: 4000 });
+
+    assert.equal(provider.requests.length, 1);
+    assert.equal(first.cached, undefined);
+    assert.equal(second.cached, true);
+    assert.equal(second.text, first.text);
+  });
+
+  test('Keys entries by the hash of the request with the default model', async () => {
+    await withCache(createCountingProvider(), { cacheDir }).complete(REQUEST);
+    const file = `${hashRequest({ ...REQUEST, model: 'default-model' })}.json`;
+    assert.deepEqual(await fs.readdir(cacheDir), [file]);
+
+    const entry = JSON.parse(await fs.readFile(path.join(cacheDir, file), 'utf8'));
+    assert.deepEqual(entry.request, { model: 'default-model', system: REQUEST.system, messages: REQUEST.messages });
+  });
+
+  test('Misses on a different model, system prompt or message', async () => {
+    const provider = createCountingProvider();
+    const cached = withCache(provider, { cacheDir });
+    await cached.complete(REQUEST);
+    await cached.complete({ ...REQUEST, model: 'other-model' });
+    await cached.complete({ ...REQUEST, system: 'Other prompt.' });
+    await cached.complete({ ...REQUEST, messages: [{ role: 'user', content: 'card.twig' }] });
+    assert.equal(provider.requests.length, 4);
+  });
+
+  test('Can be replayed with the fixture provider', async () => {
+    await withCache(createCountingProvider(), { cacheDir }).complete(REQUEST);
+    const response = await createFixtureProvider({ fixturesDir: cacheDir, model: 'default-model' }).complete(REQUEST);
+    assert.equal(response.text, 'Response 1');
+  });
+
+  test('Does not cache truncated responses', async () => {
+    const provider = createCountingProvider({ stopReason: 'max_tokens' });
+    const cached = withCache(provider, { cacheDir });
+    await cached.complete(REQUEST);
+    await cached.complete(REQUEST);
+    assert.equal(provider.requests.length, 2);
+    assert.deepEqual(await fs.readdir(cacheDir), []);
+  });
+
+  test('Treats an unreadable entry as a miss', async () => {
+    await fs.writeFile(path.join(cacheDir, `${hashRequest({ ...REQUEST, model: 'default-model' })}.json`), '{');
+    const provider = createCountingProvider();
+    const response = await withCache(provider, { cacheDir }).complete(REQUEST);
+    assert.equal(provider.requests.length, 1);
+    assert.equal(response.text, 'Response 1');
+  });
+
+  test('Fails on a miss in cache-only mode', async () => {
+    const provider = createCountingProvider();
+    await assert.rejects(withCache(provider, { cacheDir, mode: CACHE_MODES.CACHE_ONLY }).complete(REQUEST), { code: 'CACHE_MISS' });
+    assert.equal(provider.requests.length, 0);
+  });
+
+  test('Overwrites entries in refresh mode', async () => {
+    const provider = createCountingProvider();
+    await withCache(provider, { cacheDir }).complete(REQUEST);
+    const refreshed = await withCache(provider, { cacheDir, mode: CACHE_MODES.REFRESH }).complete(REQUEST);
+    const reread = await withCache(provider, { cacheDir }).complete(REQUEST);
+    assert.equal(refreshed.text, 'Response 2');
+    assert.equal(reread.text, 'Response 2');
+  });
+
+  test('Neither reads nor writes in bypass mode', async () => {
+    const provider = createCountingProvider();
+    assert.equal(withCache(provider, { cacheDir, mode: CACHE_MODES.BYPASS }), provider);
+  });
+
+  test('Rejects an unknown mode', () => {
+    assert.throws(() => withCache(createCountingProvider(), { cacheDir, mode: 'sometimes' }), /Unknown LLM cache mode: sometimes/);
+  });
+});
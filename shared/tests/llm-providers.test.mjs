@@ -0,0 +1,130 @@
+/**
+ * @file
+ * Tests for the LLM providers.
+ *
+ * Run with `node --test shared/tests/`, requests to the OpenAI compatible
+ * endpoint are answered by a stubbed fetch.
+ */
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createProvider, getFixturePath, hashRequest } from '../llm-providers/index.mjs';
+import { createOpenAiCompatibleProvider } from '../llm-providers/openai-compatible.mjs';
+
+const REQUEST = {
+  model: 'test-model',
+  system: 'Describe the props.',
+  messages: [{ role: 'user', content: 'button.twig' }],
+  maxTokens: 1000
+};
+
+describe('Request hash', () => {
+  test('Hashes the model, system prompt and messages', () => {
+    assert.equal(hashRequest(REQUEST), hashRequest({ ...REQUEST }));
+    assert.notEqual(hashRequest(REQUEST), hashRequest({ ...REQUEST, model: 'other-model' }));
+    assert.notEqual(hashRequest(REQUEST), hashRequest({ ...REQUEST, system: 'Other prompt.' }));
+    assert.notEqual(hashRequest(REQUEST), hashRequest({ ...REQUEST, messages: [{ role: 'user', content: 'card.twig' }] }));
+  });
+
+  test('Leaves the token budget out', () => {
+    assert.equal(hashRequest(REQUEST), hashRequest({ ...REQUEST, maxTokens: 4000 }));
+  });
+});
+
+describe('Fixture provider', () => {
+  let fixturesDir;
+
+  beforeEach(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('Replays the response recorded for a request', async () => {
+    await fs.writeFile(getFixturePath(fixturesDir, REQUEST), JSON.stringify({ response: { text: 'A button.', usage: { inputTokens: 10 } } }));
+    const provider = createProvider({ provider: 'fixture', fixturesDir });
+    const response = await provider.complete(REQUEST);
+    assert.equal(response.text, 'A button.');
+    assert.equal(response.stopReason, 'end_turn');
+    assert.equal(response.model, 'test-model');
+    assert.equal(response.usage.inputTokens, 10);
+    assert.equal(response.usage.outputTokens, 0);
+  });
+
+  test('Fails without a fixture for the request', async () => {
+    const provider = createProvider({ provider: 'fixture', fixturesDir, maxAttempts: 1 });
+    await assert.rejects(provider.complete(REQUEST), { code: 'FIXTURE_NOT_FOUND' });
+  });
+
+  test('Rejects an unknown provider', () => {
+    assert.throws(() => createProvider({ provider: 'unknown' }), /Unknown LLM provider: unknown/);
+  });
+});
+
+describe('OpenAI compatible provider', () => {
+  const originalFetch = globalThis.fetch;
+  let requests;
+
+  /**
+   * Answer every request with a response
+   *
+   * @param {number} status - HTTP status
+   * @param {Object} body - JSON body
+   * @returns {void}
+   */
+  function respondWith(status, body) {
+    globalThis.fetch = async (url, init) => {
+      requests.push({ url, ...init, body: JSON.parse(init.body) });
+      return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'retry-after': '1' } });
+    };
+  }
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test('Sends the system prompt as the first message and maps the response', async () => {
+    respondWith(200, {
+      model: 'test-model',
+      choices: [{ message: { content: 'A button.' }, finish_reason: 'length' }],
+      usage: { prompt_tokens: 100, completion_tokens: 20, prompt_tokens_details: { cached_tokens: 40 } }
+    });
+    const provider = createOpenAiCompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', apiKey: 'key' });
+    const response = await provider.complete(REQUEST);
+
+    assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(requests[0].headers.authorization, 'Bearer key');
+    assert.deepEqual(requests[0].body.messages[0], { role: 'system', content: 'Describe the props.' });
+    assert.equal(requests[0].body.max_tokens, 1000);
+    assert.deepEqual(response, {
+      text: 'A button.',
+      usage: { inputTokens: 60, outputTokens: 20, cacheReadTokens: 40, cacheWriteTokens: 0 },
+      stopReason: 'max_tokens',
+      model: 'test-model'
+    });
+  });
+
+  test('Rejects failed requests with their status and headers', async () => {
+    respondWith(429, { error: { message: 'Rate limited' } });
+    const provider = createOpenAiCompatibleProvider({ model: 'test-model' });
+    await assert.rejects(provider.complete(REQUEST), error => {
+      assert.equal(error.message, 'openai-compatible API error 429: Rate limited');
+      assert.equal(error.status, 429);
+      assert.equal(error.headers['retry-after'], '1');
+      return true;
+    });
+  });
+
+  test('Requires a model', async () => {
+    const provider = createOpenAiCompatibleProvider();
+    await assert.rejects(provider.complete({ ...REQUEST, model: undefined }), /no model configured/);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * @file
+ * Tests for retrying LLM requests and completing truncated responses.
+ *
+ * Run with `node --test shared/tests/`, delays are recorded instead of waited.
+ */
+import { describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRetryDelay, isRetryable, withRetry } from '../llm-providers/retry.mjs';
+
+const OPTIONS = { baseDelay: 1000, maxDelay: 60000 };
+
+const REQUEST = { model: 'test-model', messages: [{ role: 'user', content: 'button.twig' }], maxTokens: 1000 };
+
+/**
+ * Create an HTTP error like the providers throw
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} Error with `status` and `headers`
+ */
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`test API error ${status}`), { status, headers });
+}
+
+/**
+ * Create a provider that answers with the given results in turn
+ *
+ * @param {Array<Object|Error>} results - Responses to return or errors to throw
+ * @param {Object} [properties] - Other provider properties
+ * @returns {Object} Provider with the requests it received in `requests`
+ */
+function createScriptedProvider(results, properties = {}) {
+  const requests = [];
+  return {
+    name: 'scripted',
+    requests,
+    ...properties,
+    async complete(request) {
+      requests.push(request);
+      const result = results[Math.min(requests.length, results.length) - 1];
+      if (result instanceof Error) {
+        throw result;
+      }
+      return { usage: { inputTokens: 10, outputTokens: 5 }, stopReason: 'end_turn', ...result };
+    }
+  };
+}
+
+describe('Retryable errors', () => {
+  test('Retries rate limits, overloads, server and network errors', () => {
+    for (const status of [408, 429, 500, 503, 529]) {
+      assert.equal(isRetryable(httpError(status)), true, `status ${status}`);
+    }
+    assert.equal(isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+    assert.equal(isRetryable(new TypeError('fetch failed', { cause: { code: 'ETIMEDOUT' } })), true);
+  });
+
+  test('Does not retry client errors', () => {
+    for (const status of [400, 401, 403, 404]) {
+      assert.equal(isRetryable(httpError(status)), false, `status ${status}`);
+    }
+    assert.equal(isRetryable(new Error('Unexpected token')), false);
+  });
+});
+
+describe('Retry delay', () => {
+  test('Waits as long as retry-after asks for, up to the longest delay', () => {
+    assert.equal(getRetryDelay(httpError(429, { 'retry-after-ms': '250' }), 1, OPTIONS), 250);
+    assert.equal(getRetryDelay(httpError(429, { 'retry-after': '2' }), 1, OPTIONS), 2000);
+    assert.equal(getRetryDelay(httpError(429, { 'retry-after': '3600' }), 1, OPTIONS), 60000);
+    const date = new Date(Date.now() + 10000).toUTCString();
+    const delay = getRetryDelay(httpError(503, { 'retry-after': date }), 1, OPTIONS);
+    assert.ok(delay > 8000 && delay <= 10000, `delay ${delay}`);
+  });
+
+  test('Backs off exponentially with full jitter', (t) => {
+    t.mock.method(Math, 'random', () => 1);
+    assert.deepEqual([1, 2, 3, 4].map(attempt => getRetryDelay(httpError(500), attempt, OPTIONS)), [1000, 2000, 4000, 8000]);
+    assert.equal(getRetryDelay(httpError(500), 10, OPTIONS), 60000);
+    Math.random.mock.mockImplementation(() => 0.5);
+    assert.equal(getRetryDelay(httpError(500), 3, OPTIONS), 2000);
+  });
+});
+
+describe('Retries', () => {
+  test('Retries until a request succeeds', async () => {
+    const delays = [];
+    const onRetry = mock.fn();
+    const provider = createScriptedProvider([httpError(429, { 'retry-after': '1' }), httpError(529, { 'retry-after': '2' }), { text: 'A button.' }]);
+    const response = await withRetry(provider, { sleep: async delay => delays.push(delay), onRetry }).complete(REQUEST);
+
+    assert.equal(response.text, 'A button.');
+    assert.equal(response.attempts, 3);
+    assert.deepEqual(delays, [1000, 2000]);
+    assert.deepEqual(onRetry.mock.calls.map(call => call.arguments.slice(1)), [[1, 1000], [2, 2000]]);
+  });
+
+  test('Gives up after the last attempt', async () => {
+    const provider = createScriptedProvider([httpError(503, { 'retry-after': '0' })]);
+    await assert.rejects(withRetry(provider, { maxAttempts: 3, sleep: async () => {} }).complete(REQUEST), { status: 503, attempts: 3 });
+    assert.equal(provider.requests.length, 3);
+  });
+
+  test('Does not retry errors that will not go away', async () => {
+    const provider = createScriptedProvider([httpError(401)]);
+    await assert.rejects(withRetry(provider, { sleep: async () => {} }).complete(REQUEST), { status: 401, attempts: 1 });
+  });
+});
+
+describe('Truncated responses', () => {
+  test('Continues a truncated response from where it stopped', async () => {
+    const provider = createScriptedProvider([
+      { text: 'props:\n  ', stopReason: 'max_tokens' },
+      { text: 'type: object\n' }
+    ], { supportsContinuation: true });
+    const response = await withRetry(provider).complete(REQUEST);
+
+    assert.deepEqual(provider.requests[1].messages.at(-1), { role: 'assistant', content: 'props:' });
+    assert.equal(response.text, 'props:\n  type: object\n');
+    assert.equal(response.continuations, 1);
+    assert.deepEqual(response.usage, { inputTokens: 20, outputTokens: 10, cacheReadTokens: 0, cacheWriteTokens: 0 });
+  });
+
+  test('Requests a truncated response again with double the budget, up to the limit', async () => {
+    const provider = createScriptedProvider([
+      { text: 'props:', stopReason: 'max_tokens' },
+      { text: 'props: {', stopReason: 'max_tokens' },
+      { text: 'props: {}' }
+    ]);
+    const response = await withRetry(provider, { maxTokensLimit: 3000 }).complete(REQUEST);
+
+    assert.deepEqual(provider.requests.map(request => request.maxTokens), [1000, 2000, 3000]);
+    assert.equal(response.text, 'props: {}');
+    assert.equal(response.continuations, 2);
+    assert.equal(response.attempts, 3);
+  });
+
+  test('Returns the truncated response once the limit is reached', async () => {
+    const provider = createScriptedProvider([{ text: 'props:', stopReason: 'max_tokens' }]);
+    const response = await withRetry(provider, { maxTokensLimit: 1000 }).complete(REQUEST);
+    assert.equal(provider.requests.length, 1);
+    assert.equal(response.stopReason, 'max_tokens');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @file
+ * Tests for the token usage and cost accounting of LLM requests.
+ *
+ * Run with `node --test shared/tests/`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_PRICES,
+  addUsage,
+  createUsageTracker,
+  emptyUsage,
+  estimateCost,
+  estimateTokens,
+  formatCost,
+  getModelPrice,
+  loadPriceTable
+} from '../llm-providers/usage.mjs';
+
+const PRICES = {
+  'test-model': { input: 2, output: 10 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 }
+};
+
+describe('Usage', () => {
+  test('Adds usage, treating missing counts as zero', () => {
+    const total = addUsage(emptyUsage(), { inputTokens: 10, outputTokens: 5 });
+    addUsage(total, { inputTokens: 1, cacheReadTokens: 7 });
+    addUsage(total);
+    assert.deepEqual(total, { inputTokens: 11, outputTokens: 5, cacheReadTokens: 7, cacheWriteTokens: 0 });
+  });
+
+  test('Estimates tokens from the length of a text', () => {
+    assert.equal(estimateTokens('abcdefghi'), 3);
+    assert.equal(estimateTokens(4000), 1000);
+    assert.equal(estimateTokens(null), 0);
+  });
+});
+
+describe('Cost', () => {
+  test('Finds the price of a model by the longest prefix', () => {
+    assert.equal(getModelPrice('claude-sonnet-4-20250514', DEFAULT_PRICES), DEFAULT_PRICES['claude-sonnet-4']);
+    assert.equal(getModelPrice('claude-3-5-haiku-latest', DEFAULT_PRICES), DEFAULT_PRICES['claude-3-5-haiku']);
+    assert.equal(getModelPrice('llama3', DEFAULT_PRICES), null);
+    assert.equal(getModelPrice(null, DEFAULT_PRICES), null);
+  });
+
+  test('Prices prompt cache reads and writes, or as input without a cache price', () => {
+    const usage = { inputTokens: 1000000, outputTokens: 100000, cacheReadTokens: 1000000, cacheWriteTokens: 100000 };
+    assert.equal(estimateCost(usage, 'claude-sonnet-4-20250514', PRICES), 3 + 1.5 + 0.3 + 0.375);
+    assert.equal(estimateCost(usage, 'test-model', PRICES), 2 + 1 + 2 + 0.2);
+    assert.equal(estimateCost(usage, 'llama3', PRICES), null);
+  });
+
+  test('Formats costs', () => {
+    assert.equal(formatCost(0.01234), '$0.0123');
+    assert.equal(formatCost(12.345), '$12.35');
+    assert.equal(formatCost(null), 'unknown (no price for model)');
+  });
+
+  test('Extends the price table with a prices file', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-prices-'));
+    const pricesFile = path.join(directory, 'prices.json');
+    await fs.writeFile(pricesFile, JSON.stringify({ llama3: { input: 0, output: 0 } }));
+    try {
+      const prices = loadPriceTable(pricesFile);
+      assert.deepEqual(prices.llama3, { input: 0, output: 0 });
+      assert.deepEqual(prices['claude-sonnet-4'], DEFAULT_PRICES['claude-sonnet-4']);
+      assert.throws(() => loadPriceTable(path.join(directory, 'missing.json')), /Could not load LLM prices from/);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Usage tracker', () => {
+  test('Records usage and cost per item and in total', () => {
+    const tracker = createUsageTracker({ prices: PRICES });
+    tracker.record('button', 'test-model', { inputTokens: 1000000, outputTokens: 0 });
+    tracker.record('button', 'test-model', { inputTokens: 0, outputTokens: 100000 });
+    tracker.record('card', 'llama3', { inputTokens: 500, outputTokens: 50 });
+
+    const { total, items } = tracker.toJSON();
+    assert.deepEqual(items.button, { model: 'test-model', requests: 2, inputTokens: 1000000, outputTokens: 100000, cacheReadTokens: 0, cacheWriteTokens: 0, cost: 3 });
+    assert.equal(items.card.cost, null);
+    assert.deepEqual(total, { requests: 3, inputTokens: 1000500, outputTokens: 100050, cacheReadTokens: 0, cacheWriteTokens: 0, cost: 3 });
+  });
+
+  test('Has no total cost if no model has a price', () => {
+    const tracker = createUsageTracker({ prices: PRICES });
+    tracker.record('card', 'llama3', { inputTokens: 500 });
+    assert.equal(tracker.toJSON().total.cost, null);
+  });
+});
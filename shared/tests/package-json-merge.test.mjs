@@ -0,0 +1,118 @@
+/**
+ * @file
+ * Tests for merging the package.json of a subtheme with the starter kit.
+ *
+ * Run with `node --test shared/tests/`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareRanges, parseRange, isIncompatiblePackage, mergePackageJson, formatConflicts } from '../package-json-merge.mjs';
+
+describe('Version ranges', () => {
+  test('Parses the lowest version of simple ranges', () => {
+    assert.deepEqual(parseRange('^1.2.3'), { major: 1, minor: 2, patch: 3 });
+    assert.deepEqual(parseRange('~1.2'), { major: 1, minor: 2, patch: 0 });
+    assert.deepEqual(parseRange('>=2.0.0-beta.1'), { major: 2, minor: 0, patch: 0 });
+    assert.deepEqual(parseRange('1.x'), { major: 1, minor: 0, patch: 0 });
+    assert.equal(parseRange('latest'), null);
+    assert.equal(parseRange('^1.0.0 || ^2.0.0'), null);
+  });
+
+  test('Compares compatible ranges by their lowest version', () => {
+    assert.equal(compareRanges('^8.4.0', '^8.4.0'), 'same');
+    assert.equal(compareRanges('^8.5.0', '^8.4.2'), 'newer');
+    assert.equal(compareRanges('~8.4.1', '^8.4.2'), 'older');
+    assert.equal(compareRanges('^0.3.1', '^0.3.0'), 'newer');
+  });
+
+  test('Reports ranges of other major versions, or minor versions below 1.0.0, as incompatible', () => {
+    assert.equal(compareRanges('^6.5.0', '^8.4.0'), 'incompatible');
+    assert.equal(compareRanges('^0.3.0', '^0.4.0'), 'incompatible');
+    assert.equal(compareRanges('github:user/repo', '^1.0.0'), 'unknown');
+  });
+
+  test('Finds the packages of the webpack build', () => {
+    assert.equal(isIncompatiblePackage('webpack'), true);
+    assert.equal(isIncompatiblePackage('sass-loader'), true);
+    assert.equal(isIncompatiblePackage('mini-css-extract-plugin'), false);
+    assert.equal(isIncompatiblePackage('copy-webpack-plugin'), true);
+    assert.equal(isIncompatiblePackage('@storybook/addon-knobs'), true);
+    assert.equal(isIncompatiblePackage('vite'), false);
+  });
+});
+
+describe('Three-way package.json merge', () => {
+  const base = {
+    name: 'civictheme_starter_kit',
+    scripts: { build: 'webpack', lint: 'eslint .' },
+    devDependencies: { storybook: '^6.5.0', 'sass-loader': '^13.0.0', sass: '^1.50.0' }
+  };
+  const starterKit = {
+    name: 'civictheme_starter_kit',
+    type: 'module',
+    scripts: { build: 'vite build', lint: 'eslint .' },
+    devDependencies: { storybook: '^8.4.0', sass: '^1.60.0', vite: '^6.0.0' }
+  };
+
+  test('Applies the changes of the starter kit and keeps the customisations of the subtheme', () => {
+    const subtheme = {
+      name: 'my_theme',
+      scripts: { build: 'webpack', lint: 'eslint .', test: 'jest' },
+      devDependencies: { storybook: '^6.5.0', 'sass-loader': '^13.0.0', sass: '^1.50.0', jest: '^29.0.0' }
+    };
+    const { packageJson, conflicts, threeWay } = mergePackageJson({ base, starterKit, subtheme });
+    assert.equal(threeWay, true);
+    assert.deepEqual(packageJson, {
+      name: 'my_theme',
+      scripts: { build: 'vite build', lint: 'eslint .', test: 'jest' },
+      devDependencies: { jest: '^29.0.0', sass: '^1.60.0', storybook: '^8.4.0', vite: '^6.0.0' },
+      type: 'module'
+    });
+    assert.deepEqual(formatConflicts(conflicts), ['devDependencies.sass-loader: ^13.0.0 removed, webpack build packages do not work with the Vite build']);
+  });
+
+  test('Keeps the higher of two compatible ranges both changed', () => {
+    const subtheme = { ...base, devDependencies: { ...base.devDependencies, sass: '^1.70.0' } };
+    const { packageJson, conflicts } = mergePackageJson({ base, starterKit, subtheme });
+    assert.equal(packageJson.devDependencies.sass, '^1.70.0');
+    assert.equal(conflicts.some(conflict => conflict.name === 'sass'), false);
+  });
+
+  test('Replaces a range of another major version both changed and reports it', () => {
+    const subtheme = { ...base, devDependencies: { ...base.devDependencies, storybook: '^7.0.0' } };
+    const { packageJson, conflicts } = mergePackageJson({ base, starterKit, subtheme });
+    assert.equal(packageJson.devDependencies.storybook, '^8.4.0');
+    assert.deepEqual(formatConflicts(conflicts.filter(conflict => conflict.name === 'storybook')),
+      ['devDependencies.storybook: ^7.0.0 of the subtheme is incompatible with ^8.4.0, updated to ^8.4.0']);
+  });
+
+  test('Reports scripts of the subtheme that still run a removed package', () => {
+    const subtheme = { ...base, scripts: { ...base.scripts, watch: 'webpack --watch' }, devDependencies: { ...base.devDependencies, webpack: '^5.0.0' } };
+    const { packageJson, conflicts } = mergePackageJson({ base, starterKit, subtheme });
+    assert.equal('webpack' in packageJson.devDependencies, false);
+    assert.deepEqual(formatConflicts(conflicts.filter(conflict => conflict.section === 'scripts')),
+      ['scripts.watch: runs webpack, which was removed']);
+  });
+});
+
+describe('Two-way package.json merge', () => {
+  test('Counts every entry of the starter kit as changed without the base', () => {
+    const starterKit = { scripts: { build: 'vite build' }, devDependencies: { storybook: '^8.4.0', vite: '^6.0.0' } };
+    const subtheme = {
+      name: 'my_theme',
+      scripts: { build: 'webpack', test: 'jest' },
+      devDependencies: { storybook: '^8.5.0', jest: '^29.0.0', webpack: '^5.0.0' }
+    };
+    const { packageJson, conflicts, threeWay } = mergePackageJson({ base: null, starterKit, subtheme });
+    assert.equal(threeWay, false);
+    assert.deepEqual(packageJson, {
+      name: 'my_theme',
+      scripts: { build: 'vite build', test: 'jest' },
+      devDependencies: { jest: '^29.0.0', storybook: '^8.5.0', vite: '^6.0.0' }
+    });
+    assert.deepEqual(formatConflicts(conflicts), [
+      'scripts.build: replaced "webpack" of the subtheme, the starter kit changed it',
+      'devDependencies.webpack: ^5.0.0 removed, webpack build packages do not work with the Vite build'
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @file
+ * Tests for the snapshot and roll back of a subtheme.
+ *
+ * Run with `node --test shared/tests/`, the git snapshots need git.
+ */
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createSnapshot, loadSnapshot, rollbackSnapshot } from '../snapshot.mjs';
+
+/**
+ * Run a git command in a directory
+ *
+ * @param {Array<string>} args - Git arguments
+ * @param {string} cwd - Working directory
+ * @returns {string} Trimmed stdout
+ */
+function git(args, cwd) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf8' }).trim();
+}
+
+/**
+ * Wait until the timestamp of the next snapshot differs
+ *
+ * @returns {Promise<void>}
+ */
+function nextSecond() {
+  return new Promise(resolve => setTimeout(resolve, 1000 - new Date().getMilliseconds() + 10));
+}
+
+describe('Snapshots', () => {
+  let tempDir;
+  let subtheme;
+  let snapshotDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshot-'));
+    subtheme = path.join(tempDir, 'my_theme');
+    snapshotDir = path.join(tempDir, '.snapshots');
+    await fs.mkdir(subtheme);
+    await fs.writeFile(path.join(subtheme, 'build.js'), 'webpack\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('Restores a tarball snapshot and deletes it', async () => {
+    const snapshot = await createSnapshot(subtheme, { snapshotDir });
+    assert.equal(snapshot.type, 'tarball');
+    await fs.writeFile(path.join(subtheme, 'build.js'), 'vite\n');
+    await fs.writeFile(path.join(subtheme, 'vite.config.js'), 'vite\n');
+
+    await rollbackSnapshot(subtheme, { snapshotDir });
+    assert.deepEqual(await fs.readdir(subtheme), ['build.js']);
+    assert.equal(await fs.readFile(path.join(subtheme, 'build.js'), 'utf8'), 'webpack\n');
+    await assert.rejects(fs.access(snapshot.archive));
+    assert.equal(await loadSnapshot(subtheme, { snapshotDir }), null);
+  });
+
+  test('Deletes the tarball of the snapshot it replaces', async () => {
+    const first = await createSnapshot(subtheme, { snapshotDir });
+    await nextSecond();
+    const second = await createSnapshot(subtheme, { snapshotDir });
+    assert.notEqual(second.archive, first.archive);
+    await assert.rejects(fs.access(first.archive));
+    await fs.access(second.archive);
+  });
+
+  test('Deletes the branch of the snapshot it replaces', async () => {
+    git(['init', '-q'], tempDir);
+    git(['add', '-A'], tempDir);
+    git(['commit', '-q', '-m', 'Initial'], tempDir);
+
+    const first = await createSnapshot(subtheme, { snapshotDir });
+    assert.equal(first.type, 'git');
+    await nextSecond();
+    const second = await createSnapshot(subtheme, { snapshotDir });
+    assert.equal(git(['branch', '--list', 'upgrade-snapshot/*', '--format=%(refname:short)'], tempDir), second.branch);
+
+    await fs.writeFile(path.join(subtheme, 'build.js'), 'vite\n');
+    await rollbackSnapshot(subtheme, { snapshotDir });
+    assert.equal(await fs.readFile(path.join(subtheme, 'build.js'), 'utf8'), 'webpack\n');
+    assert.equal(git(['branch', '--list', 'upgrade-snapshot/*'], tempDir), '');
+  });
+
+  test('Replaces a snapshot whose branch was already deleted', async () => {
+    git(['init', '-q'], tempDir);
+    git(['add', '-A'], tempDir);
+    git(['commit', '-q', '-m', 'Initial'], tempDir);
+
+    const first = await createSnapshot(subtheme, { snapshotDir });
+    git(['branch', '-D', first.branch], tempDir);
+    await nextSecond();
+    const second = await createSnapshot(subtheme, { snapshotDir });
+    assert.deepEqual(await loadSnapshot(subtheme, { snapshotDir }), second);
+  });
+});
@@ -2,10 +2,15 @@
  * Script to upgrade Storybook v6 stories to v8 format.
  *
  * This module:
- * 1. Reads a prompt file containing conversion rules
- * 2. Finds all .stories.js files in the target directory
- * 3. Processes each file through Claude AI to convert to v8 format
- * 4. Overwrites the original files with the converted content
+ * 1. Finds all .stories.js files in the target directory
+ * 2. Converts the knobs of each file to controls with the deterministic codemod
+ *    and lists the stories it can not convert
+ * 3. Optionally processes only those stories through the configured LLM
+ *    provider with the conversion rules of the prompt file
+ * 4. Checks each converted story and overwrites the original file with it, or
+ *    keeps a story that fails the checks as a .stories.v8-candidate.js file
+ *    next to the untouched original
+ * 5. Writes a pass/fail report of the codemod and LLM conversion to .logs
  * 
  * @module convert-subtheme-storybook
  */
@@ -14,6 +19,16 @@ import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { convertKnobsToControls } from '../src/convertKnobsToControls.js';
+import { validateConvertedStory } from '../src/validateConvertedStory.js';
+import {
+  createProvider,
+  createUsageTracker,
+  estimateCost,
+  estimateTokens,
+  formatCost,
+  loadPriceTable
+} from '../../shared/llm-providers/index.mjs';
 
 dotenv.config();
 
@@ -29,6 +44,39 @@ const promptData = fs.readFileSync(path.resolve('./scripts/prompt-storybook-v8.m
  */
 const targetDir = `${process.env.SUBTHEME_DIRECTORY}/components/`;
 
+/**
+ * Returns the path a converted story that failed the checks is kept at
+ *
+ * @param {string} filePath - Path to the story file
+ * @return {string} Path to the candidate file next to the story
+ */
+function getCandidatePath(filePath) {
+  return filePath.replace(/\.stories\.js$/, '.stories.v8-candidate.js');
+}
+
+/**
+ * Writes the pass/fail report of the converted stories to the .logs directory
+ *
+ * @param {Array<{file: string, status: string, converter: string, attempts: number, errors: Array<string>, candidate: string|null}>} results
+ *   The result of each story file
+ * @param {string} [reportPath] - Path of the report to overwrite, a new report in .logs by default
+ * @return {string} Path to the report
+ */
+function writeReport(results, reportPath) {
+  if (!reportPath) {
+    const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    reportPath = path.join('.logs', `convert-stories-${timestamp}.json`);
+  }
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify({
+    passed: results.filter(result => result.status === 'passed').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    skipped: results.filter(result => result.status === 'skipped').length,
+    files: results
+  }, null, 2));
+  return reportPath;
+}
+
 /**
  * Recursively finds all story files in the given directory
  * 
@@ -54,74 +102,224 @@ function findStoriesFiles(dir) {
 }
 
 /**
- * Processes story files by sending them to Claude AI for conversion
+ * Converts the knobs of the story files to controls with the codemod
+ *
+ * Converted stories are overwritten, stories that already use controls are
+ * skipped and stories the codemod can not fully convert are left unchanged
+ * and returned with the reasons, so they can be converted by the LLM. Output
+ * that fails the checks is kept as a candidate file. The result of each story
+ * is written to the conversion report.
+ *
+ * @param {Array<string>} [storiesFiles] - Paths to story files, all stories of the sub-theme by default
+ * @return {{converted: Array<string>, skipped: Array<string>, unsupported: Array<{filePath: string, reasons: Array<string>, candidate: string|null}>, results: Array<Object>, reportPath: string}}
+ *   The converted, skipped and unsupported story files, the result of each story and the path to the report
+ */
+export function convertStoriesWithCodemod(storiesFiles = fs.existsSync(targetDir) ? findStoriesFiles(targetDir) : []) {
+  const constantsFile = path.join(process.env.SUBTHEME_DIRECTORY, 'dist', 'constants.json');
+  const converted = [];
+  const skipped = [];
+  const unsupported = [];
+  const results = [];
+
+  storiesFiles.forEach(filePath => {
+    const constantsPath = path.relative(path.dirname(filePath), constantsFile).split(path.sep).join('/');
+    let result;
+    try {
+      result = convertKnobsToControls(fs.readFileSync(filePath, 'utf8'), { constantsPath });
+    } catch (error) {
+      result = { status: 'unsupported', reasons: [`could not be parsed: ${error.message}`] };
+    }
+
+    // The codemod output is checked like the LLM output.
+    let candidate = null;
+    if (result.status === 'converted') {
+      const { errors } = validateConvertedStory(result.source, fs.readFileSync(filePath, 'utf8'));
+      if (errors.length > 0) {
+        candidate = getCandidatePath(filePath);
+        fs.writeFileSync(candidate, result.source);
+        result = { status: 'unsupported', reasons: errors };
+      }
+    }
+
+    if (result.status === 'converted') {
+      fs.writeFileSync(filePath, result.source);
+      fs.rmSync(getCandidatePath(filePath), { force: true });
+      converted.push(filePath);
+      results.push({ file: filePath, status: 'passed', converter: 'codemod', attempts: 1, errors: [], candidate: null });
+      console.log(chalk.green(`✨ Converted ${filePath}`));
+    } else if (result.status === 'skipped') {
+      skipped.push(filePath);
+      results.push({ file: filePath, status: 'skipped', converter: 'codemod', attempts: 0, errors: [], candidate: null });
+    } else {
+      unsupported.push({ filePath, reasons: result.reasons, candidate });
+      results.push({ file: filePath, status: 'failed', converter: 'codemod', attempts: 1, errors: result.reasons, candidate });
+    }
+  });
+
+  console.log(chalk.blue(`\n🔧 Converted ${converted.length} of ${storiesFiles.length} story files, ${skipped.length} already use controls`));
+  if (unsupported.length > 0) {
+    console.log(chalk.yellow(`⚠️ ${unsupported.length} story files could not be converted and were left unchanged:`));
+    unsupported.forEach(({ filePath, reasons, candidate }) => {
+      const kept = candidate ? ` (kept as ${candidate})` : '';
+      console.log(chalk.yellow(`  - ${filePath}: ${reasons.join(', ')}${kept}`));
+    });
+  }
+
+  const reportPath = writeReport(results);
+  console.log(chalk.blue(`📝 Conversion report written to ${reportPath}`));
+
+  return { converted, skipped, unsupported, results, reportPath };
+}
+
+/**
+ * Prints the token usage and estimated cost of the converted stories
+ *
+ * @param {{total: Object, items: Object<string, Object>}} usage - Usage from the usage tracker
+ * @return {void}
+ */
+function printUsage({ total, items }) {
+  if (total.requests === 0) {
+    return;
+  }
+
+  console.log(chalk.blue('\n💰 Token usage per story:'));
+  Object.entries(items).forEach(([story, item]) => {
+    console.log(chalk.gray(`  ${story}: ${item.inputTokens} input, ${item.outputTokens} output, ${item.cacheReadTokens} cache read, ${item.cacheWriteTokens} cache write, ${formatCost(item.cost)}`));
+  });
+  console.log(chalk.blue(`💰 Total: ${total.inputTokens} input and ${total.outputTokens} output tokens (${total.cacheReadTokens} cache read, ${total.cacheWriteTokens} cache write), estimated cost ${formatCost(total.cost)}`));
+}
+
+/**
+ * Processes story files by sending them to the LLM for conversion
  * 
- * For each story file, reads its content and sends it to the Claude API
- * along with conversion instructions. The API response is then used to
- * overwrite the original file with the updated format.
+ * For each story file, reads its content and sends it to the LLM provider
+ * selected with LLM_PROVIDER along with conversion instructions. The response
+ * is then checked and used to overwrite the original file with the updated
+ * format. Rate limited and truncated requests are retried by the provider,
+ * files that still fail are left unchanged and reported once all files were
+ * processed. A response that fails the checks is kept as a candidate file.
+ * The results replace those of the codemod run in its report.
  * 
  * @async
  * @param {Array<string>} storiesFiles - Array of paths to story files
+ * @param {{results: Array<Object>, reportPath: string}} [codemodRun] - Results and report of the codemod run
  * @return {Promise<void>} Resolves when all files have been processed
+ * @throws {Error} If any of the files could not be converted
  */
-async function processStoriesFiles(storiesFiles) {
+async function processStoriesFiles(storiesFiles, codemodRun = {}) {
+  const provider = createProvider({
+    onRetry: (error, attempt, delay) => {
+      console.warn(chalk.yellow(`⏳ Request failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s after attempt ${attempt}`));
+    }
+  });
+  const results = [];
+  const usage = createUsageTracker();
   for (const filePath of storiesFiles) {
     console.log(`Processing ${filePath}`);
     const fileData = fs.readFileSync(filePath, 'utf8');
     try {
-      const postData = {
-        method: 'POST',
-        headers: {
-          'x-api-key': process.env.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'content-type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 8192,
-          messages: [
-            { role: 'user', content: promptData },
-            { role: 'user', content: fileData },
-          ]
-        })
-      };
-      
-      // Make API request to Claude
-      const response = await fetch('https://api.anthropic.com/v1/messages', postData);
-      const data = await response.json();
-      
-      // Validate response before writing to file
-      if (data.content && data.content[0] && data.content[0].text) {
-        // Got data - let's overwrite the original file
-        fs.writeFileSync(filePath, data.content[0].text);
-        console.log(chalk.green(`✨ Processed ${filePath}`));
-      } else {
-        console.error(chalk.red(`❌ Invalid response for ${chalk.yellow(filePath)}: ${JSON.stringify(data)}`));
+      const response = await provider.complete({
+        maxTokens: 8192,
+        messages: [
+          { role: 'user', content: promptData },
+          { role: 'user', content: fileData },
+        ]
+      });
+      // Cached responses did not cost anything this time.
+      if (!response.cached) {
+        usage.record(path.relative(targetDir, filePath), response.model || provider.model, response.usage);
+      }
+
+      if (!response.text) {
+        throw Object.assign(new Error(`Invalid response: ${JSON.stringify(response)}`), { attempts: response.attempts });
       }
+
+      // Markdown fences, prose or a truncated story must not replace the original.
+      const { errors } = validateConvertedStory(response.text, fileData);
+      if (response.stopReason === 'max_tokens') {
+        errors.unshift('Response is still truncated at the token limit');
+      }
+      if (errors.length > 0) {
+        const candidate = getCandidatePath(filePath);
+        fs.writeFileSync(candidate, response.text);
+        throw Object.assign(new Error(`${errors.join(', ')}, kept as ${candidate}`), { attempts: response.attempts, errors, candidate });
+      }
+
+      // Got a valid story - let's overwrite the original file
+      fs.writeFileSync(filePath, response.text);
+      fs.rmSync(getCandidatePath(filePath), { force: true });
+      const retried = response.attempts > 1 ? chalk.dim(` (${response.attempts} attempts)`) : '';
+      console.log(chalk.green(`✨ Processed ${filePath}`) + retried);
+      results.push({ file: filePath, status: 'passed', converter: 'llm', attempts: response.attempts || 1, errors: [], candidate: null });
     } catch (error) {
-      console.error(chalk.red(`❌ Error processing ${chalk.yellow(filePath)}: ${chalk.dim(error.message)}`));
+      const attempts = error.attempts || 1;
+      console.error(chalk.red(`❌ Error processing ${chalk.yellow(filePath)} after ${attempts} attempt(s): ${chalk.dim(error.message)}`));
+      results.push({ file: filePath, status: 'failed', converter: 'llm', attempts, errors: error.errors || [error.message], candidate: error.candidate || null });
     }
   }
+
+  printUsage(usage.toJSON());
+  const codemodResults = (codemodRun.results || []).filter(result => !storiesFiles.includes(result.file));
+  const reportPath = writeReport([...codemodResults, ...results], codemodRun.reportPath);
+  console.log(chalk.blue(`\n📝 Conversion report written to ${reportPath}`));
+
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    console.error(chalk.red(`\n❌ ${failed.length} of ${storiesFiles.length} story files were not converted:`));
+    failed.forEach(({ file, attempts, errors, candidate }) => {
+      const kept = candidate ? ` (kept as ${candidate})` : '';
+      console.error(chalk.red(`  - ${file} (${attempts} attempt(s)): ${errors.join(', ')}${kept}`));
+    });
+    throw new Error(`${failed.length} of ${storiesFiles.length} story files were not converted`);
+  }
+}
+
+/**
+ * Estimates the token usage and cost of converting the stories
+ *
+ * The prompt and each story are sent, and the converted story is expected to
+ * be about as long as the original.
+ *
+ * @param {Array<string>} [storiesFiles] - Paths to story files, all stories of the sub-theme by default
+ * @return {{stories: number, model: string, usage: Object, cost: number|null}} Estimate
+ */
+export function estimateConversionCost(storiesFiles = fs.existsSync(targetDir) ? findStoriesFiles(targetDir) : []) {
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  storiesFiles.forEach(filePath => {
+    const { size } = fs.statSync(filePath);
+    usage.inputTokens += estimateTokens(promptData.length + size);
+    usage.outputTokens += estimateTokens(size);
+  });
+
+  const { model } = createProvider();
+  return {
+    stories: storiesFiles.length,
+    model,
+    usage,
+    cost: estimateCost(usage, model, loadPriceTable())
+  };
 }
 
 /**
- * Main entry point for the story conversion process
+ * Converts story files through the AI
  * 
- * Finds all story files in the target directory and processes them
- * through the AI for conversion to the new format.
+ * Used for the stories the codemod could not convert. Without story files all
+ * story files in the target directory are processed. With the codemod run
+ * its report is updated with the results of the LLM.
  * 
  * @async
+ * @param {Array<string>} [storiesFiles] - Paths to story files, all stories of the sub-theme by default
+ * @param {{results: Array<Object>, reportPath: string}} [codemodRun] - Results and report of the codemod run
  * @return {Promise<void>} Resolves when all files have been processed
  */
-async function convertStories() {
-  const storiesFiles = findStoriesFiles(targetDir);
+async function convertStories(storiesFiles = findStoriesFiles(targetDir), codemodRun = {}) {
   if (storiesFiles.length === 0) {
     console.log(chalk.yellow(`⚠️ No story files found in ${targetDir}`));
     return;
   }
   
   console.log(chalk.blue(`🔍 Found ${storiesFiles.length} story files to process`));
-  await processStoriesFiles(storiesFiles);
+  await processStoriesFiles(storiesFiles, codemodRun);
   console.log(chalk.green(`✅ Finished processing ${storiesFiles.length} story files`));
 }
 
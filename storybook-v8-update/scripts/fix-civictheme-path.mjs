@@ -0,0 +1,27 @@
+/**
+ * Script to point the sub-theme's build files at the installed CivicTheme theme.
+ *
+ * This module:
+ * 1. Finds the Drupal docroot above SUBTHEME_INSTALLED_DIRECTORY, or
+ *    SUBTHEME_DIRECTORY when the sub-theme is not updated in a staged copy, and
+ *    the CivicTheme theme in its contrib, custom or install profile theme
+ *    directories
+ * 2. Rewrites DIR_CIVICTHEME in build.js and the CivicTheme paths of
+ *    vite.config.js in SUBTHEME_DIRECTORY to the relative path of that theme
+ * 3. Exits with an error if CivicTheme was not found, the paths then have to be
+ *    updated by hand
+ *
+ * @module fix-civictheme-path
+ */
+
+import { fixCivicThemePath } from '../src/fixCivicThemePath.js';
+
+const { SUBTHEME_DIRECTORY, SUBTHEME_INSTALLED_DIRECTORY } = process.env;
+const { fixed, message, rewritten } = await fixCivicThemePath(SUBTHEME_DIRECTORY, undefined, SUBTHEME_INSTALLED_DIRECTORY || SUBTHEME_DIRECTORY);
+console.log(message);
+for (const { file, line, from, to } of rewritten) {
+  console.log(`  - ${file}:${line} ${from} → ${to}`);
+}
+if (!fixed) {
+  process.exit(1);
+}
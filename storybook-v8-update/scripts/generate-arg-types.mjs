@@ -0,0 +1,53 @@
+/**
+ * Script to generate the argTypes and args of the sub-theme's stories from the
+ * component.yml schemas of the SDC update.
+ *
+ * This module:
+ * 1. Finds every *.component.yml below SUBTHEME_DIRECTORY/components and the
+ *    story next to it
+ * 2. Writes the argTypes and args of the props schema to the meta of the
+ *    story, keeping other argTypes, args and the rest of the story
+ * 3. Lists the stories it could not update and argTypes that are not props or
+ *    slots of the component
+ * 4. Writes a report to SDC_STEP_REPORT_FILE when it runs as an SDC update step
+ *
+ * @module generate-arg-types
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { syncStoriesWithSchemas } from '../src/generateArgTypes.js';
+
+const componentsDirectory = path.join(process.env.SUBTHEME_DIRECTORY, 'components');
+
+try {
+  const results = await syncStoriesWithSchemas(componentsDirectory);
+  const updated = results.filter(result => result.status === 'updated');
+  const unsupported = results.filter(result => result.status === 'unsupported');
+  const stale = results.filter(result => result.stale.length > 0);
+
+  console.log(`Updated the argTypes of ${updated.length} of ${results.length} components`);
+  updated.forEach(({ story }) => console.log(`  - ${story}`));
+  if (unsupported.length > 0) {
+    console.log('Stories that could not be updated:');
+    unsupported.forEach(({ story, reasons }) => console.log(`  - ${story}: ${reasons.join(', ')}`));
+  }
+  if (stale.length > 0) {
+    console.log('argTypes that are not props or slots of the component:');
+    stale.forEach(result => console.log(`  - ${result.story}: ${result.stale.join(', ')}`));
+  }
+
+  // The SDC update runner reads the report to summarise the step.
+  if (process.env.SDC_STEP_REPORT_FILE) {
+    const report = {
+      successful: results.filter(result => ['updated', 'unchanged'].includes(result.status)).map(result => result.story),
+      failed: unsupported.map(({ story, reasons }) => ({ file: story, error: reasons.join(', ') })),
+      skipped: results.filter(result => result.status === 'skipped').map(result => result.component),
+      warnings: stale.map(result => `${result.story} has argTypes that are not props or slots: ${result.stale.join(', ')}`)
+    };
+    fs.writeFileSync(process.env.SDC_STEP_REPORT_FILE, JSON.stringify(report, null, 2), 'utf8');
+  }
+} catch (error) {
+  console.error(`Could not generate argTypes: ${error.message}`);
+  process.exit(1);
+}
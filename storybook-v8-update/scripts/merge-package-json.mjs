@@ -0,0 +1,76 @@
+/**
+ * Script to merge the sub-theme's package.json with the starter kit.
+ *
+ * This module:
+ * 1. Reads the package.json of the sub-theme, of the new starter kit and, if
+ *    CIVICTHEME_BASE_DIRECTORY is set, of the starter kit the sub-theme is on
+ * 2. Merges them, keeping custom dependencies and scripts of the sub-theme
+ * 3. Writes the merged package.json and prints a conflict report
+ * 4. Adds the conflicts to SDC_STEP_REPORT_FILE when it runs as an SDC update
+ *    step, next to the report of the files merged before it
+ *
+ * @module merge-package-json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { mergePackageJson, formatConflicts } from '../../shared/package-json-merge.mjs';
+
+/**
+ * Adds the result of the merge to the report of the SDC update step
+ *
+ * The build files are merged first in the same step, their report is kept.
+ *
+ * @param {string} reportPath - Path of the step report
+ * @param {Array<string>} conflicts - Formatted package.json conflicts
+ * @return {void}
+ */
+function writeStepReport(reportPath, conflicts) {
+  const report = fs.existsSync(reportPath)
+    ? JSON.parse(fs.readFileSync(reportPath, 'utf8'))
+    : { successful: [], failed: [], skipped: [], warnings: [] };
+  report.successful = [...(report.successful || []), 'package.json'];
+  report.warnings = [...(report.warnings || []), ...conflicts.map(conflict => `package.json conflict in ${conflict}`)];
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+}
+
+/**
+ * Reads a package.json file
+ *
+ * @param {string} filePath - Path to the package.json
+ * @return {Object|null} The parsed package.json, or null if the file does not exist
+ */
+function readPackageJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+const subthemePath = path.join(process.env.SUBTHEME_DIRECTORY, 'package.json');
+const baseDirectory = process.env.CIVICTHEME_BASE_DIRECTORY;
+
+try {
+  const { packageJson, changes, conflicts, threeWay } = mergePackageJson({
+    base: baseDirectory ? readPackageJson(path.join(baseDirectory, 'civictheme_starter_kit', 'package.json')) : null,
+    starterKit: readPackageJson(path.join(process.env.CIVICTHEME_DIRECTORY, 'civictheme_starter_kit', 'package.json')),
+    subtheme: readPackageJson(subthemePath) || {}
+  });
+  fs.writeFileSync(subthemePath, `${JSON.stringify(packageJson, null, 2)}\n`);
+
+  console.log(`Merged package.json ${threeWay ? 'three-way with the starter kit the sub-theme is on' : 'two-way, the starter kit the sub-theme is on is not available'}: ${changes.length} changes`);
+  if (conflicts.length > 0) {
+    console.log(`${conflicts.length} package.json conflicts to check:`);
+    for (const conflict of formatConflicts(conflicts)) {
+      console.log(`  - ${conflict}`);
+    }
+  }
+
+  // The update runner reads the report to summarise the step.
+  if (process.env.SDC_STEP_REPORT_FILE) {
+    writeStepReport(process.env.SDC_STEP_REPORT_FILE, formatConflicts(conflicts));
+  }
+} catch (error) {
+  console.error(`Could not merge package.json: ${error.message}`);
+  process.exit(1);
+}
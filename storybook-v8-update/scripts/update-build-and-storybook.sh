@@ -1,5 +1,8 @@
 #!/bin/bash
 
+# Directory of this script, to run the scripts next to it from any directory
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+
 # Create .logs directory if it doesn't exist
 mkdir -p .logs
 
@@ -29,26 +32,22 @@ elif [ ! -d "$SUBTHEME_DIRECTORY" ]; then
 fi
 
 
-# Step 2: Pull the civictheme-monorepo
-log_message "Cloning monorepo-drupal..." "📥"
-if rm -rf monorepo-drupal; then
-    log_message "Removed existing monorepo-drupal directory" "🗑️"
-fi
-# Tag before we next update.
-if git clone git@github.com:civictheme/monorepo-drupal.git; then
-    log_message "Successfully cloned monorepo-drupal" "✅"
-else
-    log_message "Failed to clone monorepo-drupal" "❌"
+# Step 2: Check the CivicTheme source prepared by update-storybook.mjs
+if [ -z "$CIVICTHEME_DIRECTORY" ]; then
+    log_message "Error: CIVICTHEME_DIRECTORY is empty. Please run the update with update-storybook.mjs or set variable to the CivicTheme theme directory." "❌"
+    exit 1
+elif [ ! -d "$CIVICTHEME_DIRECTORY/civictheme_starter_kit" ]; then
+    log_message "Error: $CIVICTHEME_DIRECTORY does not contain civictheme_starter_kit. Please check the CivicTheme source." "❌"
     exit 1
 fi
 
-NEW_CIVIC_DIR="$(pwd)/monorepo-drupal/web/themes/contrib/civictheme"
+NEW_CIVIC_DIR="$CIVICTHEME_DIRECTORY"
 log_message "SUBTHEME_DIRECTORY: $SUBTHEME_DIRECTORY" "📁"
 log_message "NEW_CIVIC_DIR: $NEW_CIVIC_DIR" "📁"
 
 # Step 3: Remove old files
 log_message "Removing old files from subtheme..." "🗑️"
-for file in ".storybook" "webpack" "dist" ".components-civictheme" "components_combined" "patches" "gulpfile.js" "package-lock.json" "package.json" ".nvmrc"; do
+for file in "webpack" "dist" ".components-civictheme" "components_combined" "patches" "gulpfile.js" "package-lock.json" ".nvmrc"; do
     if rm -rf "$SUBTHEME_DIRECTORY/${file:?}"; then
         log_message "Removed $file" "✅"
     else
@@ -58,13 +57,9 @@ done
 
 # Step 4: Add new files
 log_message "Adding new files to subtheme..." "📝"
-if rsync -a "$NEW_CIVIC_DIR/civictheme_starter_kit/.storybook/" "$SUBTHEME_DIRECTORY/.storybook/"; then
-    log_message "Copied .storybook directory" "✅"
-else
-    log_message "Failed to copy .storybook directory" "❌"
-fi
-
-for file in "package.json" "package-lock.json" "build.js" "vite.config.js" ".nvmrc"; do
+# package-lock.json is not copied, it would not match the merged package.json.
+# npm install writes a new one.
+for file in ".nvmrc"; do
     if cp -Rf "$NEW_CIVIC_DIR/civictheme_starter_kit/$file" "$SUBTHEME_DIRECTORY/$file"; then
         log_message "Copied $file" "✅"
     else
@@ -72,17 +67,36 @@ for file in "package.json" "package-lock.json" "build.js" "vite.config.js" ".nvm
     fi
 done
 
-# Step 5: Remove pulled repo
-log_message "Cleaning up..." "🧹"
-if rm -rf monorepo-drupal; then
-    log_message "Removed monorepo-drupal" "✅"
+# Customisations of the subtheme's build files and Storybook configuration are
+# kept, conflicts are marked in the files or written to .rej files.
+if node "$SCRIPT_DIR/../../shared/merge-starter-kit-files.mjs" ".storybook" "build.js" "vite.config.js"; then
+    log_message "Merged .storybook, build.js and vite.config.js" "✅"
 else
-    log_message "Failed to remove monorepo-drupal" "⚠️"
+    log_message "Failed to merge .storybook, build.js and vite.config.js" "❌"
+    exit 1
+fi
+
+# DIR_CIVICTHEME of build.js and the paths of vite.config.js assume CivicTheme
+# is in themes/contrib, point them at the CivicTheme installed in the site.
+if node "$SCRIPT_DIR/fix-civictheme-path.mjs"; then
+    log_message "Updated the CivicTheme path of build.js and vite.config.js" "✅"
+else
+    log_message "Could not find CivicTheme, update DIR_CIVICTHEME in build.js by hand" "⚠️"
+fi
+
+# Custom dependencies and scripts of the subtheme are kept, CIVICTHEME_BASE_DIRECTORY
+# is the CivicTheme the subtheme is on, for a three-way merge.
+if node "$SCRIPT_DIR/merge-package-json.mjs"; then
+    log_message "Merged package.json" "✅"
+else
+    log_message "Failed to merge package.json" "❌"
+    exit 1
 fi
 
-# Step 6: List stories that need updating
+# Step 5: List stories that need updating
 log_message "Finding stories that need to be updated..." "🔍"
 echo "--------------------------------------------------------" | tee -a "$LOG_FILE"
 log_message "The following stories need to be updated:" "📚"
 echo "--------------------------------------------------------" | tee -a "$LOG_FILE"
 find "$SUBTHEME_DIRECTORY/components" -name "*.stories.js" | tee -a "$LOG_FILE"
+log_message "Run npm install in the subtheme to install the merged dependencies and write package-lock.json" "📦"
@@ -0,0 +1,577 @@
+/**
+ * Converts Storybook 6 knobs stories to Storybook 8 controls stories
+ *
+ * A deterministic codemod for the mechanical rules of the conversion prompt:
+ * knob calls become `argTypes` and `args` of a CSF3 `meta` object and story
+ * objects, and the random data helpers of CivicTheme are replaced with fixed
+ * values. Stories that do more than render a component with knobs are not
+ * converted, the reasons are returned so they can be converted by hand or
+ * with the LLM.
+ *
+ * @module convertKnobsToControls
+ */
+
+const { parse, parseExpression } = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const generate = require('@babel/generator').default;
+const t = require('@babel/types');
+
+// Package the knob functions are imported from.
+const KNOBS_PACKAGE = '@storybook/addon-knobs';
+
+// Constants of the sub-theme that are read from dist/constants.json.
+const CONSTANTS = ['ICONS', 'BACKGROUNDS'];
+
+// Globals that can be used in the args of a story.
+const ALLOWED_GLOBALS = ['Math', 'Date', 'JSON', 'Object', 'Array', 'String', 'Number', 'Boolean', 'undefined', 'NaN', 'Infinity'];
+
+// Link of the conversion prompt's "Data example 2".
+const EXAMPLE_LINK = "{ text: 'Example link', url: 'https://www.example.com', is_new_window: false, is_external: false }";
+
+// Menu of the conversion prompt's "Data example 1".
+const EXAMPLE_MENU = `[
+  { title: 'Link 1', url: '#', below: [
+    { title: 'Sublink 1', url: '#', below: [{ title: 'Subsublink 1', url: '#' }, { title: 'Subsublink 2', url: '#' }] },
+    { title: 'Sublink 2', url: '#' },
+  ] },
+  { title: 'Link 2', url: '#' },
+  { title: 'Link 3', url: '#', below: [
+    { title: 'Sublink 3', url: '#', below: [{ title: 'Subsublink 3', url: '#' }] },
+  ] },
+]`;
+
+/**
+ * Fixed values of the random data helpers, by helper name
+ *
+ * Each returns the replacement node for the arguments of the call, or a
+ * string with the reason the call cannot be replaced.
+ */
+const HELPER_REPLACEMENTS = {
+  randomUrl: () => t.stringLiteral('https://www.example.com'),
+  randomSentence: () => t.stringLiteral('This is an example sentence.'),
+  randomTags: () => parseExpression("['Tag 1', 'Tag 2']"),
+  getMenuLinks: () => parseExpression(EXAMPLE_MENU),
+  randomBool: () => t.booleanLiteral(false),
+  randomInt: () => t.numericLiteral(5),
+  randomId: (args) => {
+    if (args.length !== 2) {
+      return `randomId() with ${args.length} arguments`;
+    }
+    const [a, b] = args.map(arg => generate(arg).code);
+    return parseExpression(`\`random-id-\${Math.floor(Math.random() * (${b} - ${a}) + ${a})}\``);
+  },
+  randomArrayItem: (args) => {
+    if (args.length !== 1) {
+      return 'randomArrayItem() without an array';
+    }
+    // The first item of an array literal, a[0] of other arrays.
+    return t.isArrayExpression(args[0]) && t.isExpression(args[0].elements[0])
+      ? args[0].elements[0]
+      : t.memberExpression(args[0], t.numericLiteral(0), true);
+  },
+  randomText: () => t.stringLiteral('This is some text.'),
+  randomString: () => t.stringLiteral('This is a string.'),
+  randomName: () => t.stringLiteral('This is a name.'),
+  randomFutureDate: () => t.stringLiteral('2030-01-01'),
+  randomLink: () => parseExpression(EXAMPLE_LINK),
+  // Three links unless the call asks for another number.
+  randomLinks: (args) => {
+    const count = t.isNumericLiteral(args[0]) ? args[0].value : 3;
+    return t.arrayExpression(Array.from({ length: count }, () => parseExpression(EXAMPLE_LINK)));
+  },
+  demoImage: () => t.stringLiteral('https://picsum.photos/400'),
+  demoIcon: () => t.stringLiteral('./assets/icons/megaphone.svg'),
+  demoVideoPoster: () => t.stringLiteral('demo/videos/demo_poster.png'),
+  demoVideos: () => parseExpression("[{ url: 'demo/videos/demo.mp4', type: 'video/mp4' }]")
+};
+
+// Control types of the `display` option of the options() knob.
+const OPTIONS_DISPLAYS = ['radio', 'inline-radio', 'check', 'inline-check', 'select', 'multi-select'];
+
+/**
+ * Positions of the default value and options of each knob, and its control
+ */
+const KNOBS = {
+  text: { value: 1, control: 'text' },
+  boolean: { value: 1, control: 'boolean' },
+  number: { value: 1, control: 'number', numberOptions: 2 },
+  color: { value: 1, control: 'color' },
+  date: { value: 1, control: 'date' },
+  object: { value: 1, control: 'object' },
+  array: { value: 1, control: 'object' },
+  select: { value: 2, options: 1, control: 'select' },
+  radios: { value: 2, options: 1, control: 'radio' },
+  options: { value: 2, options: 1, control: 'select', display: 3 }
+};
+
+/**
+ * Gets the name of an object property key
+ *
+ * @param {Object} property - Object property node
+ * @return {string|null} The key, or null for computed keys
+ */
+function keyName(property) {
+  if (property.computed) {
+    return null;
+  }
+  if (t.isIdentifier(property.key)) {
+    return property.key.name;
+  }
+  return t.isStringLiteral(property.key) ? property.key.value : null;
+}
+
+/**
+ * Creates an object property, quoting keys that are not identifiers
+ *
+ * @param {string} key - Property key
+ * @param {Object} value - Value node
+ * @return {Object} Object property node
+ */
+function property(key, value) {
+  return t.objectProperty(t.isValidIdentifier(key) ? t.identifier(key) : t.stringLiteral(key), value);
+}
+
+// Objects printed on one line, e.g. `control: { type: 'radio' }`.
+const INLINE_OBJECTS = new WeakSet();
+
+/**
+ * Creates an object that is printed on one line
+ *
+ * @param {Array<Object>} properties - Object property nodes
+ * @return {Object} Object expression node
+ */
+function inlineObject(properties) {
+  const node = t.objectExpression(properties);
+  INLINE_OBJECTS.add(node);
+  return node;
+}
+
+/**
+ * Prints a node in the code style of the CivicTheme stories
+ *
+ * Objects and arrays of objects are printed over several lines with trailing
+ * commas, other expressions as the generator prints them.
+ *
+ * @param {Object} node - Expression node
+ * @param {string} indent - Indentation of the line the node starts on
+ * @return {string} Source code
+ */
+function print(node, indent = '') {
+  const inner = `${indent}  `;
+  if (INLINE_OBJECTS.has(node)) {
+    return `{ ${node.properties.map(prop => `${print(prop.key)}: ${print(prop.value)}`).join(', ')} }`;
+  }
+  if (t.isObjectExpression(node) && node.properties.length > 0) {
+    const lines = node.properties.map((prop) => {
+      if (t.isSpreadElement(prop)) {
+        return `${inner}...${print(prop.argument, inner)},`;
+      }
+      if (t.isObjectProperty(prop)) {
+        const key = prop.computed ? `[${print(prop.key)}]` : print(prop.key);
+        return `${inner}${key}: ${print(prop.value, inner)},`;
+      }
+      return `${inner}${print(prop, inner)},`;
+    });
+    return `{\n${lines.join('\n')}\n${indent}}`;
+  }
+  if (t.isArrayExpression(node) && node.elements.some(element => t.isObjectExpression(element) || t.isArrayExpression(element))) {
+    return `[\n${node.elements.map(element => `${inner}${print(element, inner)},`).join('\n')}\n${indent}]`;
+  }
+  return generate(node, { jsescOption: { quotes: 'single', minimal: true } }).code;
+}
+
+/**
+ * Replaces random data helpers, constants and local constants in a value
+ *
+ * @param {Object} valuePath - Path of the value expression, replaced in place
+ * @param {Object} state - Conversion state with `reasons`, `imports` and `usesConstants`
+ * @return {Object} The converted value node
+ */
+function convertValue(valuePath, state) {
+  // Constants.ICONS and Constants.BACKGROUNDS created for the constants.
+  const constants = new WeakSet();
+  const constantNode = (name) => {
+    const node = t.memberExpression(t.identifier('Constants'), t.identifier(name));
+    constants.add(node.object);
+    state.usesConstants = true;
+    return node;
+  };
+
+  const replaceCall = (callPath) => {
+    const { callee, arguments: args } = callPath.node;
+    // Object.values(ICONS) is Constants.ICONS.
+    if (t.isMemberExpression(callee) && t.isIdentifier(callee.object, { name: 'Object' }) && t.isIdentifier(callee.property, { name: 'values' })
+      && args.length === 1 && t.isIdentifier(args[0]) && CONSTANTS.includes(args[0].name)) {
+      callPath.replaceWith(constantNode(args[0].name));
+      return;
+    }
+    if (!t.isIdentifier(callee)) {
+      return;
+    }
+    const binding = callPath.scope.getBinding(callee.name);
+    if (HELPER_REPLACEMENTS[callee.name] && (!binding || binding.kind === 'module')) {
+      const replacement = HELPER_REPLACEMENTS[callee.name](args);
+      if (typeof replacement === 'string') {
+        state.reasons.push(`uses ${replacement}`);
+      } else {
+        callPath.replaceWith(replacement);
+      }
+    } else if (binding && binding.kind === 'module') {
+      state.reasons.push(`calls ${callee.name}() of ${binding.path.parent.source.value}`);
+    }
+  };
+
+  const replaceIdentifier = (identifierPath) => {
+    if (!identifierPath.isReferencedIdentifier() || constants.has(identifierPath.node)) {
+      return;
+    }
+    const { name } = identifierPath.node;
+    const binding = identifierPath.scope.getBinding(name);
+    if (CONSTANTS.includes(name) && (!binding || binding.kind === 'module')) {
+      identifierPath.replaceWith(constantNode(name));
+    } else if (!binding) {
+      if (!ALLOWED_GLOBALS.includes(name)) {
+        state.reasons.push(`uses the global ${name}`);
+      }
+    } else if (binding.kind === 'module') {
+      if (binding.path.parent.source.value === KNOBS_PACKAGE) {
+        state.reasons.push(`uses the ${name} knob outside of a story arg`);
+      } else if (!identifierPath.parentPath.isCallExpression({ callee: identifierPath.node })) {
+        state.imports.add(name);
+      }
+    } else if (binding.path.isVariableDeclarator() && binding.constant && t.isLiteral(binding.path.node.init) && !t.isTemplateLiteral(binding.path.node.init)) {
+      identifierPath.replaceWith(t.cloneNode(binding.path.node.init));
+    } else {
+      state.reasons.push(`uses the variable ${name}`);
+    }
+  };
+
+  if (valuePath.isCallExpression()) {
+    replaceCall(valuePath);
+  }
+  if (valuePath.isIdentifier()) {
+    replaceIdentifier(valuePath);
+  } else {
+    valuePath.traverse({ CallExpression: replaceCall, Identifier: replaceIdentifier });
+  }
+  return valuePath.node;
+}
+
+/**
+ * Converts the options of a select, radios or options knob
+ *
+ * Options objects become an array of their values, the labels are dropped.
+ *
+ * @param {Object} optionsPath - Path of the options argument
+ * @param {Object} state - Conversion state
+ * @return {Object|null} Options node, or null if the options cannot be converted
+ */
+function convertOptions(optionsPath, state) {
+  if (optionsPath.isObjectExpression()) {
+    const values = [];
+    for (const propertyPath of optionsPath.get('properties')) {
+      if (!propertyPath.isObjectProperty()) {
+        state.reasons.push('options object has spread or method properties');
+        return null;
+      }
+      values.push(convertValue(propertyPath.get('value'), state));
+    }
+    return t.arrayExpression(values);
+  }
+  return convertValue(optionsPath, state);
+}
+
+/**
+ * Converts one story arg, a knob call or a plain value
+ *
+ * @param {string} key - Arg name
+ * @param {Object} valuePath - Path of the value
+ * @param {Object<string, string>} knobs - Knob function names by their local name
+ * @param {Object} state - Conversion state
+ * @return {{value: Object, argType: Object|null}} Default value and the arg type of knobs
+ */
+function convertArg(key, valuePath, knobs, state) {
+  const knob = valuePath.isCallExpression() && t.isIdentifier(valuePath.node.callee) ? knobs[valuePath.node.callee.name] : null;
+  if (!knob) {
+    return { value: convertValue(valuePath, state), argType: null };
+  }
+
+  const definition = KNOBS[knob];
+  if (!definition) {
+    state.reasons.push(`${key} uses the ${knob} knob`);
+    return { value: t.nullLiteral(), argType: null };
+  }
+
+  const args = valuePath.get('arguments');
+  const control = [['type', t.stringLiteral(definition.control)]];
+  const argType = [];
+
+  if (definition.display !== undefined && args[definition.display]) {
+    const display = args[definition.display].node;
+    const type = t.isObjectExpression(display) && display.properties.find(prop => keyName(prop) === 'display');
+    if (!type || !t.isStringLiteral(type.value) || !OPTIONS_DISPLAYS.includes(type.value.value)) {
+      state.reasons.push(`${key} has an unsupported options display`);
+    } else {
+      control[0][1] = t.stringLiteral(type.value.value);
+    }
+  }
+  if (definition.numberOptions !== undefined && args[definition.numberOptions]) {
+    const options = args[definition.numberOptions].node;
+    if (!t.isObjectExpression(options)) {
+      state.reasons.push(`${key} has number options that are not an object`);
+    } else {
+      for (const prop of options.properties) {
+        const name = keyName(prop);
+        if (name === 'range' && t.isBooleanLiteral(prop.value, { value: true })) {
+          control[0][1] = t.stringLiteral('range');
+        } else if (['min', 'max', 'step'].includes(name)) {
+          control.push([name, t.cloneNode(prop.value)]);
+        }
+      }
+    }
+  }
+  argType.push(['control', inlineObject(control.map(([name, value]) => property(name, value)))]);
+
+  if (definition.options !== undefined) {
+    const options = args[definition.options] ? convertOptions(args[definition.options], state) : null;
+    if (!options) {
+      state.reasons.push(`${key} has no options`);
+    } else {
+      argType.push(['options', options]);
+    }
+  }
+
+  const value = args[definition.value] ? convertValue(args[definition.value], state) : t.identifier('undefined');
+  return { value, argType: t.objectExpression(argType.map(([name, node]) => property(name, node))) };
+}
+
+/**
+ * Finds the object of args a story passes to its component
+ *
+ * Supported story bodies return `Component(knobs)`, `Component({ ...knobs })`
+ * or `shouldRender(parentKnobs) ? Component(knobs) : knobs`, where knobs is
+ * an object declared in the story or passed inline.
+ *
+ * @param {Object} functionPath - Path of the story function
+ * @param {string} componentName - Local name of the twig template import
+ * @param {Object} state - Conversion state
+ * @return {Array<Object>} Paths of the arg properties, empty if the story is not supported
+ */
+function findStoryArgs(functionPath, componentName, state) {
+  let returned = functionPath.get('body');
+  if (returned.isBlockStatement()) {
+    const statements = returned.get('body');
+    const returns = statements.filter(statement => statement.isReturnStatement());
+    const others = statements.filter(statement => !statement.isReturnStatement() && !statement.isVariableDeclaration());
+    if (returns.length !== 1 || others.length > 0) {
+      state.reasons.push('story has statements besides declarations and a return');
+      return [];
+    }
+    returned = returns[0].get('argument');
+  }
+
+  if (returned.isConditionalExpression()) {
+    returned = returned.get('consequent');
+  }
+  if (!returned.isCallExpression() || !t.isIdentifier(returned.node.callee, { name: componentName }) || returned.node.arguments.length !== 1) {
+    state.reasons.push('story does not return its component called with one object');
+    return [];
+  }
+
+  const expand = (objectPath) => {
+    if (objectPath.isIdentifier()) {
+      const binding = objectPath.scope.getBinding(objectPath.node.name);
+      if (binding && binding.path.isVariableDeclarator() && binding.path.get('init').isObjectExpression()) {
+        return expand(binding.path.get('init'));
+      }
+      state.reasons.push(`story passes ${objectPath.node.name}, which is not an object declared in the story`);
+      return [];
+    }
+    if (objectPath.isCallExpression()) {
+      state.reasons.push(`story passes the result of ${generate(objectPath.node.callee).code}() to its component`);
+      return [];
+    }
+    if (!objectPath.isObjectExpression()) {
+      state.reasons.push('story passes something else than an object to its component');
+      return [];
+    }
+    return objectPath.get('properties').flatMap((propertyPath) => {
+      if (propertyPath.isSpreadElement()) {
+        return expand(propertyPath.get('argument'));
+      }
+      if (!propertyPath.isObjectProperty() || keyName(propertyPath.node) === null) {
+        state.reasons.push('story args have computed keys or methods');
+        return [];
+      }
+      return [propertyPath];
+    });
+  };
+
+  return expand(returned.get('arguments')[0]);
+}
+
+/**
+ * Converts the source of a Storybook 6 knobs story file
+ *
+ * @param {string} source - Source of the .stories.js file
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.constantsPath] - Import path of dist/constants.json from the story file
+ * @return {{status: string, source: string|null, reasons: string[]}} `converted` with the new source, `skipped` for
+ *   stories that are already objects, or `unsupported` with the reasons
+ */
+function convertKnobsToControls(source, { constantsPath = '../../../dist/constants.json' } = {}) {
+  let ast;
+  try {
+    ast = parse(source, { sourceType: 'module' });
+  } catch (error) {
+    return { status: 'unsupported', source: null, reasons: [`cannot be parsed: ${error.message}`] };
+  }
+
+  const state = { reasons: [], imports: new Set(), usesConstants: false };
+  const knobs = {};
+  const imports = [];
+  const stories = [];
+  const storyProperties = {};
+  let meta = null;
+  let component = null;
+
+  traverse(ast, {
+    Program(programPath) {
+      for (const statement of programPath.get('body')) {
+        if (statement.isImportDeclaration()) {
+          const from = statement.node.source.value;
+          if (from === KNOBS_PACKAGE) {
+            statement.node.specifiers.forEach((specifier) => {
+              knobs[specifier.local.name] = t.isImportSpecifier(specifier) ? specifier.imported.name : null;
+            });
+          } else if (from.endsWith('.twig') && statement.node.specifiers.length === 1 && t.isImportDefaultSpecifier(statement.node.specifiers[0])) {
+            if (component) {
+              state.reasons.push(`imports several templates (${component.from} and ${from})`);
+            }
+            component = { name: statement.node.specifiers[0].local.name, from };
+          } else {
+            imports.push(statement.node);
+          }
+        } else if (statement.isExportDefaultDeclaration() && statement.get('declaration').isObjectExpression()) {
+          meta = statement.get('declaration');
+        } else if (statement.isExportNamedDeclaration() && statement.get('declaration').isVariableDeclaration()) {
+          for (const declarator of statement.get('declaration.declarations')) {
+            const init = declarator.get('init');
+            if (init.isArrowFunctionExpression() || init.isFunctionExpression()) {
+              stories.push({ name: declarator.node.id.name, functionPath: init });
+            } else {
+              stories.push({ name: declarator.node.id.name, functionPath: null });
+            }
+          }
+        } else if (statement.isExpressionStatement() && statement.get('expression').isAssignmentExpression({ operator: '=' })
+          && t.isMemberExpression(statement.node.expression.left) && t.isIdentifier(statement.node.expression.left.object)
+          && ['storyName', 'parameters'].includes(statement.node.expression.left.property.name)) {
+          const { object, property: name } = statement.node.expression.left;
+          storyProperties[object.name] = storyProperties[object.name] || [];
+          storyProperties[object.name].push({ name: name.name === 'storyName' ? 'name' : name.name, valuePath: statement.get('expression.right') });
+        } else {
+          state.reasons.push(`has a ${statement.type} besides the imports, meta and stories`);
+        }
+      }
+      programPath.stop();
+    }
+  });
+
+  if (stories.length > 0 && stories.every(story => story.functionPath === null)) {
+    return { status: 'skipped', source: null, reasons: ['stories are already objects'] };
+  }
+  if (!meta) {
+    state.reasons.push('has no default export object');
+  }
+  if (!component) {
+    state.reasons.push('imports no twig template');
+  }
+  if (stories.length === 0) {
+    state.reasons.push('has no stories');
+  }
+  if (state.reasons.length > 0) {
+    return { status: 'unsupported', source: null, reasons: state.reasons };
+  }
+
+  const converted = stories.map((story) => {
+    if (!story.functionPath) {
+      state.reasons.push(`${story.name} is not a function`);
+      return null;
+    }
+    const args = [];
+    const argTypes = [];
+    for (const propertyPath of findStoryArgs(story.functionPath, component.name, state)) {
+      const key = keyName(propertyPath.node);
+      const { value, argType } = convertArg(key, propertyPath.get('value'), knobs, state);
+      args.push(property(key, value));
+      if (argType) {
+        argTypes.push(property(key, argType));
+      }
+    }
+    const properties = (storyProperties[story.name] || []).map(({ name, valuePath }) => property(name, convertValue(valuePath, state)));
+    return { name: story.name, args, argTypes, properties };
+  });
+
+  const metaProperties = [];
+  for (const propertyPath of meta.get('properties')) {
+    const key = propertyPath.isObjectProperty() ? keyName(propertyPath.node) : null;
+    if (key === null) {
+      state.reasons.push('meta has computed keys, spreads or methods');
+    } else if (!['component', 'argTypes', 'args'].includes(key)) {
+      metaProperties.push(property(key, convertValue(propertyPath.get('value'), state)));
+    }
+  }
+
+  if (state.reasons.length > 0) {
+    return { status: 'unsupported', source: null, reasons: [...new Set(state.reasons)] };
+  }
+
+  // The arg types of the first story are shared, other stories keep the arg
+  // types that differ.
+  const sharedArgTypes = converted[0].argTypes;
+  const shared = new Set(sharedArgTypes.map(argType => print(argType)));
+  const ownArgTypes = story => story.argTypes.filter(argType => !shared.has(print(argType)));
+
+  const title = metaProperties.filter(prop => keyName(prop) === 'title');
+  const metaObject = t.objectExpression([
+    ...title,
+    property('component', t.identifier('Component')),
+    ...(sharedArgTypes.length > 0 ? [property('argTypes', t.objectExpression(sharedArgTypes))] : []),
+    ...metaProperties.filter(prop => keyName(prop) !== 'title')
+  ]);
+
+  // Comments at the top of the file, e.g. `// phpcs:ignoreFile`.
+  const header = source.slice(0, ast.program.body[0].start).trim();
+  const lines = [...(header ? [header] : []), `import Component from '${component.from}';`];
+  if (state.usesConstants) {
+    lines.push(`import Constants from '${constantsPath}'; // eslint-disable-line import/no-unresolved`);
+  }
+  for (const declaration of imports) {
+    const specifiers = declaration.specifiers.filter(specifier => state.imports.has(specifier.local.name));
+    if (declaration.specifiers.length === 0 || specifiers.length > 0) {
+      lines.push(print(t.importDeclaration(specifiers, declaration.source)));
+    }
+  }
+
+  lines.push('', `const meta = ${print(metaObject)};`, '', 'export default meta;');
+  for (const story of converted) {
+    const storyObject = t.objectExpression([
+      ...story.properties,
+      ...(ownArgTypes(story).length > 0 ? [property('argTypes', t.objectExpression(ownArgTypes(story)))] : []),
+      property('args', t.objectExpression(story.args))
+    ]);
+    lines.push('', `export const ${story.name} = ${print(storyObject)};`);
+  }
+
+  return { status: 'converted', source: `${lines.join('\n')}\n`, reasons: [] };
+}
+
+module.exports = {
+  HELPER_REPLACEMENTS,
+  KNOBS,
+  inlineObject,
+  keyName,
+  print,
+  property,
+  convertKnobsToControls
+};
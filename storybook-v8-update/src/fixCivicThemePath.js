@@ -0,0 +1,218 @@
+/**
+ * Points the build files of a sub-theme at the installed CivicTheme theme
+ *
+ * The starter kit's `build.js` assumes CivicTheme is installed in
+ * `themes/contrib/civictheme` next to `themes/custom/<sub-theme>`. The real
+ * install is found from the Drupal docroot above the sub-theme, and the
+ * relative CivicTheme paths of `build.js` and `vite.config.js` are rewritten
+ * to it.
+ *
+ * @module fixCivicThemePath
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where CivicTheme is installed, relative to the Drupal docroot.
+const THEME_LOCATIONS = ['themes/contrib/civictheme', 'themes/custom/civictheme', 'themes/civictheme'];
+
+// Where CivicTheme is installed, relative to an install profile.
+const PROFILE_THEME_LOCATIONS = ['themes/civictheme', 'themes/contrib/civictheme', 'themes/custom/civictheme'];
+
+// Directories of install profiles, relative to the Drupal docroot.
+const PROFILE_DIRECTORIES = ['profiles', 'profiles/contrib', 'profiles/custom'];
+
+// Build files of the starter kit with CivicTheme paths.
+const BUILD_FILES = ['build.js', 'vite.config.js'];
+
+// A quoted relative path with a `civictheme` directory, e.g.
+// '../../contrib/civictheme/' or "../civictheme/components".
+const CIVICTHEME_PATH = /(['"`])(\.{1,2}\/(?:[\w.-]+\/)*?civictheme)((?:\/[^'"`\s]*)?)\1/g;
+
+/**
+ * Checks whether a path exists and is a directory
+ *
+ * @async
+ * @param {string} dirPath - The path to check
+ * @return {Promise<boolean>} True if the path is a directory
+ */
+async function isDirectory(dirPath) {
+  try {
+    return (await fs.stat(dirPath)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a directory is a CivicTheme theme with components
+ *
+ * @async
+ * @param {string} dirPath - The path to check
+ * @return {Promise<boolean>} True if the directory has civictheme.info.yml and a components directory
+ */
+async function isCivicThemeDirectory(dirPath) {
+  try {
+    await fs.access(path.join(dirPath, 'civictheme.info.yml'));
+  } catch {
+    return false;
+  }
+  return isDirectory(path.join(dirPath, 'components'));
+}
+
+/**
+ * Finds the Drupal docroot a sub-theme is installed in
+ *
+ * The docroot is the closest parent with `core/lib/Drupal.php`, or without
+ * Drupal core the parent of the `themes` directory the sub-theme is in.
+ *
+ * @async
+ * @param {string} subthemeDirectory - The sub-theme directory
+ * @return {Promise<string|null>} The docroot, or null if the sub-theme is not in a Drupal site
+ */
+async function findDrupalRoot(subthemeDirectory) {
+  let themesParent = null;
+  let directory = path.resolve(subthemeDirectory);
+
+  while (path.dirname(directory) !== directory) {
+    directory = path.dirname(directory);
+    try {
+      await fs.access(path.join(directory, 'core', 'lib', 'Drupal.php'));
+      return directory;
+    } catch {
+      if (!themesParent && path.basename(directory) === 'themes') {
+        themesParent = path.dirname(directory);
+      }
+    }
+  }
+
+  return themesParent;
+}
+
+/**
+ * Finds the CivicTheme theme installed in the Drupal site of a sub-theme
+ *
+ * Contrib, custom and install profile theme directories are checked in that
+ * order.
+ *
+ * @async
+ * @param {string} subthemeDirectory - The sub-theme directory
+ * @return {Promise<{directory: string|null, drupalRoot: string|null, checked: string[]}>} The CivicTheme directory, or
+ *   null if it was not found, the docroot and the directories that were checked
+ */
+async function findCivicThemeDirectory(subthemeDirectory) {
+  const drupalRoot = await findDrupalRoot(subthemeDirectory);
+  const checked = [];
+  if (!drupalRoot) {
+    return { directory: null, drupalRoot, checked };
+  }
+
+  const candidates = THEME_LOCATIONS.map(location => path.join(drupalRoot, location));
+  for (const profiles of PROFILE_DIRECTORIES) {
+    let entries = [];
+    try {
+      entries = await fs.readdir(path.join(drupalRoot, profiles), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const entry of entries.filter(entry => entry.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+      candidates.push(...PROFILE_THEME_LOCATIONS.map(location => path.join(drupalRoot, profiles, entry.name, location)));
+    }
+  }
+
+  for (const candidate of candidates) {
+    checked.push(candidate);
+    if (await isCivicThemeDirectory(candidate)) {
+      return { directory: candidate, drupalRoot, checked };
+    }
+  }
+
+  return { directory: null, drupalRoot, checked };
+}
+
+/**
+ * Rewrites the relative CivicTheme paths of a build file
+ *
+ * Paths below the CivicTheme directory, e.g. `../../contrib/civictheme/components`,
+ * keep their sub-path and a trailing slash is kept.
+ *
+ * @param {string} source - The source of the build file
+ * @param {string} relativePath - The path of CivicTheme relative to the sub-theme, e.g. `../../contrib/civictheme`
+ * @return {{source: string, rewritten: Array<{line: number, from: string, to: string}>}} The updated source and the
+ *   paths that changed
+ */
+function rewriteCivicThemePaths(source, relativePath) {
+  const rewritten = [];
+  const updated = source.replace(CIVICTHEME_PATH, (match, quote, civicthemePath, subPath, offset) => {
+    if (civicthemePath === relativePath) {
+      return match;
+    }
+    const from = `${civicthemePath}${subPath}`;
+    const to = `${relativePath}${subPath}`;
+    rewritten.push({ line: source.slice(0, offset).split('\n').length, from, to });
+    return `${quote}${to}${quote}`;
+  });
+  return { source: updated, rewritten };
+}
+
+/**
+ * Points the build files of a sub-theme at the installed CivicTheme theme
+ *
+ * CivicTheme is looked up from where the sub-theme is installed, which is
+ * not the directory the files are written to when a staged copy is updated,
+ * e.g. in a dry run.
+ *
+ * @async
+ * @param {string} subthemeDirectory - The sub-theme directory the build files are written to
+ * @param {string[]} [files] - Build files relative to the sub-theme, `build.js` and `vite.config.js` by default
+ * @param {string} [installedDirectory] - Where the sub-theme is installed in the Drupal site, the sub-theme directory
+ *   by default
+ * @return {Promise<{fixed: boolean, message: string, civicthemeDirectory: string|null, rewritten: Array<{file: string, line: number, from: string, to: string}>}>}
+ *   Whether CivicTheme was found, a message for the console, the CivicTheme directory and the paths that changed
+ */
+async function fixCivicThemePath(subthemeDirectory, files = BUILD_FILES, installedDirectory = subthemeDirectory) {
+  const { directory, drupalRoot, checked } = await findCivicThemeDirectory(installedDirectory);
+  if (!directory) {
+    return {
+      fixed: false,
+      message: drupalRoot
+        ? `Could not find CivicTheme with a components directory in ${drupalRoot}, checked:\n${checked.map(candidate => `  - ${candidate}`).join('\n')}`
+        : `Could not find the Drupal docroot of ${installedDirectory}`,
+      civicthemeDirectory: null,
+      rewritten: []
+    };
+  }
+
+  const relativePath = path.relative(path.resolve(installedDirectory), directory).split(path.sep).join('/');
+  const rewritten = [];
+  for (const file of files) {
+    const filePath = path.join(subthemeDirectory, file);
+    let source;
+    try {
+      source = await fs.readFile(filePath, 'utf8');
+    } catch {
+      continue;
+    }
+    const result = rewriteCivicThemePaths(source, relativePath);
+    if (result.rewritten.length > 0) {
+      await fs.writeFile(filePath, result.source);
+      rewritten.push(...result.rewritten.map(change => ({ file, ...change })));
+    }
+  }
+
+  return {
+    fixed: true,
+    message: rewritten.length > 0
+      ? `✅ Pointed ${rewritten.length} CivicTheme paths at ${relativePath}`
+      : `✅ CivicTheme paths already point at ${relativePath}`,
+    civicthemeDirectory: directory,
+    rewritten
+  };
+}
+
+module.exports = {
+  findDrupalRoot,
+  findCivicThemeDirectory,
+  rewriteCivicThemePaths,
+  fixCivicThemePath
+};
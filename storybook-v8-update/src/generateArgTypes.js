@@ -0,0 +1,341 @@
+/**
+ * Generates Storybook argTypes and args from SDC component.yml schemas
+ *
+ * The `props` schema of each component is the source of truth for the
+ * controls of its story: enums become `radio` or `select` controls, booleans
+ * `boolean` controls, descriptions are shown in the docs and defaults become
+ * the `args` of the meta. Only the parts of the story that come from the
+ * schema are rewritten, other argTypes and args and the rest of the story are
+ * kept as they are.
+ *
+ * @module generateArgTypes
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const yaml = require('js-yaml');
+const t = require('@babel/types');
+const { glob } = require('glob');
+const { inlineObject, keyName, print, property } = require('./convertKnobsToControls');
+const { parseStory, getMeta, validateConvertedStory } = require('./validateConvertedStory');
+
+// Enums with more options than this get a select instead of radio buttons.
+const RADIO_OPTIONS_LIMIT = 4;
+
+// Controls for the JSON Schema types of props.
+const CONTROLS = {
+  string: 'text',
+  boolean: 'boolean',
+  number: 'number',
+  integer: 'number',
+  array: 'object',
+  object: 'object'
+};
+
+// Keys of an arg type that are generated from the schema, other keys are kept.
+const GENERATED_KEYS = ['control', 'options', 'description'];
+
+/**
+ * Generates the arg types and args of a component definition
+ *
+ * @param {Object} definition - The parsed component.yml
+ * @return {{argTypes: Object<string, Object>, args: Object<string, *>}} The arg type and default of each prop
+ */
+function schemaToArgTypes(definition) {
+  const argTypes = {};
+  const args = {};
+
+  Object.entries(definition?.props?.properties || {}).forEach(([name, schema]) => {
+    const argType = {};
+    const type = [].concat(schema.type).find(candidate => candidate !== 'null');
+    const options = Array.isArray(schema.enum) ? schema.enum.filter(option => option !== null) : [];
+
+    if (options.length > 0) {
+      argType.control = { type: options.length > RADIO_OPTIONS_LIMIT ? 'select' : 'radio' };
+      argType.options = options;
+    } else if (CONTROLS[type]) {
+      argType.control = { type: CONTROLS[type] };
+      if (CONTROLS[type] === 'number') {
+        ['minimum', 'maximum'].filter(key => typeof schema[key] === 'number').forEach((key) => {
+          argType.control[key.slice(0, 3)] = schema[key];
+        });
+      }
+    }
+    if (schema.description || schema.title) {
+      argType.description = schema.description || schema.title;
+    }
+
+    argTypes[name] = argType;
+    if (schema.default !== undefined) {
+      args[name] = schema.default;
+    }
+  });
+
+  return { argTypes, args };
+}
+
+/**
+ * Gets the indentation of the line a node starts on
+ *
+ * @param {string} source - The source of the story
+ * @param {Object} node - The node
+ * @return {string} The indentation
+ */
+function indentOf(source, node) {
+  const lineStart = source.lastIndexOf('\n', node.start - 1) + 1;
+  return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Prints an object from the source of its properties
+ *
+ * @param {Array<string>} entries - The source of each property
+ * @param {string} indent - Indentation of the line the object starts on
+ * @return {string} Source code
+ */
+function printEntries(entries, indent) {
+  return entries.length > 0 ? `{\n${entries.map(entry => `${indent}  ${entry},`).join('\n')}\n${indent}}` : '{}';
+}
+
+/**
+ * Gets the properties of an object property of an object by key
+ *
+ * @param {Object} object - Object expression node
+ * @param {string} key - Property key
+ * @return {{property: Object|null, properties: Array<Object>|null}} The property, and its properties if its value is
+ *   an object
+ */
+function getObjectProperty(object, key) {
+  const found = object.properties.find(prop => t.isObjectProperty(prop) && keyName(prop) === key) || null;
+  return { property: found, properties: t.isObjectExpression(found?.value) ? found.value.properties : null };
+}
+
+/**
+ * Prints the arg type of a prop, keeping the keys that are not generated
+ *
+ * @param {string} source - The source of the story
+ * @param {Object|null} existing - The existing arg type property, if any
+ * @param {Object} argType - The generated arg type
+ * @param {string} indent - Indentation of the arg type
+ * @return {string} Source code of the arg type object
+ */
+function printArgType(source, existing, argType, indent) {
+  const inner = `${indent}  `;
+  const kept = t.isObjectExpression(existing?.value)
+    ? existing.value.properties.filter((prop) => {
+      const key = keyName(prop);
+      return !GENERATED_KEYS.includes(key) || (key === 'description' && !argType.description);
+    })
+    : [];
+
+  const generated = Object.entries(argType).map(([key, value]) => {
+    const node = key === 'control'
+      ? inlineObject(Object.entries(value).map(([name, option]) => property(name, t.valueToNode(option))))
+      : t.valueToNode(value);
+    return `${key}: ${print(node, inner)}`;
+  });
+
+  return printEntries([...generated, ...kept.map(prop => source.slice(prop.start, prop.end))], indent);
+}
+
+/**
+ * Writes or updates the argTypes and args of a story from a component definition
+ *
+ * Arg types of the meta are generated for every prop, arg types of other
+ * names are kept and returned as stale unless they are slots. Defaults of
+ * the props are written to the args of the meta. Arg types of props in the
+ * stories are removed, so the generated arg types of the meta apply.
+ *
+ * @param {string} source - The source of the story
+ * @param {Object} definition - The parsed component.yml
+ * @return {{status: string, source: string|null, reasons: Array<string>, stale: Array<string>}} `updated` or
+ *   `unchanged` with the new source, or `unsupported` with the reasons, and the stale arg types
+ */
+function updateStoryArgTypes(source, definition) {
+  let ast;
+  try {
+    ast = parseStory(source);
+  } catch (error) {
+    return { status: 'unsupported', source: null, reasons: [`could not be parsed: ${error.message}`], stale: [] };
+  }
+
+  if (ast.program.body.some(node => t.isImportDeclaration(node) && node.source.value === '@storybook/addon-knobs')) {
+    return { status: 'unsupported', source: null, reasons: ['still uses knobs, convert it to controls first'], stale: [] };
+  }
+  const { meta } = getMeta(ast);
+  if (!meta) {
+    return { status: 'unsupported', source: null, reasons: ['has no default export object'], stale: [] };
+  }
+
+  const { argTypes, args } = schemaToArgTypes(definition);
+  const props = Object.keys(argTypes);
+  const slots = Object.keys(definition?.slots || {});
+  const reasons = [];
+  const edits = [];
+
+  const metaArgTypes = getObjectProperty(meta, 'argTypes');
+  const metaArgs = getObjectProperty(meta, 'args');
+  [metaArgTypes, metaArgs].forEach(({ property: prop, properties }) => {
+    if (prop && !properties) {
+      reasons.push(`meta ${keyName(prop)} is not an object`);
+    }
+  });
+  if (reasons.length > 0) {
+    return { status: 'unsupported', source: null, reasons, stale: [] };
+  }
+
+  // A meta on one line is printed again over several lines.
+  const multiline = meta.properties.length > 0 && meta.loc.start.line !== meta.properties[0].loc.start.line;
+
+  // Arg types of the meta, in the order of the story with new props last.
+  const indent = multiline ? indentOf(source, meta.properties[0]) : `${indentOf(source, meta)}  `;
+  const inner = `${indent}  `;
+  const existingArgTypes = metaArgTypes.properties || [];
+  const stale = existingArgTypes.map(keyName).filter(name => !props.includes(name) && !slots.includes(name));
+  const argTypeEntries = [
+    ...existingArgTypes.map((prop) => {
+      const name = keyName(prop);
+      return props.includes(name)
+        ? `${print(prop.key)}: ${printArgType(source, prop, argTypes[name], inner)}`
+        : source.slice(prop.start, prop.end);
+    }),
+    ...props
+      .filter(name => !existingArgTypes.some(prop => keyName(prop) === name))
+      .map(name => `${print(property(name, t.nullLiteral()).key)}: ${printArgType(source, null, argTypes[name], inner)}`)
+  ];
+  const argTypesSource = `argTypes: ${printEntries(argTypeEntries, indent)}`;
+
+  // Args of the meta with the defaults of the props.
+  const existingArgs = metaArgs.properties || [];
+  const argEntries = [
+    ...existingArgs.map((prop) => {
+      const name = keyName(prop);
+      return name in args ? `${print(prop.key)}: ${print(t.valueToNode(args[name]), inner)}` : source.slice(prop.start, prop.end);
+    }),
+    ...Object.keys(args)
+      .filter(name => !existingArgs.some(prop => keyName(prop) === name))
+      .map(name => `${print(property(name, t.nullLiteral()).key)}: ${print(t.valueToNode(args[name]), inner)}`)
+  ];
+  const argsSource = argEntries.length > 0 ? `args: ${printEntries(argEntries, indent)}` : null;
+
+  const added = [
+    ...(metaArgTypes.property ? [] : [argTypesSource]),
+    ...(metaArgs.property || !argsSource ? [] : [argsSource])
+  ];
+  if (!multiline) {
+    const entries = meta.properties.map((prop) => {
+      if (prop === metaArgTypes.property) {
+        return argTypesSource;
+      }
+      return prop === metaArgs.property ? argsSource || 'args: {}' : source.slice(prop.start, prop.end);
+    });
+    edits.push({ start: meta.start, end: meta.end, text: printEntries([...entries, ...added], indentOf(source, meta)) });
+  } else {
+    if (metaArgTypes.property) {
+      edits.push({ start: metaArgTypes.property.start, end: metaArgTypes.property.end, text: argTypesSource });
+    }
+    if (metaArgs.property) {
+      edits.push({ start: metaArgs.property.start, end: metaArgs.property.end, text: argsSource || 'args: {}' });
+    }
+
+    // New properties go after the component, or after the last property.
+    if (added.length > 0) {
+      const anchor = getObjectProperty(meta, 'component').property || meta.properties[meta.properties.length - 1];
+      const hasComma = /^\s*,/.test(source.slice(anchor.end));
+      const end = hasComma ? source.indexOf(',', anchor.end) + 1 : anchor.end;
+      const text = added.map(entry => `\n${indent}${entry},`).join('');
+      edits.push({ start: end, end, text: hasComma ? text : `,${text.slice(0, -1)}` });
+    }
+  }
+
+  // Arg types of props in the stories would override the generated ones.
+  ast.program.body
+    .filter(node => t.isExportNamedDeclaration(node) && t.isVariableDeclaration(node.declaration))
+    .flatMap(node => node.declaration.declarations)
+    .filter(declarator => t.isObjectExpression(declarator.init))
+    .forEach((declarator) => {
+      const { property: prop, properties } = getObjectProperty(declarator.init, 'argTypes');
+      if (!properties || !properties.some(entry => props.includes(keyName(entry)))) {
+        return;
+      }
+      const kept = properties.filter(entry => !props.includes(keyName(entry)));
+      if (kept.length > 0) {
+        const text = `argTypes: ${printEntries(kept.map(entry => source.slice(entry.start, entry.end)), indentOf(source, prop))}`;
+        edits.push({ start: prop.start, end: prop.end, text });
+      } else {
+        // Remove the property with its comma, and its line if it is on its own.
+        const lineStart = source.lastIndexOf('\n', prop.start - 1);
+        const start = /^\s*$/.test(source.slice(lineStart + 1, prop.start)) ? lineStart : prop.start;
+        const end = /^\s*,/.test(source.slice(prop.end)) ? source.indexOf(',', prop.end) + 1 : prop.end;
+        edits.push({ start, end, text: '' });
+      }
+    });
+
+  const updated = edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => `${result.slice(0, edit.start)}${edit.text}${result.slice(edit.end)}`, source);
+
+  if (updated === source) {
+    return { status: 'unchanged', source, reasons: [], stale };
+  }
+  const { errors } = validateConvertedStory(updated, source);
+  if (errors.length > 0) {
+    return { status: 'unsupported', source: null, reasons: errors, stale };
+  }
+  return { status: 'updated', source: updated, reasons: [], stale };
+}
+
+/**
+ * Updates the argTypes and args of the stories of every component.yml
+ *
+ * The story of `<name>.component.yml` is `<name>.stories.js` in the same
+ * directory. Components without a story are skipped.
+ *
+ * @async
+ * @param {string} componentsDirectory - The components directory of the sub-theme
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.write=true] - Whether to write the updated stories
+ * @return {Promise<Array<{component: string, story: string, status: string, reasons: Array<string>, stale: Array<string>}>>}
+ *   The result of each component, with paths relative to the components directory
+ */
+async function syncStoriesWithSchemas(componentsDirectory, { write = true } = {}) {
+  const definitions = (await glob('**/*.component.yml', { cwd: componentsDirectory, ignore: '**/node_modules/**' })).sort();
+  const results = [];
+
+  for (const definitionFile of definitions) {
+    const story = definitionFile.replace(/\.component\.yml$/, '.stories.js');
+    const result = { component: definitionFile, story, status: 'skipped', reasons: [], stale: [] };
+    results.push(result);
+
+    let source;
+    try {
+      source = await fs.readFile(path.join(componentsDirectory, story), 'utf8');
+    } catch {
+      result.reasons.push('has no story');
+      continue;
+    }
+
+    let definition;
+    try {
+      definition = yaml.load(await fs.readFile(path.join(componentsDirectory, definitionFile), 'utf8'));
+    } catch (error) {
+      Object.assign(result, { status: 'unsupported', reasons: [`component.yml could not be parsed: ${error.message}`] });
+      continue;
+    }
+
+    const { status, source: updated, reasons, stale } = updateStoryArgTypes(source, definition);
+    Object.assign(result, { status, reasons, stale });
+    if (status === 'updated' && write) {
+      await fs.writeFile(path.join(componentsDirectory, story), updated);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  RADIO_OPTIONS_LIMIT,
+  schemaToArgTypes,
+  updateStoryArgTypes,
+  syncStoriesWithSchemas
+};
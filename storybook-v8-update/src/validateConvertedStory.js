@@ -0,0 +1,139 @@
+/**
+ * Checks a converted story before it replaces the original
+ *
+ * A converted story has to parse as an ES module, default export a meta
+ * object with a `component`, no longer use knobs and export every story of
+ * the original.
+ *
+ * @module validateConvertedStory
+ */
+
+const { parse } = require('@babel/parser');
+
+/**
+ * Parses a story as an ES module
+ *
+ * @param {string} source - The source of the story
+ * @return {Object} The Babel AST of the story
+ * @throws {Error} If the story does not parse
+ */
+function parseStory(source) {
+  return parse(source, { sourceType: 'module', plugins: ['jsx'] });
+}
+
+/**
+ * Lists the names of the named exports of a story
+ *
+ * @param {Object} ast - The Babel AST of the story
+ * @return {string[]} The exported story names
+ */
+function getStoryExports(ast) {
+  const names = [];
+  ast.program.body
+    .filter(node => node.type === 'ExportNamedDeclaration')
+    .forEach(node => {
+      if (node.declaration?.type === 'VariableDeclaration') {
+        node.declaration.declarations
+          .filter(declarator => declarator.id.type === 'Identifier')
+          .forEach(declarator => names.push(declarator.id.name));
+      } else if (node.declaration?.id) {
+        names.push(node.declaration.id.name);
+      }
+      node.specifiers
+        .filter(specifier => specifier.type === 'ExportSpecifier')
+        .forEach(specifier => names.push(specifier.exported.name ?? specifier.exported.value));
+    });
+  return names;
+}
+
+/**
+ * Finds the object the story default exports as its meta
+ *
+ * The object is exported directly or through a top-level variable, e.g.
+ * `const meta = {...}; export default meta;`.
+ *
+ * @param {Object} ast - The Babel AST of the story
+ * @return {{found: boolean, meta: Object|null}} Whether there is a default export and its meta object, null if the
+ *   default export is not an object
+ */
+function getMeta(ast) {
+  const exportDefault = ast.program.body.find(node => node.type === 'ExportDefaultDeclaration');
+  if (!exportDefault) {
+    return { found: false, meta: null };
+  }
+
+  const { declaration } = exportDefault;
+  if (declaration.type === 'ObjectExpression') {
+    return { found: true, meta: declaration };
+  }
+  if (declaration.type === 'Identifier') {
+    const declarator = ast.program.body
+      .filter(node => node.type === 'VariableDeclaration')
+      .flatMap(node => node.declarations)
+      .find(candidate => candidate.id.type === 'Identifier' && candidate.id.name === declaration.name);
+    if (declarator?.init?.type === 'ObjectExpression') {
+      return { found: true, meta: declarator.init };
+    }
+  }
+  return { found: true, meta: null };
+}
+
+/**
+ * Checks a converted story against its original
+ *
+ * Stories of an original that does not parse are not compared.
+ *
+ * @param {string} source - The converted story
+ * @param {string} [original] - The story before the conversion
+ * @return {{valid: boolean, errors: string[], stories: string[]}} Whether the converted story can replace the
+ *   original, what is wrong with it and its story names
+ */
+function validateConvertedStory(source, original) {
+  let ast;
+  try {
+    ast = parseStory(source);
+  } catch (error) {
+    return { valid: false, errors: [`Does not parse as an ES module: ${error.message}`], stories: [] };
+  }
+
+  const errors = [];
+  const { found, meta } = getMeta(ast);
+  if (!found) {
+    errors.push('Has no default export');
+  } else if (!meta) {
+    errors.push('The default export is not a meta object');
+  } else if (!meta.properties.some(property => property.type === 'ObjectProperty'
+    && (property.key.name ?? property.key.value) === 'component')) {
+    errors.push('The meta has no component');
+  }
+
+  const stories = getStoryExports(ast);
+  if (stories.length === 0) {
+    errors.push('Has no named story exports');
+  }
+
+  if (ast.program.body.some(node => node.type === 'ImportDeclaration' && node.source.value === '@storybook/addon-knobs')) {
+    errors.push('Still imports @storybook/addon-knobs');
+  }
+
+  if (original !== undefined) {
+    let originalStories = [];
+    try {
+      originalStories = getStoryExports(parseStory(original));
+    } catch {
+      // An original that does not parse has nothing to compare.
+    }
+    originalStories
+      .filter(name => !stories.includes(name))
+      .forEach(name => errors.push(`Story ${name} of the original is missing`));
+  }
+
+  return { valid: errors.length === 0, errors, stories };
+}
+
+module.exports = {
+  parseStory,
+  getMeta,
+  getStoryExports,
+  validateConvertedStory
+};
@@ -0,0 +1,114 @@
+/**
+ * Tests for the codemod converting Storybook 6 knobs to Storybook 8 controls
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('@babel/parser');
+const { convertKnobsToControls } = require('../src/convertKnobsToControls');
+
+const STORIES_DIR = path.join(__dirname, 'fixtures', 'knobs-stories');
+
+/**
+ * Converts a story of the knobs-stories fixtures
+ *
+ * @param {string} name - The name of the story file
+ * @param {Object} [options] - Options of the codemod
+ * @return {{status: string, source: string|null, reasons: string[]}} The result of the codemod
+ */
+function convertFixture(name, options) {
+  return convertKnobsToControls(fs.readFileSync(path.join(STORIES_DIR, name), 'utf8'), options);
+}
+
+describe('Knobs to controls codemod', () => {
+  test('Converts knobs to argTypes and args', () => {
+    const { status, source, reasons } = convertFixture('button.stories.js');
+    expect(status).toBe('converted');
+    expect(reasons).toEqual([]);
+    expect(source).toContain([
+      '    theme: {',
+      "      control: { type: 'radio' },",
+      "      options: ['light', 'dark'],",
+      '    },',
+      '    kind: {',
+      "      control: { type: 'select' },",
+      "      options: ['button', 'link', 'reset'],",
+      '    },'
+    ].join('\n'));
+    expect(source).toContain("      control: { type: 'range', min: 0, max: 10, step: 1 },");
+    expect(source).toContain([
+      'export const Button = {',
+      "  name: 'Button',",
+      '  args: {',
+      "    theme: 'light',",
+      "    kind: 'button',",
+      "    text: 'Button text',",
+      "    url: 'https://www.example.com',",
+      '    is_new_window: false,',
+      "    icon: 'arrow-right',",
+      '    count: 3,',
+      "    label: 'General',",
+      "    modifier_class: '',",
+      '  },',
+      '};'
+    ].join('\n'));
+    expect(source).not.toContain('@storybook/addon-knobs');
+    expect(source).not.toContain('base.utils');
+  });
+
+  test('Keeps the header comment, default export and parameters', () => {
+    const { source } = convertFixture('button.stories.js');
+    expect(source.startsWith('// phpcs:ignoreFile\n')).toBe(true);
+    expect(source).toContain("import Component from './button.twig';");
+    expect(source).toContain("  title: 'Atoms/Button',\n  component: Component,");
+    expect(source).toContain("  parameters: {\n    layout: 'centered',\n  },");
+    expect(source).toContain('export default meta;');
+  });
+
+  test('Reads icons and backgrounds from the constants', () => {
+    const button = convertFixture('button.stories.js', { constantsPath: '../../dist/constants.json' });
+    expect(button.source).toContain("import Constants from '../../dist/constants.json'; // eslint-disable-line import/no-unresolved");
+    expect(button.source).toContain('      options: Constants.ICONS,');
+
+    const list = convertFixture('list.stories.js');
+    expect(list.source).toContain("      control: { type: 'inline-radio' },\n      options: Constants.BACKGROUNDS,");
+  });
+
+  test('Replaces the data helpers with fixed values', () => {
+    const { source } = convertFixture('list.stories.js');
+    expect(source).toContain("    image: 'https://picsum.photos/400',");
+    expect(source).toContain('    id: `random-id-${Math.floor(Math.random() * (100 - 1) + 1)}`,');
+    expect(source.match(/text: 'Example link'/g)).toHaveLength(2);
+    expect(source).toContain("                title: 'Subsublink 3',");
+    expect(source).not.toContain('randomLinks');
+    expect(source).not.toContain('getMenuLinks');
+  });
+
+  test('Shares the argTypes of the first story and converts every story', () => {
+    const { source } = convertFixture('list.stories.js');
+    expect(source.match(/argTypes:/g)).toHaveLength(1);
+    expect(source).toContain("export const Menu = {\n  parameters: {\n    layout: 'fullscreen',\n  },\n  args: {\n    theme: 'dark',");
+    expect(source).not.toContain('Menu.parameters');
+    expect(source).toContain("import './list.scss';");
+  });
+
+  test('Produces stories that parse', () => {
+    ['button.stories.js', 'list.stories.js'].forEach(name => {
+      const { source } = convertFixture(name);
+      expect(() => parse(source, { sourceType: 'module' })).not.toThrow();
+    });
+  });
+
+  test('Lists stories it cannot convert with the reasons', () => {
+    const { status, source, reasons } = convertFixture('card.stories.js');
+    expect(status).toBe('unsupported');
+    expect(source).toBeNull();
+    expect(reasons).toContain('story passes the result of getSlots() to its component');
+  });
+
+  test('Skips stories that already use controls', () => {
+    const { status, source } = convertFixture('heading.stories.js');
+    expect(status).toBe('skipped');
+    expect(source).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for pointing the build files of a subtheme at the installed CivicTheme
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  findDrupalRoot,
+  findCivicThemeDirectory,
+  rewriteCivicThemePaths,
+  fixCivicThemePath
+} = require('../src/fixCivicThemePath');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SITE_DIR = path.join(FIXTURES_DIR, 'drupal-site', 'web');
+const PROFILE_SITE_DIR = path.join(FIXTURES_DIR, 'drupal-profile-site', 'web');
+
+describe('CivicTheme path detection', () => {
+  test('Finds the docroot with Drupal core', async () => {
+    const root = await findDrupalRoot(path.join(SITE_DIR, 'themes', 'custom', 'site_theme'));
+    expect(root).toBe(SITE_DIR);
+  });
+
+  test('Falls back to the parent of the themes directory without Drupal core', async () => {
+    const root = await findDrupalRoot(path.join(PROFILE_SITE_DIR, 'themes', 'custom', 'site_theme'));
+    expect(root).toBe(PROFILE_SITE_DIR);
+  });
+
+  test('Finds CivicTheme in the contrib themes', async () => {
+    const { directory } = await findCivicThemeDirectory(path.join(SITE_DIR, 'themes', 'custom', 'site_theme'));
+    expect(directory).toBe(path.join(SITE_DIR, 'themes', 'contrib', 'civictheme'));
+  });
+
+  test('Skips CivicTheme directories without components and checks install profiles', async () => {
+    const { directory, checked } = await findCivicThemeDirectory(path.join(PROFILE_SITE_DIR, 'themes', 'custom', 'site_theme'));
+    expect(checked).toContain(path.join(PROFILE_SITE_DIR, 'themes', 'contrib', 'civictheme'));
+    expect(directory).toBe(path.join(PROFILE_SITE_DIR, 'profiles', 'contrib', 'govcms', 'themes', 'contrib', 'civictheme'));
+  });
+});
+
+describe('CivicTheme path rewriting', () => {
+  test('Rewrites DIR_CIVICTHEME and keeps the trailing slash', () => {
+    const source = "const DIR_CIVICTHEME            = fullPath('../../contrib/civictheme/')\n";
+    const result = rewriteCivicThemePaths(source, '../../../profiles/contrib/govcms/themes/contrib/civictheme');
+    expect(result.source).toBe("const DIR_CIVICTHEME            = fullPath('../../../profiles/contrib/govcms/themes/contrib/civictheme/')\n");
+    expect(result.rewritten).toEqual([{
+      line: 1,
+      from: '../../contrib/civictheme/',
+      to: '../../../profiles/contrib/govcms/themes/contrib/civictheme/'
+    }]);
+  });
+
+  test('Rewrites paths below CivicTheme and leaves other paths alone', () => {
+    const source = [
+      "import path from 'path'",
+      "const components = path.resolve(__dirname, \"../../contrib/civictheme/components\")",
+      "const starterKit = '../../contrib/civictheme_starter_kit'",
+      "const dist = './dist'"
+    ].join('\n');
+    const result = rewriteCivicThemePaths(source, '../../custom/civictheme');
+    expect(result.source).toContain('"../../custom/civictheme/components"');
+    expect(result.source).toContain("'../../contrib/civictheme_starter_kit'");
+    expect(result.rewritten).toEqual([{ line: 2, from: '../../contrib/civictheme/components', to: '../../custom/civictheme/components' }]);
+  });
+
+  test('Leaves paths that are already correct unchanged', () => {
+    const source = "const DIR_CIVICTHEME = fullPath('../../contrib/civictheme/')";
+    const result = rewriteCivicThemePaths(source, '../../contrib/civictheme');
+    expect(result.source).toBe(source);
+    expect(result.rewritten).toEqual([]);
+  });
+});
+
+describe('CivicTheme path fix', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'civictheme-path-'));
+    await fs.cp(path.join(FIXTURES_DIR, 'drupal-profile-site'), tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('Rewrites the build files of the subtheme', async () => {
+    const subthemeDir = path.join(tempDir, 'web', 'themes', 'custom', 'site_theme');
+    await fs.writeFile(path.join(subthemeDir, 'build.js'), "const DIR_CIVICTHEME = fullPath('../../contrib/civictheme/')\n");
+    await fs.writeFile(path.join(subthemeDir, 'vite.config.js'), "export default { root: './' }\n");
+
+    const result = await fixCivicThemePath(subthemeDir);
+    expect(result.fixed).toBe(true);
+    expect(result.rewritten).toHaveLength(1);
+    expect(result.rewritten[0].file).toBe('build.js');
+    expect(await fs.readFile(path.join(subthemeDir, 'build.js'), 'utf8'))
+      .toBe("const DIR_CIVICTHEME = fullPath('../../../profiles/contrib/govcms/themes/contrib/civictheme/')\n");
+    expect(await fs.readFile(path.join(subthemeDir, 'vite.config.js'), 'utf8')).toBe("export default { root: './' }\n");
+  });
+
+  test('Finds CivicTheme from where the subtheme is installed when a staged copy is updated', async () => {
+    const installedDir = path.join(tempDir, 'web', 'themes', 'custom', 'site_theme');
+    const stagedDir = path.join(tempDir, 'staged');
+    await fs.mkdir(stagedDir);
+    await fs.writeFile(path.join(stagedDir, 'build.js'), "const DIR_CIVICTHEME = fullPath('../../contrib/civictheme/')\n");
+
+    const result = await fixCivicThemePath(stagedDir, undefined, installedDir);
+    expect(result.fixed).toBe(true);
+    expect(await fs.readFile(path.join(stagedDir, 'build.js'), 'utf8'))
+      .toBe("const DIR_CIVICTHEME = fullPath('../../../profiles/contrib/govcms/themes/contrib/civictheme/')\n");
+  });
+
+  test('Reports a subtheme outside of a Drupal site', async () => {
+    const result = await fixCivicThemePath(tempDir);
+    expect(result.fixed).toBe(false);
+    expect(result.message).toContain('Drupal docroot');
+  });
+});
@@ -0,0 +1,39 @@
+// phpcs:ignoreFile
+import { boolean, number, radios, select, text } from '@storybook/addon-knobs';
+import { randomUrl, randomArrayItem } from '../../00-base/base.utils';
+import CivicThemeButton from './button.twig';
+
+export default {
+  title: 'Atoms/Button',
+  parameters: {
+    layout: 'centered',
+  },
+};
+
+export const Button = (parentKnobs = {}) => {
+  const generalKnobTab = 'General';
+
+  const knobs = {
+    theme: radios(
+      'Theme',
+      {
+        Light: 'light',
+        Dark: 'dark',
+      },
+      'light',
+      parentKnobs.knobTab,
+    ),
+    kind: select('Kind', { Button: 'button', Link: 'link', Reset: 'reset' }, 'button', generalKnobTab),
+    text: text('Text', 'Button text', generalKnobTab),
+    url: text('URL', randomUrl(), generalKnobTab),
+    is_new_window: boolean('Open in a new window', false, generalKnobTab),
+    icon: select('Icon', Object.values(ICONS), randomArrayItem(['arrow-right', 'download']), generalKnobTab),
+    count: number('Count', 3, { range: true, min: 0, max: 10, step: 1 }, generalKnobTab),
+    label: generalKnobTab,
+    modifier_class: '',
+  };
+
+  return shouldRender(parentKnobs) ? CivicThemeButton(knobs) : knobs;
+};
+
+Button.storyName = 'Button';
@@ -0,0 +1,19 @@
+import { boolean, text } from '@storybook/addon-knobs';
+import { getSlots } from '../../00-base/base.utils';
+import CivicThemeCard from './card.twig';
+
+export default {
+  title: 'Molecules/Card',
+};
+
+export const Card = (parentKnobs = {}) => {
+  const knobs = {
+    title: text('Title', 'Card title', parentKnobs.knobTab),
+    with_image: boolean('With image', true, parentKnobs.knobTab),
+  };
+
+  return shouldRender(parentKnobs) ? CivicThemeCard({
+    ...knobs,
+    ...getSlots(['image_over', 'content_top']),
+  }) : knobs;
+};
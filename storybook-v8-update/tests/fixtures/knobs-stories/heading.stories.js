@@ -0,0 +1,14 @@
+import Component from './heading.twig';
+
+const meta = {
+  title: 'Atoms/Heading',
+  component: Component,
+};
+
+export default meta;
+
+export const Heading = {
+  args: {
+    content: 'Heading',
+  },
+};
@@ -0,0 +1,27 @@
+import { options, radios, object } from '@storybook/addon-knobs';
+import {
+  demoImage, getMenuLinks, randomId, randomLinks,
+} from '../../00-base/base.utils';
+import CivicThemeList from './list.twig';
+import './list.scss';
+
+export default {
+  title: 'Organisms/List',
+};
+
+export const List = () => CivicThemeList({
+  theme: radios('Theme', { Light: 'light', Dark: 'dark' }, 'light'),
+  background: options('Background', BACKGROUNDS, 'none', { display: 'inline-radio' }),
+  id: randomId(1, 100),
+  image: demoImage(),
+  links: object('Links', randomLinks(2)),
+});
+
+export const Menu = () => CivicThemeList({
+  theme: radios('Theme', { Light: 'light', Dark: 'dark' }, 'dark'),
+  items: getMenuLinks(),
+});
+
+Menu.parameters = {
+  layout: 'fullscreen',
+};
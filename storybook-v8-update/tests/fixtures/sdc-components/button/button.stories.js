@@ -0,0 +1,41 @@
+// phpcs:ignoreFile
+import Component from './button.twig';
+
+const meta = {
+  title: 'Atoms/Button',
+  component: Component,
+  argTypes: {
+    theme: {
+      control: { type: 'select' },
+      options: ['light', 'dark', 'contrast'],
+      table: { category: 'Style' },
+    },
+    size: {
+      control: { type: 'radio' },
+      options: ['large', 'small'],
+    },
+  },
+  args: {
+    theme: 'dark',
+    size: 'large',
+  },
+};
+
+export default meta;
+
+export const Button = {
+  args: {
+    text: 'Button text',
+  },
+};
+
+export const DisabledButton = {
+  argTypes: {
+    kind: {
+      control: { type: 'text' },
+    },
+  },
+  args: {
+    kind: 'disabled',
+  },
+};
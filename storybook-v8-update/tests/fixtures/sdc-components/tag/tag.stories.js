@@ -0,0 +1,10 @@
+import { text } from '@storybook/addon-knobs';
+import CivicThemeTag from './tag.twig';
+
+export default {
+  title: 'Atoms/Tag',
+};
+
+export const Tag = () => CivicThemeTag({
+  content: text('Content', 'Tag content'),
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for generating Storybook argTypes and args from SDC component.yml schemas
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { schemaToArgTypes, updateStoryArgTypes, syncStoriesWithSchemas } = require('../src/generateArgTypes');
+
+const COMPONENTS_DIR = path.join(__dirname, 'fixtures', 'sdc-components');
+
+/**
+ * Reads a file of the sdc-components fixtures
+ *
+ * @async
+ * @param {string} file - Path relative to the fixtures
+ * @return {Promise<string>} The content of the file
+ */
+function readFixture(file) {
+  return fs.readFile(path.join(COMPONENTS_DIR, file), 'utf8');
+}
+
+describe('argTypes from component schemas', () => {
+  test('Maps enums, booleans, numbers and objects to controls', async () => {
+    const { argTypes, args } = schemaToArgTypes(yaml.load(await readFixture('button/button.component.yml')));
+    expect(argTypes.theme).toEqual({ control: { type: 'radio' }, options: ['light', 'dark'], description: 'Theme variation.' });
+    expect(argTypes.kind.control).toEqual({ type: 'select' });
+    expect(argTypes.text).toEqual({ control: { type: 'text' }, description: 'Text' });
+    expect(argTypes.is_new_window.control).toEqual({ type: 'boolean' });
+    expect(argTypes.count.control).toEqual({ type: 'number', min: 0, max: 10 });
+    expect(argTypes.attributes.control).toEqual({ type: 'object' });
+    expect(argTypes).not.toHaveProperty('content');
+    expect(args).toEqual({ theme: 'light', kind: 'button', is_new_window: false });
+  });
+
+  test('Updates the argTypes and args of the meta and keeps the rest', async () => {
+    const definition = yaml.load(await readFixture('button/button.component.yml'));
+    const { status, source, stale } = updateStoryArgTypes(await readFixture('button/button.stories.js'), definition);
+    expect(status).toBe('updated');
+    expect(stale).toEqual(['size']);
+    expect(source).toContain([
+      '    theme: {',
+      "      control: { type: 'radio' },",
+      "      options: ['light', 'dark'],",
+      "      description: 'Theme variation.',",
+      "      table: { category: 'Style' },",
+      '    },',
+      '    size: {',
+      "      control: { type: 'radio' },",
+      "      options: ['large', 'small'],",
+      '    },',
+      '    kind: {',
+      "      control: { type: 'select' },",
+      "      options: ['button', 'link', 'reset', 'submit', 'disabled'],"
+    ].join('\n'));
+    expect(source).toContain("  args: {\n    theme: 'light',\n    size: 'large',\n    kind: 'button',\n    is_new_window: false,\n  },");
+    expect(source.startsWith("// phpcs:ignoreFile\nimport Component from './button.twig';")).toBe(true);
+    expect(source).toContain("export const Button = {\n  args: {\n    text: 'Button text',\n  },\n};");
+  });
+
+  test('Removes argTypes of props from the stories', async () => {
+    const definition = yaml.load(await readFixture('button/button.component.yml'));
+    const { source } = updateStoryArgTypes(await readFixture('button/button.stories.js'), definition);
+    expect(source).toContain("export const DisabledButton = {\n  args: {\n    kind: 'disabled',\n  },\n};");
+  });
+
+  test('Leaves stories that are in sync unchanged', async () => {
+    const definition = yaml.load(await readFixture('button/button.component.yml'));
+    const { source } = updateStoryArgTypes(await readFixture('button/button.stories.js'), definition);
+    expect(updateStoryArgTypes(source, definition)).toEqual({ status: 'unchanged', source, reasons: [], stale: ['size'] });
+  });
+
+  test('Adds argTypes and args to a meta without them', () => {
+    const source = "import Component from './tag.twig';\n\nexport default { title: 'Atoms/Tag', component: Component };\n\nexport const Tag = {};\n";
+    const definition = { props: { properties: { content: { type: 'string', title: 'Content', default: 'Tag' } } } };
+    expect(updateStoryArgTypes(source, definition).source).toBe([
+      "import Component from './tag.twig';",
+      '',
+      'export default {',
+      "  title: 'Atoms/Tag',",
+      '  component: Component,',
+      '  argTypes: {',
+      '    content: {',
+      "      control: { type: 'text' },",
+      "      description: 'Content',",
+      '    },',
+      '  },',
+      '  args: {',
+      "    content: 'Tag',",
+      '  },',
+      '};',
+      '',
+      'export const Tag = {};',
+      ''
+    ].join('\n'));
+  });
+
+  test('Does not update stories that still use knobs', async () => {
+    const definition = yaml.load(await readFixture('tag/tag.component.yml'));
+    const { status, reasons } = updateStoryArgTypes(await readFixture('tag/tag.stories.js'), definition);
+    expect(status).toBe('unsupported');
+    expect(reasons).toEqual(['still uses knobs, convert it to controls first']);
+  });
+});
+
+describe('Story sync with component schemas', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sdc-components-'));
+    await fs.cp(COMPONENTS_DIR, tempDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('Updates the story of each component and reports the rest', async () => {
+    const results = await syncStoriesWithSchemas(tempDir);
+    expect(results.map(({ story, status }) => [story, status])).toEqual([
+      ['button/button.stories.js', 'updated'],
+      ['card/card.stories.js', 'skipped'],
+      ['tag/tag.stories.js', 'unsupported']
+    ]);
+    expect(await fs.readFile(path.join(tempDir, 'button', 'button.stories.js'), 'utf8')).toContain("description: 'Theme variation.'");
+    expect(await fs.readFile(path.join(tempDir, 'tag', 'tag.stories.js'), 'utf8')).toBe(await readFixture('tag/tag.stories.js'));
+  });
+
+  test('Does not write the stories without write', async () => {
+    await syncStoriesWithSchemas(tempDir, { write: false });
+    expect(await fs.readFile(path.join(tempDir, 'button', 'button.stories.js'), 'utf8')).toBe(await readFixture('button/button.stories.js'));
+  });
+});
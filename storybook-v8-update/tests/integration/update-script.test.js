@@ -17,28 +17,41 @@ const TEST_SUBTHEME_DIR = path.join(FIXTURES_DIR, TEST_SUBTHEME_NAME);
 
 // Files expected to be removed by the script
 const EXPECTED_REMOVED_FILES = [
-  '.storybook',
   'webpack',
   'dist',
   '.components-civictheme',
   'components_combined',
   'patches',
   'gulpfile.js',
-  'package-lock.json',
-  'package.json',
-  '.nvmrc'
+  'package-lock.json'
 ];
 
 // Files expected to be added by the script
 const EXPECTED_ADDED_FILES = [
   '.storybook',
   'package.json',
-  'package-lock.json',
   'build.js',
   'vite.config.js',
   '.nvmrc'
 ];
 
+// The CivicTheme of the mock monorepo the script updates the subtheme to
+const MOCK_CIVICTHEME_DIR = path.resolve(__dirname, './mock-monorepo/web/themes/contrib/civictheme');
+
+// package.json of the subtheme with a custom dependency and script
+const SUBTHEME_PACKAGE = {
+  name: TEST_SUBTHEME_NAME,
+  scripts: { build: 'webpack', lint: 'eslint components' },
+  devDependencies: { webpack: '^5.0.0', 'custom-package': '^1.0.0' }
+};
+
+// package.json of the starter kit of the mock monorepo
+const STARTER_KIT_PACKAGE = {
+  name: 'civictheme_starter_kit',
+  scripts: { build: 'vite build' },
+  devDependencies: { vite: '^6.0.0' }
+};
+
 /**
  * Creates a test fixture subtheme with the necessary files
  */
@@ -77,12 +90,13 @@ export const Default = () => {
   
   // Create files that should be removed
   for (const file of EXPECTED_REMOVED_FILES) {
-    if (file.endsWith('/')) {
-      await fs.mkdir(path.join(TEST_SUBTHEME_DIR, file), { recursive: true });
-    } else {
-      await fs.writeFile(path.join(TEST_SUBTHEME_DIR, file), 'Test content');
-    }
+    await fs.writeFile(path.join(TEST_SUBTHEME_DIR, file), 'Test content');
   }
+
+  // Create the files that are merged with the starter kit
+  await fs.mkdir(path.join(TEST_SUBTHEME_DIR, '.storybook'), { recursive: true });
+  await fs.writeFile(path.join(TEST_SUBTHEME_DIR, '.storybook', 'custom.js'), 'Custom storybook config\n');
+  await fs.writeFile(path.join(TEST_SUBTHEME_DIR, 'package.json'), JSON.stringify(SUBTHEME_PACKAGE, null, 2));
 }
 
 /**
@@ -102,40 +116,21 @@ async function cleanupTestFixture() {
  */
 function runUpdateScript() {
   console.log('Running update script...');
-  
-  // Create a modified version of the script for testing
-  const originalScriptPath = path.resolve(__dirname, '../../scripts/update-build-and-storybook.sh');
-  const testScriptPath = path.resolve(__dirname, './test-update-script.sh');
-  
-  // Read the original script
-  const originalScript = execSync(`cat ${originalScriptPath}`, { encoding: 'utf8' });
-  
-  // Modify the script to skip the monorepo clone and use a mock instead
-  let testScript = originalScript.replace(
-    /# Step 2: Pull the civictheme-monorepo[\s\S]*?fi\n\nNEW_CIVIC_DIR=/g,
-    `# Step 2: Using mock monorepo\nlog_message "Using mock monorepo" "📥"\nNEW_CIVIC_DIR=`
-  );
-  
-  // Create the test script file
-  fsSync.writeFileSync(testScriptPath, testScript);
-  execSync(`chmod +x ${testScriptPath}`);
-  
-  // Set up a mock monorepo directory
-  const mockMonorepoDir = path.resolve(__dirname, './mock-monorepo/web/themes/contrib/civictheme/civictheme_starter_kit');
-  execSync(`mkdir -p ${mockMonorepoDir}/.storybook`);
-  execSync(`mkdir -p ${mockMonorepoDir}`);
-  
-  // Create mock files in the monorepo
-  for (const file of EXPECTED_ADDED_FILES) {
-    if (file === '.storybook') {
-      execSync(`echo "Mock storybook config" > ${mockMonorepoDir}/.storybook/main.js`);
-    } else {
-      execSync(`echo "Mock content for ${file}" > ${mockMonorepoDir}/${file}`);
-    }
+
+  const scriptPath = path.resolve(__dirname, '../../scripts/update-build-and-storybook.sh');
+
+  // Set up the starter kit of the mock monorepo
+  const mockStarterKitDir = path.join(MOCK_CIVICTHEME_DIR, 'civictheme_starter_kit');
+  fsSync.mkdirSync(path.join(mockStarterKitDir, '.storybook'), { recursive: true });
+  fsSync.writeFileSync(path.join(mockStarterKitDir, '.storybook', 'main.js'), 'Mock storybook config\n');
+  fsSync.writeFileSync(path.join(mockStarterKitDir, 'package.json'), `${JSON.stringify(STARTER_KIT_PACKAGE, null, 2)}\n`);
+  for (const file of ['build.js', 'vite.config.js', '.nvmrc']) {
+    fsSync.writeFileSync(path.join(mockStarterKitDir, file), `Mock content for ${file}\n`);
   }
-  
-  // Run the modified script with the test subtheme
-  execSync(`SUBTHEME_DIRECTORY=${TEST_SUBTHEME_DIR} ${testScriptPath}`, {
+
+  // Run the script with the mock monorepo as the CivicTheme source
+  execSync(scriptPath, {
+    env: { ...process.env, SUBTHEME_DIRECTORY: TEST_SUBTHEME_DIR, CIVICTHEME_DIRECTORY: MOCK_CIVICTHEME_DIR },
     stdio: 'inherit'
   });
 }
@@ -158,6 +153,39 @@ async function verifyChanges() {
     }
   }
   
+  // Check for removed files
+  for (const file of EXPECTED_REMOVED_FILES) {
+    if (fsSync.existsSync(path.join(TEST_SUBTHEME_DIR, file))) {
+      console.error(`❌ Found expected removed file: ${file}`);
+      errors++;
+    } else {
+      console.log(`✅ Removed expected file: ${file}`);
+    }
+  }
+
+  // Check that customisations of the subtheme were kept
+  try {
+    await fs.access(path.join(TEST_SUBTHEME_DIR, '.storybook', 'custom.js'));
+    await fs.access(path.join(TEST_SUBTHEME_DIR, '.storybook', 'main.js'));
+    console.log(`✅ Merged the .storybook directory`);
+  } catch (error) {
+    console.error(`❌ The .storybook directory was not merged`);
+    errors++;
+  }
+
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.join(TEST_SUBTHEME_DIR, 'package.json'), 'utf8'));
+    if (packageJson.devDependencies['custom-package'] && packageJson.devDependencies.vite && packageJson.scripts.lint) {
+      console.log(`✅ Merged package.json`);
+    } else {
+      console.error(`❌ package.json lost the custom dependency or the starter kit's dependencies`);
+      errors++;
+    }
+  } catch (error) {
+    console.error(`❌ Could not read package.json: ${error.message}`);
+    errors++;
+  }
+
   // Check for original info.yml and components
   try {
     await fs.access(path.join(TEST_SUBTHEME_DIR, `${TEST_SUBTHEME_NAME}.info.yml`));
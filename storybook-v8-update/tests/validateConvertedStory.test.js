@@ -0,0 +1,86 @@
+/**
+ * Tests for checking converted stories before they replace the original
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStoryExports, validateConvertedStory } = require('../src/validateConvertedStory');
+const { parse } = require('@babel/parser');
+
+const STORIES_DIR = path.join(__dirname, 'fixtures', 'knobs-stories');
+const ORIGINAL = fs.readFileSync(path.join(STORIES_DIR, 'list.stories.js'), 'utf8');
+
+const CONVERTED = [
+  "import Component from './list.twig';",
+  '',
+  'const meta = {',
+  "  title: 'Organisms/List',",
+  '  component: Component,',
+  '};',
+  '',
+  'export default meta;',
+  '',
+  'export const List = {',
+  "  args: { theme: 'light' },",
+  '};',
+  '',
+  'export const Menu = {',
+  "  args: { theme: 'dark' },",
+  '};',
+  ''
+].join('\n');
+
+describe('Converted story validation', () => {
+  test('Accepts a story with a meta component and every original story', () => {
+    expect(validateConvertedStory(CONVERTED, ORIGINAL)).toEqual({ valid: true, errors: [], stories: ['List', 'Menu'] });
+  });
+
+  test('Accepts a meta object exported directly', () => {
+    const source = "import Component from './list.twig';\nexport default { component: Component };\nexport const List = {};\n";
+    expect(validateConvertedStory(source).valid).toBe(true);
+  });
+
+  test('Rejects a story wrapped in markdown fences', () => {
+    // The fences parse as template literals around the story, without exports.
+    const { valid, errors } = validateConvertedStory(`\`\`\`javascript\n${CONVERTED}\`\`\`\n`, ORIGINAL);
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'Has no default export',
+      'Has no named story exports',
+      'Story List of the original is missing',
+      'Story Menu of the original is missing'
+    ]);
+  });
+
+  test('Rejects a truncated story', () => {
+    const { valid, errors } = validateConvertedStory(CONVERTED.slice(0, CONVERTED.indexOf('export const Menu') + 30), ORIGINAL);
+    expect(valid).toBe(false);
+    expect(errors[0]).toMatch(/^Does not parse as an ES module/);
+  });
+
+  test('Rejects a story without a default export or component', () => {
+    expect(validateConvertedStory('export const List = {};\n').errors).toEqual(['Has no default export']);
+    expect(validateConvertedStory("export default 'List';\nexport const List = {};\n").errors)
+      .toEqual(['The default export is not a meta object']);
+    expect(validateConvertedStory("export default { title: 'List' };\nexport const List = {};\n").errors)
+      .toEqual(['The meta has no component']);
+  });
+
+  test('Rejects a story without named stories or still using knobs', () => {
+    const source = "import { text } from '@storybook/addon-knobs';\nimport Component from './list.twig';\nexport default { component: Component };\n";
+    expect(validateConvertedStory(source).errors).toEqual([
+      'Has no named story exports',
+      'Still imports @storybook/addon-knobs'
+    ]);
+  });
+
+  test('Reports stories of the original that are missing', () => {
+    const source = CONVERTED.slice(0, CONVERTED.indexOf('export const Menu'));
+    expect(validateConvertedStory(source, ORIGINAL).errors).toEqual(['Story Menu of the original is missing']);
+  });
+
+  test('Lists exported stories of every export form', () => {
+    const ast = parse('export const A = {}, B = {};\nexport function C() {}\nconst D = {};\nexport { D, D as E };\n', { sourceType: 'module' });
+    expect(getStoryExports(ast)).toEqual(['A', 'B', 'C', 'D', 'E']);
+  });
+});
@@ -17,8 +17,13 @@ import {glob} from 'glob';
 import path from 'path';
 import fs from 'fs/promises';
 import { spawn } from 'child_process';
-import convertSubthemeStorybook from './scripts/convert-subtheme-storybook.mjs';
+import convertSubthemeStorybook, { convertStoriesWithCodemod, estimateConversionCost } from './scripts/convert-subtheme-storybook.mjs';
 import { validateSubThemeDirectory } from './src/validateSubTheme.js';
+import { syncStoriesWithSchemas } from './src/generateArgTypes.js';
+import { getGitStatus, createSnapshot, loadSnapshot, rollbackSnapshot } from '../shared/snapshot.mjs';
+import { providerRequiresApiKey, formatCost } from '../shared/llm-providers/index.mjs';
+import { getVersionSource, prepareSource, cleanupSource, describeSource, WORK_DIRECTORY } from '../shared/civictheme-source.mjs';
+import { detectCivicThemeVersion, compareVersions } from '../shared/civictheme-version.mjs';
 
 import inquirerAutocomplete from "inquirer-autocomplete-prompt";
 
@@ -27,6 +32,24 @@ dotenv.config();
 
 inquirer.registerPrompt('autocomplete', inquirerAutocomplete);
 
+/**
+ * CivicTheme version that introduced Storybook 8 and the Vite build
+ *
+ * Matches the `storybook-v8` migration of the SDC update tool.
+ */
+const TARGET_VERSION = '1.10.0';
+
+/**
+ * Files the build system update copies from the CivicTheme starter kit
+ */
+const STARTER_KIT_FILES = [
+  'civictheme_starter_kit/.storybook',
+  'civictheme_starter_kit/package.json',
+  'civictheme_starter_kit/build.js',
+  'civictheme_starter_kit/vite.config.js',
+  'civictheme_starter_kit/.nvmrc'
+];
+
 /**
  * Welcome message displayed when the application starts
  */
@@ -55,6 +78,14 @@ async function mainMenu() {
   while (true) {
     console.log('\n' + chalk.blue.bold('📋 Main Menu') + '\n');
 
+    const rollbackChoices = [];
+    if (process.env.SUBTHEME_DIRECTORY && await loadSnapshot(process.env.SUBTHEME_DIRECTORY)) {
+      rollbackChoices.push({
+        name: chalk.magenta('⏪ Roll back last upgrade'),
+        value: 'rollback'
+      });
+    }
+
     const { choice } = await inquirer.prompt([
       {
         type: 'list',
@@ -66,9 +97,14 @@ async function mainMenu() {
             value: 'update_build_system'
           },
           {
-            name: chalk.yellow('🤖 Update storybook stories (AI API Key required)'),
+            name: chalk.yellow('🤖 Update storybook stories (AI API Key optional)'),
             value: 'update_stories'
           },
+          {
+            name: chalk.cyan('🧩 Generate story argTypes from component.yml'),
+            value: 'generate_arg_types'
+          },
+          ...rollbackChoices,
           {
             name: chalk.blue('⚙️  Configure sub-theme location and API key'),
             value: 'configure_application'
@@ -96,37 +132,82 @@ async function mainMenu() {
         await updateBuildAndStoryBook();
         break;
       case 'update_stories':
-        // Check both directory and API key
-        let needsConfig = false;
-
         if (!await hasValidSubThemeDirectory()) {
           console.log(chalk.yellow(`\n⚠️ The configured directory is not a valid CivicTheme sub-theme. Please configure a valid directory.\n`));
-          needsConfig = true;
+          await configureApplication();
+
+          // Recheck after configuration
+          if (!await hasValidSubThemeDirectory()) {
+            console.log(chalk.red(`\n❌ Cannot proceed with invalid sub-theme directory.\n`));
+            break;
+          }
         }
 
-        if (!hasApiKey()) {
-          console.log(chalk.yellow(`\n⚠️ No API key configured. You need to provide an Anthropic API key.\n`));
-          needsConfig = true;
+        console.log(chalk.blue('\n🔄 Starting Storybook stories update...\n'));
+        let codemodRun;
+        try {
+          codemodRun = convertStoriesWithCodemod();
+        } catch (error) {
+          console.error(chalk.red(`\n❌ Error updating Storybook stories: ${error.message}\n`));
+          break;
+        }
+
+        const { unsupported } = codemodRun;
+        if (unsupported.length === 0) {
+          console.log(chalk.green('\n✅ Successfully updated Storybook stories\n'));
+          break;
         }
 
-        if (needsConfig) {
+        // The LLM is only used for the stories the codemod could not convert.
+        if (!await confirmLlmConversion(unsupported.length)) {
+          console.log(chalk.yellow('\n⚪ The listed stories have to be converted by hand\n'));
+          break;
+        }
+
+        if (!hasApiKey()) {
+          console.log(chalk.yellow(`\n⚠️ No API key configured. You need to provide an Anthropic API key.\n`));
           await configureApplication();
 
           // Recheck after configuration
-          if (!await hasValidSubThemeDirectory() || !hasApiKey()) {
-            console.log(chalk.red(`\n❌ Cannot proceed without valid sub-theme directory and API key.\n`));
+          if (!hasApiKey()) {
+            console.log(chalk.red(`\n❌ Cannot convert the remaining stories without an API key.\n`));
             break;
           }
         }
 
-        console.log(chalk.blue('\n🔄 Starting Storybook stories update...\n'));
+        const storiesFiles = unsupported.map(({ filePath }) => filePath);
+        if (!await confirmConversionCost(storiesFiles)) {
+          break;
+        }
+
         try {
-          await convertSubthemeStorybook();
+          await convertSubthemeStorybook(storiesFiles, codemodRun);
           console.log(chalk.green('\n✅ Successfully updated Storybook stories\n'));
         } catch (error) {
           console.error(chalk.red(`\n❌ Error updating Storybook stories: ${error.message}\n`));
         }
 
+        break;
+      case 'generate_arg_types':
+        if (!await hasValidSubThemeDirectory()) {
+          console.log(chalk.yellow(`\n⚠️ The configured directory is not a valid CivicTheme sub-theme. Please configure a valid directory.\n`));
+          await configureApplication();
+
+          // Recheck after configuration
+          if (!await hasValidSubThemeDirectory()) {
+            console.log(chalk.red(`\n❌ Cannot proceed with invalid sub-theme directory.\n`));
+            break;
+          }
+        }
+
+        try {
+          await generateArgTypes(process.env.SUBTHEME_DIRECTORY);
+        } catch (error) {
+          console.error(chalk.red(`\n❌ Error generating argTypes: ${error.message}\n`));
+        }
+        break;
+      case 'rollback':
+        await rollbackLastUpgrade();
         break;
       case 'configure_application':
         await configureApplication();
@@ -170,14 +251,38 @@ async function updateBuildAndStoryBook() {
     return;
   }
 
+  if (!await confirmVersion(process.env.SUBTHEME_DIRECTORY)) {
+    return;
+  }
+
+  if (!await snapshotSubTheme(process.env.SUBTHEME_DIRECTORY)) {
+    return;
+  }
+
   console.log(chalk.blue('\n🔄 Starting build system update...\n'));
 
+  const sourceSpec = process.env.CIVICTHEME_SOURCE || getVersionSource(TARGET_VERSION);
+  console.log(chalk.blue(`📥 Preparing CivicTheme source: ${describeSource(sourceSpec)}`));
+  let source;
+  try {
+    source = await prepareSource(sourceSpec, { requiredFiles: STARTER_KIT_FILES });
+  } catch (error) {
+    console.error(chalk.red(`\n❌ ${error.message}\n`));
+    return;
+  }
+  const baseSource = await prepareBaseSource(process.env.SUBTHEME_DIRECTORY);
+
   // Replace the execFileAsync code with:
   const scriptPath = path.resolve('./scripts/update-build-and-storybook.sh');
   await fs.chmod(scriptPath, '755');
 
   const subprocess = spawn(scriptPath, [], {
-    env: { ...process.env, SUBTHEME_DIRECTORY: process.env.SUBTHEME_DIRECTORY },
+    env: {
+      ...process.env,
+      SUBTHEME_DIRECTORY: process.env.SUBTHEME_DIRECTORY,
+      CIVICTHEME_DIRECTORY: source.directory,
+      CIVICTHEME_BASE_DIRECTORY: baseSource ? baseSource.directory : ''
+    },
     stdio: ['inherit', 'pipe', 'pipe']
   });
 
@@ -192,6 +297,7 @@ async function updateBuildAndStoryBook() {
   });
 
   // Handle completion
+  // Cloned and extracted sources are removed once the script has finished.
   return new Promise((resolve, reject) => {
     subprocess.on('close', (code) => {
       if (code === 0) {
@@ -207,14 +313,239 @@ async function updateBuildAndStoryBook() {
       console.error(chalk.red(`\n❌ Failed to start script: ${error.message}`));
       reject(error);
     });
+  }).finally(async () => {
+    await cleanupSource(baseSource);
+    await cleanupSource(source);
   });
 }
 
+/**
+ * Generates the argTypes and args of the stories from their component.yml
+ *
+ * Stories that could not be updated and argTypes that are not props or slots
+ * of their component are listed.
+ *
+ * @async
+ * @param {string} subthemeDirectory - The sub-theme directory
+ * @return {Promise<void>} Resolves when the stories are updated
+ */
+async function generateArgTypes(subthemeDirectory) {
+  const results = await syncStoriesWithSchemas(path.join(subthemeDirectory, 'components'));
+  if (results.length === 0) {
+    console.log(chalk.yellow('\n⚠️ No component.yml files found, run the SDC update first\n'));
+    return;
+  }
+
+  results
+    .filter(result => result.status === 'updated')
+    .forEach(({ story }) => console.log(chalk.green(`✨ Updated ${story}`)));
+  results
+    .filter(result => result.status === 'unsupported')
+    .forEach(({ story, reasons }) => console.log(chalk.yellow(`⚠️ Could not update ${story}: ${reasons.join(', ')}`)));
+  results
+    .filter(result => result.stale.length > 0)
+    .forEach(({ story, stale }) => console.log(chalk.yellow(`⚠️ ${story} has argTypes that are not props or slots: ${stale.join(', ')}`)));
+
+  const updated = results.filter(result => result.status === 'updated').length;
+  console.log(chalk.green(`\n✅ Updated the argTypes of ${updated} of ${results.length} components\n`));
+}
+
+/**
+ * Prepares the CivicTheme source the sub-theme is on
+ *
+ * The package.json of the sub-theme is merged three-way with the starter kit
+ * of this source. It is read from CIVICTHEME_BASE_SOURCE, or defaults to the
+ * detected version when CIVICTHEME_SOURCE is not set.
+ *
+ * @async
+ * @param {string} subthemeDirectory - The sub-theme directory
+ * @return {Promise<Object|null>} The prepared source, or null if package.json is merged two-way
+ */
+async function prepareBaseSource(subthemeDirectory) {
+  let sourceSpec = process.env.CIVICTHEME_BASE_SOURCE;
+  if (!sourceSpec && !process.env.CIVICTHEME_SOURCE) {
+    const detected = await detectCivicThemeVersion(subthemeDirectory);
+    sourceSpec = detected ? getVersionSource(detected.version) : null;
+  }
+  if (!sourceSpec) {
+    console.log(chalk.gray('ℹ️  No CivicTheme source for the version of the sub-theme, package.json is merged two-way'));
+    return null;
+  }
+
+  console.log(chalk.blue(`📥 Preparing the CivicTheme source the sub-theme is on: ${describeSource(sourceSpec)}`));
+  try {
+    return await prepareSource(sourceSpec, {
+      requiredFiles: ['civictheme_starter_kit/package.json'],
+      workDirectory: path.join(WORK_DIRECTORY, 'base')
+    });
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  ${error.message}, package.json is merged two-way`));
+    return null;
+  }
+}
+
+/**
+ * Checks the CivicTheme version of the sub-theme before updating its build system
+ *
+ * Sub-themes detected to be on CivicTheme 1.10.0 or later already use
+ * Storybook 8, the user has to confirm updating them again.
+ *
+ * @async
+ * @param {string} subthemeDirectory - The sub-theme directory
+ * @return {Promise<boolean>} False if the user cancelled the update
+ */
+async function confirmVersion(subthemeDirectory) {
+  const detected = await detectCivicThemeVersion(subthemeDirectory);
+  if (!detected) {
+    console.log(chalk.gray(`\nℹ️  Could not detect the CivicTheme version, updating to CivicTheme ${TARGET_VERSION}`));
+    return true;
+  }
+
+  console.log(chalk.blue(`\n🔖 CivicTheme ${detected.version} (from ${path.basename(detected.file)}) → ${TARGET_VERSION}`));
+  if (compareVersions(detected.version, TARGET_VERSION) < 0) {
+    return true;
+  }
+
+  const { proceed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'proceed',
+      message: chalk.yellow(`The sub-theme is on CivicTheme ${detected.version}, which already uses Storybook 8. Update the build system anyway?`),
+      default: false
+    }
+  ]);
+  if (!proceed) {
+    console.log(chalk.yellow('\n⚪ Update cancelled by user\n'));
+  }
+  return proceed;
+}
+
+/**
+ * Snapshots the sub-theme so the upgrade can be rolled back
+ *
+ * Refuses to continue on a dirty git work tree unless the user confirms,
+ * in which case a tarball backup is made instead of a git snapshot.
+ *
+ * @async
+ * @param {string} subthemeDirectory - The sub-theme directory
+ * @return {Promise<boolean>} False if the user cancelled the update
+ */
+async function snapshotSubTheme(subthemeDirectory) {
+  const gitStatus = await getGitStatus(subthemeDirectory);
+  let allowDirty = false;
+
+  if (!gitStatus.isRepository) {
+    console.log(chalk.yellow('\n⚠️ The sub-theme is not in a git repository, a tarball backup will be created.'));
+  } else if (gitStatus.dirty) {
+    console.log(chalk.yellow(`\n⚠️ The sub-theme has ${gitStatus.changes.length} uncommitted changes:`));
+    gitStatus.changes.slice(0, 10).forEach(change => console.log(chalk.gray(`   ${change}`)));
+
+    const { proceed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'proceed',
+        message: chalk.yellow('Continue anyway? A tarball backup of the sub-theme will be created first.'),
+        default: false
+      }
+    ]);
+
+    if (!proceed) {
+      console.log(chalk.yellow('\n⚪ Update cancelled, commit your changes and try again\n'));
+      return false;
+    }
+    allowDirty = true;
+  }
+
+  const snapshot = await createSnapshot(subthemeDirectory, { allowDirty });
+  const location = snapshot.type === 'git' ? `branch ${snapshot.branch}` : snapshot.archive;
+  console.log(chalk.blue(`\n📸 Snapshot created: ${location}`));
+  return true;
+}
+
+/**
+ * Asks whether the stories the codemod could not convert should be converted
+ * by the LLM
+ *
+ * @async
+ * @param {number} stories - The number of stories the codemod could not convert
+ * @return {Promise<boolean>} True if the user opted in to the LLM conversion
+ */
+async function confirmLlmConversion(stories) {
+  const { useLlm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'useLlm',
+      message: chalk.white(`Convert the ${stories} remaining stories with the AI (API key required)?`),
+      default: false
+    }
+  ]);
+  return useLlm;
+}
+
+/**
+ * Shows the estimated token usage and cost of converting the stories
+ *
+ * @async
+ * @param {Array<string>} storiesFiles - Paths to the story files to convert
+ * @return {Promise<boolean>} False if the user cancelled the conversion
+ */
+async function confirmConversionCost(storiesFiles) {
+  const { stories, model, usage, cost } = estimateConversionCost(storiesFiles);
+  console.log(chalk.blue(`\n💰 ${stories} stories to convert with ${model || 'the configured model'}: ~${usage.inputTokens} input and ~${usage.outputTokens} output tokens, estimated cost ${formatCost(cost)}`));
+
+  const { proceed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'proceed',
+      message: chalk.white('Continue with the conversion?'),
+      default: true
+    }
+  ]);
+
+  if (!proceed) {
+    console.log(chalk.yellow('\n⚪ Conversion cancelled by user\n'));
+  }
+  return proceed;
+}
+
+/**
+ * Restores the sub-theme from the snapshot taken before the last upgrade
+ *
+ * @async
+ * @return {Promise<void>} Resolves when the sub-theme is restored or the user cancels
+ */
+async function rollbackLastUpgrade() {
+  const subthemeDirectory = process.env.SUBTHEME_DIRECTORY;
+  const snapshot = await loadSnapshot(subthemeDirectory);
+  const location = snapshot.type === 'git' ? `git commit ${snapshot.commit.slice(0, 8)}` : snapshot.archive;
+
+  const { confirmed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: chalk.yellow(`⚠️  Restore ${subthemeDirectory} from ${location}? All changes made since ${new Date(snapshot.createdAt).toLocaleString()} will be lost.`),
+      default: false
+    }
+  ]);
+
+  if (!confirmed) {
+    console.log(chalk.yellow('\n⚪ Roll back cancelled by user\n'));
+    return;
+  }
+
+  try {
+    await rollbackSnapshot(subthemeDirectory);
+    console.log(chalk.green(`\n⏪ Restored ${subthemeDirectory}, run npm install in the sub-theme to restore node_modules.\n`));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Roll back failed: ${error.message}\n`));
+  }
+}
+
 /**
  * Handles the configuration of the application
  *
- * Prompts user for sub-theme directory path and Anthropic API key,
- * then saves these values to a .env file.
+ * Prompts user for sub-theme directory path, CivicTheme source and
+ * Anthropic API key, then saves these values to a .env file.
  *
  * @async
  * @return {Promise<void>} Resolves when configuration is saved
@@ -244,6 +575,12 @@ async function configureApplication() {
         }
       }
     },
+    {
+      type: 'input',
+      name: 'civicthemeSource',
+      message: chalk.white('Enter the CivicTheme source, a theme directory, tarball path or URL, or HTTPS git URL with #ref:'),
+      default: process.env.CIVICTHEME_SOURCE || getVersionSource(TARGET_VERSION)
+    },
     {
       type: 'input',
       name: 'anthropicApiKey',
@@ -262,7 +599,9 @@ async function configureApplication() {
     const answers = await inquirer.prompt(questions);
 
     // Prepare .env content
+    const civicthemeSource = answers.civicthemeSource.trim() === getVersionSource(TARGET_VERSION) ? '' : answers.civicthemeSource.trim();
     const envContent = `SUBTHEME_DIRECTORY=${answers.subthemeDirectory}
+CIVICTHEME_SOURCE=${civicthemeSource}
 ANTHROPIC_API_KEY=${answers.anthropicApiKey}`;
 
     // Write to .env file
@@ -270,6 +609,7 @@ ANTHROPIC_API_KEY=${answers.anthropicApiKey}`;
 
     console.log(chalk.green('\n✅ Configuration saved successfully!\n'));
     console.log(chalk.blue('📁 Sub-theme directory:'), chalk.white(answers.subthemeDirectory));
+    console.log(chalk.blue('📦 CivicTheme source:'), chalk.white(describeSource(civicthemeSource || getVersionSource(TARGET_VERSION))));
     console.log(chalk.blue('🔑 API key:'), chalk.white(answers.anthropicApiKey));
 
   } catch (error) {
@@ -315,11 +655,12 @@ async function hasValidSubThemeDirectory() {
  * Checks whether the Anthropic API key has been set
  *
  * Simply verifies that the environment variable exists and is not empty.
+ * Self-hosted and fixture providers (see LLM_PROVIDER) do not need a key.
  *
- * @return {boolean} True if the API key is set, false otherwise
+ * @return {boolean} True if the API key is set or not needed, false otherwise
  */
 function hasApiKey() {
-  return !!process.env.ANTHROPIC_API_KEY;
+  return !providerRequiresApiKey() || !!process.env.ANTHROPIC_API_KEY;
 }
 
 /**